@@ -1,18 +1,46 @@
 // backend/Server.js - Updated to use hierarchical configuration
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const neo4j = require('neo4j-driver');
 
 // Updated LangChain imports for v0.3.x
-const { CheerioWebBaseLoader } = require('@langchain/community/document_loaders/web/cheerio');
 const { Neo4jVectorStore } = require('@langchain/community/vectorstores/neo4j_vector');
-const { ChatOllama, OllamaEmbeddings } = require('@langchain/ollama');
-const { RecursiveCharacterTextSplitter } = require('@langchain/textsplitters');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
-const { RunnableSequence, RunnablePassthrough } = require('@langchain/core/runnables');
+const { RunnableSequence, RunnableLambda } = require('@langchain/core/runnables');
 
 // Use hierarchical configuration system
 const config = require('./config');
+const { createDefaultRegistry: createReasoningParsers } = require('./utils/reasoning-parser');
+const { openEventStream } = require('./utils/sse');
+const SessionStore = require('./utils/session-store');
+const EvaluationStore = require('./utils/evaluation-store');
+const { normalizeCases, runEvaluation } = require('./utils/evaluation');
+const ArenaStore = require('./utils/arena-store');
+const { expandMatrix, describeConfiguration, trackUsage } = require('./utils/arena');
+const { ThinkingSettings, NATIVE_REASONING_MODELS } = require('./utils/thinking-settings');
+const { toSources, formatContext, extractCitedIndexes } = require('./utils/citations');
+const { SUPPORTED_EXTENSIONS, loadUrl, loadFile } = require('./utils/document-loaders');
+const DocumentIndexer = require('./utils/document-indexer');
+const Neo4jUtils = require('./utils/neo4j-utils');
+const { RETRIEVAL_MODES, FUSION_METHODS, ensureKeywordIndex, retrieve } = require('./utils/retrieval');
+const { GraphRAG } = require('./utils/graph-rag');
+const { RERANK_METHODS, rerank } = require('./utils/reranking');
+const ModelCatalog = require('./utils/model-catalog');
+const { createProvider } = require('./utils/providers');
+const openAICompat = require('./utils/openai-compat');
+const { AuthStore } = require('./utils/auth-store');
+const { CollectionStore, DEFAULT_COLLECTION } = require('./utils/collection-store');
+const { JobQueue, JobCancelledError } = require('./utils/job-queue');
+const { TraceStore } = require('./utils/trace-store');
+const { EmbeddingCache, CachedEmbeddings } = require('./utils/embedding-cache');
+const AnswerCache = require('./utils/answer-cache');
+const RateLimiter = require('./utils/rate-limiter');
+const logger = require('./utils/logger');
+const { MetricsRegistry, trackErrors } = require('./utils/metrics');
 
 const app = express();
 
@@ -20,509 +48,3020 @@ const app = express();
 try {
     config.validate();
 } catch (error) {
-    console.error('❌ Configuration validation failed:', error.message);
+    logger.error('Configuration validation failed', { error: error.message });
     process.exit(1);
 }
 
-// Load configuration values
-const OLLAMA_HOST = config.get('OLLAMA_HOST');
-const OLLAMA_PORT = config.get('OLLAMA_PORT');
-const DEFAULT_MODEL = config.get('DEFAULT_MODEL');
-const NEO4J_URI = config.get('NEO4J_URI');
-const NEO4J_USERNAME = config.get('NEO4J_USERNAME');
-const NEO4J_PASSWORD = config.get('NEO4J_PASSWORD');
+// Load configuration values. SERVER_PORT and CORS_ORIGIN apply at startup; the others are
+// re-read when the configuration is reloaded (see applyConfigChanges)
 const SERVER_PORT = config.get('SERVER_PORT');
 const CORS_ORIGIN = config.get('CORS_ORIGIN');
+let OLLAMA_HOST;
+let OLLAMA_PORT;
+let DEFAULT_MODEL;
+let NEO4J_URI;
+let NEO4J_USERNAME;
+let NEO4J_PASSWORD;
+let OLLAMA_BASE_URL;
+let EMBEDDING_MODEL;
+
+function readConfigValues() {
+    OLLAMA_HOST = config.get('OLLAMA_HOST');
+    OLLAMA_PORT = config.get('OLLAMA_PORT');
+    DEFAULT_MODEL = config.get('DEFAULT_MODEL');
+    NEO4J_URI = config.get('NEO4J_URI');
+    NEO4J_USERNAME = config.get('NEO4J_USERNAME');
+    NEO4J_PASSWORD = config.get('NEO4J_PASSWORD');
+    OLLAMA_BASE_URL = `http://${OLLAMA_HOST}:${OLLAMA_PORT}`;
+    EMBEDDING_MODEL = config.get('EMBEDDING_MODEL', 'nomic-embed-text');
+}
+readConfigValues();
+
+/**
+ * Build a provider from its config keys. Ollama defaults to OLLAMA_HOST/OLLAMA_PORT,
+ * OpenAI-compatible servers to a local llama.cpp server.
+ */
+function providerFromConfig(type, baseUrl, apiKey) {
+    return createProvider(type, {
+        baseUrl: baseUrl || (type === 'ollama' ? OLLAMA_BASE_URL : 'http://localhost:8080/v1'),
+        apiKey
+    });
+}
+
+// LLM and embedding providers (LLM_PROVIDER / EMBEDDING_PROVIDER: 'ollama' | 'openai').
+// Embeddings use the LLM provider unless configured separately.
+function createProviders() {
+    const llmType = config.get('LLM_PROVIDER', 'ollama');
+    const embeddingType = config.get('EMBEDDING_PROVIDER', llmType);
+
+    const llm = providerFromConfig(llmType, config.get('LLM_BASE_URL'), config.get('LLM_API_KEY'));
+    const embedding = embeddingType === llmType && !config.get('EMBEDDING_BASE_URL')
+        ? llm
+        : providerFromConfig(
+            embeddingType,
+            config.get('EMBEDDING_BASE_URL'),
+            config.get('EMBEDDING_API_KEY', config.get('LLM_API_KEY'))
+        );
+    return { llmProvider: llm, embeddingProvider: embedding };
+}
+
+let llmProvider;
+let embeddingProvider;
+try {
+    ({ llmProvider, embeddingProvider } = createProviders());
+} catch (error) {
+    logger.error('Provider configuration failed', { error: error.message });
+    process.exit(1);
+}
+
+// Metrics, served in the Prometheus text format on /metrics
+const metrics = new MetricsRegistry({ prefix: 'karl_' });
+const httpRequests = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status (route "unmatched": no route handled it)',
+    labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route, up to the end of the response (streams included)',
+    labelNames: ['method', 'route']
+});
+const retrievalDuration = metrics.histogram({
+    name: 'retrieval_duration_seconds',
+    help: 'Time to retrieve chunks for a query, before reranking and graph expansion',
+    labelNames: ['collection', 'mode']
+});
+const llmGenerationDuration = metrics.histogram({
+    name: 'llm_generation_duration_seconds',
+    help: 'Chat model calls from request to last token',
+    labelNames: ['model']
+});
+const llmTokens = metrics.counter({
+    name: 'llm_tokens_total',
+    help: 'Tokens processed by chat models; type is prompt or completion',
+    labelNames: ['model', 'type']
+});
+const llmTokensPerSecond = metrics.histogram({
+    name: 'llm_tokens_per_second',
+    help: 'Completion tokens per second of each chat model call',
+    labelNames: ['model'],
+    buckets: [1, 2.5, 5, 10, 20, 40, 80, 160, 320]
+});
+const dependencyErrors = metrics.counter({
+    name: 'dependency_errors_total',
+    help: 'Failed calls to the model providers (ollama, openai) and Neo4j',
+    labelNames: ['dependency', 'operation']
+});
+const cacheLookups = metrics.counter({
+    name: 'cache_lookups_total',
+    help: 'Embedding cache lookups per text and answer cache lookups per question; result is hit or miss',
+    labelNames: ['cache', 'result']
+});
+metrics.gauge({
+    name: 'jobs',
+    help: 'Ingestion jobs waiting or running',
+    labelNames: ['status'],
+    collect: (gauge) => {
+        const active = jobQueue.active();
+        ['queued', 'running'].forEach(status => gauge.set({ status }, active.filter(job => job.status === status).length));
+    }
+});
 
 // Middleware
 app.use(cors({
     origin: CORS_ORIGIN,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', 'X-Trace-Id']
 }));
 app.use(express.json());
 
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The route a request matched, e.g. /api/sessions/:id, so metrics don't get a series per ID
+function metricsRoute(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Every request gets a correlation ID: the caller's X-Request-Id, or a new one. It is returned in
+// the X-Request-Id header and added to everything logged while handling the request.
+app.use((req, res, next) => {
+    const requestId = req.get('X-Request-Id');
+    req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const endTimer = httpRequestDuration.startTimer();
+    res.on('close', () => {
+        const route = metricsRoute(req);
+        // 499: the client went away before the response was complete (e.g. a stopped stream)
+        const status = res.writableFinished ? res.statusCode : 499;
+        const seconds = endTimer({ method: req.method, route });
+        httpRequests.inc({ method: req.method, route, status });
+        logger[status >= 500 ? 'warn' : 'debug']('Request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.path,
+            status,
+            durationMs: Math.round(seconds * 1000)
+        });
+    });
+
+    logger.runWithContext({ requestId: req.id }, next);
+});
+
 // Initialize components
 let vectorstore = null;
 let retriever = null;
+let indexer = null;
+let graph = null;
 let chatModel = null;
+let activeModel = DEFAULT_MODEL; // Switchable at runtime via POST /api/models/default
 let isInitializing = false;
 let initializationError = null;
 
-// Initialize the RAG system
-async function initializeRAG() {
-    if (isInitializing) return;
-    isInitializing = true;
-    initializationError = null;
+// One chat model instance per model name, so per-request models are cheap to reuse
+const chatModels = new Map();
+let modelCatalog = new ModelCatalog(llmProvider);
+
+function getChatModel(model) {
+    if (!chatModels.has(model)) {
+        chatModels.set(model, llmProvider.createChatModel(model, { temperature: 0.7, callbacks: [llmMetricsHandler(model)] }));
+    }
+    return chatModels.get(model);
+}
+
+/**
+ * Callbacks recording a chat model's generation time, token counts and errors. Tokens come from
+ * the provider's usage report; completions without one are estimated at four characters a token.
+ */
+function llmMetricsHandler(model) {
+    const timers = new Map();
+    const start = (llm, input, runId) => {
+        timers.set(runId, llmGenerationDuration.startTimer({ model }));
+    };
+
+    return {
+        handleChatModelStart: start,
+        handleLLMStart: start,
+        handleLLMEnd(output, runId) {
+            const endTimer = timers.get(runId);
+            timers.delete(runId);
+            const seconds = endTimer ? endTimer() : 0;
+
+            const generation = output.generations?.[0]?.[0];
+            const usage = generation?.message?.usage_metadata;
+            const fallback = output.llmOutput?.tokenUsage;
+            const promptTokens = usage?.input_tokens ?? fallback?.promptTokens;
+            const completionTokens = usage?.output_tokens ?? fallback?.completionTokens ?? Math.ceil((generation?.text || '').length / 4);
+            if (promptTokens) {
+                llmTokens.inc({ model, type: 'prompt' }, promptTokens);
+            }
+            llmTokens.inc({ model, type: 'completion' }, completionTokens);
+            if (seconds > 0 && completionTokens > 0) {
+                llmTokensPerSecond.observe({ model }, completionTokens / seconds);
+            }
+        },
+        handleLLMError(error, runId) {
+            timers.delete(runId);
+            // A client that stopped its stream is not a provider failure
+            if (error?.name !== 'AbortError') {
+                dependencyErrors.inc({ dependency: llmProvider.type, operation: 'chat' });
+            }
+        }
+    };
+}
+
+/**
+ * Count the failed Neo4j queries and embedding calls of a vector store
+ */
+function instrumentVectorStore(store) {
+    trackErrors(store, ['query'], () => dependencyErrors.inc({ dependency: 'neo4j', operation: 'query' }));
+    trackErrors(store.embeddings, ['embedQuery', 'embedDocuments'], () => {
+        dependencyErrors.inc({ dependency: embeddingProvider.type, operation: 'embed' });
+    });
+    return store;
+}
+
+/**
+ * Provider-aware connectivity check: the server must answer its model listing
+ * and know the model we are about to use
+ */
+async function checkProvider(provider, model) {
+    try {
+        await provider.checkModel(model);
+    } catch (error) {
+        logger.error(`${provider.label} check failed`, { baseUrl: provider.baseUrl, error: error.message });
+        dependencyErrors.inc({ dependency: provider.type, operation: 'connect' });
+        // fetch() rejects with a TypeError when nothing is listening
+        if (error instanceof TypeError) {
+            throw new Error(`Cannot connect to ${provider.label} at ${provider.baseUrl}. Make sure it is running.`);
+        }
+        throw new Error(`${provider.label} at ${provider.baseUrl}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve a per-request `model` parameter to a chat model; omitted means the current default.
+ * Models that are not installed (or are embedding-only) are a 400-style error.
+ */
+async function resolveChatModel(model) {
+    if (!model || model === activeModel) {
+        return getChatModel(activeModel);
+    }
+
+    const installed = await modelCatalog.find(model);
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    };
+
+    if (!installed) {
+        throw invalid(`Model "${model}" is not available from ${llmProvider.label}. See GET /api/models`);
+    }
+    if (installed.embedding) {
+        throw invalid(`Model "${model}" is an embedding model and cannot chat`);
+    }
+
+    return getChatModel(installed.name);
+}
+
+// Conversation history, evaluation datasets and run reports, arena comparisons and cached
+// embeddings all live in the same Neo4j database as the documents, through one shared driver
+let storeDriver;
+let sessionStore;
+let evaluationStore;
+let arenaStore;
+let embeddingCache;
+
+function connectStores() {
+    storeDriver = neo4j.driver(NEO4J_URI, neo4j.auth.basic(NEO4J_USERNAME, NEO4J_PASSWORD));
+    sessionStore = new SessionStore({ driver: storeDriver });
+    evaluationStore = new EvaluationStore({ driver: storeDriver });
+    arenaStore = new ArenaStore({ driver: storeDriver });
+    embeddingCache = new EmbeddingCache({
+        driver: storeDriver,
+        maxEntries: config.get('EMBEDDING_CACHE_MAX_ENTRIES', 100000),
+        onLookup: (hits, misses) => {
+            cacheLookups.inc({ cache: 'embedding', result: 'hit' }, hits);
+            cacheLookups.inc({ cache: 'embedding', result: 'miss' }, misses);
+        }
+    });
+    [sessionStore, evaluationStore, arenaStore, embeddingCache].forEach(store => {
+        trackErrors(store, ['run'], () => dependencyErrors.inc({ dependency: 'neo4j', operation: 'query' }));
+    });
+}
+connectStores();
+
+// Answers to RAG questions, reused for near-identical questions (ANSWER_CACHE_ENABLED); a
+// collection's answers are dropped whenever its documents change
+const answerCache = new AnswerCache({ limit: config.get('ANSWER_CACHE_SIZE', 200) });
+
+// Reasoning trace parsers per model family, shared by all chat routes
+const reasoningParsers = createReasoningParsers();
+
+// Thinking settings are edited at runtime (POST /api/config/thinking) and kept in a JSON file
+const thinkingSettings = new ThinkingSettings({
+    filePath: config.get('THINKING_SETTINGS_FILE', path.join(__dirname, '../configs/thinking_settings.json')),
+    nativeModels: config.get('NATIVE_REASONING_MODELS', NATIVE_REASONING_MODELS),
+    parserNames: reasoningParsers.names()
+});
+
+/**
+ * Load one source and sync it into the vector store through the indexer.
+ * Returns a per-source result instead of throwing so batches can report partial failures;
+ * only a job cancellation (thrown by options.onStage) propagates.
+ */
+async function ingestSource(source, load, { force = false, onStage = null } = {}, collection = defaultCollectionRuntime()) {
+    try {
+        if (onStage) await onStage('fetch');
+        const docs = await load();
+        const result = await collection.indexer.syncSource(source, docs, { force, onStage });
+        if (result.removed > 0) {
+            await pruneGraph(collection.graph);
+        }
+        return { ...result, success: true, documents: docs.length };
+    } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+        logger.error('Error ingesting source', { source, error: error.message });
+        return { source, success: false, error: error.message };
+    }
+}
+
+/**
+ * Graph extraction stage for newly indexed chunks (off unless GRAPH_EXTRACTION_ENABLED,
+ * since it costs one chat-model call per chunk)
+ */
+async function extractChunkGraph(chunks, chunkGraph = graph) {
+    if (!config.get('GRAPH_EXTRACTION_ENABLED', false)) {
+        return null;
+    }
+    return chunkGraph.processChunks(chatModel, chunks);
+}
+
+/**
+ * Drop entities left without mentions after chunks were removed
+ */
+async function pruneGraph(chunkGraph = graph) {
+    try {
+        const removed = await chunkGraph.pruneOrphanEntities();
+        if (removed > 0) {
+            logger.info(`Pruned ${removed} orphaned entities`);
+        }
+    } catch (error) {
+        logger.warn('Could not prune graph entities', { error: error.message });
+    }
+}
+
+/**
+ * EMBEDDING_MODEL embeddings, looked up in the embedding cache first unless EMBEDDING_CACHE_ENABLED is off
+ */
+function createEmbeddings() {
+    const embeddings = embeddingProvider.createEmbeddings(EMBEDDING_MODEL);
+    if (!config.get('EMBEDDING_CACHE_ENABLED', true)) {
+        return embeddings;
+    }
+    // Providers may serve different models under the same name
+    return new CachedEmbeddings({ embeddings, cache: embeddingCache, model: `${embeddingProvider.type}:${EMBEDDING_MODEL}` });
+}
+
+/**
+ * Connect to the existing vector index, creating an empty one on first run.
+ * storage ({ indexName, keywordIndexName, nodeLabel }) selects a collection's index instead of the configured one.
+ */
+async function connectVectorStore(embeddings, storage = {}) {
+    const storeConfig = {
+        url: NEO4J_URI,
+        username: NEO4J_USERNAME,
+        password: NEO4J_PASSWORD,
+        indexName: storage.indexName || config.get('NEO4J_INDEX_NAME', 'vector_index'),
+        nodeLabel: storage.nodeLabel || config.get('NEO4J_NODE_LABEL', 'Document'),
+        textNodeProperty: config.get('NEO4J_TEXT_PROPERTY', 'text'),
+        embeddingNodeProperty: config.get('NEO4J_EMBEDDING_PROPERTY', 'embedding'),
+        // Add metadata handling configuration
+        keywordIndexName: storage.keywordIndexName || config.get('NEO4J_KEYWORD_INDEX', 'keyword_index'),
+        searchType: 'vector',
+        metadataKey: 'metadata'
+    };
+
+    try {
+        const store = await Neo4jVectorStore.fromExistingIndex(embeddings, storeConfig);
+        logger.info('Connected to existing vector index', { indexName: store.indexName });
+        return instrumentVectorStore(store);
+    } catch (error) {
+        if (!/does not exist/i.test(error.message)) {
+            throw error;
+        }
+    }
+
+    logger.info('No vector index found, creating one', { indexName: storeConfig.indexName });
+    const store = await Neo4jVectorStore.initialize(embeddings, storeConfig);
+    await store.createNewIndex();
+    await store.query(`CREATE CONSTRAINT IF NOT EXISTS FOR (n:\`${store.nodeLabel}\`) REQUIRE n.id IS UNIQUE`);
+    return instrumentVectorStore(store);
+}
+
+// Ingestion items ({ source, load }) for web pages
+function urlSources(urls) {
+    return urls.map(url => ({ source: url, load: () => loadUrl(url) }));
+}
+
+/**
+ * The configured DOCUMENT_URLS as ingestion items
+ */
+function configuredSources() {
+    // Default URLs - these could also come from config
+    return urlSources(config.get('DOCUMENT_URLS', [
+        "https://ollama.com",
+        "https://ollama.com/blog/windows-preview",
+        "https://ollama.com/blog/openai-compatibility",
+    ]));
+}
+
+/**
+ * Batch ingestion summary: { success, totalChunks, embeddedChunks, results }
+ */
+function summarizeIngestion(results) {
+    const succeeded = results.filter(result => result.success);
+    return {
+        success: succeeded.length === results.length,
+        totalChunks: succeeded.reduce((sum, result) => sum + result.chunks, 0),
+        embeddedChunks: succeeded.reduce((sum, result) => sum + result.added, 0),
+        results
+    };
+}
+
+/**
+ * Job step: sync sources ({ source, load }) into a collection one by one, recording each
+ * source's stage, counts and errors on the job. Unchanged sources are skipped, changed ones re-indexed.
+ */
+async function ingestJobSources(context, collectionName, items, { force = false } = {}) {
+    const collection = await getCollection(collectionName);
+    logger.info(`Syncing ${items.length} sources`, { collection: collection.name });
+
+    const results = [];
+    for (const { source, load } of items) {
+        context.throwIfCancelled();
+        const result = await ingestSource(source, load, {
+            force,
+            onStage: (stage, details = {}) => {
+                context.throwIfCancelled();
+                context.updateSource(source, { stage, ...details });
+            }
+        }, collection);
+
+        context.updateSource(source, result.success
+            ? { stage: 'done', status: result.status, chunks: result.chunks, added: result.added, removed: result.removed, enrichment: result.enrichment || null }
+            : { stage: 'failed', error: result.error });
+        results.push(result);
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    logger.info('Source sync complete', {
+        added: count('added'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        failed: results.filter(result => !result.success).length
+    });
+
+    return summarizeIngestion(results);
+}
+
+/**
+ * Graph and indexer for a collection's vector store. Graph extraction of new chunks goes
+ * to the collection's own graph, and changed documents drop the collection's cached answers.
+ */
+function buildCollectionRuntime(name, store, { chunkSize, chunkOverlap, sourceLabel = 'Source' }) {
+    const runtime = { name, vectorstore: store };
+    runtime.graph = new GraphRAG(store, {
+        maxEntities: config.get('GRAPH_MAX_ENTITIES', 12),
+        ...(config.get('GRAPH_EXTRACTION_PROMPT') && { extractionPrompt: config.get('GRAPH_EXTRACTION_PROMPT') }),
+    });
+    runtime.indexer = new DocumentIndexer(store, {
+        chunkSize,
+        chunkOverlap,
+        sourceLabel,
+        onChunksAdded: (chunks) => extractChunkGraph(chunks, runtime.graph),
+        onChange: () => answerCache.invalidate(name),
+    });
+    return runtime;
+}
+
+// Initialize the RAG system; sources are synced by the job that runs this (see queueInitializeJob)
+async function initializeRAG() {
+    if (isInitializing) return;
+    isInitializing = true;
+    initializationError = null;
+
+    try {
+        logger.info('Initializing RAG system');
+        
+        // Initialize chat model
+        chatModel = getChatModel(activeModel);
+
+        // Initialize embeddings
+        const embeddings = createEmbeddings();
+
+        // Test connection to the model providers
+        logger.info(`Testing ${llmProvider.label} connection`, { baseUrl: llmProvider.baseUrl });
+        await checkProvider(llmProvider, activeModel);
+        await checkProvider(embeddingProvider, EMBEDDING_MODEL);
+        logger.info(`${llmProvider.label} connection successful`);
+
+        logger.info('Connecting to vector store');
+        
+        try {
+            vectorstore = await connectVectorStore(embeddings);
+        } catch (error) {
+            logger.error('Neo4j connection failed', { error: error.message });
+            dependencyErrors.inc({ dependency: 'neo4j', operation: 'connect' });
+            throw new Error(`Cannot connect to Neo4j at ${NEO4J_URI}. Make sure Neo4j is running with correct credentials.`);
+        }
+
+        try {
+            await ensureKeywordIndex(vectorstore);
+        } catch (error) {
+            logger.warn('Could not create full-text index, keyword/hybrid retrieval unavailable', { error: error.message });
+        }
+
+        ({ graph, indexer } = buildCollectionRuntime(DEFAULT_COLLECTION, vectorstore, {
+            chunkSize: config.get('CHUNK_SIZE', 1000),
+            chunkOverlap: config.get('CHUNK_OVERLAP', 200),
+        }));
+
+        retriever = vectorstore.asRetriever({
+            k: config.get('RETRIEVER_K', 4),
+        });
+
+        logger.info('RAG system initialized');
+        
+    } catch (error) {
+        logger.error('Error initializing RAG system', { error });
+        initializationError = error.message;
+        throw error;
+    } finally {
+        isInitializing = false;
+    }
+}
+
+// Collections: named knowledge bases next to the configured one (see utils/collection-store.js)
+const collectionStore = new CollectionStore({
+    filePath: config.get('COLLECTIONS_FILE', path.join(__dirname, '../configs/collections.json')),
+    defaultCollection: () => ({
+        description: 'The knowledge base described by the configuration',
+        indexName: config.get('NEO4J_INDEX_NAME', 'vector_index'),
+        keywordIndexName: config.get('NEO4J_KEYWORD_INDEX', 'keyword_index'),
+        nodeLabel: config.get('NEO4J_NODE_LABEL', 'Document'),
+        sourceLabel: 'Source',
+        sources: config.get('DOCUMENT_URLS', []),
+        chunkSize: config.get('CHUNK_SIZE', 1000),
+        chunkOverlap: config.get('CHUNK_OVERLAP', 200)
+    })
+});
+
+// Runtimes ({ name, vectorstore, indexer, graph }) of the other collections, opened on first use
+const openCollections = new Map();
+
+/**
+ * The configured knowledge base as a collection runtime
+ */
+function defaultCollectionRuntime() {
+    return { name: DEFAULT_COLLECTION, vectorstore, indexer, graph };
+}
+
+/**
+ * The runtime of a collection by name (the default one when empty). Throws 404 for an
+ * unknown collection and 503 while the RAG system is not initialized.
+ */
+async function getCollection(name) {
+    const definition = collectionStore.get(name);
+    if (!definition) {
+        const error = new Error(`Collection not found: ${name}`);
+        error.status = 404;
+        throw error;
+    }
+    if (!vectorstore) {
+        const error = new Error('RAG system not initialized');
+        error.status = 503;
+        throw error;
+    }
+    if (definition.builtIn) {
+        return defaultCollectionRuntime();
+    }
+
+    if (!openCollections.has(definition.name)) {
+        // Cache the promise so concurrent requests share one connection
+        openCollections.set(definition.name, openCollection(definition).catch(error => {
+            openCollections.delete(definition.name);
+            throw error;
+        }));
+    }
+    return openCollections.get(definition.name);
+}
+
+async function openCollection(definition) {
+    logger.info('Opening collection', { collection: definition.name, indexName: definition.indexName });
+    let store;
+    try {
+        store = await connectVectorStore(createEmbeddings(), definition);
+    } catch (error) {
+        dependencyErrors.inc({ dependency: 'neo4j', operation: 'connect' });
+        throw error;
+    }
+
+    try {
+        await ensureKeywordIndex(store);
+    } catch (error) {
+        logger.warn('Could not create full-text index for collection', { collection: definition.name, error: error.message });
+    }
+
+    return buildCollectionRuntime(definition.name, store, definition);
+}
+
+/**
+ * Close opened collections (all by default), e.g. after the embedding settings changed
+ */
+async function closeCollections(names = [...openCollections.keys()]) {
+    for (const name of names) {
+        const opening = openCollections.get(name);
+        if (!opening) continue;
+        openCollections.delete(name);
+        try {
+            await (await opening).vectorstore.close();
+        } catch (error) {
+            // It never opened, or the connection is already gone
+        }
+    }
+}
+
+// Background jobs: initialization, ingestion and re-indexing run one at a time (see utils/job-queue.js)
+const jobQueue = new JobQueue({ historyLimit: config.get('JOB_HISTORY_LIMIT', 50) });
+
+/**
+ * Queue a sync of ingestion items ({ source, load }) into a collection. The items stay with
+ * the job so its failed sources can be retried.
+ */
+function queueIngestionJob(type, collectionName, items, { force = false, retryOf = null } = {}) {
+    return jobQueue.enqueue({
+        type,
+        collection: collectionName,
+        sources: items.map(item => item.source),
+        payload: { items, force },
+        retryOf
+    }, (context) => ingestJobSources(context, collectionName, items, { force }));
+}
+
+/**
+ * Queue initialization of the RAG system followed by a sync of DOCUMENT_URLS (when syncSources).
+ * Returns the initialization already queued or running, if there is one.
+ */
+function queueInitializeJob({ syncSources = config.get('SYNC_SOURCES_ON_STARTUP', true) } = {}) {
+    const pending = jobQueue.active().find(job => job.type === 'initialize');
+    if (pending) return pending;
+
+    const items = syncSources ? configuredSources() : [];
+    return jobQueue.enqueue({
+        type: 'initialize',
+        collection: DEFAULT_COLLECTION,
+        sources: items.map(item => item.source),
+        payload: { items, force: false }
+    }, async (context) => {
+        context.setStep('connecting');
+        await initializeRAG();
+        context.setStep(null);
+        return ingestJobSources(context, DEFAULT_COLLECTION, items);
+    });
+}
+
+/**
+ * Whether the RAG system is being set up: an initialize or rebuild job is queued or running,
+ * or a configuration reload is re-initializing it
+ */
+function isRagInitializing() {
+    return isInitializing || jobQueue.active().some(job => job.type === 'initialize' || job.type === 'rebuild');
+}
+
+/**
+ * Split model output (string or message) into reasoning and answer with the parser for the
+ * model's family, or the one named by the model's `parser` thinking setting.
+ * See utils/reasoning-parser.js for the result shape.
+ */
+function parseThinkingResponse(output, model = activeModel) {
+    return reasoningParsers.parse(output, reasoningParserOptions(model));
+}
+
+function reasoningParserOptions(model) {
+    return { model, family: thinkingSettings.resolve(model).parser || null };
+}
+
+/**
+ * With OLLAMA_THINK, ask Ollama to return a natively reasoning model's reasoning apart from the
+ * answer (its `think` option), or to skip it when thinking is off. Other models are left as they are.
+ */
+function withThinkOption(llm, enableThinking) {
+    const settings = thinkingSettings.resolve(llm.model);
+    if (llmProvider.type !== 'ollama' || !settings.nativeReasoning || !config.get('OLLAMA_THINK', true)) {
+        return llm;
+    }
+    return llm.bind({ think: enableThinking ?? settings.enableByDefault });
+}
+
+/**
+ * The end of an answer chain: the model's text, with reasoning it returned apart from the text
+ * put back as tags for the model's reasoning parser
+ */
+function answerOutputParser(llm) {
+    return reasoningParsers.createOutputParser(reasoningParserOptions(llm.model));
+}
+
+/**
+ * Parse a model's raw output and apply the model's keepReasoning setting.
+ * With keepReasoning off the reasoning is dropped, and rawResponse is the answer only.
+ */
+function parseModelResponse(rawResponse, model) {
+    const parsedResponse = parseThinkingResponse(rawResponse, model);
+    if (thinkingSettings.resolve(model).keepReasoning) {
+        return { parsedResponse, rawResponse };
+    }
+
+    return {
+        parsedResponse: { thinking: null, response: parsedResponse.response, hasThinking: false, reasoning: null },
+        rawResponse: parsedResponse.response
+    };
+}
+
+/**
+ * Create a thinking-aware prompt that encourages step-by-step reasoning.
+ * enableThinking undefined means the model's enableByDefault setting. Models that
+ * reason natively (e.g. deepseek-r1) don't get the instruction.
+ */
+function createThinkingPrompt(originalPrompt, enableThinking, model = activeModel) {
+    const settings = thinkingSettings.resolve(model);
+    if (!(enableThinking ?? settings.enableByDefault) || settings.nativeReasoning) {
+        return originalPrompt;
+    }
+
+    // The suffix is user-editable text, so braces must not be read as template variables
+    const suffix = settings.promptSuffix.replace(/[{}]/g, brace => brace + brace);
+    return `${originalPrompt}
+
+${suffix}`;
+}
+
+/**
+ * Load the recent history of a session for prompting.
+ * Returns null when no sessionId is given; throws a 404-style error for unknown sessions.
+ */
+async function loadConversation(sessionId, ownerId = null) {
+    if (!sessionId) return null;
+
+    const messages = await sessionStore.getHistory(sessionId, config.get('HISTORY_MAX_MESSAGES', 12), ownerId);
+    if (!messages) {
+        const error = new Error(`Session not found: ${sessionId}`);
+        error.status = 404;
+        throw error;
+    }
+
+    const history = messages
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+        .join('\n');
+
+    return { sessionId, messages, history };
+}
+
+/**
+ * Persist a question/answer pair to the session, if there is one
+ */
+async function saveTurn(conversation, method, question, parsedResponse, sources = null) {
+    if (!conversation) return;
+
+    await sessionStore.appendMessages(conversation.sessionId, [
+        { role: 'user', content: question, method },
+        {
+            role: 'assistant',
+            content: parsedResponse.response,
+            thinking: parsedResponse.thinking,
+            sources,
+            method
+        }
+    ]);
+}
+
+/**
+ * Prefix a prompt template with the conversation so far
+ */
+function withConversationHistory(template, conversation) {
+    if (!conversation || conversation.messages.length === 0) {
+        return template;
+    }
+
+    return `Conversation so far:
+{history}
+
+${template}`;
+}
+
+/**
+ * Rewrite a follow-up question into a standalone retrieval query
+ * using the conversation history. Returns the question unchanged when there is no history.
+ */
+async function condenseQuestion(question, conversation, llm = chatModel, runConfig = {}) {
+    if (!conversation || conversation.messages.length === 0) {
+        return question;
+    }
+
+    const prompt = ChatPromptTemplate.fromTemplate(config.get('CONDENSE_QUESTION_PROMPT',
+        `Given the following conversation and a follow-up question, rephrase the follow-up question to be a standalone question that can be understood without the conversation. Reply with the standalone question only.
+
+Chat history:
+{history}
+
+Follow-up question: {question}
+
+Standalone question:`
+    ));
+
+    const rawResponse = await prompt
+        .pipe(llm)
+        .pipe(new StringOutputParser())
+        .withConfig({ runName: 'condense' })
+        .invoke({ history: conversation.history, question }, runConfig);
+
+    const standaloneQuestion = parseThinkingResponse(rawResponse, llm.model).response;
+    logger.info('Condensed follow-up question', { question: logger.redactQuery(standaloneQuestion) });
+
+    return standaloneQuestion || question;
+}
+
+/**
+ * Build the before-RAG chain (prompt -> model -> string)
+ */
+function buildBeforeRagChain(enableThinking, conversation = null, llm = chatModel) {
+    const basePrompt = config.get('BEFORE_RAG_PROMPT', "What is {topic}? Provide a comprehensive but concise explanation.");
+    const promptTemplate = createThinkingPrompt(withConversationHistory(basePrompt, conversation), enableThinking, llm.model);
+
+    const prompt = ChatPromptTemplate.fromTemplate(promptTemplate);
+    return prompt.pipe(withThinkOption(llm, enableThinking)).pipe(answerOutputParser(llm)).withConfig({ runName: 'answer' });
+}
+
+/**
+ * Build a chain that answers the question directly, without retrieval (prompt -> model -> string).
+ * Unlike before-RAG it takes the question as asked, so it can be compared with the with-RAG answer.
+ */
+function buildDirectAnswerChain(enableThinking, llm = chatModel) {
+    const basePrompt = config.get('DIRECT_ANSWER_PROMPT', `Question: {question}
+
+Provide a comprehensive but concise answer.`);
+    const prompt = ChatPromptTemplate.fromTemplate(createThinkingPrompt(basePrompt, enableThinking, llm.model));
+    return prompt.pipe(withThinkOption(llm, enableThinking)).pipe(answerOutputParser(llm)).withConfig({ runName: 'answer' });
+}
+
+/**
+ * Resolve retrieval settings from config, with optional per-request overrides
+ * ({ retrievalMode, fusionMethod, k, graphExpansion, rerank }). Throws a 400-style error for invalid values.
+ */
+function resolveRetrievalOptions(overrides = {}) {
+    const options = {
+        mode: overrides.retrievalMode || config.get('RETRIEVAL_MODE', 'vector'),
+        fusion: overrides.fusionMethod || config.get('HYBRID_FUSION', 'rrf'),
+        k: overrides.k ?? config.get('RETRIEVER_K', 4),
+        candidateK: Number(config.get('HYBRID_CANDIDATE_K', 10)),
+        rrfK: Number(config.get('HYBRID_RRF_K', 60)),
+        vectorWeight: Number(config.get('HYBRID_VECTOR_WEIGHT', 0.5)),
+        graphExpansion: overrides.graphExpansion ?? config.get('GRAPH_EXPANSION_ENABLED', false),
+        graphLimit: Number(config.get('GRAPH_EXPANSION_LIMIT', 3)),
+        graphHops: Number(config.get('GRAPH_EXPANSION_HOPS', 1)),
+        rerank: overrides.rerank || config.get('RERANK_METHOD', 'none'),
+        rerankCandidateK: Number(config.get('RERANK_CANDIDATE_K', 12)),
+        mmrLambda: Number(config.get('MMR_LAMBDA', 0.5))
+    };
+
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    };
+
+    if (!RETRIEVAL_MODES.includes(options.mode)) {
+        throw invalid(`Invalid retrievalMode "${options.mode}". Use one of: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+    if (!FUSION_METHODS.includes(options.fusion)) {
+        throw invalid(`Invalid fusionMethod "${options.fusion}". Use one of: ${FUSION_METHODS.join(', ')}`);
+    }
+    if (!Number.isInteger(options.k) || options.k < 1 || options.k > 50) {
+        throw invalid('k must be an integer between 1 and 50');
+    }
+    if (typeof options.graphExpansion !== 'boolean') {
+        throw invalid('graphExpansion must be true or false');
+    }
+    if (!RERANK_METHODS.includes(options.rerank)) {
+        throw invalid(`Invalid rerank "${options.rerank}". Use one of: ${RERANK_METHODS.join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Build the retrieval chain:
+ * query -> retrieve (over-fetched when reranking) -> rerank/MMR -> [graph expansion] -> numbered sources.
+ * Resolves to { sources, reranking }, where reranking is the before/after ordering (null when off).
+ * Searches the given collection runtime (see getCollection), the default knowledge base unless given.
+ */
+function buildRetrievalChain(options = resolveRetrievalOptions(), llm = chatModel, collection = defaultCollectionRuntime()) {
+    const reranking = options.rerank !== 'none';
+
+    const steps = [
+        RunnableLambda.from(async (query) => {
+            const retrieveOptions = reranking ? { ...options, k: Math.max(options.rerankCandidateK, options.k) } : options;
+            const endTimer = retrievalDuration.startTimer({ collection: collection.name, mode: options.mode });
+            const results = await retrieve(collection.vectorstore, query, retrieveOptions);
+            const seconds = endTimer();
+            logger.info(`Retrieved ${results.length} ${reranking ? 'candidate' : 'relevant'} documents`, {
+                collection: collection.name,
+                mode: options.mode,
+                ...(options.mode === 'hybrid' && { fusion: options.fusion }),
+                durationMs: Math.round(seconds * 1000)
+            });
+            return { query, results, reranking: null };
+        }).withConfig({ runName: 'retrieve' }),
+    ];
+
+    if (reranking) {
+        steps.push(RunnableLambda.from(async ({ query, results }) => {
+            const reranked = await rerank(collection.vectorstore, query, results, {
+                method: options.rerank,
+                k: options.k,
+                lambda: options.mmrLambda,
+                chatModel: llm,
+                ...(config.get('RERANK_PROMPT') && { prompt: config.get('RERANK_PROMPT') })
+            });
+            logger.info(`Reranked ${results.length} candidates down to ${reranked.results.length}`, { rerank: options.rerank });
+            return { query, results: reranked.results, reranking: reranked.ordering };
+        }).withConfig({ runName: 'rerank' }));
+    }
+
+    if (options.graphExpansion) {
+        // Neighbouring chunks that share entities with the retrieved ones are appended after them
+        steps.push(RunnableLambda.from(async (state) => {
+            try {
+                const neighbors = await collection.graph.expand(state.results, { limit: options.graphLimit, hops: options.graphHops });
+                logger.info(`Graph expansion added ${neighbors.length} neighbouring chunks`);
+                return { ...state, results: [...state.results, ...neighbors] };
+            } catch (error) {
+                logger.warn('Graph expansion failed, using retrieved chunks only', { error: error.message });
+                return state;
+            }
+        }).withConfig({ runName: 'graph-expansion' }));
+    }
+
+    steps.push(RunnableLambda.from(({ results, reranking: ordering }) => ({
+        sources: toSources(results),
+        reranking: ordering
+    })));
+    return RunnableSequence.from(steps);
+}
+
+/**
+ * Build the with-RAG chain (numbered sources -> prompt -> model -> string).
+ * Sources are retrieved up front with buildRetrievalChain so they can be
+ * returned to the client alongside the answer.
+ */
+function buildWithRagChain(enableThinking, conversation = null, llm = chatModel) {
+    const basePrompt = config.get('RAG_PROMPT', 
+        `Answer the question based only on the following context. Each passage is numbered:
+
+{context}
+
+Question: {question}
+
+Provide a comprehensive answer based on the context provided. Cite the passages you use inline with their numbers in square brackets, e.g. [1] or [2][3]. Do not cite passages that do not support the statement.`
+    );
+    
+    const promptTemplate = createThinkingPrompt(withConversationHistory(basePrompt, conversation), enableThinking, llm.model);
+    const prompt = ChatPromptTemplate.fromTemplate(promptTemplate);
+
+    return RunnableSequence.from([
+        {
+            context: (input) => formatContext(input.sources),
+            question: (input) => input.question,
+            history: (input) => input.history || '',
+        },
+        prompt,
+        withThinkOption(llm, enableThinking),
+        answerOutputParser(llm),
+    ]).withConfig({ runName: 'answer' });
+}
+
+/**
+ * Look a with-rag question up in the answer cache. Only questions that start a conversation
+ * qualify, since later answers depend on the history. Returns null when the cache does not
+ * apply, otherwise { key, hit } (see AnswerCache.lookup); settings is what else shapes the answer.
+ */
+async function lookupCachedAnswer(question, conversation, collection, settings) {
+    if (!config.get('ANSWER_CACHE_ENABLED', false) || conversation?.messages.length) {
+        return null;
+    }
+
+    const embedding = await collection.vectorstore.embeddings.embedQuery(question);
+    const lookup = answerCache.lookup({ collection: collection.name, settings, embedding }, {
+        threshold: config.get('ANSWER_CACHE_SIMILARITY', 0.95),
+        ttlMs: config.get('ANSWER_CACHE_TTL_MINUTES', 60) * 60 * 1000
+    });
+    cacheLookups.inc({ cache: 'answer', result: lookup.hit ? 'hit' : 'miss' });
+    if (lookup.hit) {
+        logger.info('Answering from the answer cache', { collection: collection.name, similarity: lookup.hit.similarity });
+    }
+    return lookup;
+}
+
+/**
+ * Stand-in for the answer chain that returns a cached model output, so cached answers are
+ * parsed, streamed and saved like fresh ones
+ */
+function cachedAnswerChain(output) {
+    return RunnableLambda.from(() => output).withConfig({ runName: 'answer-cache' });
+}
+
+/**
+ * Build the test-thinking chain, which always asks for a <think> block
+ */
+function buildTestThinkingChain(llm = chatModel) {
+    const prompt = ChatPromptTemplate.fromTemplate(`{prompt}
+
+Please think through this step by step and show your reasoning. Format your response as:
+
+<think>
+Let me analyze this question...
+[Your detailed thinking process here]
+</think>
+
+[Your final answer here]`);
+
+    return prompt.pipe(withThinkOption(llm, true)).pipe(answerOutputParser(llm)).withConfig({ runName: 'answer' });
+}
+
+/**
+ * Stream a chain over Server-Sent Events.
+ * Emits `start`, then `thinking` / `response` deltas as tokens arrive,
+ * then `done` with the same payload the non-streaming route returns.
+ * `onComplete(parsedResponse, output)` runs before `done` is sent (e.g. to persist the turn),
+ * with the full model output; any object it returns is merged into the `done` payload.
+ * Traced requests get their traceId in `start` and `done`.
+ */
+async function streamChain(req, res, { chain, input, meta, onComplete }) {
+    const stream = openEventStream(res);
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    const parser = reasoningParsers.createStreamParser(reasoningParserOptions(meta.model));
+    const { keepReasoning } = thinkingSettings.resolve(meta.model);
+    let streamedResponse = '';
+    if (req.trace) {
+        meta = { ...meta, traceId: req.trace.id };
+    }
+
+    const sendSegments = (segments) => segments
+        .filter(segment => keepReasoning || segment.type !== 'thinking')
+        .forEach(segment => stream.send(segment.type, { text: segment.text }));
+
+    stream.send('start', meta);
+
+    try {
+        const tokenStream = await chain.stream(input, { signal: abortController.signal, ...traceConfig(req) });
+
+        for await (const chunk of tokenStream) {
+            streamedResponse += chunk;
+            sendSegments(parser.push(chunk));
+        }
+        sendSegments(parser.flush());
+
+        const { parsedResponse, rawResponse } = parseModelResponse(streamedResponse, meta.model);
+        const extra = onComplete ? await onComplete(parsedResponse, streamedResponse) : null;
+
+        stream.send('done', {
+            ...parsedResponse,
+            ...meta,
+            ...extra,
+            rawResponse
+        });
+
+        return parsedResponse;
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            logger.info('Client disconnected from stream', { method: meta.method });
+            return null;
+        }
+        logger.error('Error in stream', { method: meta.method, error });
+        stream.send('error', { error: 'Internal server error: ' + error.message });
+        return null;
+    } finally {
+        stream.close();
+    }
+}
+
+// Routes
+
+// Authentication
+// Every route needs a login session or an API key, sent as `Authorization: Bearer <token>`
+// (or `X-API-Key: <key>`), except the health check, login and /metrics when it is public or has
+// its own token (METRICS_PUBLIC, METRICS_TOKEN). Chat users get the chat,
+// sessions, models and arena; admin routes also need the admin role. AUTH_ENABLED=false
+// turns all of this off.
+
+const PUBLIC_ROUTES = ['/api/health', '/api/auth/login'];
+const ADMIN_ROUTES = ['/api/config', '/api/initialize', '/api/documents', '/api/admin', '/api/jobs', '/api/eval', '/api/models/default', '/api/auth/users'];
+// Who the requests are from when authentication is disabled
+const LOCAL_ADMIN = { id: null, username: 'local', role: 'admin' };
+
+const authStore = new AuthStore({
+    filePath: config.get('AUTH_USERS_FILE', path.join(__dirname, '../configs/auth.json')),
+    sessionTtlMs: config.get('AUTH_SESSION_TTL_HOURS', 12) * 60 * 60 * 1000
+});
+const rateLimiter = new RateLimiter();
+
+// First start with authentication on: create the admin account, with a generated password unless configured
+if (config.get('AUTH_ENABLED', true) && !authStore.hasUsers()) {
+    const username = config.get('AUTH_ADMIN_USERNAME', 'admin');
+    const password = config.get('AUTH_ADMIN_PASSWORD') || crypto.randomBytes(12).toString('base64url');
+    authStore.createUser({ username, password, role: 'admin' });
+    logger.warn(`Created admin account "${username}"${config.get('AUTH_ADMIN_PASSWORD') ? '' : ` with password: ${password} (change it after logging in)`}`);
+}
+
+function sendAuthError(req, res, status, message) {
+    if (req.path.startsWith('/v1/')) {
+        return openAICompat.sendError(res, status, message);
+    }
+    res.status(status).json({ error: message });
+}
+
+function requestToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : (req.get('X-API-Key') || null);
+}
+
+// Rate-limited per API key, or per account for login sessions
+function rateLimitIdentity(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `user:${req.user.id}`;
+}
+
+function requestLimits(req) {
+    const limit = (keyLimit, configKey) => (keyLimit !== null && keyLimit !== undefined ? keyLimit : config.get(configKey, 0));
+    return {
+        perMinute: limit(req.apiKey && req.apiKey.rateLimitPerMinute, 'RATE_LIMIT_PER_MINUTE'),
+        perDay: limit(req.apiKey && req.apiKey.quotaPerDay, 'QUOTA_REQUESTS_PER_DAY')
+    };
+}
+
+// Scrapers reach /metrics without an account when it is public or checks its own token
+function metricsSkipLogin() {
+    return config.get('METRICS_PUBLIC', false) || Boolean(config.get('METRICS_TOKEN'));
+}
+
+function authenticate(req, res, next) {
+    if (!config.get('AUTH_ENABLED', true)) {
+        req.user = LOCAL_ADMIN;
+        return next();
+    }
+    if (req.method === 'OPTIONS' || PUBLIC_ROUTES.includes(req.path) || (req.path === '/metrics' && metricsSkipLogin())) {
+        return next();
+    }
+
+    const token = requestToken(req);
+    const keyMatch = token && authStore.resolveApiKey(token);
+    const user = keyMatch ? keyMatch.user : (token && authStore.resolveSession(token));
+    if (!user) {
+        return sendAuthError(req, res, 401, 'Authentication required');
+    }
+    req.user = user;
+    req.apiKey = keyMatch ? keyMatch.apiKey : null;
+
+    const result = rateLimiter.consume(rateLimitIdentity(req), requestLimits(req));
+    if (result.rate.limit) {
+        res.set('X-RateLimit-Limit', String(result.rate.limit));
+        res.set('X-RateLimit-Remaining', String(result.rate.remaining));
+    }
+    if (result.quota.limit) {
+        res.set('X-Quota-Limit', String(result.quota.limit));
+        res.set('X-Quota-Remaining', String(result.quota.remaining));
+    }
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return sendAuthError(req, res, 429, result.reason === 'rate'
+            ? `Rate limit exceeded: ${result.rate.limit} requests per minute`
+            : `Daily quota exceeded: ${result.quota.limit} requests per day`);
+    }
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+        return sendAuthError(req, res, 403, 'Admin role required');
+    }
+    next();
+}
+
+/**
+ * The ownerId chat sessions, traces and arena comparisons are scoped to: admins (and everyone
+ * without authentication) see all
+ */
+function sessionOwner(req) {
+    return req.user.role === 'admin' ? null : req.user.id;
+}
+
+app.use(authenticate);
+app.use(ADMIN_ROUTES, requireAdmin);
+
+// Pipeline traces: chat requests with { "trace": true } record their rendered prompts, retrieved
+// chunks with scores, step timings, model parameters and token counts (see utils/trace-store.js).
+// The trace ID is the request ID (unless that was used before), returned as traceId and in the X-Trace-Id header.
+const traceStore = new TraceStore({ limit: config.get('TRACE_HISTORY_LIMIT', 100) });
+
+app.use('/api/chat', (req, res, next) => {
+    if (req.method !== 'POST' || req.body?.trace !== true) {
+        return next();
+    }
+
+    const { trace, ...request } = req.body;
+    // Callers choose their request IDs: a reused one must not replace an earlier trace
+    const id = traceStore.has(req.id) ? crypto.randomUUID() : req.id;
+    req.trace = traceStore.start({ id, ownerId: req.user.id, route: `${req.baseUrl}${req.path}`, request });
+    res.set('X-Trace-Id', req.trace.id);
+    res.on('close', () => req.trace.finish({ httpStatus: res.writableFinished ? res.statusCode : 499 }));
+    next();
+});
+
+/**
+ * Run options that record into the request's trace, if it has one
+ */
+function traceConfig(req) {
+    return req.trace ? { callbacks: req.trace.callbacks } : {};
+}
+
+// Log in with { username, password }; returns a session token for the Authorization header
+app.post('/api/auth/login', (req, res) => {
+    if (!config.get('AUTH_ENABLED', true)) {
+        return res.status(400).json({ error: 'Authentication is disabled' });
+    }
+
+    const attempt = rateLimiter.consume(`login:${req.ip}`, { perMinute: config.get('AUTH_LOGIN_ATTEMPTS_PER_MINUTE', 10) });
+    if (!attempt.allowed) {
+        res.set('Retry-After', String(attempt.retryAfter));
+        return res.status(429).json({ error: 'Too many login attempts, try again later' });
+    }
+
+    const { username, password } = req.body || {};
+    const user = authStore.verifyCredentials(username, password);
+    if (!user) {
+        logger.warn('Failed login', { username, ip: req.ip });
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const session = authStore.createSession(user.id);
+    logger.info('Logged in', { username: user.username });
+    res.json({ ...session, user });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    if (!req.apiKey) {
+        authStore.endSession(requestToken(req));
+    }
+    res.json({ success: true });
+});
+
+// The current account, how it authenticated, and its limits and usage
+app.get('/api/auth/me', (req, res) => {
+    const authEnabled = config.get('AUTH_ENABLED', true);
+    const limits = requestLimits(req);
+    res.json({
+        authEnabled,
+        user: req.user,
+        apiKey: req.apiKey || null,
+        limits: { requestsPerMinute: limits.perMinute || null, requestsPerDay: limits.perDay || null },
+        usage: authEnabled ? rateLimiter.usage(rateLimitIdentity(req)) : null
+    });
+});
+
+// Change your own password ({ currentPassword, newPassword })
+app.post('/api/auth/password', (req, res) => {
+    try {
+        if (!req.user.id) {
+            return res.status(400).json({ error: 'Authentication is disabled' });
+        }
+        authStore.changePassword(req.user.id, req.body?.currentPassword, req.body?.newPassword);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to change password: ' + error.message });
+    }
+});
+
+app.get('/api/auth/users', (req, res) => {
+    res.json({ users: authStore.listUsers() });
+});
+
+// Create an account ({ username, password, role: 'user' | 'admin' })
+app.post('/api/auth/users', (req, res) => {
+    try {
+        const user = authStore.createUser(req.body || {});
+        logger.info(`Created ${user.role} account`, { by: req.user.username, username: user.username });
+        res.status(201).json({ user });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create user: ' + error.message });
+    }
+});
+
+app.delete('/api/auth/users/:id', (req, res) => {
+    try {
+        if (!authStore.deleteUser(req.params.id)) {
+            return res.status(404).json({ error: `User not found: ${req.params.id}` });
+        }
+        logger.info('Deleted account', { by: req.user.username, userId: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete user: ' + error.message });
+    }
+});
+
+// Your API keys; admins get everyone's with ?all=true
+app.get('/api/auth/keys', (req, res) => {
+    const all = req.query.all === 'true' && req.user.role === 'admin';
+    res.json({ apiKeys: authStore.listApiKeys(all ? null : req.user.id) });
+});
+
+// Create an API key ({ name }). Admins may also set { userId, rateLimitPerMinute, quotaPerDay }.
+// The key is only returned here.
+app.post('/api/auth/keys', (req, res) => {
+    try {
+        if (!req.user.id) {
+            return res.status(400).json({ error: 'Authentication is disabled' });
+        }
+
+        const { name, userId, rateLimitPerMinute = null, quotaPerDay = null } = req.body || {};
+        const setsAdminOptions = (userId && userId !== req.user.id) || rateLimitPerMinute !== null || quotaPerDay !== null;
+        if (setsAdminOptions && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can create keys for other users or set their limits' });
+        }
+
+        const created = authStore.createApiKey(userId || req.user.id, { name, rateLimitPerMinute, quotaPerDay });
+        logger.info('Created API key', { by: req.user.username, name: created.apiKey.name, prefix: created.apiKey.prefix });
+        res.status(201).json(created);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create API key: ' + error.message });
+    }
+});
+
+app.delete('/api/auth/keys/:id', (req, res) => {
+    const deleted = authStore.deleteApiKey(req.params.id, req.user.role === 'admin' ? null : req.user.id);
+    if (!deleted) {
+        return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    }
+    res.json({ success: true });
+});
+
+// Health check with configuration info
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        ragInitialized: vectorstore !== null,
+        ollamaConnected: chatModel !== null,
+        isInitializing: isRagInitializing(),
+        initializationError,
+        activeJobs: jobQueue.active().length,
+        timestamp: new Date().toISOString(),
+        config: {
+            ollamaHost: OLLAMA_HOST,
+            ollamaPort: OLLAMA_PORT,
+            llmProvider: llmProvider.type,
+            llmBaseUrl: llmProvider.baseUrl,
+            embeddingProvider: embeddingProvider.type,
+            model: activeModel,
+            embeddingModel: EMBEDDING_MODEL,
+            neo4jUri: NEO4J_URI.replace(/\/\/.*@/, '//***@'), // Hide credentials
+            configSources: config.getConfigSources()
+        }
+    });
+});
+
+// Prometheus metrics. They need an admin session or API key, unless METRICS_TOKEN is set (then
+// `Authorization: Bearer <token>` instead) or METRICS_PUBLIC=true.
+app.get('/metrics', (req, res) => {
+    if (!config.get('METRICS_ENABLED', true)) {
+        return res.status(404).json({ error: 'Metrics are disabled' });
+    }
+
+    const token = config.get('METRICS_TOKEN');
+    if (token) {
+        const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+        if (!crypto.timingSafeEqual(digest(requestToken(req)), digest(token))) {
+            return res.status(401).json({ error: 'Metrics token required' });
+        }
+    } else if (!config.get('METRICS_PUBLIC', false) && req.user.role !== 'admin') {
+        return sendAuthError(req, res, 403, 'Admin role required');
+    }
+
+    res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
+// Configuration endpoint
+app.get('/api/config', (req, res) => {
+    res.json({
+        config: config.getSafeConfig(),
+        sources: config.getConfigSources()
+    });
+});
+
+// Configuration schema: every key with type, default, limits, description and current value
+app.get('/api/config/schema', (req, res) => {
+    res.json({ schema: config.getSchema() });
+});
+
+// Configuration reload
+// Re-reads the config files and environment, then rebuilds only the components whose keys changed.
+// Prompts, retrieval, reranking and graph settings are read per request and apply as soon as they load.
+
+const PROVIDER_KEYS = ['OLLAMA_HOST', 'OLLAMA_PORT', 'LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_API_KEY', 'EMBEDDING_PROVIDER', 'EMBEDDING_BASE_URL', 'EMBEDDING_API_KEY'];
+const NEO4J_CONNECTION_KEYS = ['NEO4J_URI', 'NEO4J_USERNAME', 'NEO4J_PASSWORD'];
+// Everything the vector store, indexer, graph and retriever are built from in initializeRAG()
+const RAG_PIPELINE_KEYS = [
+    ...NEO4J_CONNECTION_KEYS, 'EMBEDDING_MODEL', 'NEO4J_INDEX_NAME', 'NEO4J_KEYWORD_INDEX', 'NEO4J_NODE_LABEL',
+    'NEO4J_TEXT_PROPERTY', 'NEO4J_EMBEDDING_PROPERTY', 'CHUNK_SIZE', 'CHUNK_OVERLAP', 'GRAPH_MAX_ENTITIES',
+    'GRAPH_EXTRACTION_PROMPT', 'RETRIEVER_K', 'EMBEDDING_CACHE_ENABLED'
+];
+// Indexed chunks were split and embedded with these; changing them leaves the index stale
+const REEMBEDDING_KEYS = ['EMBEDDING_MODEL', 'CHUNK_SIZE', 'CHUNK_OVERLAP'];
+// Only read at startup
+const RESTART_REQUIRED_KEYS = [
+    'SERVER_PORT', 'CORS_ORIGIN', 'MAX_UPLOAD_MB', 'MAX_UPLOAD_FILES', 'CONFIG_WATCH', 'THINKING_SETTINGS_FILE',
+    'NATIVE_REASONING_MODELS', 'COLLECTIONS_FILE', 'JOB_HISTORY_LIMIT', 'TRACE_HISTORY_LIMIT',
+    'EMBEDDING_CACHE_MAX_ENTRIES', 'ANSWER_CACHE_SIZE',
+    'AUTH_USERS_FILE', 'AUTH_ADMIN_USERNAME', 'AUTH_ADMIN_PASSWORD', 'AUTH_SESSION_TTL_HOURS'
+];
+
+let isReloading = false;
+
+function conflict(message, details = {}) {
+    const error = new Error(message);
+    error.status = 409;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * Rebuild the running components that depend on changedKeys. Returns the names of the
+ * rebuilt components and the errors of any that could not be rebuilt.
+ */
+async function applyConfigChanges(changedKeys) {
+    const changed = (keys) => keys.some(key => changedKeys.includes(key));
+    const rebuilt = [];
+    const errors = [];
+
+    readConfigValues();
+
+    if (changed(PROVIDER_KEYS)) {
+        ({ llmProvider, embeddingProvider } = createProviders());
+        chatModels.clear();
+        modelCatalog = new ModelCatalog(llmProvider);
+        rebuilt.push('providers', 'modelCatalog');
+    }
+
+    if (changed(['DEFAULT_MODEL'])) {
+        activeModel = DEFAULT_MODEL;
+    }
+    if (chatModel && (changed(['DEFAULT_MODEL']) || rebuilt.includes('providers'))) {
+        chatModel = getChatModel(activeModel);
+        rebuilt.push('chatModel');
+    }
+
+    if (changed(NEO4J_CONNECTION_KEYS)) {
+        const previousDriver = storeDriver;
+        connectStores();
+        await previousDriver.close().catch(() => {});
+        rebuilt.push('sessionStore', 'evaluationStore', 'arenaStore', 'embeddingCache');
+    }
+
+    // Not initialized yet: initializeRAG() will use the new values when it runs
+    if (vectorstore && (changed(RAG_PIPELINE_KEYS) || rebuilt.includes('providers'))) {
+        const previousStore = vectorstore;
+        vectorstore = null;
+        retriever = null;
+        indexer = null;
+        graph = null;
+
+        try {
+            await initializeRAG();
+            rebuilt.push('embeddings', 'vectorStore', 'indexer', 'graph', 'retriever');
+        } catch (error) {
+            errors.push(`RAG pipeline: ${error.message}`);
+        } finally {
+            await previousStore.close().catch(() => {});
+            // Reopened on next use with the new connection and embeddings
+            await closeCollections();
+        }
+    }
+
+    // Cached answers were given with the previous models, prompts and retrieval settings
+    if (changedKeys.length > 0) {
+        answerCache.clear();
+        rebuilt.push('answerCache');
+    }
+
+    return { rebuilt, errors };
+}
+
+/**
+ * Reload the configuration and apply it. Invalid configurations are rolled back (400), and so
+ * are changes that need the documents re-embedded (409) unless allowReembedding is set.
+ */
+async function reloadConfiguration({ allowReembedding = false } = {}) {
+    if (isReloading || isInitializing) {
+        throw conflict(isReloading ? 'A configuration reload is already running' : 'RAG system is currently initializing');
+    }
+    // Jobs hold on to the current vector store, which a reload may replace
+    if (jobQueue.active().length > 0) {
+        throw conflict('Ingestion jobs are running; reload when they have finished', { jobs: jobQueue.active().map(job => job.id) });
+    }
+    isReloading = true;
+
+    try {
+        const { previous, changedKeys } = config.reload();
+
+        try {
+            config.validate();
+        } catch (error) {
+            config.restore(previous);
+            error.status = 400;
+            throw error;
+        }
+
+        const reembeddingRequired = changedKeys.filter(key => REEMBEDDING_KEYS.includes(key));
+        if (reembeddingRequired.length > 0 && !allowReembedding) {
+            config.restore(previous);
+            throw conflict(
+                `Changing ${reembeddingRequired.join(', ')} requires re-embedding the indexed documents. ` +
+                'Reload with { "allowReembedding": true } to apply it, then rebuild the index.',
+                { reembeddingRequired }
+            );
+        }
+
+        const restartRequired = changedKeys.filter(key => RESTART_REQUIRED_KEYS.includes(key));
+        let result;
+        try {
+            result = await applyConfigChanges(changedKeys);
+        } catch (error) {
+            config.restore(previous);
+            readConfigValues();
+            throw error;
+        }
+
+        return { changedKeys, ...result, restartRequired, reembeddingRequired };
+    } finally {
+        isReloading = false;
+    }
+}
+
+// Reload configuration endpoint ({ allowReembedding })
+app.post('/api/config/reload', async (req, res) => {
+    try {
+        const result = await reloadConfiguration({ allowReembedding: req.body?.allowReembedding === true });
+        logger.info('Configuration reloaded', { changedKeys: result.changedKeys, rebuilt: result.rebuilt });
+
+        res.json({ 
+            success: result.errors.length === 0, 
+            message: result.changedKeys.length > 0 ? 'Configuration reloaded and applied' : 'Configuration reloaded, nothing changed',
+            ...result,
+            config: config.getSafeConfig()
+        });
+    } catch (error) {
+        logger.error('Error reloading configuration', { error: error.message });
+        res.status(error.status || 500).json({ 
+            success: false, 
+            error: error.message,
+            ...(error.reembeddingRequired && { reembeddingRequired: error.reembeddingRequired })
+        });
+    }
+});
+
+// Initialize RAG endpoint
+// Initialization runs as a background job; follow it with GET /api/jobs/:id
+app.post('/api/initialize', (req, res) => {
+    if (vectorstore) {
+        return res.json({ success: true, message: 'RAG system already initialized' });
+    }
+
+    const job = queueInitializeJob();
+    res.status(202).json({ success: true, message: 'RAG system initialization queued', job });
+});
+
+// Chat endpoint - before RAG
+app.post('/api/chat/before-rag', async (req, res) => {
+    try {
+        const { topic, enableThinking, sessionId } = req.body;
+        
+        if (!topic) {
+            return res.status(400).json({ error: 'Topic is required' });
+        }
+
+        if (!chatModel) {
+            return res.status(503).json({ 
+                error: 'Chat model not initialized',
+                needsInitialization: true
+            });
+        }
+
+        logger.info('Before RAG query', { topic: logger.redactQuery(topic), thinking: enableThinking ?? 'model default' });
+
+        const llm = await resolveChatModel(req.body.model);
+        const conversation = await loadConversation(sessionId, sessionOwner(req));
+        const chain = buildBeforeRagChain(enableThinking, conversation, llm);
+        const { parsedResponse, rawResponse } = parseModelResponse(
+            await chain.invoke({ topic, history: conversation?.history }, traceConfig(req)),
+            llm.model
+        );
+
+        await saveTurn(conversation, 'before-rag', topic, parsedResponse);
+        
+        logger.info('Before RAG response generated', { hasThinking: parsedResponse.hasThinking });
+        
+        res.json({ 
+            ...parsedResponse,
+            method: 'before-rag',
+            topic,
+            model: llm.model,
+            sessionId: sessionId || null,
+            ...(req.trace && { traceId: req.trace.id }),
+            rawResponse: rawResponse // Include for debugging
+        });
+
+    } catch (error) {
+        logger.error('Error in before-rag chat', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error: ' + error.message });
+    }
+});
+
+
+// Chat endpoint - with RAG
+app.post('/api/chat/with-rag', async (req, res) => {
+    try {
+        const { question, enableThinking, sessionId } = req.body;
+        const retrievalOptions = resolveRetrievalOptions(req.body);
+        
+        if (!question) {
+            return res.status(400).json({ error: 'Question is required' });
+        }
+
+        if (!retriever || !chatModel) {
+            return res.status(503).json({ 
+                error: 'RAG system not initialized',
+                needsInitialization: true
+            });
+        }
+
+        logger.info('RAG query', { question: logger.redactQuery(question), thinking: enableThinking ?? 'model default' });
+
+        const collection = await getCollection(req.body.collection);
+        const llm = await resolveChatModel(req.body.model);
+        const conversation = await loadConversation(sessionId, sessionOwner(req));
+        req.trace?.annotate({ collection: collection.name, retrieval: retrievalOptions });
+
+        const cacheLookup = await lookupCachedAnswer(question, conversation, collection, { model: llm.model, enableThinking, retrieval: retrievalOptions });
+        const cached = cacheLookup?.hit;
+        let retrievalQuery = question;
+        let sources;
+        let reranking;
+        if (cached) {
+            ({ sources, reranking } = cached.answer);
+            req.trace?.annotate({ answerCache: { similarity: cached.similarity, cachedAt: cached.cachedAt } });
+        } else {
+            retrievalQuery = await condenseQuestion(question, conversation, llm, traceConfig(req));
+            ({ sources, reranking } = await buildRetrievalChain(retrievalOptions, llm, collection).invoke(retrievalQuery, traceConfig(req)));
+        }
+
+        const chain = cached ? cachedAnswerChain(cached.answer.output) : buildWithRagChain(enableThinking, conversation, llm);
+        const output = await chain.invoke({ question, sources, history: conversation?.history }, traceConfig(req));
+        const { parsedResponse, rawResponse } = parseModelResponse(output, llm.model);
+
+        await saveTurn(conversation, 'with-rag', question, parsedResponse, sources);
+        if (cacheLookup && !cached) {
+            answerCache.store(cacheLookup.key, { output, sources, reranking });
+        }
+        
+        logger.info('RAG response generated', { hasThinking: parsedResponse.hasThinking, cached: Boolean(cached) });
+        
+        res.json({ 
+            ...parsedResponse,
+            method: 'with-rag',
+            question,
+            model: llm.model,
+            collection: collection.name,
+            standaloneQuestion: retrievalQuery,
+            retrieval: retrievalOptions,
+            reranking,
+            sources,
+            citedSources: extractCitedIndexes(parsedResponse.response, sources.length),
+            sessionId: sessionId || null,
+            cached: cached ? { similarity: cached.similarity, cachedAt: cached.cachedAt } : null,
+            ...(req.trace && { traceId: req.trace.id }),
+            rawResponse: rawResponse // Include for debugging
+        });
+
+    } catch (error) {
+        logger.error('Error in RAG chat', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error: ' + error.message });
+    }
+});
+
+// Add a new endpoint to test thinking responses
+app.post('/api/chat/test-thinking', async (req, res) => {
+    try {
+        const { prompt } = req.body;
+        
+        if (!prompt) {
+            return res.status(400).json({ error: 'Prompt is required' });
+        }
+
+        if (!chatModel) {
+            return res.status(503).json({ 
+                error: 'Chat model not initialized',
+                needsInitialization: true
+            });
+        }
+
+        logger.info('Testing thinking response', { prompt: logger.redactQuery(prompt) });
+
+        const llm = await resolveChatModel(req.body.model);
+        const response = await buildTestThinkingChain(llm).invoke({ prompt }, traceConfig(req));
+        const parsedResponse = parseThinkingResponse(response, llm.model);
+        
+        logger.info('Test thinking response generated', { hasThinking: parsedResponse.hasThinking });
+        
+        res.json({
+            ...parsedResponse,
+            method: 'test-thinking',
+            originalPrompt: prompt,
+            model: llm.model,
+            ...(req.trace && { traceId: req.trace.id }),
+            rawResponse: response
+        });
+
+    } catch (error) {
+        logger.error('Error in test thinking', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error: ' + error.message });
+    }
+});
+
+// Model endpoints
+
+// Models available from the LLM provider (?refresh=true bypasses the short cache)
+app.get('/api/models', async (req, res) => {
+    try {
+        const models = await modelCatalog.list({ refresh: req.query.refresh === 'true' });
+        res.json({
+            provider: llmProvider.type,
+            models,
+            defaultModel: activeModel,
+            embeddingModel: EMBEDDING_MODEL
+        });
+    } catch (error) {
+        logger.error('Error listing models', { error });
+        res.status(500).json({ error: 'Failed to list models: ' + error.message });
+    }
+});
+
+// Switch the default chat model without a restart ({ model }). Not persisted:
+// DEFAULT_MODEL from configuration applies again after a restart.
+app.post('/api/models/default', async (req, res) => {
+    try {
+        const { model } = req.body;
+        if (!model) {
+            return res.status(400).json({ error: 'Model is required' });
+        }
+
+        const llm = await resolveChatModel(model);
+        const previousModel = activeModel;
+
+        activeModel = llm.model;
+        if (chatModel) {
+            chatModel = llm;
+        }
+
+        logger.info('Default model switched', { from: previousModel, to: activeModel });
+        res.json({ success: true, defaultModel: activeModel, previousModel });
+    } catch (error) {
+        logger.error('Error switching model', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to switch model: ' + error.message });
+    }
+});
+
+// Streaming chat endpoints (Server-Sent Events)
+// Same request bodies as the routes above; the response is a text/event-stream
+// with `start`, `thinking`, `response`, `done` and `error` events.
+
+app.post('/api/chat/before-rag/stream', async (req, res) => {
+    const { topic, enableThinking, sessionId } = req.body;
+
+    if (!topic) {
+        return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    if (!chatModel) {
+        return res.status(503).json({ 
+            error: 'Chat model not initialized',
+            needsInitialization: true
+        });
+    }
+
+    logger.info('Before RAG stream', { topic: logger.redactQuery(topic), thinking: enableThinking ?? 'model default' });
+
+    let llm;
+    let conversation;
+    try {
+        llm = await resolveChatModel(req.body.model);
+        conversation = await loadConversation(sessionId, sessionOwner(req));
+    } catch (error) {
+        logger.error('Error preparing before-rag stream', { error });
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    const parsedResponse = await streamChain(req, res, {
+        chain: buildBeforeRagChain(enableThinking, conversation, llm),
+        input: { topic, history: conversation?.history },
+        meta: { method: 'before-rag', topic, model: llm.model, sessionId: sessionId || null },
+        onComplete: (parsed) => saveTurn(conversation, 'before-rag', topic, parsed)
+    });
+
+    if (parsedResponse) {
+        logger.info('Before RAG stream completed', { hasThinking: parsedResponse.hasThinking });
+    }
+});
+
+app.post('/api/chat/with-rag/stream', async (req, res) => {
+    const { question, enableThinking, sessionId } = req.body;
+
+    if (!question) {
+        return res.status(400).json({ error: 'Question is required' });
+    }
+
+    if (!retriever || !chatModel) {
+        return res.status(503).json({ 
+            error: 'RAG system not initialized',
+            needsInitialization: true
+        });
+    }
+
+    logger.info('RAG stream', { question: logger.redactQuery(question), thinking: enableThinking ?? 'model default' });
+
+    let llm;
+    let conversation;
+    let retrievalQuery;
+    let retrievalOptions;
+    let collection;
+    let sources;
+    let reranking;
+    let cacheLookup;
+    let cached;
+    try {
+        retrievalOptions = resolveRetrievalOptions(req.body);
+        collection = await getCollection(req.body.collection);
+        llm = await resolveChatModel(req.body.model);
+        conversation = await loadConversation(sessionId, sessionOwner(req));
+        req.trace?.annotate({ collection: collection.name, retrieval: retrievalOptions });
+
+        cacheLookup = await lookupCachedAnswer(question, conversation, collection, { model: llm.model, enableThinking, retrieval: retrievalOptions });
+        cached = cacheLookup?.hit;
+        if (cached) {
+            retrievalQuery = question;
+            ({ sources, reranking } = cached.answer);
+            req.trace?.annotate({ answerCache: { similarity: cached.similarity, cachedAt: cached.cachedAt } });
+        } else {
+            retrievalQuery = await condenseQuestion(question, conversation, llm, traceConfig(req));
+            ({ sources, reranking } = await buildRetrievalChain(retrievalOptions, llm, collection).invoke(retrievalQuery, traceConfig(req)));
+        }
+    } catch (error) {
+        logger.error('Error preparing RAG stream', { error });
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    const parsedResponse = await streamChain(req, res, {
+        chain: cached ? cachedAnswerChain(cached.answer.output) : buildWithRagChain(enableThinking, conversation, llm),
+        input: { question, sources, history: conversation?.history },
+        meta: {
+            method: 'with-rag',
+            question,
+            model: llm.model,
+            collection: collection.name,
+            standaloneQuestion: retrievalQuery,
+            retrieval: retrievalOptions,
+            reranking,
+            sources,
+            sessionId: sessionId || null,
+            cached: cached ? { similarity: cached.similarity, cachedAt: cached.cachedAt } : null
+        },
+        onComplete: async (parsed, output) => {
+            await saveTurn(conversation, 'with-rag', question, parsed, sources);
+            if (cacheLookup && !cached) {
+                answerCache.store(cacheLookup.key, { output, sources, reranking });
+            }
+            return { citedSources: extractCitedIndexes(parsed.response, sources.length) };
+        }
+    });
+
+    if (parsedResponse) {
+        logger.info('RAG stream completed', { hasThinking: parsedResponse.hasThinking, cached: Boolean(cached) });
+    }
+});
+
+app.post('/api/chat/test-thinking/stream', async (req, res) => {
+    const { prompt } = req.body;
+
+    if (!prompt) {
+        return res.status(400).json({ error: 'Prompt is required' });
+    }
+
+    if (!chatModel) {
+        return res.status(503).json({ 
+            error: 'Chat model not initialized',
+            needsInitialization: true
+        });
+    }
+
+    logger.info('Streaming thinking test', { prompt: logger.redactQuery(prompt) });
+
+    let llm;
+    try {
+        llm = await resolveChatModel(req.body.model);
+    } catch (error) {
+        logger.error('Error preparing test-thinking stream', { error });
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    const parsedResponse = await streamChain(req, res, {
+        chain: buildTestThinkingChain(llm),
+        input: { prompt },
+        meta: { method: 'test-thinking', originalPrompt: prompt, model: llm.model }
+    });
+
+    if (parsedResponse) {
+        logger.info('Test thinking stream completed', { hasThinking: parsedResponse.hasThinking });
+    }
+});
+
+// OpenAI-compatible API
+// Lets OpenAI clients use Karl Chat: the virtual model OPENAI_RAG_MODEL ('karl-rag') runs the
+// with-rag pipeline on the default model, any other model name runs before-rag on that model.
+
+const openAIRagModel = () => config.get('OPENAI_RAG_MODEL', 'karl-rag');
+
+/**
+ * Stream a chain as OpenAI chat.completion.chunk messages, with the reasoning of llmModel's
+ * parser family sent as delta.reasoning_content. `extra` is merged into the first chunk (e.g. sources).
+ */
+async function streamOpenAICompletion(req, res, { chain, input, id, created, model, llmModel, extra }) {
+    const stream = openEventStream(res);
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    const parser = reasoningParsers.createStreamParser(reasoningParserOptions(llmModel));
+    const { keepReasoning } = thinkingSettings.resolve(llmModel);
+    let contentStarted = false;
+    const sendSegments = (segments) => segments.forEach(segment => {
+        if (segment.type === 'thinking' && !keepReasoning) return;
+
+        let { text } = segment;
+        if (segment.type === 'response' && !contentStarted) {
+            // Drop the blank lines between </think> and the answer, like the non-streaming response
+            text = text.trimStart();
+            if (!text) return;
+            contentStarted = true;
+        }
+        const field = segment.type === 'thinking' ? 'reasoning_content' : 'content';
+        stream.sendData(openAICompat.toChunk({ id, created, model, delta: { [field]: text } }));
+    });
+
+    stream.sendData(openAICompat.toChunk({ id, created, model, delta: { role: 'assistant', content: '' }, extra }));
+
+    try {
+        const tokenStream = await chain.stream(input, { signal: abortController.signal });
+        for await (const chunk of tokenStream) {
+            sendSegments(parser.push(chunk));
+        }
+        sendSegments(parser.flush());
+
+        stream.sendData(openAICompat.toChunk({ id, created, model, finishReason: 'stop' }));
+        stream.sendData('[DONE]');
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            logger.info('Client disconnected from /v1/chat/completions stream');
+            return;
+        }
+        logger.error('Error in /v1/chat/completions stream', { error });
+        stream.sendData({ error: { message: 'Internal server error: ' + error.message, type: 'server_error', code: null } });
+    } finally {
+        stream.close();
+    }
+}
+
+app.get('/v1/models', async (req, res) => {
+    try {
+        const created = Math.floor(Date.now() / 1000);
+        const models = (await modelCatalog.list()).filter(model => !model.embedding);
+
+        res.json({
+            object: 'list',
+            data: [
+                { id: openAIRagModel(), object: 'model', created, owned_by: 'karl-chat' },
+                ...models.map(model => ({ id: model.name, object: 'model', created, owned_by: llmProvider.type }))
+            ]
+        });
+    } catch (error) {
+        logger.error('Error listing /v1/models', { error });
+        openAICompat.sendError(res, 500, 'Failed to list models: ' + error.message);
+    }
+});
+
+// Non-standard body field: enable_thinking asks non-reasoning models to think
+// (default: the model's enableByDefault thinking setting)
+app.post('/v1/chat/completions', async (req, res) => {
+    const { model, messages, stream = false, enable_thinking: enableThinking, collection } = req.body || {};
+
+    if (!model) {
+        return openAICompat.sendError(res, 400, 'model is required');
+    }
+
+    const useRag = model === openAIRagModel();
+    if (!chatModel || (useRag && !retriever)) {
+        return openAICompat.sendError(res, 503, useRag ? 'RAG system not initialized' : 'Chat model not initialized');
+    }
+
+    let llm;
+    let chain;
+    let input;
+    const extra = {};
+    try {
+        const { question, conversation } = openAICompat.toConversation(messages, config.get('HISTORY_MAX_MESSAGES', 12));
+        logger.info('/v1/chat/completions', { model, stream: Boolean(stream), question: logger.redactQuery(question) });
+
+        if (useRag) {
+            llm = chatModel;
+            const retrievalQuery = await condenseQuestion(question, conversation);
+            const { sources } = await buildRetrievalChain(resolveRetrievalOptions(), chatModel, await getCollection(collection)).invoke(retrievalQuery);
+            chain = buildWithRagChain(enableThinking, conversation);
+            input = { question, sources, history: conversation?.history };
+            extra.sources = sources;
+        } else {
+            llm = await resolveChatModel(model);
+            chain = buildBeforeRagChain(enableThinking, conversation, llm);
+            input = { topic: question, history: conversation?.history };
+        }
+    } catch (error) {
+        logger.error('Error preparing chat completion', { error });
+        return openAICompat.sendError(res, error.status || 500, error.message);
+    }
+
+    const id = openAICompat.completionId();
+    const created = Math.floor(Date.now() / 1000);
+
+    if (stream) {
+        return streamOpenAICompletion(req, res, { chain, input, id, created, model, llmModel: llm.model, extra });
+    }
+
+    try {
+        const { parsedResponse } = parseModelResponse(await chain.invoke(input), llm.model);
+        if (extra.sources) {
+            extra.citedSources = extractCitedIndexes(parsedResponse.response, extra.sources.length);
+        }
+
+        res.json(openAICompat.toCompletion({ id, created, model, parsedResponse, extra }));
+    } catch (error) {
+        logger.error('Error in chat completion', { error });
+        openAICompat.sendError(res, 500, 'Internal server error: ' + error.message);
+    }
+});
+
+// Document ingestion endpoints
+// New content is split and embedded into the running vector store; no re-initialization needed.
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.get('MAX_UPLOAD_MB', 20) * 1024 * 1024,
+        files: config.get('MAX_UPLOAD_FILES', 10)
+    }
+});
+
+// Reject ingestion requests until there is a vector store to add to, and resolve the
+// collection they work on into req.collection (?collection=<name>, or "collection" in a JSON body)
+async function requireVectorStore(req, res, next) {
+    if (!vectorstore) {
+        return res.status(503).json({ 
+            error: 'RAG system not initialized',
+            needsInitialization: true
+        });
+    }
+
+    try {
+        req.collection = await getCollection(req.query.collection || req.body?.collection);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to open collection: ' + error.message });
+    }
+    next();
+}
+
+app.get('/api/documents/types', (req, res) => {
+    res.json({
+        extensions: Object.keys(SUPPORTED_EXTENSIONS),
+        maxUploadMb: config.get('MAX_UPLOAD_MB', 20),
+        maxFiles: config.get('MAX_UPLOAD_FILES', 10)
+    });
+});
+
+app.post('/api/documents/urls', requireVectorStore, async (req, res) => {
+    const urls = (req.body?.urls || []).map(url => String(url).trim()).filter(Boolean);
+    const force = req.body?.force === true; // Re-index even if the content is unchanged
+
+    if (urls.length === 0) {
+        return res.status(400).json({ error: 'At least one URL is required' });
+    }
+
+    const invalid = urls.filter(url => !/^https?:\/\//i.test(url));
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid URL(s): ${invalid.join(', ')}` });
+    }
+
+    logger.info(`Queueing ${urls.length} URL(s)`, { collection: req.collection.name });
+
+    const job = queueIngestionJob('ingest-urls', req.collection.name, urlSources(urls), { force });
+    res.status(202).json({ job });
+});
+
+app.post('/api/documents/upload', requireVectorStore, (req, res, next) => {
+    upload.array('files')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ error: `Upload rejected: ${error.message}` });
+        }
+        next(error);
+    });
+}, async (req, res) => {
+    const files = req.files || [];
+    const force = req.body?.force === 'true'; // Multipart fields arrive as strings
+
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'At least one file is required (form field "files")' });
+    }
+
+    logger.info(`Queueing ${files.length} uploaded file(s)`, { collection: req.collection.name });
+
+    // The file contents stay in memory with the job until it drops out of the job history
+    const items = files.map(file => ({ source: `upload://${file.originalname}`, load: () => loadFile(file) }));
+    const job = queueIngestionJob('ingest-files', req.collection.name, items, { force });
+    res.status(202).json({ job });
+});
+
+// Knowledge base administration endpoints
+
+app.get('/api/admin/sources', requireVectorStore, async (req, res) => {
+    try {
+        const sources = await req.collection.indexer.listSources();
+        res.json({
+            collection: req.collection.name,
+            sources,
+            totalChunks: sources.reduce((sum, source) => sum + source.chunkCount, 0)
+        });
+    } catch (error) {
+        logger.error('Error listing sources', { error });
+        res.status(500).json({ error: 'Failed to list sources: ' + error.message });
+    }
+});
+
+// Preview the chunks of one source (?source=<url>&limit=&offset=)
+app.get('/api/admin/sources/chunks', requireVectorStore, async (req, res) => {
+    try {
+        const { source } = req.query;
+        if (!source) {
+            return res.status(400).json({ error: 'Query parameter "source" is required' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        res.json(await req.collection.indexer.getSourceChunks(source, { limit, offset }));
+    } catch (error) {
+        logger.error('Error loading source chunks', { error });
+        res.status(500).json({ error: 'Failed to load chunks: ' + error.message });
+    }
+});
+
+// Delete one source and its chunks (?source=<url>)
+app.delete('/api/admin/sources', requireVectorStore, async (req, res) => {
+    try {
+        const { source } = req.query;
+        if (!source) {
+            return res.status(400).json({ error: 'Query parameter "source" is required' });
+        }
+
+        const removedChunks = await req.collection.indexer.deleteSource(source);
+        if (removedChunks === null) {
+            return res.status(404).json({ error: `Source not found: ${source}` });
+        }
+
+        await pruneGraph(req.collection.graph);
+        res.json({ success: true, source, removedChunks });
+    } catch (error) {
+        logger.error('Error deleting source', { error });
+        res.status(500).json({ error: 'Failed to delete source: ' + error.message });
+    }
+});
+
+// Knowledge graph size: entities, relations, linked chunks and chunks still awaiting extraction
+app.get('/api/admin/graph', requireVectorStore, async (req, res) => {
+    try {
+        res.json({
+            extractionEnabled: config.get('GRAPH_EXTRACTION_ENABLED', false),
+            expansionEnabled: config.get('GRAPH_EXPANSION_ENABLED', false),
+            ...(await req.collection.graph.getStats())
+        });
+    } catch (error) {
+        logger.error('Error loading graph stats', { error });
+        res.status(500).json({ error: 'Failed to load graph stats: ' + error.message });
+    }
+});
+
+// Run entity extraction over chunks indexed without it ({ source?, limit? }), e.g. after
+// enabling GRAPH_EXTRACTION_ENABLED on an existing knowledge base
+app.post('/api/admin/graph/extract', requireVectorStore, async (req, res) => {
+    try {
+        const { source = null } = req.body || {};
+        const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 50, 1), 500);
+
+        const { graph: collectionGraph } = req.collection;
+        const chunks = await collectionGraph.getPendingChunks({ source, limit });
+        const summary = await collectionGraph.processChunks(chatModel, chunks);
+
+        res.json({ success: true, source, ...summary, ...(await collectionGraph.getStats()) });
+    } catch (error) {
+        logger.error('Error extracting graph', { error });
+        res.status(500).json({ error: 'Failed to extract graph: ' + error.message });
+    }
+});
+
+// Wipe the whole index and rebuild it from DOCUMENT_URLS (or a collection's sources) in a background job.
+// Guarded: the body must repeat the index name as { confirm: "<index name>" }.
+app.post('/api/admin/index/rebuild', requireVectorStore, (req, res) => {
+    const indexName = req.collection.vectorstore.indexName;
+
+    if (req.body?.confirm !== indexName) {
+        return res.status(400).json({
+            error: `Confirmation required: send { "confirm": "${indexName}" } to wipe and rebuild the index`
+        });
+    }
+
+    const collectionName = req.collection.name;
+    const definition = collectionStore.get(collectionName);
+    const items = definition.builtIn ? configuredSources() : urlSources(definition.sources);
+
+    const job = jobQueue.enqueue({
+        type: 'rebuild',
+        collection: collectionName,
+        sources: items.map(item => item.source),
+        payload: { items, force: false }
+    }, async (context) => {
+        context.setStep('wiping index');
+        logger.warn(`Wiping vector index ${definition.indexName} and rebuilding from ${definition.builtIn ? 'configuration' : 'the collection sources'}`, { collection: definition.name });
+
+        let cleanup;
+        if (definition.builtIn) {
+            cleanup = await Neo4jUtils.cleanupVectorStore(NEO4J_URI, NEO4J_USERNAME, NEO4J_PASSWORD, definition.indexName, {
+                deleteNodes: true,
+                nodeLabel: definition.nodeLabel
+            });
+            answerCache.invalidate(collectionName);
+
+            await vectorstore.close();
+            vectorstore = null;
+            retriever = null;
+            indexer = null;
+            graph = null;
+
+            context.setStep('connecting');
+            await initializeRAG();
+        } else {
+            cleanup = await wipeCollection(definition);
+        }
+
+        context.setStep(null);
+        return { deletedChunks: cleanup.deletedNodes, ...(await ingestJobSources(context, collectionName, items)) };
+    });
+
+    res.status(202).json({ success: true, message: `Rebuild of ${indexName} queued`, job });
+});
+
+// Cache statistics: cached embeddings per model and answers per collection, with hits and misses since startup
+app.get('/api/admin/cache', async (req, res) => {
+    let embeddings;
+    try {
+        embeddings = await embeddingCache.getStats();
+    } catch (error) {
+        logger.warn('Could not load embedding cache stats', { error: error.message });
+        embeddings = { error: 'Failed to load embedding cache stats: ' + error.message };
+    }
+
+    res.json({
+        embeddings: { enabled: config.get('EMBEDDING_CACHE_ENABLED', true), ...embeddings },
+        answers: {
+            enabled: config.get('ANSWER_CACHE_ENABLED', false),
+            similarity: config.get('ANSWER_CACHE_SIMILARITY', 0.95),
+            ttlMinutes: config.get('ANSWER_CACHE_TTL_MINUTES', 60),
+            ...answerCache.getStats()
+        }
+    });
+});
+
+// Empty a cache: /api/admin/cache/embeddings (?model=<provider>:<model>) or /api/admin/cache/answers (?collection=<name>)
+app.delete('/api/admin/cache/:cache', async (req, res) => {
+    try {
+        let removed;
+        if (req.params.cache === 'embeddings') {
+            removed = await embeddingCache.clear(req.query.model || null);
+        } else if (req.params.cache === 'answers') {
+            removed = req.query.collection ? answerCache.invalidate(req.query.collection) : answerCache.clear();
+        } else {
+            return res.status(404).json({ error: `Unknown cache: ${req.params.cache} (embeddings or answers)` });
+        }
+
+        logger.info(`Cleared ${req.params.cache} cache`, { removed, model: req.query.model, collection: req.query.collection });
+        res.json({ success: true, cache: req.params.cache, removed });
+    } catch (error) {
+        logger.error('Error clearing cache', { cache: req.params.cache, error });
+        res.status(500).json({ error: 'Failed to clear cache: ' + error.message });
+    }
+});
+
+// Collection endpoints: listing is open to every account, changes need the admin role
+
+/**
+ * Drop a collection's indexes, chunks and source records, and close its runtime
+ */
+async function wipeCollection(definition) {
+    const cleanup = await Neo4jUtils.cleanupVectorStore(NEO4J_URI, NEO4J_USERNAME, NEO4J_PASSWORD, definition.indexName, {
+        deleteNodes: true,
+        nodeLabel: definition.nodeLabel,
+        sourceLabel: definition.sourceLabel,
+        keywordIndexName: definition.keywordIndexName
+    });
+    answerCache.invalidate(definition.name);
+    await closeCollections([definition.name]);
+    return cleanup;
+}
+
+app.get('/api/collections', (req, res) => {
+    res.json({ collections: collectionStore.list(), default: DEFAULT_COLLECTION });
+});
+
+app.get('/api/collections/:name', (req, res) => {
+    const collection = collectionStore.get(req.params.name);
+    if (!collection) {
+        return res.status(404).json({ error: `Collection not found: ${req.params.name}` });
+    }
+    res.json(collection);
+});
+
+// Create a collection: { name, description?, sources?, chunkSize?, chunkOverlap?, indexName?, keywordIndexName?, nodeLabel?, sourceLabel? }.
+// Its index is created on first use; POST /api/collections/:name/sync ingests its sources.
+app.post('/api/collections', requireAdmin, (req, res) => {
+    try {
+        const collection = collectionStore.create(req.body || {});
+        logger.info('Created collection', { collection: collection.name });
+        res.status(201).json(collection);
+    } catch (error) {
+        logger.error('Error creating collection', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create collection: ' + error.message });
+    }
+});
+
+// Change { description, sources, chunkSize, chunkOverlap }; after a chunking change the next sync re-indexes the sources
+app.patch('/api/collections/:name', requireAdmin, async (req, res) => {
+    try {
+        const { collection, chunkingChanged } = collectionStore.update(req.params.name, req.body || {});
+        if (chunkingChanged) {
+            // The open indexer still splits with the old settings
+            await closeCollections([collection.name]);
+        }
+        res.json({ ...collection, chunkingChanged });
+    } catch (error) {
+        logger.error('Error updating collection', { error: error.message });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update collection: ' + error.message });
+    }
+});
+
+// Delete a collection with its index and chunks.
+// Guarded: the body must repeat the name as { confirm: "<name>" }.
+app.delete('/api/collections/:name', requireAdmin, async (req, res) => {
+    const { name } = req.params;
+
+    try {
+        const definition = collectionStore.get(name);
+        if (!definition) {
+            return res.status(404).json({ error: `Collection not found: ${name}` });
+        }
+        if (definition.builtIn) {
+            return res.status(400).json({ error: 'The default collection cannot be deleted' });
+        }
+        if (req.body?.confirm !== name) {
+            return res.status(400).json({ error: `Confirmation required: send { "confirm": "${name}" } to delete the collection and its chunks` });
+        }
+
+        logger.warn('Deleting collection and its index', { collection: name, indexName: definition.indexName });
+        const cleanup = await wipeCollection(definition);
+        collectionStore.delete(name);
+
+        res.json({ success: true, name, deletedChunks: cleanup.deletedNodes });
+    } catch (error) {
+        logger.error('Error deleting collection', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete collection: ' + error.message });
+    }
+});
+
+// Sync a collection's sources in a background job: unchanged pages are skipped, changed ones re-indexed
+app.post('/api/collections/:name/sync', requireAdmin, (req, res) => {
+    const definition = collectionStore.get(req.params.name);
+    if (!definition) {
+        return res.status(404).json({ error: `Collection not found: ${req.params.name}` });
+    }
+    if (!vectorstore) {
+        return res.status(503).json({ error: 'RAG system not initialized', needsInitialization: true });
+    }
+    if (definition.sources.length === 0) {
+        return res.status(400).json({ error: `Collection ${definition.name} has no sources to sync` });
+    }
+
+    const job = queueIngestionJob('sync', definition.name, urlSources(definition.sources));
+    res.status(202).json({ job });
+});
+
+// Background job endpoints
+
+// Jobs newest first (?status=queued|running|completed|failed|cancelled, ?type=)
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobQueue.list({ status: req.query.status || null, type: req.query.type || null }) });
+});
+
+// One job with every source's stage, counts and error
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    res.json(job);
+});
+
+// Cancel a queued job, or stop a running one after the stage it is in
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    try {
+        const job = jobQueue.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+        }
+        res.json(job);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to cancel job: ' + error.message });
+    }
+});
+
+// Queue a new job for the sources a finished job did not complete (failed or cancelled)
+app.post('/api/jobs/:id/retry', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    if (['queued', 'running'].includes(job.status)) {
+        return res.status(409).json({ error: `Job is still ${job.status}` });
+    }
+
+    const unfinished = new Set(job.sources.filter(entry => entry.stage !== 'done').map(entry => entry.source));
+    const { items = [], force = false } = jobQueue.getPayload(job.id) || {};
+    const retryItems = items.filter(item => unfinished.has(item.source));
+    if (retryItems.length === 0) {
+        return res.status(400).json({ error: 'The job has no failed sources to retry' });
+    }
+
+    logger.info(`Retrying ${retryItems.length} source(s)`, { retryOf: job.id });
+    res.status(202).json({ job: queueIngestionJob('retry', job.collection, retryItems, { force, retryOf: job.id }) });
+});
+
+// Traces of the caller's requests (admins: everyone's), newest first
+app.get('/api/traces', (req, res) => {
+    res.json({ traces: traceStore.list(sessionOwner(req)) });
+});
+
+app.get('/api/traces/:id', (req, res) => {
+    const trace = traceStore.get(req.params.id, sessionOwner(req));
+    if (!trace) {
+        return res.status(404).json({ error: 'Trace not found' });
+    }
+    res.json(trace);
+});
+
+// Conversation session endpoints
 
+app.get('/api/sessions', async (req, res) => {
     try {
-        console.log('🚀 Initializing RAG system...');
-        
-        // Initialize chat model
-        chatModel = new ChatOllama({
-            baseUrl: `http://${OLLAMA_HOST}:${OLLAMA_PORT}`,
-            model: DEFAULT_MODEL,
-            temperature: 0.7,
+        const sessions = await sessionStore.listSessions({
+            ownerId: req.user.id,
+            includeUnowned: req.user.role === 'admin'
         });
+        res.json({ sessions });
+    } catch (error) {
+        logger.error('Error listing sessions', { error });
+        res.status(500).json({ error: 'Failed to list sessions: ' + error.message });
+    }
+});
 
-        // Initialize embeddings
-        const embeddings = new OllamaEmbeddings({
-            baseUrl: `http://${OLLAMA_HOST}:${OLLAMA_PORT}`,
-            model: 'nomic-embed-text',
-        });
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const { title } = req.body || {};
+        const session = await sessionStore.createSession(title, req.user.id);
+        logger.info('Created session', { sessionId: session.id });
+        res.status(201).json({ session });
+    } catch (error) {
+        logger.error('Error creating session', { error });
+        res.status(500).json({ error: 'Failed to create session: ' + error.message });
+    }
+});
 
-        // Test connection to Ollama
-        console.log('🔌 Testing Ollama connection...');
-        try {
-            await chatModel.invoke('Hello');
-            console.log('✅ Ollama connection successful');
-        } catch (error) {
-            console.error('❌ Ollama connection failed:', error.message);
-            throw new Error(`Cannot connect to Ollama at ${OLLAMA_HOST}:${OLLAMA_PORT}. Make sure Ollama is running.`);
+// Resume a session: returns the session with its full message history
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const result = await sessionStore.getSession(req.params.id, sessionOwner(req));
+        if (!result) {
+            return res.status(404).json({ error: `Session not found: ${req.params.id}` });
         }
+        res.json(result);
+    } catch (error) {
+        logger.error('Error loading session', { error });
+        res.status(500).json({ error: 'Failed to load session: ' + error.message });
+    }
+});
 
-        // Default URLs - these could also come from config
-        const urls = config.get('DOCUMENT_URLS', [
-            "https://ollama.com",
-            "https://ollama.com/blog/windows-preview",
-            "https://ollama.com/blog/openai-compatibility",
-        ]);
-
-        // Load and process documents
-        const docs = [];
-        console.log('📄 Loading documents from URLs...');
-        
-        for (const url of urls) {
-            try {
-                console.log(`Loading: ${url}`);
-                const loader = new CheerioWebBaseLoader(url);
-                const loadedDocs = await loader.load();
-                docs.push(...loadedDocs);
-                console.log(`✅ Loaded ${loadedDocs.length} documents from ${url}`);
-            } catch (error) {
-                console.error(`❌ Error loading ${url}:`, error.message);
-            }
+// Rename a session
+app.patch('/api/sessions/:id', async (req, res) => {
+    try {
+        const title = (req.body?.title || '').trim();
+        if (!title) {
+            return res.status(400).json({ error: 'Title is required' });
         }
 
-        if (docs.length === 0) {
-            throw new Error('No documents were successfully loaded from URLs');
+        const session = await sessionStore.renameSession(req.params.id, title, sessionOwner(req));
+        if (!session) {
+            return res.status(404).json({ error: `Session not found: ${req.params.id}` });
         }
+        res.json({ session });
+    } catch (error) {
+        logger.error('Error renaming session', { error });
+        res.status(500).json({ error: 'Failed to rename session: ' + error.message });
+    }
+});
 
-        console.log(`📚 Total documents loaded: ${docs.length}`);
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const deleted = await sessionStore.deleteSession(req.params.id, sessionOwner(req));
+        if (!deleted) {
+            return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+        }
+        logger.info('Deleted session', { sessionId: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting session', { error });
+        res.status(500).json({ error: 'Failed to delete session: ' + error.message });
+    }
+});
 
-        // Split documents
-        const textSplitter = new RecursiveCharacterTextSplitter({
-            chunkSize: config.get('CHUNK_SIZE', 1000),
-            chunkOverlap: config.get('CHUNK_OVERLAP', 200),
-        });
+// Evaluation endpoints
+// Datasets are questions with expected sources and reference answers; a run sends every
+// question through the with-rag pipeline and stores a report with retrieval and judge metrics.
 
-        const docSplits = await textSplitter.splitDocuments(docs);
-        console.log(`✂️ Split documents into ${docSplits.length} chunks`);
+/**
+ * Execute an evaluation run in the background, recording progress and the final report
+ */
+async function executeEvaluationRun(run, dataset, { retrievalOptions, llm, judgeModel, enableThinking, collection }) {
+    logger.info('Evaluation run started', { runId: run.id, dataset: dataset.name, cases: dataset.cases.length });
 
-        // Create vector store
-        console.log('🗄️ Creating vector store...');
-        
-        // Clean document metadata to avoid Neo4j property issues
-        const cleanedDocSplits = docSplits.map(doc => {
-            // Create a new document with cleaned metadata
-            const cleanedMetadata = {};
-            
-            // Only include primitive values in metadata
-            Object.entries(doc.metadata || {}).forEach(([key, value]) => {
-                if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
-                    cleanedMetadata[key] = value;
-                } else if (value === null || value === undefined) {
-                    // Skip null/undefined values
-                } else {
-                    // Convert complex objects to strings
-                    cleanedMetadata[key] = JSON.stringify(value);
-                }
-            });
-            
-            // Ensure we have basic metadata
-            cleanedMetadata.source = cleanedMetadata.source || doc.metadata?.source || 'unknown';
-            cleanedMetadata.id = cleanedMetadata.id || `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            
-            return {
-                pageContent: doc.pageContent,
-                metadata: cleanedMetadata
-            };
+    try {
+        const report = await runEvaluation(dataset.cases, {
+            retrieve: async (question) => (await buildRetrievalChain(retrievalOptions, llm, collection).invoke(question)).sources,
+            answer: async (question, sources) => parseModelResponse(
+                await buildWithRagChain(enableThinking, null, llm).invoke({ question, sources }),
+                llm.model
+            ).parsedResponse
+        }, {
+            k: retrievalOptions.k,
+            judgeModel,
+            formatContext,
+            onProgress: (completed) => evaluationStore.updateRunProgress(run.id, completed)
         });
-        
-        console.log(`🧹 Cleaned metadata for ${cleanedDocSplits.length} document chunks`);
-        
-        try {
-            vectorstore = await Neo4jVectorStore.fromDocuments(cleanedDocSplits, embeddings, {
-                url: NEO4J_URI,
-                username: NEO4J_USERNAME,
-                password: NEO4J_PASSWORD,
-                indexName: config.get('NEO4J_INDEX_NAME', 'vector_index'),
-                nodeLabel: config.get('NEO4J_NODE_LABEL', 'Document'),
-                textNodeProperty: config.get('NEO4J_TEXT_PROPERTY', 'text'),
-                embeddingNodeProperty: config.get('NEO4J_EMBEDDING_PROPERTY', 'embedding'),
-                // Add metadata handling configuration
-                keywordIndexName: config.get('NEO4J_KEYWORD_INDEX', 'keyword_index'),
-                searchType: 'vector',
-                metadataKey: 'metadata'
-            });
 
-            retriever = vectorstore.asRetriever({
-                k: config.get('RETRIEVER_K', 4),
-            });
-            
-            console.log('🎉 RAG system initialized successfully!');
-        } catch (error) {
-            console.error('❌ Neo4j connection failed:', error.message);
-            throw new Error(`Cannot connect to Neo4j at ${NEO4J_URI}. Make sure Neo4j is running with correct credentials.`);
-        }
-        
+        await evaluationStore.finishRun(run.id, report);
+        logger.info('Evaluation run completed', { runId: run.id, metrics: report.metrics });
     } catch (error) {
-        console.error('💥 Error initializing RAG system:', error);
-        initializationError = error.message;
-        throw error;
-    } finally {
-        isInitializing = false;
+        logger.error('Evaluation run failed', { runId: run.id, error });
+        await evaluationStore.finishRun(run.id, { error: error.message }).catch(() => {});
     }
 }
 
-/**
- * Parse DeepSeek response format that contains thinking and main response
- * DeepSeek typically formats responses like:
- * <think>
- * thinking content here...
- * </think>
- * 
- * main response content here...
- */
-function parseThinkingResponse(response) {
-    // Check for <think> tags (DeepSeek format)
-    const thinkRegex = /<think>([\s\S]*?)<\/think>/i;
-    const thinkMatch = response.match(thinkRegex);
-    
-    if (thinkMatch) {
-        const thinking = thinkMatch[1].trim();
-        const mainResponse = response.replace(thinkRegex, '').trim();
-        
-        return {
-            thinking,
-            response: mainResponse,
-            hasThinking: true
-        };
+app.get('/api/eval/datasets', async (req, res) => {
+    try {
+        res.json({ datasets: await evaluationStore.listDatasets() });
+    } catch (error) {
+        logger.error('Error listing evaluation datasets', { error });
+        res.status(500).json({ error: 'Failed to list datasets: ' + error.message });
     }
-    
-    // Check for other common thinking patterns
-    // Pattern: "Let me think about this..." followed by main response
-    const thinkingPatterns = [
-        /^(Let me think about this[\s\S]*?)\n\n([^]*)/i,
-        /^(I need to consider[\s\S]*?)\n\n([^]*)/i,
-        /^(Thinking through this[\s\S]*?)\n\n([^]*)/i,
-    ];
-    
-    for (const pattern of thinkingPatterns) {
-        const match = response.match(pattern);
-        if (match && match[1].length > 50) { // Only if thinking is substantial
-            return {
-                thinking: match[1].trim(),
-                response: match[2].trim(),
-                hasThinking: true
-            };
+});
+
+// Create a dataset: { name, description?, cases: [{ question, expectedSources?, referenceAnswer? }] }
+app.post('/api/eval/datasets', async (req, res) => {
+    try {
+        const name = (req.body?.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
         }
+
+        const cases = normalizeCases(req.body.cases);
+        const dataset = await evaluationStore.createDataset({ name, description: req.body.description, cases });
+        logger.info('Created evaluation dataset', { datasetId: dataset.id, cases: cases.length });
+        res.status(201).json({ dataset });
+    } catch (error) {
+        logger.error('Error creating evaluation dataset', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create dataset: ' + error.message });
     }
-    
-    // If no thinking pattern found, return as regular response
-    return {
-        thinking: null,
-        response: response.trim(),
-        hasThinking: false
-    };
-}
+});
 
-/**
- * Create a thinking-aware prompt that encourages step-by-step reasoning
- */
-function createThinkingPrompt(originalPrompt, enableThinking = true) {
-    if (!enableThinking) {
-        return originalPrompt;
+app.get('/api/eval/datasets/:id', async (req, res) => {
+    try {
+        const dataset = await evaluationStore.getDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
+        }
+        res.json({ dataset });
+    } catch (error) {
+        logger.error('Error loading evaluation dataset', { error });
+        res.status(500).json({ error: 'Failed to load dataset: ' + error.message });
     }
-    
-    return `${originalPrompt}
+});
 
-Think step by step and show your reasoning process. Format your response as:
+// Update name, description and/or cases (cases are replaced as a whole)
+app.put('/api/eval/datasets/:id', async (req, res) => {
+    try {
+        const { name, description } = req.body || {};
+        const cases = req.body?.cases !== undefined ? normalizeCases(req.body.cases) : undefined;
 
-<think>
-[Your detailed thinking process, analysis, and reasoning steps here]
-</think>
+        const dataset = await evaluationStore.updateDataset(req.params.id, { name: name?.trim(), description, cases });
+        if (!dataset) {
+            return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
+        }
+        res.json({ dataset });
+    } catch (error) {
+        logger.error('Error updating evaluation dataset', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update dataset: ' + error.message });
+    }
+});
 
-[Your final, clear answer here]`;
-}
+app.delete('/api/eval/datasets/:id', async (req, res) => {
+    try {
+        const deleted = await evaluationStore.deleteDataset(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting evaluation dataset', { error });
+        res.status(500).json({ error: 'Failed to delete dataset: ' + error.message });
+    }
+});
 
-// Routes
+// Start a run: body takes the with-rag retrieval overrides (retrievalMode, fusionMethod, k,
+// rerank, graphExpansion) plus model, enableThinking (default false), judge (default true)
+// and judgeModel. Responds 202 with the run; poll GET /api/eval/runs/:id for the report.
+app.post('/api/eval/datasets/:id/runs', requireVectorStore, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const retrievalOptions = resolveRetrievalOptions(body);
+        const llm = await resolveChatModel(body.model);
+        const judgeModel = body.judge === false
+            ? null
+            : await resolveChatModel(body.judgeModel || config.get('EVAL_JUDGE_MODEL'));
+        const enableThinking = body.enableThinking === true;
 
-// Health check with configuration info
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        ragInitialized: vectorstore !== null,
-        ollamaConnected: chatModel !== null,
-        isInitializing,
-        initializationError,
-        timestamp: new Date().toISOString(),
-        config: {
-            ollamaHost: OLLAMA_HOST,
-            ollamaPort: OLLAMA_PORT,
-            model: DEFAULT_MODEL,
-            neo4jUri: NEO4J_URI.replace(/\/\/.*@/, '//***@'), // Hide credentials
-            configSources: config.getConfigSources()
+        const dataset = await evaluationStore.getDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
         }
-    });
-});
 
-// Configuration endpoint
-app.get('/api/config', (req, res) => {
-    res.json({
-        config: config.getSafeConfig(),
-        sources: config.getConfigSources()
-    });
+        // Everything that affects the scores, so runs can be compared later
+        const settings = {
+            model: llm.model,
+            judgeModel: judgeModel ? judgeModel.model : null,
+            embeddingModel: EMBEDDING_MODEL,
+            collection: req.collection.name,
+            chunkSize: req.collection.indexer.chunkSize,
+            chunkOverlap: req.collection.indexer.chunkOverlap,
+            enableThinking,
+            retrieval: retrievalOptions
+        };
+
+        const run = await evaluationStore.createRun(dataset, settings);
+        executeEvaluationRun(run, dataset, { retrievalOptions, llm, judgeModel, enableThinking, collection: req.collection });
+
+        res.status(202).json({ run });
+    } catch (error) {
+        logger.error('Error starting evaluation run', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to start run: ' + error.message });
+    }
 });
 
-// Reload configuration endpoint
-app.post('/api/config/reload', (req, res) => {
+// Run summaries with metrics and settings (?datasetId= to filter)
+app.get('/api/eval/runs', async (req, res) => {
     try {
-        const newConfig = config.reload();
-        res.json({ 
-            success: true, 
-            message: 'Configuration reloaded successfully',
-            config: config.getSafeConfig()
-        });
+        res.json({ runs: await evaluationStore.listRuns({ datasetId: req.query.datasetId || null }) });
     } catch (error) {
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
-        });
+        logger.error('Error listing evaluation runs', { error });
+        res.status(500).json({ error: 'Failed to list runs: ' + error.message });
     }
 });
 
-// Initialize RAG endpoint
-app.post('/api/initialize', async (req, res) => {
+// Full report including per-case results
+app.get('/api/eval/runs/:id', async (req, res) => {
     try {
-        if (vectorstore) {
-            return res.json({ success: true, message: 'RAG system already initialized' });
+        const run = await evaluationStore.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run not found: ${req.params.id}` });
         }
-        
-        await initializeRAG();
-        res.json({ success: true, message: 'RAG system initialized successfully' });
+        res.json({ run });
     } catch (error) {
-        res.status(500).json({ 
-            success: false, 
-            error: error.message,
-            details: 'Check server logs for more information'
-        });
+        logger.error('Error loading evaluation run', { error });
+        res.status(500).json({ error: 'Failed to load run: ' + error.message });
     }
 });
 
-// Chat endpoint - before RAG
-app.post('/api/chat/before-rag', async (req, res) => {
+app.delete('/api/eval/runs/:id', async (req, res) => {
     try {
-        const { topic, enableThinking = true } = req.body;
-        
-        if (!topic) {
-            return res.status(400).json({ error: 'Topic is required' });
+        const deleted = await evaluationStore.deleteRun(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: `Run not found: ${req.params.id}` });
         }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting evaluation run', { error });
+        res.status(500).json({ error: 'Failed to delete run: ' + error.message });
+    }
+});
 
-        if (!chatModel) {
-            return res.status(503).json({ 
-                error: 'Chat model not initialized',
-                needsInitialization: true
-            });
+// Arena endpoints
+// One question is answered by every configuration in a matrix (models x RAG on/off x retrieval
+// settings) so the answers can be compared side by side and voted on.
+
+/**
+ * Answer the question with one arena configuration, timing it and counting tokens.
+ * Failures are recorded on the entry so the other columns still come back.
+ */
+async function runArenaEntry(question, { id, label, llm, retrievalOptions }, enableThinking) {
+    const entry = {
+        id,
+        label,
+        model: llm.model,
+        rag: Boolean(retrievalOptions),
+        retrieval: retrievalOptions
+    };
+    const started = Date.now();
+
+    try {
+        let sources = null;
+        if (retrievalOptions) {
+            ({ sources } = await buildRetrievalChain(retrievalOptions, llm).invoke(question));
+            entry.retrievalMs = Date.now() - started;
         }
 
-        console.log(`💬 Before RAG query: ${topic} (thinking: ${enableThinking})`);
+        const chain = retrievalOptions
+            ? buildWithRagChain(enableThinking, null, llm)
+            : buildDirectAnswerChain(enableThinking, llm);
+        const tracker = trackUsage();
+        const { parsedResponse } = parseModelResponse(
+            await chain.invoke({ question, sources }, { callbacks: tracker.callbacks }),
+            llm.model
+        );
 
-        const basePrompt = config.get('BEFORE_RAG_PROMPT', "What is {topic}? Provide a comprehensive but concise explanation.");
-        const promptTemplate = createThinkingPrompt(basePrompt, enableThinking);
-        
-        const prompt = ChatPromptTemplate.fromTemplate(promptTemplate);
-        const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
-        
-        const rawResponse = await chain.invoke({ topic });
-        const parsedResponse = parseThinkingResponse(rawResponse);
-        
-        console.log(`✅ Before RAG response generated (thinking: ${parsedResponse.hasThinking})`);
-        
-        res.json({ 
-            ...parsedResponse,
-            method: 'before-rag',
-            topic,
-            rawResponse: rawResponse // Include for debugging
+        Object.assign(entry, {
+            response: parsedResponse.response,
+            thinking: parsedResponse.thinking,
+            sources,
+            citedSources: sources ? extractCitedIndexes(parsedResponse.response, sources.length) : null,
+            latencyMs: Date.now() - started,
+            usage: tracker.usage
         });
-
     } catch (error) {
-        console.error('❌ Error in before-rag chat:', error);
-        res.status(500).json({ error: 'Internal server error: ' + error.message });
+        logger.warn('Arena entry failed', { label, error: error.message });
+        entry.error = error.message;
+        entry.latencyMs = Date.now() - started;
     }
-});
 
+    return entry;
+}
 
-// Chat endpoint - with RAG
-app.post('/api/chat/with-rag', async (req, res) => {
+// Run a comparison: { question, enableThinking?, matrix: { models, rag, retrieval } } (see expandMatrix).
+// Columns run one after another so their latencies are not skewed by each other.
+app.post('/api/arena', async (req, res) => {
     try {
-        const { question, enableThinking = true } = req.body;
-        
-        if (!question) {
+        const { question, enableThinking = false } = req.body || {};
+        if (!question || !question.trim()) {
             return res.status(400).json({ error: 'Question is required' });
         }
 
-        if (!retriever || !chatModel) {
-            return res.status(503).json({ 
+        const configurations = expandMatrix(req.body.matrix);
+        const maxConfigurations = config.get('ARENA_MAX_CONFIGURATIONS', 8);
+        if (configurations.length > maxConfigurations) {
+            return res.status(400).json({ error: `The matrix expands to ${configurations.length} configurations; the limit is ${maxConfigurations}` });
+        }
+        if (configurations.some(configuration => configuration.rag) && !vectorstore) {
+            return res.status(503).json({
                 error: 'RAG system not initialized',
                 needsInitialization: true
             });
         }
 
-        console.log(`🔍 RAG query: ${question} (thinking: ${enableThinking})`);
-
-        const basePrompt = config.get('RAG_PROMPT', 
-            `Answer the question based only on the following context:
+        // Resolve everything up front so a bad model or setting fails before any answer is generated
+        const columns = [];
+        for (const [id, configuration] of configurations.entries()) {
+            const llm = await resolveChatModel(configuration.model);
+            const retrievalOptions = configuration.rag ? resolveRetrievalOptions(configuration.retrieval) : null;
+            columns.push({ id, label: describeConfiguration(llm.model, retrievalOptions), llm, retrievalOptions });
+        }
 
-{context}
+        logger.info('Arena comparison', { question: logger.redactQuery(question), configurations: columns.length });
 
-Question: {question}
+        const entries = [];
+        for (const column of columns) {
+            entries.push(await runArenaEntry(question, column, enableThinking === true));
+        }
 
-Provide a comprehensive answer based on the context provided.`
-        );
-        
-        const promptTemplate = createThinkingPrompt(basePrompt, enableThinking);
-        const prompt = ChatPromptTemplate.fromTemplate(promptTemplate);
-
-        const chain = RunnableSequence.from([
-            {
-                context: async (input) => {
-                    const docs = await retriever.invoke(input.question);
-                    console.log(`📄 Retrieved ${docs.length} relevant documents`);
-                    return docs.map(doc => doc.pageContent).join('\n\n');
-                },
-                question: new RunnablePassthrough(),
-            },
-            prompt,
-            chatModel,
-            new StringOutputParser(),
-        ]);
-
-        const rawResponse = await chain.invoke({ question });
-        const parsedResponse = parseThinkingResponse(rawResponse);
-        
-        console.log(`✅ RAG response generated (thinking: ${parsedResponse.hasThinking})`);
-        
-        res.json({ 
-            ...parsedResponse,
-            method: 'with-rag',
-            question,
-            rawResponse: rawResponse // Include for debugging
-        });
+        const comparison = await arenaStore.createComparison({ question, enableThinking: enableThinking === true, entries, ownerId: req.user.id });
+        logger.info('Arena comparison stored', { comparisonId: comparison.id });
+        res.status(201).json({ comparison });
+    } catch (error) {
+        logger.error('Error in arena comparison', { error });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to run comparison: ' + error.message });
+    }
+});
 
+// Summaries of the caller's comparisons (all of them for admins), newest first (?limit=, default 50)
+app.get('/api/arena', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        res.json({ comparisons: await arenaStore.listComparisons({ limit, ownerId: sessionOwner(req) }) });
     } catch (error) {
-        console.error('❌ Error in RAG chat:', error);
-        res.status(500).json({ error: 'Internal server error: ' + error.message });
+        logger.error('Error listing arena comparisons', { error });
+        res.status(500).json({ error: 'Failed to list comparisons: ' + error.message });
     }
 });
 
-// Add a new endpoint to test thinking responses
-app.post('/api/chat/test-thinking', async (req, res) => {
+// Wins per configuration over everyone's voted comparisons
+app.get('/api/arena/leaderboard', async (req, res) => {
     try {
-        const { prompt } = req.body;
-        
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
-        }
+        res.json({ leaderboard: await arenaStore.leaderboard() });
+    } catch (error) {
+        logger.error('Error loading arena leaderboard', { error });
+        res.status(500).json({ error: 'Failed to load leaderboard: ' + error.message });
+    }
+});
 
-        if (!chatModel) {
-            return res.status(503).json({ 
-                error: 'Chat model not initialized',
-                needsInitialization: true
-            });
+app.get('/api/arena/:id', async (req, res) => {
+    try {
+        const comparison = await arenaStore.getComparison(req.params.id, sessionOwner(req));
+        if (!comparison) {
+            return res.status(404).json({ error: `Comparison not found: ${req.params.id}` });
         }
+        res.json({ comparison });
+    } catch (error) {
+        logger.error('Error loading arena comparison', { error });
+        res.status(500).json({ error: 'Failed to load comparison: ' + error.message });
+    }
+});
 
-        console.log(`🧪 Testing thinking response for: ${prompt}`);
+// Vote for the best answer: { entryId } (null clears the vote)
+app.post('/api/arena/:id/vote', async (req, res) => {
+    try {
+        const entryId = req.body?.entryId ?? null;
 
-        const thinkingPrompt = `${prompt}
+        const comparison = await arenaStore.getComparison(req.params.id, sessionOwner(req));
+        if (!comparison) {
+            return res.status(404).json({ error: `Comparison not found: ${req.params.id}` });
+        }
+        if (entryId !== null && !comparison.entries.some(entry => entry.id === entryId)) {
+            return res.status(400).json({ error: `Unknown entryId: ${entryId}` });
+        }
 
-Please think through this step by step and show your reasoning. Format your response as:
+        res.json({ comparison: await arenaStore.vote(req.params.id, entryId, sessionOwner(req)) });
+    } catch (error) {
+        logger.error('Error voting in arena', { error });
+        res.status(500).json({ error: 'Failed to record vote: ' + error.message });
+    }
+});
 
-<think>
-Let me analyze this question...
-[Your detailed thinking process here]
-</think>
+app.delete('/api/arena/:id', async (req, res) => {
+    try {
+        const deleted = await arenaStore.deleteComparison(req.params.id, sessionOwner(req));
+        if (!deleted) {
+            return res.status(404).json({ error: `Comparison not found: ${req.params.id}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting arena comparison', { error });
+        res.status(500).json({ error: 'Failed to delete comparison: ' + error.message });
+    }
+});
 
-[Your final answer here]`;
+// Thinking settings
+// Defaults plus per-model overrides for enableByDefault, promptSuffix, keepReasoning and nativeReasoning.
 
-        const response = await chatModel.invoke(thinkingPrompt);
-        const parsedResponse = parseThinkingResponse(response);
-        
-        console.log(`✅ Test thinking response generated (thinking: ${parsedResponse.hasThinking})`);
-        
+// Stored settings; ?model= also returns the effective settings for that model
+app.get('/api/config/thinking', (req, res) => {
+    try {
         res.json({
-            ...parsedResponse,
-            method: 'test-thinking',
-            originalPrompt: prompt,
-            rawResponse: response
+            settings: thinkingSettings.get(),
+            ...(req.query.model && { effective: thinkingSettings.resolve(req.query.model) })
         });
-
     } catch (error) {
-        console.error('❌ Error in test thinking:', error);
-        res.status(500).json({ error: 'Internal server error: ' + error.message });
+        logger.error('Error loading thinking settings', { error });
+        res.status(500).json({ error: 'Failed to load thinking settings: ' + error.message });
     }
 });
 
-// Add endpoint to configure thinking behavior
+// Update the defaults, or one model's overrides with { model, ... }. null resets a setting.
+// thinkingPromptSuffix is accepted as an alias of promptSuffix.
 app.post('/api/config/thinking', (req, res) => {
     try {
-        const { enableByDefault, thinkingPromptSuffix } = req.body;
-        
-        // You could store this in your config system
-        // For now, just acknowledge the settings
-        
-        res.json({
-            success: true,
-            settings: {
-                enableByDefault: enableByDefault !== false,
-                thinkingPromptSuffix: thinkingPromptSuffix || "Think step by step and show your reasoning."
-            }
-        });
-        
+        const { model, thinkingPromptSuffix, ...changes } = req.body || {};
+        if (thinkingPromptSuffix !== undefined && changes.promptSuffix === undefined) {
+            changes.promptSuffix = thinkingPromptSuffix;
+        }
+
+        const settings = thinkingSettings.update(changes, model || null);
+        // Cached answers may have been generated with the previous thinking settings
+        answerCache.clear();
+        logger.info(`Thinking settings updated for ${model || 'all models'}`, { changes });
+
+        res.json({ success: true, model: model || null, settings });
     } catch (error) {
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
+        logger.error('Error updating thinking settings', { error });
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to update thinking settings: ' + error.message
         });
     }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-    console.error('💥 Unhandled error:', error);
+    logger.error('Unhandled error', { error });
     res.status(500).json({ error: 'Internal server error' });
 });
 
 // Start server
 app.listen(SERVER_PORT, () => {
-    console.log(`🚀 Karl Chat Backend Server running on http://localhost:${SERVER_PORT}`);
-    console.log(`📡 Frontend should run on ${CORS_ORIGIN}`);
-    console.log(`🔧 Configuration loaded from multiple sources:`);
-    console.log(`- Ollama: ${OLLAMA_HOST}:${OLLAMA_PORT}`);
-    console.log(`- Model: ${DEFAULT_MODEL}`);
-    console.log(`- Neo4j: ${NEO4J_URI.replace(/\/\/.*@/, '//***@')}`);
+    logger.info(`Karl Chat Backend Server running on http://localhost:${SERVER_PORT}`, {
+        corsOrigin: CORS_ORIGIN,
+        llmProvider: `${llmProvider.label} (${llmProvider.baseUrl})`,
+        ...(embeddingProvider !== llmProvider && { embeddingProvider: `${embeddingProvider.label} (${embeddingProvider.baseUrl})` }),
+        model: DEFAULT_MODEL,
+        neo4j: NEO4J_URI.replace(/\/\/.*@/, '//***@')
+    });
     
-    // Auto-initialize RAG system
-    console.log('\n🤖 Auto-initializing RAG system...');
-    initializeRAG().catch(error => {
-        console.error('⚠️ Auto-initialization failed. Use /api/initialize endpoint or check configuration.');
+    evaluationStore.failInterruptedRuns().catch(error => {
+        logger.warn('Could not check for interrupted evaluation runs', { error: error.message });
     });
+
+    if (config.get('CONFIG_WATCH', true)) {
+        config.watch(() => {
+            reloadConfiguration()
+                .then(result => {
+                    logger.info('Config file changed', { changedKeys: result.changedKeys, rebuilt: result.rebuilt });
+                    result.errors.forEach(error => logger.error('Config change not applied', { error }));
+                    if (result.restartRequired.length > 0) {
+                        logger.warn('Restart to apply configuration changes', { keys: result.restartRequired });
+                    }
+                })
+                .catch(error => logger.warn('Config file change not applied', { error: error.message }));
+        });
+    }
+
+    // Auto-initialize RAG system
+    logger.info('Auto-initializing RAG system');
+    queueInitializeJob();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down backend server...');
+    logger.info('Shutting down backend server');
+    config.unwatch();
     if (vectorstore && vectorstore.close) {
         await vectorstore.close();
     }
+    await closeCollections();
+    await storeDriver.close();
     process.exit(0);
 });
\ No newline at end of file
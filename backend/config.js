@@ -1,6 +1,238 @@
 // backend/config.js - Configuration loader with hierarchy support
 const fs = require('fs');
 const path = require('path');
+const logger = require('./utils/logger');
+
+/**
+ * Every configuration key with its type, default and description.
+ * - type: 'string' | 'integer' | 'number' | 'boolean' | 'array' (array values are strings)
+ * - env: environment variable name (defaults to the key)
+ * - default: used when no source sets the key; keys without one fall back to the caller's default
+ * - min / max (numbers), values (allowed strings), required, sensitive (masked in logs and the API)
+ */
+const CONFIG_SCHEMA = {
+    // Server
+    SERVER_PORT: { group: 'Server', type: 'integer', env: 'PORT', default: 5000, min: 1, max: 65535, description: 'Port the backend listens on' },
+    CORS_ORIGIN: { group: 'Server', type: 'string', default: 'http://localhost:3000', description: 'Origin allowed to call the API' },
+    LOG_LEVEL: { group: 'Server', type: 'string', default: 'info', values: ['debug', 'info', 'warn', 'error'], description: 'Minimum level of log messages' },
+    LOG_FORMAT: { group: 'Server', type: 'string', default: 'json', values: ['json', 'text'], description: 'Log lines as JSON objects, or as readable text' },
+    LOG_REDACT_QUERIES: { group: 'Server', type: 'boolean', default: false, description: 'Log the length of questions and prompts instead of their text' },
+    METRICS_ENABLED: { group: 'Server', type: 'boolean', default: true, description: 'Serve Prometheus metrics on /metrics' },
+    METRICS_PUBLIC: { group: 'Server', type: 'boolean', default: false, description: 'Serve /metrics without a login (otherwise it needs an admin session or API key, or METRICS_TOKEN)' },
+    METRICS_TOKEN: { group: 'Server', type: 'string', sensitive: true, description: 'Bearer token /metrics requires instead of a login (default: none)' },
+    TRACE_HISTORY_LIMIT: { group: 'Server', type: 'integer', default: 100, min: 1, description: 'Request traces kept in memory for the debug inspector' },
+    MAX_UPLOAD_MB: { group: 'Server', type: 'number', default: 20, min: 1, description: 'Maximum size of one uploaded file in MB' },
+    MAX_UPLOAD_FILES: { group: 'Server', type: 'integer', default: 10, min: 1, description: 'Maximum number of files per upload' },
+    CONFIG_PROFILE: { group: 'Server', type: 'string', description: 'Configuration profile, e.g. dev, test or prod (default: from NODE_ENV)' },
+    CONFIG_WATCH: { group: 'Server', type: 'boolean', default: true, description: 'Reload the configuration when a config file changes' },
+
+    // LLM and embeddings
+    OLLAMA_HOST: { group: 'LLM', type: 'string', default: 'localhost', required: true, description: 'Ollama host name' },
+    OLLAMA_PORT: { group: 'LLM', type: 'integer', default: 11434, min: 1, max: 65535, required: true, description: 'Ollama port' },
+    DEFAULT_MODEL: { group: 'LLM', type: 'string', default: 'llama3.2', required: true, description: 'Chat model used unless a request picks another' },
+    LLM_PROVIDER: { group: 'LLM', type: 'string', default: 'ollama', values: ['ollama', 'openai'], description: 'Chat model provider' },
+    LLM_BASE_URL: { group: 'LLM', type: 'string', description: 'Provider base URL (default: Ollama host/port, or http://localhost:8080/v1 for openai)' },
+    LLM_API_KEY: { group: 'LLM', type: 'string', sensitive: true, description: 'API key for an OpenAI-compatible provider' },
+    EMBEDDING_PROVIDER: { group: 'LLM', type: 'string', values: ['ollama', 'openai'], description: 'Embedding provider (default: LLM_PROVIDER)' },
+    EMBEDDING_BASE_URL: { group: 'LLM', type: 'string', description: 'Embedding provider base URL (default: the LLM provider\'s)' },
+    EMBEDDING_API_KEY: { group: 'LLM', type: 'string', sensitive: true, description: 'Embedding provider API key (default: LLM_API_KEY)' },
+    EMBEDDING_MODEL: { group: 'LLM', type: 'string', default: 'nomic-embed-text', description: 'Embedding model; changing it requires re-embedding' },
+    OPENAI_RAG_MODEL: { group: 'LLM', type: 'string', default: 'karl-rag', description: 'Model name that runs the RAG pipeline on /v1/chat/completions' },
+
+    // Neo4j
+    NEO4J_URI: { group: 'Neo4j', type: 'string', default: 'bolt://localhost:7687', description: 'Neo4j connection URI' },
+    NEO4J_USERNAME: { group: 'Neo4j', type: 'string', default: 'neo4j', description: 'Neo4j user' },
+    NEO4J_PASSWORD: { group: 'Neo4j', type: 'string', default: 'password', sensitive: true, description: 'Neo4j password' },
+    NEO4J_INDEX_NAME: { group: 'Neo4j', type: 'string', default: 'vector_index', description: 'Vector index name' },
+    NEO4J_KEYWORD_INDEX: { group: 'Neo4j', type: 'string', default: 'keyword_index', description: 'Full-text index name' },
+    NEO4J_NODE_LABEL: { group: 'Neo4j', type: 'string', default: 'Document', description: 'Label of chunk nodes' },
+    NEO4J_TEXT_PROPERTY: { group: 'Neo4j', type: 'string', default: 'text', description: 'Chunk text property' },
+    NEO4J_EMBEDDING_PROPERTY: { group: 'Neo4j', type: 'string', default: 'embedding', description: 'Chunk embedding property' },
+
+    // Documents
+    DOCUMENT_URLS: {
+        group: 'Documents',
+        type: 'array',
+        default: ['https://ollama.com', 'https://ollama.com/blog/windows-preview', 'https://ollama.com/blog/openai-compatibility'],
+        description: 'URLs synced into the knowledge base on startup (env: JSON array or comma-separated)'
+    },
+    SYNC_SOURCES_ON_STARTUP: { group: 'Documents', type: 'boolean', default: true, description: 'Sync DOCUMENT_URLS when the server starts' },
+    CHUNK_SIZE: { group: 'Documents', type: 'integer', default: 1000, min: 100, description: 'Characters per chunk; changing it requires re-embedding' },
+    CHUNK_OVERLAP: { group: 'Documents', type: 'integer', default: 200, min: 0, description: 'Characters shared by neighbouring chunks; changing it requires re-embedding' },
+    COLLECTIONS_FILE: { group: 'Documents', type: 'string', description: 'Where collection definitions are saved (default: configs/collections.json)' },
+    JOB_HISTORY_LIMIT: { group: 'Documents', type: 'integer', default: 50, min: 1, description: 'Finished ingestion jobs kept for status and retries' },
+
+    // Retrieval
+    RETRIEVAL_MODE: { group: 'Retrieval', type: 'string', default: 'vector', values: ['vector', 'keyword', 'hybrid'], description: 'How chunks are retrieved' },
+    RETRIEVER_K: { group: 'Retrieval', type: 'integer', default: 4, min: 1, max: 50, description: 'Chunks passed to the model' },
+    HYBRID_FUSION: { group: 'Retrieval', type: 'string', default: 'rrf', values: ['rrf', 'weighted'], description: 'How hybrid results are merged' },
+    HYBRID_CANDIDATE_K: { group: 'Retrieval', type: 'integer', default: 10, min: 1, description: 'Candidates fetched from each retriever in hybrid mode' },
+    HYBRID_RRF_K: { group: 'Retrieval', type: 'integer', default: 60, min: 1, description: 'Reciprocal rank fusion constant' },
+    HYBRID_VECTOR_WEIGHT: { group: 'Retrieval', type: 'number', default: 0.5, min: 0, max: 1, description: 'Weight of vector scores in weighted fusion' },
+    HISTORY_MAX_MESSAGES: { group: 'Retrieval', type: 'integer', default: 12, min: 0, description: 'Earlier messages included in follow-up prompts' },
+
+    // Reranking
+    RERANK_METHOD: { group: 'Reranking', type: 'string', default: 'none', values: ['none', 'mmr', 'llm', 'mmr+llm'], description: 'Reranking stage after retrieval (mmr+llm: MMR keeps 2 x k candidates, the model picks k)' },
+    RERANK_CANDIDATE_K: { group: 'Reranking', type: 'integer', default: 12, min: 1, description: 'Candidates retrieved for reranking' },
+    MMR_LAMBDA: { group: 'Reranking', type: 'number', default: 0.5, min: 0, max: 1, description: 'MMR relevance/diversity trade-off (1 = relevance only)' },
+
+    // Knowledge graph
+    GRAPH_EXTRACTION_ENABLED: { group: 'Graph', type: 'boolean', default: false, description: 'Extract entities and relations from new chunks' },
+    GRAPH_MAX_ENTITIES: { group: 'Graph', type: 'integer', default: 12, min: 1, description: 'Entities extracted per chunk' },
+    GRAPH_EXPANSION_ENABLED: { group: 'Graph', type: 'boolean', default: false, description: 'Add chunks that share entities with the retrieved ones' },
+    GRAPH_EXPANSION_LIMIT: { group: 'Graph', type: 'integer', default: 3, min: 1, description: 'Chunks added by graph expansion' },
+    GRAPH_EXPANSION_HOPS: { group: 'Graph', type: 'integer', default: 1, min: 0, max: 2, description: 'Entity relations followed by graph expansion' },
+
+    // Prompts (built-in prompts are used when unset); `variables` are the placeholders each one is filled with
+    BEFORE_RAG_PROMPT: { group: 'Prompts', type: 'string', variables: ['topic'], description: 'Prompt without retrieval; {topic}' },
+    RAG_PROMPT: { group: 'Prompts', type: 'string', variables: ['context', 'question', 'history'], description: 'RAG prompt; {context}, {question} and optionally {history}' },
+    CONDENSE_QUESTION_PROMPT: { group: 'Prompts', type: 'string', variables: ['history', 'question'], description: 'Rewrites follow-ups as standalone questions; {history} and {question}' },
+    DIRECT_ANSWER_PROMPT: { group: 'Prompts', type: 'string', variables: ['question'], description: 'Arena prompt without retrieval; {question}' },
+    RERANK_PROMPT: { group: 'Prompts', type: 'string', variables: ['question', 'passages'], description: 'LLM reranking prompt; {question} and {passages}' },
+    GRAPH_EXTRACTION_PROMPT: { group: 'Prompts', type: 'string', variables: ['text', 'maxEntities'], description: 'Entity extraction prompt; {text} and {maxEntities}' },
+
+    // Thinking
+    THINKING_SETTINGS_FILE: { group: 'Thinking', type: 'string', description: 'Where thinking settings are saved (default: configs/thinking_settings.json)' },
+    NATIVE_REASONING_MODELS: { group: 'Thinking', type: 'array', description: 'Model families that reason without being asked (default: deepseek-r1, qwq, qwen3, ...)' },
+    OLLAMA_THINK: { group: 'Thinking', type: 'boolean', default: true, description: 'Send Ollama\'s think option to models that reason natively, so their reasoning arrives apart from the answer' },
+
+    // Caches
+    EMBEDDING_CACHE_ENABLED: { group: 'Cache', type: 'boolean', default: true, description: 'Keep embeddings in Neo4j by model and text hash, so no text is embedded twice' },
+    EMBEDDING_CACHE_MAX_ENTRIES: { group: 'Cache', type: 'integer', default: 100000, min: 1, description: 'Cached embeddings kept; the oldest are dropped beyond it' },
+    ANSWER_CACHE_ENABLED: { group: 'Cache', type: 'boolean', default: false, description: 'Answer near-identical RAG questions from earlier answers' },
+    ANSWER_CACHE_SIMILARITY: { group: 'Cache', type: 'number', default: 0.95, min: 0, max: 1, description: 'Cosine similarity from which a question counts as near-identical' },
+    ANSWER_CACHE_TTL_MINUTES: { group: 'Cache', type: 'number', default: 60, min: 1, description: 'How long a cached answer is reused' },
+    ANSWER_CACHE_SIZE: { group: 'Cache', type: 'integer', default: 200, min: 1, description: 'Answers kept in memory' },
+
+    // Evaluation and arena
+    EVAL_JUDGE_MODEL: { group: 'Evaluation', type: 'string', description: 'Model that grades evaluation answers (default: the default model)' },
+    ARENA_MAX_CONFIGURATIONS: { group: 'Evaluation', type: 'integer', default: 8, min: 1, description: 'Most configurations in one arena comparison' },
+
+    // Authentication and rate limits
+    AUTH_ENABLED: { group: 'Auth', type: 'boolean', default: true, description: 'Require a login session or API key for the API' },
+    AUTH_USERS_FILE: { group: 'Auth', type: 'string', description: 'Where accounts and API keys are saved (default: configs/auth.json)' },
+    AUTH_ADMIN_USERNAME: { group: 'Auth', type: 'string', default: 'admin', description: 'Admin account created when there are no accounts yet' },
+    AUTH_ADMIN_PASSWORD: { group: 'Auth', type: 'string', sensitive: true, description: 'Password of that first admin (default: generated and logged once)' },
+    AUTH_SESSION_TTL_HOURS: { group: 'Auth', type: 'number', default: 12, min: 0.1, description: 'How long a login session lasts' },
+    AUTH_LOGIN_ATTEMPTS_PER_MINUTE: { group: 'Auth', type: 'integer', default: 10, min: 1, description: 'Login attempts allowed per client address per minute' },
+    RATE_LIMIT_PER_MINUTE: { group: 'Auth', type: 'integer', default: 60, min: 0, description: 'Requests per minute per API key or user (0: unlimited); keys can override it' },
+    QUOTA_REQUESTS_PER_DAY: { group: 'Auth', type: 'integer', default: 0, min: 0, description: 'Requests per UTC day per API key or user (0: unlimited); keys can override it' }
+};
+
+const BOOLEAN_STRINGS = { true: true, false: false, '1': true, '0': false, yes: true, no: false, on: true, off: false };
+
+/**
+ * Convert a raw value (often a string from the environment) to the key's type.
+ * Throws with a readable message when it can't.
+ */
+function coerceValue(key, value, spec) {
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isFinite(number)) {
+                throw new Error(`${key} must be a number, got "${value}"`);
+            }
+            if (spec.type === 'integer' && !Number.isInteger(number)) {
+                throw new Error(`${key} must be an integer, got ${value}`);
+            }
+            return number;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const normalized = String(value).trim().toLowerCase();
+            if (!(normalized in BOOLEAN_STRINGS)) {
+                throw new Error(`${key} must be true or false, got "${value}"`);
+            }
+            return BOOLEAN_STRINGS[normalized];
+        }
+        case 'array': {
+            if (Array.isArray(value)) return value.map(String);
+            const text = String(value).trim();
+            if (text.startsWith('[')) {
+                try {
+                    const parsed = JSON.parse(text);
+                    if (Array.isArray(parsed)) return parsed.map(String);
+                } catch (error) {
+                    throw new Error(`${key} is not a valid JSON array: ${error.message}`);
+                }
+            }
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        default:
+            return String(value);
+    }
+}
+
+// The {placeholders} of a prompt template ({{ and }} are literal braces)
+function templateVariables(template) {
+    const names = String(template).replace(/\{\{|\}\}/g, '').match(/\{[^{}]*\}/g) || [];
+    return [...new Set(names.map(name => name.slice(1, -1).trim()))];
+}
+
+// Edit distance, to suggest the key a misspelled one was meant to be
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// NODE_ENV values that select a profile when CONFIG_PROFILE is not set
+const PROFILE_ALIASES = { development: 'dev', production: 'prod', test: 'test' };
+
+/**
+ * Find a config file, tolerating a different case or a small typo in its name
+ * (configs/statis_settings.json for static_settings.json). Returns the path or null.
+ */
+function findConfigFile(filePath, { maxDistance = 2 } = {}) {
+    if (fs.existsSync(filePath)) return filePath;
+
+    let entries;
+    try {
+        entries = fs.readdirSync(path.dirname(filePath));
+    } catch (error) {
+        return null;
+    }
+
+    const wanted = path.basename(filePath).toLowerCase();
+    const match = entries
+        .filter(entry => path.extname(entry).toLowerCase() === path.extname(wanted))
+        .map(entry => ({ entry, distance: editDistance(entry.toLowerCase(), wanted) }))
+        .filter(candidate => candidate.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)[0];
+    return match ? path.join(path.dirname(filePath), match.entry) : null;
+}
+
+/**
+ * Parse a .env file: KEY=value lines, optionally prefixed with `export`, values optionally
+ * quoted; # starts a comment
+ */
+function parseEnvFile(text) {
+    const values = {};
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+        if (!match) return;
+
+        let value = match[2];
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && value.length > 1 && value.endsWith(quote)) {
+            value = value.slice(1, -1);
+            if (quote === '"') value = value.replace(/\\n/g, '\n');
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        values[match[1]] = value;
+    });
+    return values;
+}
 
 class ConfigLoader {
     constructor(moduleName = 'karl-chat') {
@@ -12,13 +244,28 @@ class ConfigLoader {
     /**
      * Load configuration from multiple sources in order of precedence:
      * 1. Environment variables
-     * 2. Local module config (./configs/static_settings.JSON)
-     * 3. Parent directory config (../config.json, ../../config.json, etc.)
-     * 4. Default values
+     * 2. .env files (.env.<profile> over .env), which never override real environment variables
+     * 3. Profile config (./configs/profiles/<profile>.json)
+     * 4. Local module config (./configs/static_settings.json)
+     * 5. Parent directory config (../config.json, ../../config.json, etc.)
+     * 6. Default values
+     * Where each value came from is kept per key (getConfigSources).
      */
     loadConfig() {
+        this.config = {};
+        this.sources = {};
+        this.files = [];
+        this.errors = [];
+
         // Start with defaults
-        this.config = this.getDefaults();
+        this.merge(this.getDefaults(), { source: 'default' });
+
+        // .env files are read first: they may select the profile
+        this.envFileValues = this.loadEnvFiles(['.env']);
+        this.profile = this.resolveProfile();
+        if (this.profile) {
+            this.envFileValues = { ...this.envFileValues, ...this.loadEnvFiles([`.env.${this.profile.name}`]) };
+        }
 
         // Load from parent directories (lowest precedence)
         this.loadParentConfigs();
@@ -26,30 +273,78 @@ class ConfigLoader {
         // Load local module config (higher precedence)
         this.loadLocalConfig();
 
+        // Then the selected profile
+        this.loadProfileConfig();
+
         // Override with environment variables (highest precedence)
         this.loadEnvironmentConfig();
 
-        console.log('🔧 Configuration loaded:', {
-            source: this.getConfigSources(),
+        // Give every declared key its type
+        this.coerceConfig();
+        this.applyLogSettings();
+
+        logger.info('Configuration loaded', {
+            profile: this.profile ? this.profile.name : null,
+            files: this.files.map(file => file.path),
             config: this.getSafeConfig() // Don't log sensitive data
         });
     }
 
     /**
-     * Default configuration values
+     * Merge values from one source, remembering where each key came from
+     */
+    merge(values, source) {
+        Object.entries(values).forEach(([key, value]) => {
+            this.config[key] = value;
+            this.sources[key] = source;
+        });
+    }
+
+    /**
+     * Default configuration values, from the schema
      */
     getDefaults() {
-        return {
-            OLLAMA_HOST: 'localhost',
-            OLLAMA_PORT: '11434',
-            DEFAULT_MODEL: 'llama3.2',
-            NEO4J_URI: 'bolt://localhost:7687',
-            NEO4J_USERNAME: 'neo4j',
-            NEO4J_PASSWORD: 'password',
-            SERVER_PORT: 5000,
-            CORS_ORIGIN: 'http://localhost:3000',
-            LOG_LEVEL: 'info'
-        };
+        const defaults = {};
+        Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+            if (spec.default !== undefined) {
+                defaults[key] = spec.default;
+            }
+        });
+        return defaults;
+    }
+
+    /**
+     * Warn about keys in a config file that are not in the schema, suggesting close matches.
+     * Object values in parent configs are other modules' sections and are skipped.
+     */
+    warnUnknownKeys(values, source) {
+        Object.entries(values).forEach(([key, value]) => {
+            if (CONFIG_SCHEMA[key] || key === this.moduleName) return;
+            if (value && typeof value === 'object' && !Array.isArray(value)) return;
+
+            const suggestion = Object.keys(CONFIG_SCHEMA)
+                .map(known => ({ known, distance: editDistance(key.toUpperCase(), known) }))
+                .sort((a, b) => a.distance - b.distance)[0];
+            const hint = suggestion && suggestion.distance <= 3 ? ` Did you mean ${suggestion.known}?` : '';
+            logger.warn(`Unknown configuration key ${key} in ${source}.${hint}`, { key, source });
+        });
+    }
+
+    /**
+     * Coerce every declared key to its type. Values that can't be converted are kept
+     * as they are and reported by validate().
+     */
+    coerceConfig() {
+        Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+            const value = this.config[key];
+            if (value === undefined || value === null) return;
+
+            try {
+                this.config[key] = coerceValue(key, value, spec);
+            } catch (error) {
+                this.errors.push(error.message);
+            }
+        });
     }
 
     /**
@@ -57,87 +352,176 @@ class ConfigLoader {
      * Searches up the directory tree for config.json files
      */
     loadParentConfigs() {
-        let currentDir = __dirname;
-        const maxLevels = 5; // Prevent infinite loops
-        
-        for (let level = 0; level < maxLevels; level++) {
-            const parentDir = path.resolve(currentDir, '..');
-            if (parentDir === currentDir) break; // Reached root
-            
-            const configPath = path.join(parentDir, 'config.json');
-            
+        for (const configPath of this.getParentConfigPaths()) {
             if (fs.existsSync(configPath)) {
                 try {
                     const parentConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                    this.warnUnknownKeys(parentConfig, configPath);
                     
                     // Merge parent config (lower precedence)
-                    this.config = { ...this.config, ...parentConfig };
+                    this.merge(parentConfig, { source: 'file', file: configPath });
                     
                     // If there's a module-specific section, use it
                     if (parentConfig[this.moduleName]) {
-                        this.config = { ...this.config, ...parentConfig[this.moduleName] };
+                        this.merge(parentConfig[this.moduleName], { source: 'file', file: configPath, section: this.moduleName });
                     }
                     
-                    console.log(`📁 Loaded parent config from: ${configPath}`);
+                    this.files.push({ type: 'parent', path: configPath });
+                    logger.info('Loaded parent config', { path: configPath });
                 } catch (error) {
-                    console.warn(`⚠️ Error loading parent config ${configPath}:`, error.message);
+                    logger.warn('Error loading parent config', { path: configPath, error: error.message });
                 }
             }
+        }
+    }
+
+    getParentConfigPaths() {
+        const paths = [];
+        let currentDir = __dirname;
+        const maxLevels = 5; // Prevent infinite loops
+        
+        for (let level = 0; level < maxLevels; level++) {
+            const parentDir = path.resolve(currentDir, '..');
+            if (parentDir === currentDir) break; // Reached root
             
+            paths.push(path.join(parentDir, 'config.json'));
             currentDir = parentDir;
         }
+        return paths;
+    }
+
+    getLocalConfigPaths() {
+        return [
+            path.join(__dirname, '../configs/static_settings.json'),
+            path.join(__dirname, '../configs/config.json'),
+            path.join(__dirname, '../config.json')
+        ];
+    }
+
+    getProfileConfigPath(profile) {
+        return path.join(__dirname, '../configs/profiles', `${profile}.json`);
+    }
+
+    // .env files are looked for in the project root, then in backend/ (which wins)
+    getEnvFilePaths(names) {
+        return names.flatMap(name => [path.join(__dirname, '..', name), path.join(__dirname, name)]);
     }
 
     /**
      * Load local module configuration
      */
     loadLocalConfig() {
-        const localConfigPaths = [
-            path.join(__dirname, '../configs/static_settings.JSON'),
-            path.join(__dirname, '../configs/config.json'),
-            path.join(__dirname, '../config.json')
-        ];
+        for (const expectedPath of this.getLocalConfigPaths()) {
+            const configPath = findConfigFile(expectedPath);
+            if (!configPath) continue;
 
-        for (const configPath of localConfigPaths) {
-            if (fs.existsSync(configPath)) {
-                try {
-                    const localConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-                    this.config = { ...this.config, ...localConfig };
-                    console.log(`📄 Loaded local config from: ${configPath}`);
-                    break; // Use first found config
-                } catch (error) {
-                    console.warn(`⚠️ Error loading local config ${configPath}:`, error.message);
-                }
+            if (configPath.toLowerCase() !== expectedPath.toLowerCase()) {
+                logger.warn(`Using ${configPath} as ${path.basename(expectedPath)} (file name differs)`, { path: configPath });
+            }
+            if (this.readConfigFile(configPath, 'local')) {
+                break; // Use first found config
             }
         }
     }
 
     /**
-     * Load configuration from environment variables
+     * Load the selected profile's configuration file
+     */
+    loadProfileConfig() {
+        if (!this.profile) return;
+
+        const configPath = findConfigFile(this.getProfileConfigPath(this.profile.name), { maxDistance: 0 });
+        if (!configPath) {
+            logger.warn(`No configuration file for profile "${this.profile.name}"`, { path: this.getProfileConfigPath(this.profile.name) });
+            return;
+        }
+        this.readConfigFile(configPath, 'profile');
+    }
+
+    readConfigFile(configPath, type) {
+        try {
+            const values = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            this.warnUnknownKeys(values, configPath);
+            this.merge(values, { source: 'file', file: configPath });
+            this.files.push({ type, path: configPath });
+            logger.info(`Loaded ${type} config`, { path: configPath });
+            return true;
+        } catch (error) {
+            logger.warn(`Error loading ${type} config`, { path: configPath, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Read .env files into { [variable]: { value, file } }; later files win
+     */
+    loadEnvFiles(names) {
+        const values = {};
+        for (const envPath of this.getEnvFilePaths(names)) {
+            if (!fs.existsSync(envPath)) continue;
+
+            try {
+                Object.entries(parseEnvFile(fs.readFileSync(envPath, 'utf8'))).forEach(([variable, value]) => {
+                    values[variable] = { value, file: envPath };
+                });
+                this.files.push({ type: 'env', path: envPath });
+                logger.info('Loaded env file', { path: envPath });
+            } catch (error) {
+                logger.warn('Error loading env file', { path: envPath, error: error.message });
+            }
+        }
+        return values;
+    }
+
+    /**
+     * The profile named by CONFIG_PROFILE, else the one NODE_ENV maps to, else none
+     */
+    resolveProfile() {
+        const lookup = (variable) => process.env[variable] || (this.envFileValues[variable] && this.envFileValues[variable].value);
+
+        const explicit = lookup('CONFIG_PROFILE');
+        const name = explicit || PROFILE_ALIASES[lookup('NODE_ENV')];
+        if (!name) return null;
+
+        if (!/^[\w-]+$/.test(name)) {
+            this.errors.push(`CONFIG_PROFILE must be a plain name like dev or prod, got "${name}"`);
+            return null;
+        }
+        return { name, variable: explicit ? 'CONFIG_PROFILE' : 'NODE_ENV' };
+    }
+
+    /**
+     * Load configuration from environment variables, and from .env files for variables
+     * the environment doesn't set
      */
     loadEnvironmentConfig() {
-        const envMapping = {
-            OLLAMA_HOST: 'OLLAMA_HOST',
-            OLLAMA_PORT: 'OLLAMA_PORT',
-            DEFAULT_MODEL: 'DEFAULT_MODEL',
-            NEO4J_URI: 'NEO4J_URI',
-            NEO4J_USERNAME: 'NEO4J_USERNAME',
-            NEO4J_PASSWORD: 'NEO4J_PASSWORD',
-            SERVER_PORT: 'PORT',
-            CORS_ORIGIN: 'CORS_ORIGIN',
-            LOG_LEVEL: 'LOG_LEVEL'
-        };
+        // Every schema key can be set from the environment, under its key name unless `env` says otherwise
+        const envMapping = Object.fromEntries(
+            Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.env || key])
+        );
 
         let envCount = 0;
         Object.entries(envMapping).forEach(([configKey, envKey]) => {
             if (process.env[envKey]) {
-                this.config[configKey] = process.env[envKey];
+                this.merge({ [configKey]: process.env[envKey] }, { source: 'env', variable: envKey });
+                envCount++;
+            } else if (this.envFileValues[envKey] && this.envFileValues[envKey].value) {
+                const { value, file } = this.envFileValues[envKey];
+                this.merge({ [configKey]: value }, { source: 'env-file', variable: envKey, file });
                 envCount++;
             }
         });
 
+        // A profile selected through NODE_ENV is reported as CONFIG_PROFILE too
+        if (this.profile && this.profile.variable === 'NODE_ENV') {
+            const fromFile = !process.env.NODE_ENV && this.envFileValues.NODE_ENV;
+            this.merge({ CONFIG_PROFILE: this.profile.name }, fromFile
+                ? { source: 'env-file', variable: 'NODE_ENV', file: fromFile.file }
+                : { source: 'env', variable: 'NODE_ENV' });
+        }
+
         if (envCount > 0) {
-            console.log(`🌍 Loaded ${envCount} values from environment variables`);
+            logger.info(`Loaded ${envCount} values from environment variables`);
         }
     }
 
@@ -159,11 +543,10 @@ class ConfigLoader {
      * Get safe configuration (without sensitive data) for logging
      */
     getSafeConfig() {
-        const sensitive = ['NEO4J_PASSWORD', 'API_KEY', 'SECRET'];
         const safeConfig = {};
         
         Object.entries(this.config).forEach(([key, value]) => {
-            if (sensitive.some(s => key.toUpperCase().includes(s))) {
+            if (ConfigLoader.isSensitive(key)) {
                 safeConfig[key] = '***';
             } else {
                 safeConfig[key] = value;
@@ -173,42 +556,159 @@ class ConfigLoader {
         return safeConfig;
     }
 
+    static isSensitive(key) {
+        const sensitive = ['PASSWORD', 'API_KEY', 'SECRET'];
+        return Boolean(CONFIG_SCHEMA[key]?.sensitive) || sensitive.some(s => key.toUpperCase().includes(s));
+    }
+
     /**
-     * Get information about configuration sources
+     * The schema with each key's current value (sensitive values masked), for settings forms
+     */
+    getSchema() {
+        return Object.entries(CONFIG_SCHEMA).map(([key, spec]) => {
+            const value = this.config[key];
+            const sensitive = ConfigLoader.isSensitive(key);
+            return {
+                key,
+                ...spec,
+                env: spec.env || key,
+                required: Boolean(spec.required),
+                sensitive,
+                ...(sensitive && spec.default !== undefined && { default: '***' }),
+                value: sensitive && value !== undefined ? '***' : value,
+                isSet: value !== undefined,
+                source: this.sources[key] || null
+            };
+        });
+    }
+
+    /**
+     * Where the configuration came from: the profile, the files that were loaded, and for
+     * every key the default, file or environment variable that set its effective value
      */
     getConfigSources() {
         return {
-            defaults: 'Built-in defaults',
-            parent: 'Parent directory config.json files',
-            local: 'Local module configs/static_settings.JSON',
-            environment: 'Environment variables'
+            profile: this.profile ? this.profile.name : null,
+            files: this.files,
+            keys: Object.fromEntries(Object.keys(this.config).map(key => [key, this.sources[key]]))
         };
     }
 
     /**
-     * Validate required configuration
+     * Validate configuration against the schema: required keys, types, ranges, allowed values and prompt placeholders
      */
     validate() {
-        const required = ['OLLAMA_HOST', 'OLLAMA_PORT', 'DEFAULT_MODEL'];
-        const missing = required.filter(key => !this.config[key]);
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required configuration: ${missing.join(', ')}`);
+        const problems = [...(this.errors || [])];
+
+        Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+            const value = this.config[key];
+            if (value === undefined || value === null || value === '') {
+                if (spec.required) problems.push(`${key} is required`);
+                return;
+            }
+            if (typeof value === 'number') {
+                if (spec.min !== undefined && value < spec.min) problems.push(`${key} must be at least ${spec.min}, got ${value}`);
+                if (spec.max !== undefined && value > spec.max) problems.push(`${key} must be at most ${spec.max}, got ${value}`);
+            }
+            if (spec.values && !spec.values.includes(value)) {
+                problems.push(`${key} must be one of ${spec.values.join(', ')}, got "${value}"`);
+            }
+            if (spec.variables) {
+                const unknown = templateVariables(value).filter(name => !spec.variables.includes(name));
+                if (unknown.length > 0) {
+                    problems.push(`${key} uses ${unknown.map(name => `{${name}}`).join(', ')}; it can only use ${spec.variables.map(name => `{${name}}`).join(', ')}`);
+                }
+            }
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid configuration:\n- ${problems.join('\n- ')}`);
         }
         
         return true;
     }
 
     /**
-     * Reload configuration
+     * Reload configuration. Returns the previous values (for restore()) and the keys whose
+     * value changed.
      */
     reload() {
-        console.log('🔄 Reloading configuration...');
+        logger.info('Reloading configuration');
+        const previous = { config: this.config, errors: this.errors, sources: this.sources, files: this.files, profile: this.profile, envFileValues: this.envFileValues };
         this.loadConfig();
-        return this.config;
+
+        // Another profile means other files to watch
+        const profileName = (profile) => (profile ? profile.name : null);
+        if (this.watchHandler && profileName(previous.profile) !== profileName(this.profile)) {
+            this.watch(this.watchHandler.onChange, this.watchHandler.options);
+        }
+
+        const keys = new Set([...Object.keys(previous.config), ...Object.keys(this.config)]);
+        const changedKeys = [...keys].filter(key =>
+            JSON.stringify(previous.config[key]) !== JSON.stringify(this.config[key])
+        );
+        return { previous, changedKeys };
+    }
+
+    /**
+     * Put back the values from before a reload(), and watch their files again if reload()
+     * switched the watch over to another profile's
+     */
+    restore(previous) {
+        Object.assign(this, previous);
+        this.applyLogSettings();
+        if (this.watchHandler) {
+            this.watch(this.watchHandler.onChange, this.watchHandler.options);
+        }
+    }
+
+    // The logger follows LOG_LEVEL, LOG_FORMAT and LOG_REDACT_QUERIES from every (re)load on
+    applyLogSettings() {
+        logger.configure({
+            level: this.config.LOG_LEVEL,
+            format: this.config.LOG_FORMAT,
+            redactQueries: this.config.LOG_REDACT_QUERIES
+        });
+    }
+
+    /**
+     * Call onChange when any config file is created, edited or removed. Polls the files, which
+     * also catches editors that save by replacing the file. Changes are debounced.
+     */
+    watch(onChange, options = {}) {
+        const { interval = 2000, debounceMs = 500 } = options;
+        this.unwatch();
+        this.watchHandler = { onChange, options };
+        this.watchedPaths = [...new Set([
+            ...this.getParentConfigPaths(),
+            ...this.getLocalConfigPaths(),
+            ...this.files.map(file => file.path),
+            ...(this.profile ? [this.getProfileConfigPath(this.profile.name)] : []),
+            ...this.getEnvFilePaths(['.env', ...(this.profile ? [`.env.${this.profile.name}`] : [])])
+        ])];
+
+        let timer = null;
+        const listener = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+            clearTimeout(timer);
+            timer = setTimeout(onChange, debounceMs);
+        };
+        this.watchedPaths.forEach(configPath => fs.watchFile(configPath, { interval, persistent: false }, listener));
+        logger.info(`Watching ${this.watchedPaths.length} config file locations for changes`);
+    }
+
+    unwatch() {
+        (this.watchedPaths || []).forEach(configPath => fs.unwatchFile(configPath));
+        this.watchedPaths = [];
+        this.watchHandler = null;
     }
 }
 
 // Export singleton instance
 const configLoader = new ConfigLoader('karl-chat');
-module.exports = configLoader;
\ No newline at end of file
+module.exports = configLoader;
+module.exports.ConfigLoader = ConfigLoader;
+module.exports.CONFIG_SCHEMA = CONFIG_SCHEMA;
+module.exports.coerceValue = coerceValue;
+module.exports.parseEnvFile = parseEnvFile;
+module.exports.findConfigFile = findConfigFile;
\ No newline at end of file
@@ -0,0 +1,158 @@
+// backend/test/auth-store.test.js - Accounts, sessions and API keys (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuthStore } = require('../utils/auth-store');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-store-test-'));
+let fileCount = 0;
+
+// A store saving to its own file in the temp directory
+function createStore(options = {}) {
+    return new AuthStore({ filePath: path.join(tempDir, `auth-${++fileCount}.json`), ...options });
+}
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('passwords', async (t) => {
+    await t.test('are stored hashed and verified after a reload', () => {
+        const store = createStore();
+        store.createUser({ username: 'alice', password: 'correct horse' });
+
+        const saved = fs.readFileSync(store.filePath, 'utf8');
+        assert.ok(!saved.includes('correct horse'));
+        assert.match(JSON.parse(saved).users[0].passwordHash, /^scrypt:[0-9a-f]+:[0-9a-f]+$/);
+
+        const reloaded = new AuthStore({ filePath: store.filePath });
+        assert.strictEqual(reloaded.verifyCredentials('alice', 'correct horse').username, 'alice');
+        assert.strictEqual(reloaded.verifyCredentials('ALICE', 'correct horse').username, 'alice');
+    });
+
+    await t.test('a wrong password or unknown user is refused', () => {
+        const store = createStore();
+        store.createUser({ username: 'alice', password: 'correct horse' });
+        assert.strictEqual(store.verifyCredentials('alice', 'wrong horse'), null);
+        assert.strictEqual(store.verifyCredentials('bob', 'correct horse'), null);
+        assert.strictEqual(store.verifyCredentials('alice', undefined), null);
+    });
+
+    await t.test('the same password gets a different salt', () => {
+        const store = createStore();
+        store.createUser({ username: 'alice', password: 'same password' });
+        store.createUser({ username: 'bob', password: 'same password' });
+        const [alice, bob] = store.data.users;
+        assert.notStrictEqual(alice.passwordHash, bob.passwordHash);
+    });
+
+    await t.test('changing it needs the current one', () => {
+        const store = createStore();
+        const user = store.createUser({ username: 'alice', password: 'old password' });
+        assert.throws(() => store.changePassword(user.id, 'not it', 'new password'), error => error.status === 403);
+
+        store.changePassword(user.id, 'old password', 'new password');
+        assert.strictEqual(store.verifyCredentials('alice', 'old password'), null);
+        assert.ok(store.verifyCredentials('alice', 'new password'));
+    });
+
+    await t.test('short passwords are rejected', () => {
+        assert.throws(() => createStore().createUser({ username: 'alice', password: 'short' }), error => error.status === 400);
+    });
+});
+
+test('API keys', async (t) => {
+    const store = createStore();
+    const user = store.createUser({ username: 'alice', password: 'correct horse' });
+    const { key, apiKey } = store.createApiKey(user.id, { name: 'ci' });
+
+    await t.test('resolve to their account', () => {
+        const resolved = store.resolveApiKey(key);
+        assert.strictEqual(resolved.user.id, user.id);
+        assert.strictEqual(resolved.apiKey.id, apiKey.id);
+        assert.ok(resolved.apiKey.lastUsedAt);
+    });
+
+    await t.test('are only stored hashed', () => {
+        assert.ok(!fs.readFileSync(store.filePath, 'utf8').includes(key));
+        assert.strictEqual(apiKey.prefix, key.slice(0, apiKey.prefix.length));
+        assert.strictEqual(apiKey.keyHash, undefined);
+    });
+
+    await t.test('a key without the prefix is refused', () => {
+        assert.strictEqual(store.resolveApiKey(key.slice(3)), null);
+        assert.strictEqual(store.resolveApiKey(`xx_${key.slice(3)}`), null);
+        assert.strictEqual(store.resolveApiKey(undefined), null);
+    });
+
+    await t.test('an unknown key is refused', () => {
+        assert.strictEqual(store.resolveApiKey(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`), null);
+        assert.strictEqual(store.resolveApiKey('kc_'), null);
+    });
+
+    await t.test('a revoked key is refused', () => {
+        assert.strictEqual(store.deleteApiKey(apiKey.id, 'someone-else'), false);
+        assert.strictEqual(store.deleteApiKey(apiKey.id, user.id), true);
+        assert.strictEqual(store.resolveApiKey(key), null);
+    });
+
+    await t.test('limits must be non-negative integers or null', () => {
+        assert.throws(() => store.createApiKey(user.id, { name: 'x', rateLimitPerMinute: -1 }), error => error.status === 400);
+        assert.throws(() => store.createApiKey(user.id, { name: 'x', quotaPerDay: 1.5 }), error => error.status === 400);
+        assert.strictEqual(store.createApiKey(user.id, { name: 'x', rateLimitPerMinute: 0 }).apiKey.rateLimitPerMinute, 0);
+    });
+});
+
+test('sessions', async (t) => {
+    await t.test('resolve to their account until they end', () => {
+        const store = createStore();
+        const user = store.createUser({ username: 'alice', password: 'correct horse' });
+        const { token, expiresAt } = store.createSession(user.id);
+
+        assert.ok(Date.parse(expiresAt) > Date.now());
+        assert.strictEqual(store.resolveSession(token).id, user.id);
+        assert.strictEqual(store.endSession(token), true);
+        assert.strictEqual(store.resolveSession(token), null);
+    });
+
+    await t.test('expire after the TTL', () => {
+        const store = createStore({ sessionTtlMs: 0 });
+        const user = store.createUser({ username: 'alice', password: 'correct horse' });
+        const { token } = store.createSession(user.id);
+
+        assert.strictEqual(store.resolveSession(token), null);
+        assert.strictEqual(store.sessions.has(token), false);
+    });
+
+    await t.test('expired sessions are pruned when a new one starts', () => {
+        const store = createStore({ sessionTtlMs: 0 });
+        const user = store.createUser({ username: 'alice', password: 'correct horse' });
+        store.createSession(user.id);
+        store.createSession(user.id);
+        assert.strictEqual(store.sessions.size, 1);
+    });
+
+    await t.test('end when the account is deleted', () => {
+        const store = createStore();
+        store.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+        const user = store.createUser({ username: 'alice', password: 'correct horse' });
+        const { token } = store.createSession(user.id);
+        const { key } = store.createApiKey(user.id, { name: 'ci' });
+
+        assert.strictEqual(store.deleteUser(user.id), true);
+        assert.strictEqual(store.resolveSession(token), null);
+        assert.strictEqual(store.resolveApiKey(key), null);
+    });
+});
+
+test('the last admin cannot be deleted', () => {
+    const store = createStore();
+    const first = store.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+    assert.throws(() => store.deleteUser(first.id), error => error.status === 409);
+
+    const second = store.createUser({ username: 'root', password: 'correct horse', role: 'admin' });
+    assert.strictEqual(store.deleteUser(first.id), true);
+    assert.throws(() => store.deleteUser(second.id), /last admin/);
+    assert.strictEqual(store.deleteUser('missing'), false);
+});
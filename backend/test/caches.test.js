@@ -0,0 +1,167 @@
+// backend/test/caches.test.js - Answer cache and cached embeddings, without Neo4j (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AnswerCache = require('../utils/answer-cache');
+const { CachedEmbeddings } = require('../utils/embedding-cache');
+
+const SETTINGS = { model: 'llama3.2', thinking: false };
+const OPTIONS = { threshold: 0.95, ttlMs: 60 * 1000 };
+
+// Look a question up and store an answer for it when it was a miss
+function answer(cache, collection, embedding, text, settings = SETTINGS) {
+    const { key, hit } = cache.lookup({ collection, settings, embedding }, OPTIONS);
+    if (hit) return hit.answer;
+    cache.store(key, text);
+    return null;
+}
+
+test('answer cache', async (t) => {
+    await t.test('returns the answer of a near-identical question in the same scope', () => {
+        const cache = new AnswerCache();
+        answer(cache, 'docs', [1, 0, 0], 'stored');
+
+        const { hit } = cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0.01, 0] }, OPTIONS);
+        assert.strictEqual(hit.answer, 'stored');
+        assert.ok(hit.similarity >= 0.95);
+        assert.strictEqual(cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [0, 1, 0] }, OPTIONS).hit, null);
+    });
+
+    await t.test('keeps collections and settings apart', () => {
+        const cache = new AnswerCache();
+        answer(cache, 'docs', [1, 0], 'stored');
+        assert.strictEqual(cache.lookup({ collection: 'other', settings: SETTINGS, embedding: [1, 0] }, OPTIONS).hit, null);
+        assert.strictEqual(cache.lookup({ collection: 'docs', settings: { ...SETTINGS, thinking: true }, embedding: [1, 0] }, OPTIONS).hit, null);
+    });
+
+    await t.test('does not store an answer generated while its collection changed', () => {
+        const cache = new AnswerCache();
+        const { key } = cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0] }, OPTIONS);
+        cache.invalidate('docs');
+        assert.strictEqual(cache.store(key, 'stale'), false);
+        assert.strictEqual(cache.getStats().entries, 0);
+    });
+
+    await t.test('does not store an answer generated across a clear', () => {
+        const cache = new AnswerCache();
+        const { key } = cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0] }, OPTIONS);
+        cache.clear();
+        assert.strictEqual(cache.store(key, 'stale'), false);
+    });
+
+    await t.test('another collection changing does not block the store', () => {
+        const cache = new AnswerCache();
+        const { key } = cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0] }, OPTIONS);
+        cache.invalidate('other');
+        assert.strictEqual(cache.store(key, 'fresh'), true);
+    });
+
+    await t.test('invalidate only forgets the answers of that collection', () => {
+        const cache = new AnswerCache();
+        answer(cache, 'docs', [1, 0], 'a');
+        answer(cache, 'docs', [0, 1], 'b');
+        answer(cache, 'other', [1, 0], 'c');
+
+        assert.strictEqual(cache.invalidate('docs'), 2);
+        const stats = cache.getStats();
+        assert.deepStrictEqual(stats.collections, { other: 1 });
+        assert.strictEqual(stats.invalidations, 1);
+        assert.strictEqual(answer(cache, 'other', [1, 0], 'new'), 'c');
+    });
+
+    await t.test('answers older than the TTL are dropped', (t) => {
+        t.mock.method(Date, 'now', () => 1000);
+        const cache = new AnswerCache();
+        answer(cache, 'docs', [1, 0], 'old');
+
+        Date.now.mock.mockImplementation(() => 1000 + OPTIONS.ttlMs - 1);
+        assert.strictEqual(cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0] }, OPTIONS).hit.answer, 'old');
+
+        Date.now.mock.mockImplementation(() => 1000 + OPTIONS.ttlMs + 1);
+        assert.strictEqual(cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0] }, OPTIONS).hit, null);
+        assert.strictEqual(cache.getStats().entries, 0);
+    });
+
+    await t.test('keeps the newest answers beyond its limit', () => {
+        const cache = new AnswerCache({ limit: 2 });
+        answer(cache, 'docs', [1, 0, 0], 'first');
+        answer(cache, 'docs', [0, 1, 0], 'second');
+        answer(cache, 'docs', [0, 0, 1], 'third');
+
+        assert.strictEqual(cache.getStats().entries, 2);
+        assert.strictEqual(cache.lookup({ collection: 'docs', settings: SETTINGS, embedding: [1, 0, 0] }, OPTIONS).hit, null);
+    });
+
+    await t.test('counts hits and misses', () => {
+        const cache = new AnswerCache();
+        answer(cache, 'docs', [1, 0], 'a');
+        answer(cache, 'docs', [1, 0], 'a');
+        const { hits, misses, hitRate } = cache.getStats();
+        assert.deepStrictEqual({ hits, misses, hitRate }, { hits: 1, misses: 1, hitRate: 0.5 });
+    });
+});
+
+// An EmbeddingCache stand-in that keeps vectors in a Map by model and text
+function stubCache(cached = {}) {
+    const vectors = new Map(Object.entries(cached).map(([text, vector]) => [`m\u0000${text}`, vector]));
+    return {
+        stored: [],
+        async lookup(model, texts) {
+            return texts.map(text => vectors.get(`${model}\u0000${text}`) || null);
+        },
+        async store(model, texts, embedded) {
+            this.stored.push(...texts);
+            texts.forEach((text, index) => vectors.set(`${model}\u0000${text}`, embedded[index]));
+        }
+    };
+}
+
+// Embeddings that record which texts they were asked for; a text's vector is [its length]
+function stubEmbeddings() {
+    return {
+        calls: [],
+        async embedDocuments(texts) {
+            this.calls.push(texts);
+            return texts.map(text => [text.length]);
+        },
+        async embedQuery(text) {
+            this.calls.push([text]);
+            return [text.length];
+        }
+    };
+}
+
+test('cached embeddings', async (t) => {
+    await t.test('embed only the texts missing from the cache, each once, and keep the order', async () => {
+        const cache = stubCache({ bb: [99] });
+        const embeddings = stubEmbeddings();
+        const cached = new CachedEmbeddings({ embeddings, cache, model: 'm' });
+
+        const vectors = await cached.embedDocuments(['a', 'bb', 'ccc', 'a', 'bb']);
+        assert.deepStrictEqual(vectors, [[1], [99], [3], [1], [99]]);
+        assert.deepStrictEqual(embeddings.calls, [['a', 'ccc']]);
+        assert.deepStrictEqual(cache.stored, ['a', 'ccc']);
+    });
+
+    await t.test('ask the provider nothing when everything is cached', async () => {
+        const embeddings = stubEmbeddings();
+        const cached = new CachedEmbeddings({ embeddings, cache: stubCache(), model: 'm' });
+
+        await cached.embedDocuments(['a', 'bb']);
+        assert.deepStrictEqual(await cached.embedDocuments(['bb', 'a']), [[2], [1]]);
+        assert.deepStrictEqual(await cached.embedQuery('a'), [1]);
+        assert.strictEqual(embeddings.calls.length, 1);
+    });
+
+    await t.test('embed queries with embedQuery', async () => {
+        const embeddings = stubEmbeddings();
+        const cached = new CachedEmbeddings({ embeddings, cache: stubCache(), model: 'm' });
+        assert.deepStrictEqual(await cached.embedQuery('query'), [5]);
+        assert.deepStrictEqual(embeddings.calls, [['query']]);
+    });
+
+    await t.test('no texts, no lookup', async () => {
+        const cached = new CachedEmbeddings({ embeddings: stubEmbeddings(), cache: null, model: 'm' });
+        assert.deepStrictEqual(await cached.embedDocuments([]), []);
+    });
+});
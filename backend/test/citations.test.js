@@ -0,0 +1,39 @@
+// backend/test/citations.test.js - Numbered sources and citation extraction (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+
+const { toSources, formatContext, extractCitedIndexes } = require('../utils/citations');
+const fixtures = require('./fixtures/citation-outputs');
+
+test('cited indexes', async (t) => {
+    for (const fixture of fixtures) {
+        await t.test(fixture.name, () => {
+            assert.deepStrictEqual(extractCitedIndexes(fixture.text, fixture.sourceCount), fixture.expected);
+        });
+    }
+});
+
+test('sources', async (t) => {
+    const results = [
+        [new Document({ pageContent: 'Ollama runs models.', metadata: { chunk_id: 'c1', source: 'https://ollama.com', title: 'Ollama' } }), 0.912345],
+        [new Document({ pageContent: 'Windows preview.', metadata: {} }), undefined]
+    ];
+
+    await t.test('are numbered from 1 in retrieval order', () => {
+        const [first, second] = toSources(results);
+        assert.strictEqual(first.index, 1);
+        assert.strictEqual(first.chunkId, 'c1');
+        assert.strictEqual(first.score, 0.9123);
+        assert.strictEqual(second.index, 2);
+        assert.strictEqual(second.source, 'unknown');
+        assert.strictEqual(second.score, null);
+    });
+
+    await t.test('render as numbered context passages', () => {
+        assert.strictEqual(
+            formatContext(toSources(results)),
+            '[1] (source: https://ollama.com)\nOllama runs models.\n\n[2] (source: unknown)\nWindows preview.'
+        );
+    });
+});
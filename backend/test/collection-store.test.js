@@ -0,0 +1,183 @@
+// backend/test/collection-store.test.js - Collection definitions and their validation (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CollectionStore, DEFAULT_COLLECTION } = require('../utils/collection-store');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-store-test-'));
+let fileCount = 0;
+
+// The configured knowledge base, as Server.js describes it
+const defaultCollection = () => ({
+    description: 'Configured knowledge base',
+    indexName: 'vector_index',
+    keywordIndexName: 'keyword_index',
+    nodeLabel: 'Document',
+    sourceLabel: 'Source',
+    sources: ['https://ollama.com'],
+    chunkSize: 1000,
+    chunkOverlap: 200
+});
+
+function createStore() {
+    return new CollectionStore({ filePath: path.join(tempDir, `collections-${++fileCount}.json`), defaultCollection });
+}
+
+const status = (code) => (error) => error.status === code;
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('creating collections', async (t) => {
+    await t.test('derives storage names from the name and chunking from the default', () => {
+        const collection = createStore().create({ name: 'runbooks', sources: [' https://example.com/a ', 'https://example.com/a'] });
+        assert.deepStrictEqual(
+            {
+                indexName: collection.indexName,
+                keywordIndexName: collection.keywordIndexName,
+                nodeLabel: collection.nodeLabel,
+                sourceLabel: collection.sourceLabel,
+                sources: collection.sources,
+                chunkSize: collection.chunkSize,
+                chunkOverlap: collection.chunkOverlap,
+                builtIn: collection.builtIn
+            },
+            {
+                indexName: 'runbooks_vector_index',
+                keywordIndexName: 'runbooks_keyword_index',
+                nodeLabel: 'Document_runbooks',
+                sourceLabel: 'Source_runbooks',
+                sources: ['https://example.com/a'],
+                chunkSize: 1000,
+                chunkOverlap: 200,
+                builtIn: false
+            }
+        );
+    });
+
+    await t.test('are saved and loaded again', () => {
+        const store = createStore();
+        store.create({ name: 'runbooks', chunkSize: 500, chunkOverlap: 50 });
+        const reloaded = new CollectionStore({ filePath: store.filePath, defaultCollection });
+        assert.deepStrictEqual(reloaded.list().map(collection => collection.name), [DEFAULT_COLLECTION, 'runbooks']);
+        assert.strictEqual(reloaded.get('runbooks').chunkSize, 500);
+    });
+
+    await t.test('names must be lowercase identifiers of at most 40 characters', () => {
+        const store = createStore();
+        for (const name of ['Runbooks', '1st', '_x', 'run-books', 'a b', 'a'.repeat(41), '', undefined]) {
+            assert.throws(() => store.create({ name }), status(400), String(name));
+        }
+        assert.strictEqual(store.create({ name: `a${'_1'.repeat(19)}` }).name.length, 39);
+    });
+
+    await t.test('names are unique and "default" is taken', () => {
+        const store = createStore();
+        store.create({ name: 'runbooks' });
+        assert.throws(() => store.create({ name: 'runbooks' }), status(409));
+        assert.throws(() => store.create({ name: DEFAULT_COLLECTION }), status(409));
+    });
+
+    await t.test('sources must be http(s) URLs', () => {
+        const store = createStore();
+        for (const sources of ['https://example.com', ['ftp://example.com'], ['file:///etc/passwd'], [42]]) {
+            assert.throws(() => store.create({ name: 'docs', sources }), status(400));
+        }
+    });
+
+    await t.test('chunking must leave room for the overlap', () => {
+        const store = createStore();
+        assert.throws(() => store.create({ name: 'docs', chunkSize: 99 }), status(400));
+        assert.throws(() => store.create({ name: 'docs', chunkSize: 500, chunkOverlap: 500 }), status(400));
+        assert.throws(() => store.create({ name: 'docs', chunkSize: 500.5 }), status(400));
+        assert.throws(() => store.create({ name: 'docs', chunkOverlap: -1 }), status(400));
+    });
+});
+
+test('storage names', async (t) => {
+    await t.test('only plain identifiers reach the Cypher queries', () => {
+        const store = createStore();
+        const injections = [
+            'Document`) DETACH DELETE n //',
+            'Doc ument',
+            'Document:Admin',
+            'idx; DROP INDEX vector_index',
+            '1Document',
+            '_Document',
+            'Dökument',
+            'a'.repeat(65)
+        ];
+        for (const field of ['indexName', 'keywordIndexName', 'nodeLabel', 'sourceLabel']) {
+            for (const value of injections) {
+                assert.throws(() => store.create({ name: 'docs', [field]: value }), status(400), `${field}: ${value}`);
+            }
+        }
+        assert.strictEqual(store.list().length, 1);
+        assert.ok(!fs.existsSync(store.filePath));
+    });
+
+    await t.test('custom identifiers are accepted', () => {
+        const collection = createStore().create({ name: 'docs', indexName: 'Docs_Index_2', nodeLabel: 'DocsChunk' });
+        assert.strictEqual(collection.indexName, 'Docs_Index_2');
+        assert.strictEqual(collection.nodeLabel, 'DocsChunk');
+    });
+
+    await t.test('cannot be shared with another collection, the default one included', () => {
+        const store = createStore();
+        store.create({ name: 'runbooks' });
+        assert.throws(() => store.create({ name: 'docs', nodeLabel: 'Document' }), status(409));
+        assert.throws(() => store.create({ name: 'docs', indexName: 'vector_index' }), status(409));
+        assert.throws(() => store.create({ name: 'docs', sourceLabel: 'Source_runbooks' }), status(409));
+        assert.throws(() => store.create({ name: 'docs', keywordIndexName: 'runbooks_keyword_index' }), /already used by collection runbooks/);
+    });
+});
+
+test('updating collections', async (t) => {
+    await t.test('reports whether the chunking changed', () => {
+        const store = createStore();
+        store.create({ name: 'docs', chunkSize: 500, chunkOverlap: 50 });
+
+        const described = store.update('docs', { description: 'Runbooks', sources: ['https://example.com'] });
+        assert.strictEqual(described.chunkingChanged, false);
+        assert.strictEqual(described.collection.description, 'Runbooks');
+
+        assert.strictEqual(store.update('docs', { chunkSize: 500 }).chunkingChanged, false);
+        assert.strictEqual(store.update('docs', { chunkOverlap: 100 }).chunkingChanged, true);
+        assert.strictEqual(store.get('docs').chunkOverlap, 100);
+    });
+
+    await t.test('index names, labels and the name are fixed', () => {
+        const store = createStore();
+        store.create({ name: 'docs' });
+        for (const field of ['name', 'indexName', 'keywordIndexName', 'nodeLabel', 'sourceLabel']) {
+            assert.throws(() => store.update('docs', { [field]: 'Other' }), status(400), field);
+        }
+        assert.strictEqual(store.get('docs').nodeLabel, 'Document_docs');
+    });
+
+    await t.test('invalid changes leave the collection as it was', () => {
+        const store = createStore();
+        store.create({ name: 'docs', chunkSize: 500, chunkOverlap: 50 });
+        assert.throws(() => store.update('docs', { description: 'new', chunkOverlap: 600 }), status(400));
+        assert.strictEqual(store.get('docs').description, '');
+        assert.strictEqual(store.get('docs').chunkOverlap, 50);
+    });
+
+    await t.test('the default collection is changed through the configuration', () => {
+        const store = createStore();
+        assert.throws(() => store.update(DEFAULT_COLLECTION, { description: 'x' }), status(400));
+        assert.throws(() => store.update('missing', {}), status(404));
+    });
+});
+
+test('deleting collections', () => {
+    const store = createStore();
+    store.create({ name: 'docs' });
+    assert.throws(() => store.delete(DEFAULT_COLLECTION), status(400));
+    assert.strictEqual(store.delete('missing'), null);
+    assert.strictEqual(store.delete('docs').name, 'docs');
+    assert.strictEqual(store.get('docs'), null);
+    assert.strictEqual(store.get('').name, DEFAULT_COLLECTION);
+});
@@ -0,0 +1,323 @@
+// backend/test/config.test.js - Configuration schema, coercion, validation, files and profiles (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ConfigLoader, CONFIG_SCHEMA, coerceValue, parseEnvFile, findConfigFile } = require('../config');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'karl-config-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// A loader that reads its files from the temp directory instead of the repository
+class TempDirConfigLoader extends ConfigLoader {
+    getParentConfigPaths() {
+        return [path.join(directory, 'config.json')];
+    }
+
+    getLocalConfigPaths() {
+        return [path.join(directory, 'static_settings.json')];
+    }
+
+    getProfileConfigPath(profile) {
+        return path.join(directory, 'profiles', `${profile}.json`);
+    }
+
+    getEnvFilePaths(names) {
+        return names.map(name => path.join(directory, name));
+    }
+}
+
+function writeFiles(files) {
+    Object.entries(files).forEach(([name, content]) => {
+        const filePath = path.join(directory, name);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    });
+}
+
+function clearFiles() {
+    fs.readdirSync(directory).forEach(entry => fs.rmSync(path.join(directory, entry), { recursive: true, force: true }));
+}
+
+// Run fn with environment variables set (undefined removes one), then put them back
+function withEnv(variables, fn) {
+    const saved = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+    const apply = (values) => Object.entries(values).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    });
+    apply(variables);
+    try {
+        return fn();
+    } finally {
+        apply(saved);
+    }
+}
+
+const load = (variables = {}) => withEnv({ CONFIG_PROFILE: undefined, NODE_ENV: undefined, ...variables }, () => new TempDirConfigLoader());
+
+test('coercion', async (t) => {
+    const spec = (type) => ({ type });
+
+    await t.test('numbers and integers', () => {
+        assert.strictEqual(coerceValue('K', ' 8 ', spec('integer')), 8);
+        assert.strictEqual(coerceValue('K', 8, spec('integer')), 8);
+        assert.strictEqual(coerceValue('W', '0.25', spec('number')), 0.25);
+        assert.throws(() => coerceValue('K', '8.5', spec('integer')), /K must be an integer, got 8.5/);
+        assert.throws(() => coerceValue('K', 'eight', spec('integer')), /K must be a number, got "eight"/);
+        assert.throws(() => coerceValue('K', '', spec('number')), /must be a number/);
+        assert.throws(() => coerceValue('K', 'Infinity', spec('number')), /must be a number/);
+    });
+
+    await t.test('booleans', () => {
+        for (const value of ['true', 'TRUE', ' yes ', '1', 'on', true]) {
+            assert.strictEqual(coerceValue('B', value, spec('boolean')), true, String(value));
+        }
+        for (const value of ['false', 'No', '0', 'off', false]) {
+            assert.strictEqual(coerceValue('B', value, spec('boolean')), false, String(value));
+        }
+        for (const value of ['', 'maybe', '2', 'enabled']) {
+            assert.throws(() => coerceValue('B', value, spec('boolean')), /B must be true or false/, value);
+        }
+    });
+
+    await t.test('arrays from JSON or comma-separated text', () => {
+        assert.deepStrictEqual(coerceValue('A', '["a", "b,c"]', spec('array')), ['a', 'b,c']);
+        assert.deepStrictEqual(coerceValue('A', ' a, b ,,c ', spec('array')), ['a', 'b', 'c']);
+        assert.deepStrictEqual(coerceValue('A', [1, 'b'], spec('array')), ['1', 'b']);
+        assert.deepStrictEqual(coerceValue('A', '', spec('array')), []);
+        assert.throws(() => coerceValue('A', '[a, b]', spec('array')), /A is not a valid JSON array/);
+    });
+
+    await t.test('strings', () => {
+        assert.strictEqual(coerceValue('S', 42, spec('string')), '42');
+    });
+});
+
+test('schema', async (t) => {
+    await t.test('every key has a known type and a default that fits it', () => {
+        const types = ['string', 'integer', 'number', 'boolean', 'array'];
+        for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+            assert.ok(types.includes(spec.type), `${key} type ${spec.type}`);
+            assert.ok(spec.group && spec.description, `${key} group and description`);
+            if (spec.default === undefined) continue;
+            assert.deepStrictEqual(coerceValue(key, spec.default, spec), spec.default, `${key} default`);
+            if (spec.values) assert.ok(spec.values.includes(spec.default), `${key} default in values`);
+            if (spec.min !== undefined) assert.ok(spec.default >= spec.min, `${key} default >= min`);
+            if (spec.max !== undefined) assert.ok(spec.default <= spec.max, `${key} default <= max`);
+        }
+    });
+
+    await t.test('the defaults are valid', () => {
+        assert.strictEqual(load().validate(), true);
+    });
+});
+
+test('environment variables', async (t) => {
+    await t.test('override defaults under their key name, coerced to the key type', () => {
+        const config = load({ RETRIEVER_K: '7', HYBRID_VECTOR_WEIGHT: '0.8', SYNC_SOURCES_ON_STARTUP: 'no', DOCUMENT_URLS: 'https://a.example, https://b.example' });
+        assert.strictEqual(config.get('RETRIEVER_K'), 7);
+        assert.strictEqual(config.get('HYBRID_VECTOR_WEIGHT'), 0.8);
+        assert.strictEqual(config.get('SYNC_SOURCES_ON_STARTUP'), false);
+        assert.deepStrictEqual(config.get('DOCUMENT_URLS'), ['https://a.example', 'https://b.example']);
+    });
+
+    await t.test('use the env name a key declares', () => {
+        assert.strictEqual(load({ PORT: '8080', SERVER_PORT: undefined }).get('SERVER_PORT'), 8080);
+        assert.strictEqual(load({ PORT: undefined, SERVER_PORT: '8080' }).get('SERVER_PORT'), 5000);
+    });
+
+    await t.test('empty variables are ignored', () => {
+        assert.strictEqual(load({ RETRIEVER_K: '' }).get('RETRIEVER_K'), 4);
+    });
+});
+
+test('validation', async (t) => {
+    const problems = (variables) => {
+        try {
+            load(variables).validate();
+            return [];
+        } catch (error) {
+            return error.message.split('\n- ').slice(1);
+        }
+    };
+
+    await t.test('reports values that could not be coerced', () => {
+        assert.deepStrictEqual(problems({ RETRIEVER_K: 'four' }), ['RETRIEVER_K must be a number, got "four"']);
+    });
+
+    await t.test('reports values out of range', () => {
+        assert.deepStrictEqual(problems({ RETRIEVER_K: '0', HYBRID_VECTOR_WEIGHT: '1.5' }), [
+            'RETRIEVER_K must be at least 1, got 0',
+            'HYBRID_VECTOR_WEIGHT must be at most 1, got 1.5'
+        ]);
+    });
+
+    await t.test('reports values that are not allowed', () => {
+        assert.deepStrictEqual(problems({ RETRIEVAL_MODE: 'semantic' }), ['RETRIEVAL_MODE must be one of vector, keyword, hybrid, got "semantic"']);
+    });
+
+    await t.test('reports placeholders a prompt is not filled with', () => {
+        assert.deepStrictEqual(problems({ RERANK_PROMPT: 'Rank {passages} for {query}' }), ['RERANK_PROMPT uses {query}; it can only use {question}, {passages}']);
+        assert.deepStrictEqual(problems({ RAG_PROMPT: '{history}\n{context}\n{ question }' }), []);
+        assert.deepStrictEqual(problems({ GRAPH_EXTRACTION_PROMPT: 'Answer as {{"entities": []}} for {text}' }), []);
+    });
+
+    await t.test('reports every problem at once', () => {
+        assert.strictEqual(problems({ RETRIEVER_K: 'x', CHUNK_SIZE: '10', LLM_PROVIDER: 'other' }).length, 3);
+    });
+});
+
+test('sensitive values are masked', () => {
+    const config = load({ NEO4J_PASSWORD: 'hunter2', LLM_API_KEY: 'sk-test' });
+    assert.strictEqual(config.get('NEO4J_PASSWORD'), 'hunter2');
+    assert.strictEqual(config.getSafeConfig().NEO4J_PASSWORD, '***');
+    assert.strictEqual(config.getSafeConfig().LLM_API_KEY, '***');
+
+    const schema = Object.fromEntries(config.getSchema().map(entry => [entry.key, entry]));
+    assert.strictEqual(schema.NEO4J_PASSWORD.value, '***');
+    assert.strictEqual(schema.NEO4J_PASSWORD.default, '***');
+    assert.strictEqual(schema.NEO4J_PASSWORD.sensitive, true);
+    assert.strictEqual(schema.RETRIEVER_K.value, 4);
+});
+
+test('.env files', async (t) => {
+    await t.test('parse assignments, exports, quotes and comments', () => {
+        const values = parseEnvFile([
+            '# a comment',
+            'PLAIN=value',
+            'export EXPORTED = spaced value  ',
+            'DOUBLE="quoted # not a comment"',
+            "SINGLE='single\\nquoted'",
+            'MULTILINE="line one\\nline two"',
+            'TRAILING=value # a comment',
+            'HASH=a#b',
+            'EMPTY=',
+            'not an assignment',
+            '   '
+        ].join('\r\n'));
+        assert.deepStrictEqual(values, {
+            PLAIN: 'value',
+            EXPORTED: 'spaced value',
+            DOUBLE: 'quoted # not a comment',
+            SINGLE: 'single\\nquoted',
+            MULTILINE: 'line one\nline two',
+            TRAILING: 'value',
+            HASH: 'a#b',
+            EMPTY: ''
+        });
+    });
+
+    await t.test('set values the environment does not, and never override it', (t) => {
+        t.after(clearFiles);
+        writeFiles({ '.env': 'RETRIEVER_K=6\nCHUNK_SIZE=900\n' });
+        const config = load({ CHUNK_SIZE: '700' });
+        assert.strictEqual(config.get('RETRIEVER_K'), 6);
+        assert.strictEqual(config.get('CHUNK_SIZE'), 700);
+        assert.deepStrictEqual(config.getConfigSources().keys.RETRIEVER_K, { source: 'env-file', variable: 'RETRIEVER_K', file: path.join(directory, '.env') });
+        assert.deepStrictEqual(config.getConfigSources().keys.CHUNK_SIZE, { source: 'env', variable: 'CHUNK_SIZE' });
+    });
+});
+
+test('config files', async (t) => {
+    await t.test('are found despite a small typo or a different case', (t) => {
+        t.after(clearFiles);
+        writeFiles({ 'Statis_Settings.json': {}, 'other.txt': '' });
+        const expected = path.join(directory, 'static_settings.json');
+        assert.strictEqual(findConfigFile(expected), path.join(directory, 'Statis_Settings.json'));
+        assert.strictEqual(findConfigFile(expected, { maxDistance: 0 }), null);
+        assert.strictEqual(findConfigFile(path.join(directory, 'settings.json')), null);
+        assert.strictEqual(findConfigFile(path.join(directory, 'other.json')), null);
+        assert.strictEqual(findConfigFile(path.join(directory, 'missing', 'config.json')), null);
+    });
+
+    await t.test('local settings override parent settings, and module sections apply', (t) => {
+        t.after(clearFiles);
+        writeFiles({
+            'config.json': { RETRIEVER_K: 3, CHUNK_SIZE: 800, 'karl-chat': { CHUNK_OVERLAP: 50 } },
+            'statc_settings.json': { RETRIEVER_K: 5 }
+        });
+        const config = load();
+        assert.strictEqual(config.get('RETRIEVER_K'), 5);
+        assert.strictEqual(config.get('CHUNK_SIZE'), 800);
+        assert.strictEqual(config.get('CHUNK_OVERLAP'), 50);
+        assert.deepStrictEqual(config.getConfigSources().files.map(file => file.type), ['parent', 'local']);
+    });
+});
+
+test('profiles', async (t) => {
+    t.beforeEach(() => writeFiles({
+        'static_settings.json': { RETRIEVER_K: 5, CHUNK_SIZE: 800 },
+        'profiles/prod.json': { RETRIEVER_K: 8 },
+        '.env.prod': 'CHUNK_SIZE=1200\n'
+    }));
+    t.afterEach(clearFiles);
+
+    await t.test('merge over the local settings and under the environment', () => {
+        const config = load({ CONFIG_PROFILE: 'prod', CHUNK_OVERLAP: '100' });
+        assert.strictEqual(config.get('RETRIEVER_K'), 8);
+        assert.strictEqual(config.get('CHUNK_SIZE'), 1200);
+        assert.strictEqual(config.get('CHUNK_OVERLAP'), 100);
+        assert.strictEqual(config.getConfigSources().profile, 'prod');
+        assert.deepStrictEqual(config.getConfigSources().keys.RETRIEVER_K, { source: 'file', file: path.join(directory, 'profiles', 'prod.json') });
+    });
+
+    await t.test('are selected through NODE_ENV when CONFIG_PROFILE is not set', () => {
+        const config = load({ NODE_ENV: 'production' });
+        assert.strictEqual(config.get('RETRIEVER_K'), 8);
+        assert.strictEqual(config.get('CONFIG_PROFILE'), 'prod');
+        assert.deepStrictEqual(config.getConfigSources().keys.CONFIG_PROFILE, { source: 'env', variable: 'NODE_ENV' });
+    });
+
+    await t.test('can be selected from the .env file', () => {
+        writeFiles({ '.env': 'CONFIG_PROFILE=prod\n' });
+        assert.strictEqual(load().get('RETRIEVER_K'), 8);
+    });
+
+    await t.test('are not used without a selection', () => {
+        assert.strictEqual(load().get('RETRIEVER_K'), 5);
+    });
+
+    await t.test('must be a plain name', () => {
+        const config = load({ CONFIG_PROFILE: '../prod' });
+        assert.strictEqual(config.getConfigSources().profile, null);
+        assert.throws(() => config.validate(), /CONFIG_PROFILE must be a plain name/);
+    });
+});
+
+test('reload and restore', async (t) => {
+    t.afterEach(clearFiles);
+
+    await t.test('report the changed keys and put the previous values back', () => {
+        writeFiles({ 'static_settings.json': { RETRIEVER_K: 5 } });
+        const config = load();
+        writeFiles({ 'static_settings.json': { RETRIEVER_K: 6, CHUNK_SIZE: 900 } });
+
+        const { previous, changedKeys } = config.reload();
+        assert.deepStrictEqual(changedKeys.sort(), ['CHUNK_SIZE', 'RETRIEVER_K']);
+        assert.strictEqual(config.get('RETRIEVER_K'), 6);
+
+        config.restore(previous);
+        assert.strictEqual(config.get('RETRIEVER_K'), 5);
+        assert.strictEqual(config.get('CHUNK_SIZE'), 1000);
+    });
+
+    await t.test('restore watches the previous profile\'s files again', () => {
+        writeFiles({ 'profiles/prod.json': { RETRIEVER_K: 8 } });
+        const config = load();
+        config.watch(() => {});
+        t.after(() => config.unwatch());
+        const watched = config.watchedPaths;
+        const prodProfile = path.join(directory, 'profiles', 'prod.json');
+        assert.ok(!watched.includes(prodProfile));
+
+        const { previous } = withEnv({ CONFIG_PROFILE: 'prod' }, () => config.reload());
+        assert.ok(config.watchedPaths.includes(prodProfile));
+
+        config.restore(previous);
+        assert.deepStrictEqual(config.watchedPaths, watched);
+        assert.ok(config.watchHandler);
+    });
+});
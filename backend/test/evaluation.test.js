@@ -0,0 +1,82 @@
+// backend/test/evaluation.test.js - Evaluation datasets, retrieval metrics and judge parsing (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeCases, retrievalMetrics, parseJudgement, summarize } = require('../utils/evaluation');
+
+test('dataset cases', async (t) => {
+    await t.test('are trimmed and get defaults', () => {
+        assert.deepStrictEqual(normalizeCases([{ question: '  What is Ollama? ', expectedSources: [' https://ollama.com ', ''] }]), [
+            { question: 'What is Ollama?', expectedSources: ['https://ollama.com'], referenceAnswer: null }
+        ]);
+    });
+
+    await t.test('invalid ones are rejected with a 400', () => {
+        for (const cases of [[], null, [{ question: ' ' }], [{ question: 'q', expectedSources: 'https://ollama.com' }]]) {
+            assert.throws(() => normalizeCases(cases), error => error.status === 400);
+        }
+    });
+});
+
+test('retrieval metrics', async (t) => {
+    await t.test('hit, reciprocal rank and recall from the first expected source', () => {
+        const metrics = retrievalMetrics(['a', 'b', 'c', 'b'], ['b', 'c', 'd', 'e']);
+        assert.deepStrictEqual(metrics, { hit: 1, reciprocalRank: 0.5, recall: 0.5 });
+    });
+
+    await t.test('zero when no expected source was retrieved', () => {
+        assert.deepStrictEqual(retrievalMetrics(['a'], ['b']), { hit: 0, reciprocalRank: 0, recall: 0 });
+    });
+
+    await t.test('sources match regardless of case and trailing slashes', () => {
+        assert.deepStrictEqual(retrievalMetrics(['HTTPS://Ollama.com/'], ['https://ollama.com']), { hit: 1, reciprocalRank: 1, recall: 1 });
+    });
+
+    await t.test('null without expected sources', () => {
+        assert.strictEqual(retrievalMetrics(['a'], []), null);
+    });
+});
+
+test('judge responses', async (t) => {
+    await t.test('scores 1-5 are normalised to 0-1', () => {
+        assert.deepStrictEqual(parseJudgement('{"score": 4, "reason": "Mostly supported."}'), { score: 0.75, rawScore: 4, reason: 'Mostly supported.' });
+        assert.strictEqual(parseJudgement('{"score": "1"}').score, 0);
+    });
+
+    await t.test('reasoning and surrounding text are ignored', () => {
+        assert.strictEqual(parseJudgement('<think>{"score": 1}</think>Here you go: {"score": 5}').rawScore, 5);
+    });
+
+    await t.test('missing JSON or scores out of range are errors', () => {
+        assert.throws(() => parseJudgement('Five'), /No JSON object/);
+        assert.throws(() => parseJudgement('{"score": 6}'), /out of range/);
+        assert.throws(() => parseJudgement('{"reason": "no score"}'), /out of range/);
+    });
+});
+
+test('run summary', async (t) => {
+    await t.test('averages each metric over the cases that have it', () => {
+        const summary = summarize([
+            { retrieval: { hit: 1, reciprocalRank: 1, recall: 1 }, judgement: { faithfulness: { score: 1 }, answerRelevance: { score: 0.5 } }, latencyMs: 100 },
+            { retrieval: { hit: 0, reciprocalRank: 0, recall: 0.5 }, judgement: { faithfulness: { score: null }, answerRelevance: { score: 0 } }, latencyMs: 300 },
+            { retrieval: null, error: 'Model unavailable', latencyMs: 200 }
+        ], 4);
+
+        assert.deepStrictEqual(summary, {
+            cases: 3,
+            failed: 1,
+            casesWithExpectedSources: 2,
+            hitRate: 0.5,
+            mrr: 0.5,
+            'recall@4': 0.75,
+            faithfulness: 1,
+            answerRelevance: 0.25,
+            avgLatencyMs: 200
+        });
+    });
+
+    await t.test('metrics no case has are null', () => {
+        const summary = summarize([{ retrieval: null, latencyMs: 50 }], 3);
+        assert.deepStrictEqual([summary.hitRate, summary['recall@3'], summary.faithfulness], [null, null, null]);
+    });
+});
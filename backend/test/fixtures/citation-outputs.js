@@ -0,0 +1,52 @@
+// Answers with inline citations and the source numbers extractCitedIndexes should find
+
+module.exports = [
+    {
+        name: 'single citations',
+        text: 'Ollama runs models locally [1]. It has an OpenAI-compatible API [3].',
+        sourceCount: 3,
+        expected: [1, 3]
+    },
+    {
+        name: 'adjacent citations',
+        text: 'It supports Windows [2][1].',
+        sourceCount: 2,
+        expected: [1, 2]
+    },
+    {
+        name: 'comma-separated citations',
+        text: 'Both are supported [1, 3] and [2,4].',
+        sourceCount: 4,
+        expected: [1, 2, 3, 4]
+    },
+    {
+        name: 'repeated citations are listed once',
+        text: 'First [2]. Again [2]. And [2, 2].',
+        sourceCount: 2,
+        expected: [2]
+    },
+    {
+        name: 'numbers outside the sources are ignored',
+        text: 'See [0], [4] and [12] but also [3].',
+        sourceCount: 3,
+        expected: [3]
+    },
+    {
+        name: 'brackets that are not citations',
+        text: 'Use arr[i] or [see above] or [1a] or [ 2 ].',
+        sourceCount: 3,
+        expected: []
+    },
+    {
+        name: 'no citations',
+        text: 'Ollama runs models locally.',
+        sourceCount: 3,
+        expected: []
+    },
+    {
+        name: 'empty answer',
+        text: null,
+        sourceCount: 3,
+        expected: []
+    }
+];
@@ -0,0 +1,66 @@
+// Raw entity extraction responses and the graph parseGraphJson should make of them
+
+module.exports = [
+    {
+        name: 'plain JSON',
+        output: '{"entities": [{"name": "Ollama", "type": "Software"}, {"name": "Llama 3", "type": "Model"}], "relations": [{"source": "Ollama", "target": "Llama 3", "type": "runs"}]}',
+        expected: {
+            entities: [
+                { key: 'ollama', name: 'Ollama', type: 'Software' },
+                { key: 'llama 3', name: 'Llama 3', type: 'Model' }
+            ],
+            relations: [{ source: 'ollama', target: 'llama 3', type: 'RUNS' }]
+        }
+    },
+    {
+        name: 'reasoning and a code fence around the JSON',
+        output: '<think>The text mentions {Ollama}.</think>\nHere it is:\n```json\n{"entities": [{"name": "Ollama"}], "relations": []}\n```',
+        expected: {
+            entities: [{ key: 'ollama', name: 'Ollama', type: 'Concept' }],
+            relations: []
+        }
+    },
+    {
+        name: 'names are trimmed and keyed case- and space-insensitively',
+        output: '{"entities": [{"name": "  Neo4j   Vector Index ", "type": " "}], "relations": []}',
+        expected: {
+            entities: [{ key: 'neo4j vector index', name: 'Neo4j   Vector Index', type: 'Concept' }],
+            relations: []
+        }
+    },
+    {
+        name: 'relation types become upper-case identifiers',
+        output: '{"entities": [{"name": "A"}, {"name": "B"}], "relations": [{"source": "a", "target": "B", "type": "is part-of"}, {"source": "B", "target": "A", "type": "--"}, {"source": "A", "target": "B"}]}',
+        expected: {
+            entities: [{ key: 'a', name: 'A', type: 'Concept' }, { key: 'b', name: 'B', type: 'Concept' }],
+            relations: [
+                { source: 'a', target: 'b', type: 'IS_PART_OF' },
+                { source: 'b', target: 'a', type: 'RELATED' },
+                { source: 'a', target: 'b', type: 'RELATED' }
+            ]
+        }
+    },
+    {
+        name: 'invalid entities and relations to unknown or the same entity are dropped',
+        output: '{"entities": [{"name": "A"}, {"name": ""}, {"type": "Model"}, null, {"name": 3}], "relations": [{"source": "A", "target": "Z"}, {"source": "A", "target": "a"}, {"source": "A"}]}',
+        expected: {
+            entities: [{ key: 'a', name: 'A', type: 'Concept' }],
+            relations: []
+        }
+    },
+    {
+        name: 'missing lists are empty',
+        output: '{"note": "nothing here"}',
+        expected: { entities: [], relations: [] }
+    },
+    {
+        name: 'no JSON object',
+        output: 'I could not find any entities.',
+        error: /No JSON object/
+    },
+    {
+        name: 'malformed JSON',
+        output: '{"entities": [{"name": "A"},]}',
+        error: SyntaxError
+    }
+];
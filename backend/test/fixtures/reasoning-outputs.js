@@ -0,0 +1,168 @@
+// Raw model outputs and what the reasoning parser should make of them
+
+module.exports = [
+    {
+        name: 'plain answer without reasoning',
+        model: 'llama3.2',
+        output: 'Ollama runs large language models locally.',
+        expected: { thinking: null, response: 'Ollama runs large language models locally.' }
+    },
+    {
+        name: 'prompted <think> block',
+        model: 'llama3.2',
+        output: '<think>\nThe user asks about Ollama.\n\nI should explain what it does.\n</think>\n\nOllama runs models locally.',
+        expected: {
+            thinking: 'The user asks about Ollama.\n\nI should explain what it does.',
+            response: 'Ollama runs models locally.',
+            steps: ['The user asks about Ollama.', 'I should explain what it does.'],
+            source: 'tags',
+            truncated: false
+        }
+    },
+    {
+        name: 'uppercase tags',
+        model: 'llama3.2',
+        output: '<THINK>short</THINK>Answer.',
+        expected: { thinking: 'short', response: 'Answer.' }
+    },
+    {
+        name: '<thinking> variant',
+        model: 'mistral',
+        output: '<thinking>Compare both options.</thinking>\nOption A is better.',
+        expected: { thinking: 'Compare both options.', response: 'Option A is better.' }
+    },
+    {
+        name: '<reasoning> variant',
+        model: 'gemma3:4b',
+        output: '<reasoning>Check the units first.</reasoning>The result is 42 km.',
+        expected: { thinking: 'Check the units first.', response: 'The result is 42 km.' }
+    },
+    {
+        name: 'multiple blocks are joined in order',
+        model: 'llama3.2',
+        output: '<think>First, find the source.</think>It is in the manual. <think>Then check the version.</think>Version 2 added it.',
+        expected: {
+            thinking: 'First, find the source.\n\nThen check the version.',
+            response: 'It is in the manual. Version 2 added it.',
+            steps: ['First, find the source.', 'Then check the version.']
+        }
+    },
+    {
+        name: 'unterminated block from truncated output',
+        model: 'llama3.2',
+        output: 'Sure.\n<think>Step 1: read the question\nStep 2: look up the',
+        expected: {
+            thinking: 'Step 1: read the question\nStep 2: look up the',
+            response: 'Sure.',
+            steps: ['Step 1: read the question', 'Step 2: look up the'],
+            truncated: true
+        }
+    },
+    {
+        name: 'numbered steps in one paragraph',
+        model: 'llama3.2',
+        output: '<think>1. Parse the date\n2. Convert to UTC\n3. Format it</think>2024-01-01T00:00:00Z',
+        expected: {
+            response: '2024-01-01T00:00:00Z',
+            steps: ['1. Parse the date', '2. Convert to UTC', '3. Format it']
+        }
+    },
+    {
+        name: 'deepseek-r1 with the opening tag in the chat template',
+        model: 'deepseek-r1:8b',
+        output: 'Okay, the user wants a definition.\n</think>\n\nRAG combines retrieval with generation.',
+        expected: {
+            thinking: 'Okay, the user wants a definition.',
+            response: 'RAG combines retrieval with generation.',
+            source: 'tags'
+        }
+    },
+    {
+        name: 'deepseek-r1 with an empty think block',
+        model: 'deepseek-r1:1.5b',
+        output: '<think>\n\n</think>\n\nHello!',
+        expected: { thinking: null, response: 'Hello!' }
+    },
+    {
+        name: 'qwen3 is parsed like deepseek-r1 and ignores <reasoning>',
+        model: 'qwen3:8b',
+        output: '<think>Plan the answer.</think>Use <reasoning> tags for XML.',
+        expected: { thinking: 'Plan the answer.', response: 'Use <reasoning> tags for XML.', parser: 'deepseek-r1' }
+    },
+    {
+        name: 'magistral [THINK] tags',
+        model: 'magistral:24b',
+        output: '[THINK]Check both constraints.[/THINK]Both hold.',
+        expected: { thinking: 'Check both constraints.', response: 'Both hold.', parser: 'magistral' }
+    },
+    {
+        name: 'English heuristic for untagged reasoning',
+        model: 'llama3.2',
+        output: 'Let me think about this carefully: the question is about vector indexes in Neo4j.\n\nNeo4j supports vector indexes since 5.11.',
+        expected: {
+            thinking: 'Let me think about this carefully: the question is about vector indexes in Neo4j.',
+            response: 'Neo4j supports vector indexes since 5.11.',
+            source: 'heuristic'
+        }
+    },
+    {
+        name: 'short heuristic preamble is not reasoning',
+        model: 'llama3.2',
+        output: 'Let me think about this.\n\nThe answer is 4.',
+        expected: { thinking: null, response: 'Let me think about this.\n\nThe answer is 4.' }
+    },
+    {
+        name: 'native reasoning models get no English heuristics',
+        model: 'deepseek-r1:8b',
+        output: 'Let me think about this carefully: the question is about vector indexes in Neo4j.\n\nThey exist.',
+        expected: { thinking: null }
+    },
+    {
+        name: 'the none parser keeps tags as answer text',
+        family: 'none',
+        output: '<think>not reasoning</think> is an XML-looking tag.',
+        expected: { thinking: null, response: '<think>not reasoning</think> is an XML-looking tag.' }
+    },
+    {
+        name: 'LangChain message with content parts',
+        model: 'llama3.2',
+        output: { content: [{ type: 'text', text: '<think>Consider edge cases.</think>' }, { type: 'text', text: 'Handle empty input.' }] },
+        expected: { thinking: 'Consider edge cases.', response: 'Handle empty input.' }
+    },
+    {
+        name: 'Ollama thinking field in additional_kwargs',
+        model: 'qwen3:8b',
+        output: { content: 'Paris.', additional_kwargs: { thinking: 'The capital of France is Paris.' } },
+        expected: { thinking: 'The capital of France is Paris.', response: 'Paris.', source: 'native', parser: 'deepseek-r1' }
+    },
+    {
+        name: 'OpenAI-compatible reasoning_content in additional_kwargs',
+        model: 'local-model',
+        output: { content: 'Yes.', additional_kwargs: { reasoning_content: 'Check the docs.\n\nThey say yes.' } },
+        expected: { thinking: 'Check the docs.\n\nThey say yes.', response: 'Yes.', source: 'native', steps: ['Check the docs.', 'They say yes.'] }
+    },
+    {
+        name: 'native reasoning comes before tagged reasoning',
+        model: 'llama3.2',
+        output: { content: '<think>tagged</think>Done.', additional_kwargs: { reasoning_content: 'native' } },
+        expected: { thinking: 'native\n\ntagged', response: 'Done.', source: 'native' }
+    },
+    {
+        name: 'Ollama chat message with a thinking field',
+        model: 'qwen3:8b',
+        output: { role: 'assistant', content: 'Paris.', thinking: 'Recall capitals.' },
+        expected: { thinking: 'Recall capitals.', response: 'Paris.', source: 'native' }
+    },
+    {
+        name: 'empty native reasoning is ignored',
+        model: 'qwen3:8b',
+        output: { content: 'Paris.', additional_kwargs: { thinking: '' } },
+        expected: { thinking: null, response: 'Paris.' }
+    },
+    {
+        name: 'empty output',
+        model: 'llama3.2',
+        output: null,
+        expected: { thinking: null, response: '' }
+    }
+];
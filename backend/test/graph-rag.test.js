@@ -0,0 +1,23 @@
+// backend/test/graph-rag.test.js - Entity extraction responses (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseGraphJson, entityKey } = require('../utils/graph-rag');
+const fixtures = require('./fixtures/graph-extractions');
+
+test('graph extraction fixtures', async (t) => {
+    for (const fixture of fixtures) {
+        await t.test(fixture.name, () => {
+            if (fixture.error) {
+                assert.throws(() => parseGraphJson(fixture.output), fixture.error);
+            } else {
+                assert.deepStrictEqual(parseGraphJson(fixture.output), fixture.expected);
+            }
+        });
+    }
+});
+
+test('entity keys ignore case and repeated spaces', () => {
+    assert.strictEqual(entityKey('  Llama\t 3 '), 'llama 3');
+    assert.strictEqual(entityKey('OLLAMA'), entityKey('ollama'));
+});
@@ -0,0 +1,199 @@
+// backend/test/job-queue.test.js - Background job queue (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+
+const { JobQueue, JobCancelledError } = require('../utils/job-queue');
+const logger = require('../utils/logger');
+
+// Keep the queue's job log lines out of the test output
+mock.method(logger, 'info', () => {});
+mock.method(logger, 'error', () => {});
+
+// A promise the test resolves when it wants a job to finish
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+}
+
+// Wait until the queue has nothing queued or running
+async function settled(queue) {
+    while (queue.active().length > 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+test('jobs run one at a time in the order they were queued', async () => {
+    const queue = new JobQueue();
+    const order = [];
+    const gates = [deferred(), deferred(), deferred()];
+
+    const jobs = gates.map((gate, index) => queue.enqueue({ type: 'ingest' }, async () => {
+        order.push(`start ${index}`);
+        await gate.promise;
+        order.push(`end ${index}`);
+        return index;
+    }));
+
+    assert.deepStrictEqual(queue.active().map(job => job.status), ['running', 'queued', 'queued']);
+    gates[2].resolve();
+    gates[1].resolve();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(order, ['start 0']);
+
+    gates[0].resolve();
+    await settled(queue);
+    assert.deepStrictEqual(order, ['start 0', 'end 0', 'start 1', 'end 1', 'start 2', 'end 2']);
+    assert.deepStrictEqual(jobs.map(job => queue.get(job.id).result), [0, 1, 2]);
+    assert.deepStrictEqual(queue.list().map(job => job.id), jobs.map(job => job.id).reverse());
+});
+
+test('a failed job records its error and the queue moves on', async () => {
+    const queue = new JobQueue();
+    const failed = queue.enqueue({ type: 'ingest' }, async () => { throw new Error('Neo4j unavailable'); });
+    const next = queue.enqueue({ type: 'ingest' }, async () => 'ok');
+    await settled(queue);
+
+    assert.strictEqual(queue.get(failed.id).status, 'failed');
+    assert.strictEqual(queue.get(failed.id).error, 'Neo4j unavailable');
+    assert.strictEqual(queue.get(next.id).status, 'completed');
+    assert.deepStrictEqual(queue.list({ status: 'failed' }).map(job => job.id), [failed.id]);
+});
+
+test('cancelling', async (t) => {
+    await t.test('a queued job never runs', async () => {
+        const queue = new JobQueue();
+        const gate = deferred();
+        queue.enqueue({ type: 'ingest' }, () => gate.promise);
+        let ran = false;
+        const queued = queue.enqueue({ type: 'ingest', sources: ['https://example.com'] }, async () => { ran = true; });
+
+        const cancelled = queue.cancel(queued.id);
+        assert.strictEqual(cancelled.status, 'cancelled');
+        assert.deepStrictEqual(cancelled.sources.map(entry => entry.stage), ['cancelled']);
+
+        gate.resolve();
+        await settled(queue);
+        assert.strictEqual(ran, false);
+    });
+
+    await t.test('a running job stops at its next throwIfCancelled', async () => {
+        const queue = new JobQueue();
+        const gate = deferred();
+        const stages = [];
+        const job = queue.enqueue({ type: 'ingest', sources: ['a', 'b'] }, async ({ throwIfCancelled, updateSource }) => {
+            updateSource('a', { stage: 'done', chunks: 3 });
+            await gate.promise;
+            throwIfCancelled();
+            stages.push('after cancel');
+        });
+
+        const requested = queue.cancel(job.id);
+        assert.strictEqual(requested.status, 'running');
+        assert.strictEqual(requested.cancelRequested, true);
+
+        gate.resolve();
+        await settled(queue);
+        const finished = queue.get(job.id);
+        assert.strictEqual(finished.status, 'cancelled');
+        assert.strictEqual(finished.error, null);
+        assert.deepStrictEqual(finished.sources.map(entry => entry.stage), ['done', 'cancelled']);
+        assert.deepStrictEqual(stages, []);
+    });
+
+    await t.test('throwIfCancelled does nothing until cancel is asked', async () => {
+        const queue = new JobQueue();
+        const job = queue.enqueue({ type: 'ingest' }, async ({ throwIfCancelled }) => {
+            throwIfCancelled();
+            return 'done';
+        });
+        await settled(queue);
+        assert.strictEqual(queue.get(job.id).status, 'completed');
+    });
+
+    await t.test('a JobCancelledError thrown by the job cancels it', async () => {
+        const queue = new JobQueue();
+        const job = queue.enqueue({ type: 'ingest' }, async () => { throw new JobCancelledError(); });
+        await settled(queue);
+        assert.strictEqual(queue.get(job.id).status, 'cancelled');
+    });
+
+    await t.test('a finished job cannot be cancelled', async () => {
+        const queue = new JobQueue();
+        const job = queue.enqueue({ type: 'ingest' }, async () => 'done');
+        await settled(queue);
+        assert.throws(() => queue.cancel(job.id), error => error.status === 409 && /already completed/.test(error.message));
+        assert.strictEqual(queue.cancel('missing'), null);
+    });
+});
+
+test('progress counts sources by stage', async () => {
+    const queue = new JobQueue();
+    const gate = deferred();
+    const job = queue.enqueue({ type: 'ingest', sources: ['a', 'b', 'c'] }, async ({ updateSource, setStep }) => {
+        setStep('embedding');
+        updateSource('a', { stage: 'done', chunks: 4, added: 3, removed: 1 });
+        updateSource('b', { stage: 'failed', error: 'HTTP 404' });
+        updateSource('c', { stage: 'embed' });
+        updateSource('d', { stage: 'fetch' });
+        await gate.promise;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    const running = queue.get(job.id);
+    assert.strictEqual(running.step, 'embedding');
+    assert.deepStrictEqual(running.progress, {
+        total: 4, done: 1, failed: 1, cancelled: 0, queued: 0, active: 2, chunks: 4, embeddedChunks: 3, removedChunks: 1
+    });
+
+    gate.resolve();
+    await settled(queue);
+    const finished = queue.get(job.id);
+    assert.strictEqual(finished.step, null);
+    assert.deepStrictEqual(finished.sources.map(entry => entry.stage), ['done', 'failed', 'cancelled', 'cancelled']);
+});
+
+test('history keeps the last historyLimit finished jobs and every active one', async () => {
+    const queue = new JobQueue({ historyLimit: 2 });
+    const finished = [];
+    for (let i = 0; i < 4; i++) {
+        finished.push(queue.enqueue({ type: 'ingest' }, async () => i));
+        await settled(queue);
+    }
+    const gate = deferred();
+    const running = queue.enqueue({ type: 'rebuild' }, () => gate.promise);
+    const queued = queue.enqueue({ type: 'ingest' }, async () => 'later');
+    queue.prune();
+
+    assert.deepStrictEqual(
+        queue.list().map(job => job.id),
+        [queued.id, running.id, finished[3].id, finished[2].id]
+    );
+    assert.strictEqual(queue.get(finished[0].id), null);
+    assert.deepStrictEqual(queue.list({ type: 'rebuild' }).map(job => job.id), [running.id]);
+
+    gate.resolve();
+    await settled(queue);
+    assert.deepStrictEqual(queue.list().map(job => job.id), [queued.id, running.id]);
+});
+
+test('payloads and run functions never leave the queue', async () => {
+    const queue = new JobQueue();
+    const payload = { files: [{ name: 'a.pdf', buffer: Buffer.from('secret') }] };
+    const gate = deferred();
+    const job = queue.enqueue({ type: 'ingest', payload }, () => gate.promise);
+
+    const views = [job, queue.get(job.id), ...queue.list(), ...queue.active(), queue.cancel(job.id)];
+    gate.resolve();
+    await settled(queue);
+    views.push(queue.get(job.id));
+
+    for (const view of views) {
+        assert.ok(!('payload' in view) && !('run' in view));
+        assert.ok(!JSON.stringify(view).includes('secret'));
+    }
+    assert.strictEqual(queue.getPayload(job.id), payload);
+    assert.strictEqual(queue.getPayload('missing'), null);
+});
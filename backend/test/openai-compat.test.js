@@ -0,0 +1,159 @@
+// backend/test/openai-compat.test.js - OpenAI chat completion requests and wire format (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const openAICompat = require('../utils/openai-compat');
+const { openEventStream } = require('../utils/sse');
+
+// Just enough of an Express response to record what an event stream writes
+function fakeResponse() {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        written: '',
+        ended: false,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        set(headers) { Object.assign(this.headers, headers); return this; },
+        flushHeaders() {},
+        write(text) { this.written += text; },
+        end() { this.ended = true; }
+    });
+    return res;
+}
+
+test('conversation from messages', async (t) => {
+    await t.test('the last user message is the question, the rest the history', () => {
+        const { question, conversation } = openAICompat.toConversation([
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'What is Ollama?' },
+            { role: 'assistant', content: 'A local model runner.' },
+            { role: 'user', content: '  Does it run on Windows? ' }
+        ]);
+        assert.strictEqual(question, 'Does it run on Windows?');
+        assert.deepStrictEqual(conversation.messages, [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'What is Ollama?' },
+            { role: 'assistant', content: 'A local model runner.' }
+        ]);
+        assert.strictEqual(conversation.history, 'System: Be brief.\nUser: What is Ollama?\nAssistant: A local model runner.');
+        assert.strictEqual(conversation.sessionId, null);
+    });
+
+    await t.test('a single message has no conversation', () => {
+        assert.deepStrictEqual(openAICompat.toConversation([{ role: 'user', content: 'Hi' }]), { question: 'Hi', conversation: null });
+    });
+
+    await t.test('content parts contribute their text parts', () => {
+        const { question, conversation } = openAICompat.toConversation([
+            { role: 'assistant', content: [{ type: 'text', text: 'Earlier' }, { type: 'image_url', image_url: { url: 'x' } }] },
+            { role: 'user', content: [{ type: 'text', text: 'Describe' }, { type: 'text', text: 'this' }] }
+        ]);
+        assert.strictEqual(question, 'Describe\nthis');
+        assert.strictEqual(conversation.history, 'Assistant: Earlier');
+    });
+
+    await t.test('tool messages, unknown roles and empty messages are left out', () => {
+        const { conversation } = openAICompat.toConversation([
+            { role: 'tool', content: 'result' },
+            { role: 'developer', content: 'ignored' },
+            { role: 'assistant', content: '' },
+            null,
+            { role: 'user', content: 'Question' }
+        ]);
+        assert.strictEqual(conversation, null);
+    });
+
+    await t.test('keeps the last maxMessages earlier messages', () => {
+        const messages = Array.from({ length: 5 }, (_, index) => ({ role: 'user', content: `m${index}` }));
+        const { question, conversation } = openAICompat.toConversation(messages, 2);
+        assert.strictEqual(question, 'm4');
+        assert.deepStrictEqual(conversation.messages.map(message => message.content), ['m2', 'm3']);
+    });
+
+    await t.test('rejects requests that do not end with a user question', () => {
+        for (const messages of [[], undefined, [{ role: 'assistant', content: 'Hi' }], [{ role: 'user', content: ' ' }]]) {
+            assert.throws(() => openAICompat.toConversation(messages), error => error.status === 400);
+        }
+    });
+});
+
+test('completions', async (t) => {
+    await t.test('reasoning goes in reasoning_content', () => {
+        const completion = openAICompat.toCompletion({
+            id: 'chatcmpl-1',
+            created: 1700000000,
+            model: 'karl-rag',
+            parsedResponse: { response: 'Paris.', thinking: 'Recall capitals.' },
+            extra: { sources: [] }
+        });
+        assert.deepStrictEqual(completion, {
+            id: 'chatcmpl-1',
+            object: 'chat.completion',
+            created: 1700000000,
+            model: 'karl-rag',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'Paris.', reasoning_content: 'Recall capitals.' }, finish_reason: 'stop' }],
+            sources: []
+        });
+    });
+
+    await t.test('no reasoning_content without reasoning', () => {
+        const completion = openAICompat.toCompletion({ id: 'x', created: 0, model: 'm', parsedResponse: { response: 'Hi', thinking: null } });
+        assert.deepStrictEqual(Object.keys(completion.choices[0].message), ['role', 'content']);
+    });
+
+    await t.test('IDs look like OpenAI ones', () => {
+        assert.match(openAICompat.completionId(), /^chatcmpl-[0-9a-f]{32}$/);
+    });
+});
+
+test('streamed chunks', async (t) => {
+    await t.test('are framed as data-only events ending with [DONE]', () => {
+        const res = fakeResponse();
+        const stream = openEventStream(res);
+        const chunk = (fields) => openAICompat.toChunk({ id: 'chatcmpl-1', created: 1700000000, model: 'llama3.2', ...fields });
+
+        stream.sendData(chunk({ delta: { role: 'assistant', content: '' } }));
+        stream.sendData(chunk({ delta: { content: 'Hi' } }));
+        stream.sendData(chunk({ finishReason: 'stop' }));
+        stream.sendData('[DONE]');
+        stream.close();
+
+        assert.strictEqual(res.headers['Content-Type'], 'text/event-stream');
+        assert.ok(res.ended);
+        const events = res.written.split('\n\n');
+        assert.strictEqual(events.pop(), '');
+        assert.ok(events.every(event => event.startsWith('data: ') && !event.includes('\n')));
+        assert.strictEqual(events[events.length - 1], 'data: [DONE]');
+
+        const [first, second, last] = events.slice(0, -1).map(event => JSON.parse(event.slice('data: '.length)));
+        assert.deepStrictEqual(first, {
+            id: 'chatcmpl-1',
+            object: 'chat.completion.chunk',
+            created: 1700000000,
+            model: 'llama3.2',
+            choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]
+        });
+        assert.deepStrictEqual(second.choices, [{ index: 0, delta: { content: 'Hi' }, finish_reason: null }]);
+        assert.deepStrictEqual(last.choices, [{ index: 0, delta: {}, finish_reason: 'stop' }]);
+    });
+
+    await t.test('nothing is written once the client went away', () => {
+        const res = fakeResponse();
+        const stream = openEventStream(res);
+        res.emit('close');
+        stream.sendData('[DONE]');
+        assert.strictEqual(res.written, '');
+    });
+});
+
+test('errors use the OpenAI envelope', () => {
+    const res = fakeResponse();
+    res.json = (body) => { res.body = body; };
+    openAICompat.sendError(res, 400, 'model is required');
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.body, { error: { message: 'model is required', type: 'invalid_request_error', code: null } });
+
+    openAICompat.sendError(res, 503, 'down');
+    assert.strictEqual(res.body.error.type, 'server_error');
+});
@@ -0,0 +1,89 @@
+// backend/test/providers.test.js - Native reasoning kept by the chat model clients (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ThinkingChatOllama, ReasoningChatOpenAICompletions } = require('../utils/providers');
+
+// A ThinkingChatOllama whose Ollama client streams the given messages and records the requests
+function fakeOllama(messages) {
+    const llm = new ThinkingChatOllama({ model: 'qwen3:8b' });
+    const requests = [];
+    llm.client = {
+        chat: async (request) => {
+            requests.push(request);
+            return (async function* () {
+                for (const message of messages) {
+                    yield { model: 'qwen3:8b', message: { role: 'assistant', ...message }, done: false };
+                }
+            })();
+        },
+        abort() {}
+    };
+    return { llm, requests };
+}
+
+const THINKING_STREAM = [
+    { content: '', thinking: 'Recall ' },
+    { content: '', thinking: 'capitals.' },
+    { content: 'Paris.' }
+];
+
+test('Ollama', async (t) => {
+    await t.test('sends the think option only when it is given', async () => {
+        const { llm, requests } = fakeOllama([{ content: 'Hi.' }]);
+        await llm.invoke('Hello');
+        await llm.bind({ think: true }).invoke('Hello');
+        await llm.bind({ think: false }).invoke('Hello');
+        assert.deepStrictEqual(requests.map(request => request.think), [undefined, true, false]);
+        assert.ok(!('think' in requests[0]));
+    });
+
+    await t.test('keeps streamed thinking on its chunks', async () => {
+        const { llm } = fakeOllama(THINKING_STREAM);
+        const chunks = [];
+        for await (const chunk of await llm.stream('Capital of France?')) {
+            chunks.push(chunk);
+        }
+        assert.deepStrictEqual(chunks.map(chunk => chunk.additional_kwargs.thinking), ['Recall ', 'capitals.', undefined, undefined]);
+        assert.deepStrictEqual(chunks.map(chunk => chunk.content), ['', '', 'Paris.', '']);
+    });
+
+    await t.test('keeps the thinking on the whole message', async () => {
+        const { llm } = fakeOllama(THINKING_STREAM);
+        const message = await llm.invoke('Capital of France?');
+        assert.strictEqual(message.content, 'Paris.');
+        assert.strictEqual(message.additional_kwargs.thinking, 'Recall capitals.');
+    });
+
+    await t.test('concurrent calls keep their own thinking', async () => {
+        const { llm } = fakeOllama(THINKING_STREAM);
+        const [first, second] = await Promise.all([llm.invoke('a'), llm.invoke('b')]);
+        assert.strictEqual(first.additional_kwargs.thinking, 'Recall capitals.');
+        assert.strictEqual(second.additional_kwargs.thinking, 'Recall capitals.');
+    });
+});
+
+test('OpenAI-compatible servers', async (t) => {
+    const completions = new ReasoningChatOpenAICompletions({ model: 'local-model', apiKey: 'not-needed' });
+    const raw = { id: 'chatcmpl-1', model: 'local-model', choices: [{ index: 0 }] };
+
+    await t.test('keep reasoning_content and reasoning from messages', () => {
+        const message = completions._convertCompletionsMessageToBaseMessage({ role: 'assistant', content: 'Yes.', reasoning_content: 'Check.' }, raw);
+        assert.strictEqual(message.content, 'Yes.');
+        assert.strictEqual(message.additional_kwargs.reasoning_content, 'Check.');
+
+        const ollama = completions._convertCompletionsMessageToBaseMessage({ role: 'assistant', content: 'Yes.', reasoning: 'Think.' }, raw);
+        assert.strictEqual(ollama.additional_kwargs.reasoning_content, 'Think.');
+    });
+
+    await t.test('keep reasoning_content from streamed deltas', () => {
+        const chunk = completions._convertCompletionsDeltaToBaseMessageChunk({ content: null, reasoning_content: 'Che' }, raw, 'assistant');
+        assert.strictEqual(chunk.content, '');
+        assert.strictEqual(chunk.additional_kwargs.reasoning_content, 'Che');
+    });
+
+    await t.test('add nothing without reasoning', () => {
+        const message = completions._convertCompletionsMessageToBaseMessage({ role: 'assistant', content: 'Yes.' }, raw);
+        assert.ok(!('reasoning_content' in message.additional_kwargs));
+    });
+});
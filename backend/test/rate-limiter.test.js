@@ -0,0 +1,108 @@
+// backend/test/rate-limiter.test.js - Per-minute rate limits and daily quotas (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RateLimiter = require('../utils/rate-limiter');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// 10:00:00 UTC on some day, so minute and day windows start here
+const START = Date.UTC(2026, 0, 15, 10, 0, 0);
+
+test('rate limit', async (t) => {
+    await t.test('allows perMinute requests, then refuses with the seconds until the next minute', () => {
+        const limiter = new RateLimiter();
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(limiter.consume('key', { perMinute: 3 }, START + i * 1000).allowed, true);
+        }
+
+        const refused = limiter.consume('key', { perMinute: 3 }, START + 15 * 1000);
+        assert.strictEqual(refused.allowed, false);
+        assert.strictEqual(refused.reason, 'rate');
+        assert.strictEqual(refused.retryAfter, 45);
+        assert.strictEqual(refused.rate.remaining, 0);
+        assert.strictEqual(refused.rate.resetAt, new Date(START + MINUTE_MS).toISOString());
+    });
+
+    await t.test('starts over in the next minute', () => {
+        const limiter = new RateLimiter();
+        limiter.consume('key', { perMinute: 1 }, START);
+        assert.strictEqual(limiter.consume('key', { perMinute: 1 }, START + MINUTE_MS - 1).allowed, false);
+
+        const next = limiter.consume('key', { perMinute: 1 }, START + MINUTE_MS);
+        assert.strictEqual(next.allowed, true);
+        assert.strictEqual(next.rate.remaining, 0);
+    });
+
+    await t.test('refused requests are not counted', () => {
+        const limiter = new RateLimiter();
+        limiter.consume('key', { perMinute: 1 }, START);
+        limiter.consume('key', { perMinute: 1 }, START + 1000);
+        assert.deepStrictEqual(limiter.usage('key', START + 2000), { requestsThisMinute: 1, requestsToday: 1 });
+    });
+
+    await t.test('identities are counted separately', () => {
+        const limiter = new RateLimiter();
+        limiter.consume('a', { perMinute: 1 }, START);
+        assert.strictEqual(limiter.consume('b', { perMinute: 1 }, START).allowed, true);
+    });
+});
+
+test('daily quota', async (t) => {
+    await t.test('refuses with the seconds until midnight UTC once used up', () => {
+        const limiter = new RateLimiter();
+        limiter.consume('key', { perDay: 2 }, START);
+        limiter.consume('key', { perDay: 2 }, START + MINUTE_MS);
+
+        const refused = limiter.consume('key', { perDay: 2 }, START + 2 * MINUTE_MS);
+        assert.strictEqual(refused.allowed, false);
+        assert.strictEqual(refused.reason, 'quota');
+        assert.strictEqual(refused.retryAfter, 14 * 60 * 60 - 2 * 60);
+        assert.strictEqual(refused.quota.resetAt, new Date(Date.UTC(2026, 0, 16)).toISOString());
+    });
+
+    await t.test('starts over on the next UTC day', () => {
+        const limiter = new RateLimiter();
+        limiter.consume('key', { perDay: 1 }, START);
+        const nextDay = Date.UTC(2026, 0, 16);
+        assert.strictEqual(limiter.consume('key', { perDay: 1 }, nextDay - 1).allowed, false);
+        assert.strictEqual(limiter.consume('key', { perDay: 1 }, nextDay).allowed, true);
+        assert.deepStrictEqual(limiter.usage('key', nextDay), { requestsThisMinute: 1, requestsToday: 1 });
+    });
+
+    await t.test('the rate limit is reported before the quota', () => {
+        const limiter = new RateLimiter();
+        limiter.consume('key', { perMinute: 1, perDay: 1 }, START);
+        assert.strictEqual(limiter.consume('key', { perMinute: 1, perDay: 1 }, START).reason, 'rate');
+    });
+});
+
+test('0 or null is unlimited', async (t) => {
+    for (const limit of [0, null]) {
+        await t.test(String(limit), () => {
+            const limiter = new RateLimiter();
+            let result;
+            for (let i = 0; i < 500; i++) {
+                result = limiter.consume('key', { perMinute: limit, perDay: limit }, START);
+                assert.strictEqual(result.allowed, true);
+            }
+            assert.strictEqual(result.retryAfter, 0);
+            assert.deepStrictEqual(
+                [result.rate.limit, result.rate.remaining, result.quota.limit, result.quota.remaining],
+                [null, null, null, null]
+            );
+            assert.strictEqual(limiter.usage('key', START).requestsToday, 500);
+        });
+    }
+
+    await t.test('without limits', () => {
+        assert.strictEqual(new RateLimiter().consume('key', undefined, START).allowed, true);
+    });
+});
+
+test('usage is zero for unknown identities and past windows', () => {
+    const limiter = new RateLimiter();
+    assert.deepStrictEqual(limiter.usage('nobody', START), { requestsThisMinute: 0, requestsToday: 0 });
+    limiter.consume('key', {}, START);
+    assert.deepStrictEqual(limiter.usage('key', START + DAY_MS), { requestsThisMinute: 0, requestsToday: 0 });
+});
@@ -0,0 +1,170 @@
+// backend/test/reasoning-parser.test.js - Fixture tests for reasoning trace parsing (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { createDefaultRegistry } = require('../utils/reasoning-parser');
+const ThinkingStreamParser = require('../utils/thinking-stream');
+const fixtures = require('./fixtures/reasoning-outputs');
+
+const registry = createDefaultRegistry();
+
+test('reasoning parser fixtures', async (t) => {
+    for (const fixture of fixtures) {
+        await t.test(fixture.name, () => {
+            const parsed = registry.parse(fixture.output, { model: fixture.model, family: fixture.family });
+            const { expected } = fixture;
+
+            if (expected.thinking !== undefined) assert.strictEqual(parsed.thinking, expected.thinking);
+            if (expected.response !== undefined) assert.strictEqual(parsed.response, expected.response);
+            assert.strictEqual(parsed.hasThinking, parsed.thinking !== null);
+
+            if (expected.steps) assert.deepStrictEqual(parsed.reasoning.steps, expected.steps);
+            if (expected.source) assert.strictEqual(parsed.reasoning.source, expected.source);
+            if (expected.parser) assert.strictEqual(parsed.reasoning.parser, expected.parser);
+            if (expected.truncated !== undefined) assert.strictEqual(parsed.reasoning.truncated, expected.truncated);
+        });
+    }
+});
+
+test('family selection', async (t) => {
+    await t.test('matches the model name without its tag', () => {
+        assert.strictEqual(registry.familyFor({ model: 'deepseek-r1:70b' }).name, 'deepseek-r1');
+        assert.strictEqual(registry.familyFor({ model: 'QwQ:latest' }).name, 'deepseek-r1');
+        assert.strictEqual(registry.familyFor({ model: 'llama3.2' }).name, 'default');
+        assert.strictEqual(registry.familyFor({}).name, 'default');
+    });
+
+    await t.test('an explicit family wins over the model name', () => {
+        assert.strictEqual(registry.familyFor({ model: 'deepseek-r1:8b', family: 'none' }).name, 'none');
+    });
+
+    await t.test('unknown families are rejected', () => {
+        assert.throws(() => registry.familyFor({ family: 'nope' }), /Unknown reasoning parser "nope"/);
+    });
+
+    await t.test('custom families can be registered', () => {
+        const custom = createDefaultRegistry().register('pipes', {
+            match: /^pipes/,
+            parse: (text) => {
+                const [thinking, response] = text.split('|||');
+                return response === undefined ? null : { blocks: [thinking], response, truncated: false };
+            }
+        });
+        const parsed = custom.parse('plan|||answer', { model: 'pipes-7b' });
+        assert.strictEqual(parsed.thinking, 'plan');
+        assert.strictEqual(parsed.response, 'answer');
+        assert.strictEqual(parsed.reasoning.source, 'custom');
+    });
+});
+
+test('stream parser', async (t) => {
+    const collect = (parser, chunks) => {
+        const segments = chunks.flatMap(chunk => parser.push(chunk)).concat(parser.flush());
+        const text = (type) => segments.filter(segment => segment.type === type).map(segment => segment.text).join('');
+        return { thinking: text('thinking'), response: text('response') };
+    };
+
+    await t.test('handles tags split across chunks', () => {
+        const result = collect(new ThinkingStreamParser(), ['<thi', 'nk>reason', 'ing</th', 'ink>answer']);
+        assert.deepStrictEqual(result, { thinking: 'reasoning', response: 'answer' });
+    });
+
+    await t.test('uses the family tags', () => {
+        const parser = registry.createStreamParser({ model: 'magistral' });
+        const result = collect(parser, ['[THI', 'NK]plan[/THINK]', 'done']);
+        assert.deepStrictEqual(result, { thinking: 'plan', response: 'done' });
+    });
+
+    await t.test('treats text before a close tag as thinking when the template opened the block', () => {
+        const parser = registry.createStreamParser({ model: 'deepseek-r1:8b' });
+        const result = collect(parser, ['I reason', ' here</th', 'ink>\n\nThe answer']);
+        assert.deepStrictEqual(result, { thinking: 'I reason here', response: '\n\nThe answer' });
+    });
+
+    await t.test('streams as response when an implicit-open model never closes a block', () => {
+        const parser = registry.createStreamParser({ model: 'qwen3' });
+        assert.deepStrictEqual(collect(parser, ['Just ', 'the answer']), { thinking: '', response: 'Just the answer' });
+        const tagged = registry.createStreamParser({ model: 'qwen3' });
+        assert.deepStrictEqual(collect(tagged, ['Hi <think>x</think>y']), { thinking: 'x', response: 'Hi y' });
+    });
+
+    await t.test('holds back only a bounded prefix while the block may have been opened by the template', () => {
+        const parser = new ThinkingStreamParser({ implicitOpen: true, holdBack: 10 });
+        assert.deepStrictEqual(parser.push('short'), []);
+        assert.deepStrictEqual(parser.push(' answer text'), [{ type: 'response', text: 'short answer text' }]);
+
+        const late = new ThinkingStreamParser({ implicitOpen: true, holdBack: 10 });
+        assert.deepStrictEqual(late.push('no tag <th'), []);
+        assert.deepStrictEqual(late.push('ink>x</think>y'), [
+            { type: 'response', text: 'no tag ' },
+            { type: 'thinking', text: 'x' },
+            { type: 'response', text: 'y' }
+        ]);
+
+        const closed = new ThinkingStreamParser({ implicitOpen: true, holdBack: 10 });
+        assert.deepStrictEqual(closed.push('plan</think>answer'), [
+            { type: 'thinking', text: 'plan' },
+            { type: 'response', text: 'answer' }
+        ]);
+    });
+
+    await t.test('supports several tag variants', () => {
+        const parser = registry.createStreamParser({ model: 'llama3.2' });
+        const result = collect(parser, ['<reasoning>a</reasoning>b<thinking>c</thinking>d']);
+        assert.deepStrictEqual(result, { thinking: 'ac', response: 'bd' });
+    });
+
+    await t.test('the none family streams everything as response', () => {
+        const parser = registry.createStreamParser({ family: 'none' });
+        const result = collect(parser, ['<think>x</think>y']);
+        assert.deepStrictEqual(result, { thinking: '', response: '<think>x</think>y' });
+    });
+});
+
+test('output parser', async (t) => {
+    const streamed = async (parser, chunks) => {
+        let text = '';
+        for await (const part of parser.transform((async function* () { yield* chunks; })(), {})) {
+            text += part;
+        }
+        return text;
+    };
+    const chunk = (content, thinking) => new AIMessageChunk({ content, additional_kwargs: thinking ? { thinking } : {} });
+
+    await t.test('puts native reasoning ahead of the text in the family tags', async () => {
+        const parser = registry.createOutputParser({ model: 'qwen3:8b' });
+        const output = await parser.invoke(new AIMessage({ content: 'Paris.', additional_kwargs: { thinking: 'Recall capitals.' } }));
+        assert.strictEqual(output, '<think>Recall capitals.</think>Paris.');
+        assert.strictEqual(registry.parse(output, { model: 'qwen3:8b' }).thinking, 'Recall capitals.');
+
+        const magistral = registry.createOutputParser({ model: 'magistral' });
+        assert.strictEqual(await magistral.invoke(new AIMessage({ content: 'Yes.', additional_kwargs: { reasoning_content: 'Check.' } })), '[THINK]Check.[/THINK]Yes.');
+    });
+
+    await t.test('leaves text without native reasoning as it is', async () => {
+        const parser = registry.createOutputParser({ model: 'llama3.2' });
+        assert.strictEqual(await parser.invoke(new AIMessage('<think>inline</think>answer')), '<think>inline</think>answer');
+        assert.strictEqual(await parser.invoke('plain'), 'plain');
+    });
+
+    await t.test('drops native reasoning for families without tags', async () => {
+        const parser = registry.createOutputParser({ family: 'none' });
+        assert.strictEqual(await parser.invoke(new AIMessage({ content: 'Paris.', additional_kwargs: { thinking: 'x' } })), 'Paris.');
+    });
+
+    await t.test('streams one block around the reasoning chunks', async () => {
+        const parser = registry.createOutputParser({ model: 'qwen3:8b' });
+        const text = await streamed(parser, [chunk('', 'Recall '), chunk('', 'capitals.'), chunk('Par'), chunk('is.'), chunk('')]);
+        assert.strictEqual(text, '<think>Recall capitals.</think>Paris.');
+
+        const stream = registry.createStreamParser({ model: 'qwen3:8b' });
+        const segments = [...stream.push(text), ...stream.flush()];
+        assert.deepStrictEqual(segments.filter(segment => segment.type === 'thinking').map(segment => segment.text).join(''), 'Recall capitals.');
+    });
+
+    await t.test('closes a block the stream never got past', async () => {
+        const parser = registry.createOutputParser({ model: 'qwen3:8b' });
+        assert.strictEqual(await streamed(parser, [chunk('', 'Cut off')]), '<think>Cut off</think>');
+    });
+});
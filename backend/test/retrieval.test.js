@@ -0,0 +1,69 @@
+// backend/test/retrieval.test.js - Hybrid result fusion (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+
+const { fuseResults } = require('../utils/retrieval');
+
+// [Document, score] pairs for chunk IDs with their scores, in rank order
+function results(...entries) {
+    return entries.map(([id, score]) => [new Document({ pageContent: `text ${id}`, metadata: { chunk_id: id } }), score]);
+}
+
+const ids = (fused) => fused.map(([doc]) => doc.metadata.chunk_id);
+
+test('reciprocal rank fusion', async (t) => {
+    await t.test('ranks chunks found by both searches first', () => {
+        const fused = fuseResults(
+            results(['a', 0.9], ['b', 0.8], ['c', 0.7]),
+            results(['c', 12]),
+            { method: 'rrf', k: 4, rrfK: 60 }
+        );
+        assert.deepStrictEqual(ids(fused), ['c', 'a', 'b']);
+        assert.strictEqual(fused[0][1], 1 / 63 + 1 / 61);
+        assert.strictEqual(fused[1][1], 1 / 61);
+    });
+
+    await t.test('ignores the raw scores', () => {
+        const fused = fuseResults(results(['a', 0.1], ['b', 0.09]), results(['b', 1000]), { method: 'rrf' });
+        assert.deepStrictEqual(ids(fused), ['b', 'a']);
+    });
+
+    await t.test('records each list\'s rank and score', () => {
+        const [[doc]] = fuseResults(results(['a', 0.12345]), results(['x', 3], ['a', 2]), { k: 1 });
+        assert.deepStrictEqual(doc.metadata.retrieval, { vectorRank: 1, vectorScore: 0.1235, keywordRank: 2, keywordScore: 2 });
+    });
+
+    await t.test('keeps the top k', () => {
+        assert.strictEqual(fuseResults(results(['a', 1], ['b', 1], ['c', 1]), [], { k: 2 }).length, 2);
+    });
+
+    await t.test('matches chunks without an ID by their text', () => {
+        const plain = (score) => [new Document({ pageContent: 'same text', metadata: {} }), score];
+        assert.strictEqual(fuseResults([plain(0.5)], [plain(4)]).length, 1);
+    });
+});
+
+test('weighted fusion', async (t) => {
+    await t.test('blends max-normalised scores by the vector weight', () => {
+        const fused = fuseResults(
+            results(['a', 0.8], ['b', 0.4]),
+            results(['b', 10], ['c', 5]),
+            { method: 'weighted', vectorWeight: 0.5 }
+        );
+        assert.deepStrictEqual(ids(fused), ['b', 'a', 'c']);
+        assert.deepStrictEqual(fused.map(([, score]) => score), [0.75, 0.5, 0.25]);
+    });
+
+    await t.test('the weight decides between the searches', () => {
+        const vector = results(['a', 1]);
+        const keyword = results(['b', 1]);
+        assert.deepStrictEqual(ids(fuseResults(vector, keyword, { method: 'weighted', vectorWeight: 0.8 })), ['a', 'b']);
+        assert.deepStrictEqual(ids(fuseResults(vector, keyword, { method: 'weighted', vectorWeight: 0.2 })), ['b', 'a']);
+    });
+
+    await t.test('zero scores don\'t divide by zero', () => {
+        const fused = fuseResults(results(['a', 0]), results(['b', 0]), { method: 'weighted' });
+        assert.deepStrictEqual(fused.map(([, score]) => score), [0, 0]);
+    });
+});
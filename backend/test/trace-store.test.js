@@ -0,0 +1,105 @@
+// backend/test/trace-store.test.js - Pipeline traces: access, eviction and recorded steps (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { Document } = require('@langchain/core/documents');
+
+const { TraceStore } = require('../utils/trace-store');
+
+const start = (store, id, ownerId) => store.start({ id, ownerId, route: '/api/chat/with-rag', request: { question: id } });
+
+test('trace access', async (t) => {
+    const store = new TraceStore();
+    start(store, 't1', 'alice');
+    start(store, 't2', 'bob');
+    start(store, 't3', 'alice');
+
+    await t.test('an owner only gets their own traces', () => {
+        assert.strictEqual(store.get('t1', 'alice').id, 't1');
+        assert.strictEqual(store.get('t2', 'alice'), null);
+        assert.strictEqual(store.get('t1', 'bob'), null);
+        assert.deepStrictEqual(store.list('alice').map(trace => trace.id), ['t3', 't1']);
+        assert.deepStrictEqual(store.list('bob').map(trace => trace.id), ['t2']);
+    });
+
+    await t.test('a null owner (admins) gets all of them, newest first', () => {
+        assert.strictEqual(store.get('t2').id, 't2');
+        assert.deepStrictEqual(store.list().map(trace => trace.id), ['t3', 't2', 't1']);
+    });
+
+    await t.test('accounts without traces and unknown IDs get nothing', () => {
+        assert.deepStrictEqual(store.list('carol'), []);
+        assert.strictEqual(store.get('missing'), null);
+        assert.strictEqual(store.get('missing', 'alice'), null);
+    });
+
+    await t.test('traces without an owner are not anyone\'s', () => {
+        start(store, 't4', null);
+        assert.strictEqual(store.get('t4', 'alice'), null);
+        assert.strictEqual(store.get('t4').id, 't4');
+    });
+});
+
+test('only the last limit traces are kept', () => {
+    const store = new TraceStore({ limit: 2 });
+    ['t1', 't2', 't3'].forEach(id => start(store, id, 'alice'));
+    assert.strictEqual(store.has('t1'), false);
+    assert.strictEqual(store.get('t1'), null);
+    assert.deepStrictEqual(store.list().map(trace => trace.id), ['t3', 't2']);
+});
+
+test('recorded steps', async (t) => {
+    await t.test('named chains and the model calls inside them', async () => {
+        const trace = start(new TraceStore(), 't1', 'alice');
+        const [handler] = trace.callbacks;
+        const results = [[new Document({ pageContent: 'Ollama runs models.', metadata: { chunk_id: 'c1', source: 'https://ollama.com' } }), 0.91234]];
+
+        handler.handleChainStart({}, {}, 'run-retrieve', undefined, [], {}, 'chain', 'retrieve');
+        handler.handleChainEnd({ query: 'ollama', results }, 'run-retrieve');
+        handler.handleChainStart({}, {}, 'run-unnamed', undefined, [], {}, 'chain', 'RunnableSequence');
+        handler.handleChainStart({}, {}, 'run-answer', 'run-unnamed', [], {}, 'chain', 'answer');
+        handler.handleChatModelStart(
+            { id: ['langchain', 'chat_models', 'ollama', 'ChatOllama'] },
+            [[{ _getType: () => 'human', content: 'What is Ollama?' }]],
+            'run-llm',
+            'run-answer',
+            { invocation_params: { model: 'llama3.2', temperature: 0.7 } }
+        );
+        handler.handleLLMEnd({
+            generations: [[{ text: 'A model runner.', message: { usage_metadata: { input_tokens: 20, output_tokens: 5 } } }]]
+        }, 'run-llm');
+        handler.handleChainEnd({}, 'run-answer');
+        trace.finish({ httpStatus: 200 });
+
+        const recorded = trace.toJSON();
+        assert.deepStrictEqual(recorded.steps.map(step => [step.name, step.type]), [['retrieve', 'chain'], ['answer', 'chain'], ['answer', 'llm']]);
+        assert.deepStrictEqual(recorded.steps[0].chunks, [{
+            chunkId: 'c1', source: 'https://ollama.com', score: 0.9123, retrieval: null, preview: 'Ollama runs models.'
+        }]);
+
+        const llm = recorded.steps[2];
+        assert.strictEqual(llm.provider, 'ChatOllama');
+        assert.strictEqual(llm.model, 'llama3.2');
+        assert.deepStrictEqual(llm.prompt, [{ role: 'human', content: 'What is Ollama?' }]);
+        assert.strictEqual(llm.output, 'A model runner.');
+        assert.deepStrictEqual(llm.tokens, { prompt: 20, completion: 5, total: 25 });
+
+        assert.strictEqual(recorded.status, 'completed');
+        assert.strictEqual(recorded.model, 'llama3.2');
+        assert.deepStrictEqual(recorded.tokens, { prompt: 20, completion: 5, total: 25 });
+    });
+
+    await t.test('errors and the request status', () => {
+        const trace = start(new TraceStore(), 't1', 'alice');
+        const [handler] = trace.callbacks;
+        handler.handleChainStart({}, {}, 'run-condense', undefined, [], {}, 'chain', 'condense');
+        handler.handleChainError(new Error('model not found'), 'run-condense');
+        trace.finish({ httpStatus: 500 });
+        trace.finish({ httpStatus: 200 });
+
+        const recorded = trace.toJSON();
+        assert.strictEqual(recorded.steps[0].error, 'model not found');
+        assert.strictEqual(recorded.status, 'failed');
+        assert.strictEqual(recorded.httpStatus, 500);
+        assert.strictEqual(recorded.tokens.total, 0);
+    });
+});
@@ -0,0 +1,140 @@
+// backend/utils/answer-cache.js - Stored RAG answers reused for near-identical questions
+const { cosineSimilarity } = require('@langchain/core/utils/math');
+
+/**
+ * The last `limit` answers, in memory, each under a scope: the collection it was answered from
+ * plus the settings that shape an answer (model, thinking, retrieval). A question matches an
+ * earlier one in the same scope when their embeddings are at least `threshold` cosine-similar.
+ *
+ * Answers depend on the documents, so changing a collection's documents invalidates its answers.
+ * Every collection has a version that invalidation (and clear) bumps: an answer generated while
+ * its documents changed is not stored.
+ */
+class AnswerCache {
+    constructor({ limit = 200 } = {}) {
+        this.limit = limit;
+        this.entries = new Map();
+        this.versions = new Map();
+        this.generation = 0;
+        this.nextId = 1;
+        // Since startup
+        this.hits = 0;
+        this.misses = 0;
+        this.invalidations = 0;
+    }
+
+    static scopeOf(collection, settings) {
+        return `${collection}\u0000${JSON.stringify(settings)}`;
+    }
+
+    versionOf(collection) {
+        return `${this.generation}.${this.versions.get(collection) || 0}`;
+    }
+
+    /**
+     * Find the best stored answer for a question embedding, or null.
+     * Returns { key, hit }: key stores the new answer later (see store), hit is
+     * { answer, similarity, cachedAt } or null.
+     */
+    lookup({ collection, settings, embedding }, { threshold, ttlMs }) {
+        const scope = AnswerCache.scopeOf(collection, settings);
+        const key = { collection, scope, embedding, version: this.versionOf(collection) };
+        const oldest = Date.now() - ttlMs;
+
+        const candidates = [];
+        for (const [id, entry] of this.entries) {
+            if (entry.createdAt < oldest) {
+                this.entries.delete(id);
+            } else if (entry.scope === scope) {
+                candidates.push(entry);
+            }
+        }
+
+        let hit = null;
+        if (candidates.length > 0) {
+            const similarities = cosineSimilarity([embedding], candidates.map(entry => entry.embedding))[0];
+            const best = similarities.reduce((bestIndex, similarity, index) => (similarity > similarities[bestIndex] ? index : bestIndex), 0);
+            if (similarities[best] >= threshold) {
+                hit = {
+                    answer: candidates[best].answer,
+                    similarity: Number(similarities[best].toFixed(4)),
+                    cachedAt: new Date(candidates[best].createdAt).toISOString()
+                };
+            }
+        }
+
+        if (hit) {
+            this.hits += 1;
+        } else {
+            this.misses += 1;
+        }
+        return { key, hit };
+    }
+
+    /**
+     * Keep the answer generated after lookup() returned key, unless the collection changed meanwhile
+     */
+    store(key, answer) {
+        if (this.versionOf(key.collection) !== key.version) return false;
+
+        this.entries.set(this.nextId++, {
+            collection: key.collection,
+            scope: key.scope,
+            embedding: key.embedding,
+            answer,
+            createdAt: Date.now()
+        });
+
+        // Maps iterate in insertion order: the first keys are the oldest answers
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.limit) break;
+            this.entries.delete(oldest);
+        }
+        return true;
+    }
+
+    /**
+     * Forget the answers of a collection whose documents changed; returns how many
+     */
+    invalidate(collection) {
+        this.versions.set(collection, (this.versions.get(collection) || 0) + 1);
+        let removed = 0;
+        for (const [id, entry] of this.entries) {
+            if (entry.collection === collection) {
+                this.entries.delete(id);
+                removed += 1;
+            }
+        }
+        this.invalidations += 1;
+        return removed;
+    }
+
+    /**
+     * Forget every answer, e.g. after the configuration changed; returns how many
+     */
+    clear() {
+        const removed = this.entries.size;
+        this.generation += 1;
+        this.entries.clear();
+        return removed;
+    }
+
+    getStats() {
+        const collections = {};
+        for (const entry of this.entries.values()) {
+            collections[entry.collection] = (collections[entry.collection] || 0) + 1;
+        }
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries.size,
+            limit: this.limit,
+            collections,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups ? Number((this.hits / lookups).toFixed(4)) : null,
+            invalidations: this.invalidations
+        };
+    }
+}
+
+module.exports = AnswerCache;
@@ -0,0 +1,145 @@
+// backend/utils/arena-store.js - Arena comparisons and votes persisted in Neo4j
+const crypto = require('crypto');
+const neo4j = require('neo4j-driver');
+const Neo4jStore = require('./neo4j-store');
+
+/**
+ * Stores one node per arena comparison:
+ * (:ArenaComparison {id, ownerId, question, enableThinking, entries, winner, votedAt, createdAt})
+ * `entries` is a JSON string with one answer per configuration; `winner` is the voted entry id or null.
+ * Comparisons belong to the account that ran them (ownerId); methods taking an ownerId only see
+ * that account's comparisons, and null means any comparison. The leaderboard counts them all.
+ */
+class ArenaStore extends Neo4jStore {
+    constructor({ driver }) {
+        super(driver, [
+            'CREATE CONSTRAINT arena_comparison_id IF NOT EXISTS FOR (a:ArenaComparison) REQUIRE a.id IS UNIQUE'
+        ]);
+    }
+
+    async createComparison({ question, enableThinking, entries, ownerId = null }) {
+        const records = await this.run(`
+            CREATE (a:ArenaComparison {
+                id: $id,
+                ownerId: $ownerId,
+                question: $question,
+                enableThinking: $enableThinking,
+                entries: $entries,
+                createdAt: $now
+            })
+            RETURN a
+        `, {
+            id: crypto.randomUUID(),
+            ownerId,
+            question,
+            enableThinking,
+            entries: JSON.stringify(entries),
+            now: new Date().toISOString()
+        });
+
+        return ArenaStore.toComparison(records[0].get('a'));
+    }
+
+    /**
+     * List comparisons newest first; entries are reduced to their label, model and error
+     */
+    async listComparisons({ limit = 50, ownerId = null } = {}) {
+        const records = await this.run(`
+            MATCH (a:ArenaComparison)
+            WHERE $ownerId IS NULL OR a.ownerId = $ownerId
+            RETURN a
+            ORDER BY a.createdAt DESC
+            LIMIT $limit
+        `, { limit: neo4j.int(limit), ownerId });
+
+        return records.map(record => {
+            const comparison = ArenaStore.toComparison(record.get('a'));
+            return {
+                ...comparison,
+                entries: comparison.entries.map(({ id, label, model, rag, error }) => ({ id, label, model, rag, error }))
+            };
+        });
+    }
+
+    async getComparison(id, ownerId = null) {
+        const records = await this.run(`
+            MATCH (a:ArenaComparison {id: $id})
+            WHERE $ownerId IS NULL OR a.ownerId = $ownerId
+            RETURN a
+        `, { id, ownerId });
+        return records.length > 0 ? ArenaStore.toComparison(records[0].get('a')) : null;
+    }
+
+    /**
+     * Record the winning entry (null clears the vote). Returns the updated comparison or null.
+     */
+    async vote(id, winner, ownerId = null) {
+        const records = await this.run(`
+            MATCH (a:ArenaComparison {id: $id})
+            WHERE $ownerId IS NULL OR a.ownerId = $ownerId
+            SET a.winner = $winner,
+                a.votedAt = CASE WHEN $winner IS NULL THEN null ELSE $now END
+            RETURN a
+        `, {
+            id,
+            winner: winner === null ? null : neo4j.int(winner),
+            now: new Date().toISOString(),
+            ownerId
+        });
+
+        return records.length > 0 ? ArenaStore.toComparison(records[0].get('a')) : null;
+    }
+
+    async deleteComparison(id, ownerId = null) {
+        const records = await this.run(`
+            MATCH (a:ArenaComparison {id: $id})
+            WHERE $ownerId IS NULL OR a.ownerId = $ownerId
+            DETACH DELETE a
+            RETURN count(a) AS deleted
+        `, { id, ownerId });
+
+        return records.length > 0 && records[0].get('deleted').toNumber() > 0;
+    }
+
+    /**
+     * Wins per configuration label over all voted comparisons, most wins first
+     */
+    async leaderboard() {
+        const records = await this.run(`
+            MATCH (a:ArenaComparison)
+            WHERE a.winner IS NOT NULL
+            RETURN a
+        `);
+
+        const standings = new Map();
+        for (const record of records) {
+            const { entries, winner } = ArenaStore.toComparison(record.get('a'));
+            for (const entry of entries) {
+                const standing = standings.get(entry.label) || { label: entry.label, comparisons: 0, wins: 0 };
+                standing.comparisons += 1;
+                standing.wins += entry.id === winner ? 1 : 0;
+                standings.set(entry.label, standing);
+            }
+        }
+
+        return [...standings.values()]
+            .map(standing => ({ ...standing, winRate: Number((standing.wins / standing.comparisons).toFixed(4)) }))
+            .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate);
+    }
+
+    static toComparison(node) {
+        const { id, ownerId, question, enableThinking, entries, winner, votedAt, createdAt } = node.properties;
+        return {
+            id,
+            ownerId: ownerId || null,
+            question,
+            enableThinking: Boolean(enableThinking),
+            entries: entries ? JSON.parse(entries) : [],
+            winner: winner === null || winner === undefined ? null : (neo4j.isInt(winner) ? winner.toNumber() : winner),
+            votedAt: votedAt || null,
+            createdAt
+        };
+    }
+}
+
+module.exports = ArenaStore;
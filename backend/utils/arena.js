@@ -0,0 +1,89 @@
+// backend/utils/arena.js - Configuration matrix and token usage tracking for arena comparisons
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Expand a matrix into one configuration per column:
+ * { models: [name], rag: [false, true], retrieval: [{ retrievalMode, fusionMethod, k, rerank, graphExpansion }] }
+ * Every model is paired with every rag value; RAG columns are further multiplied by the retrieval variants.
+ * An empty model list means the server default (model: null).
+ */
+function expandMatrix({ models = [], rag = [false, true], retrieval = [{}] } = {}) {
+    if (!Array.isArray(models) || models.some(model => typeof model !== 'string' || !model.trim())) {
+        throw invalid('matrix.models must be an array of model names');
+    }
+    if (!Array.isArray(rag) || rag.length === 0 || rag.some(value => typeof value !== 'boolean')) {
+        throw invalid('matrix.rag must be a non-empty array of true/false');
+    }
+    if (!Array.isArray(retrieval) || retrieval.length === 0 || retrieval.some(variant => !variant || typeof variant !== 'object')) {
+        throw invalid('matrix.retrieval must be a non-empty array of retrieval settings');
+    }
+
+    const configurations = [];
+    for (const model of models.length > 0 ? [...new Set(models)] : [null]) {
+        for (const useRag of [...new Set(rag)]) {
+            if (!useRag) {
+                configurations.push({ model, rag: false, retrieval: null });
+                continue;
+            }
+            for (const variant of retrieval) {
+                configurations.push({ model, rag: true, retrieval: variant });
+            }
+        }
+    }
+    return configurations;
+}
+
+/**
+ * Short column label, e.g. "llama3.2 · RAG hybrid/rrf k=4 +mmr" or "llama3.2 · no RAG"
+ */
+function describeConfiguration(model, retrievalOptions) {
+    if (!retrievalOptions) {
+        return `${model} · no RAG`;
+    }
+
+    const { mode, fusion, k, rerank, graphExpansion } = retrievalOptions;
+    return [
+        `${model} · RAG ${mode}${mode === 'hybrid' ? `/${fusion}` : ''} k=${k}`,
+        rerank !== 'none' && `+${rerank}`,
+        graphExpansion && '+graph'
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Callback handler that adds up the token usage reported by the model.
+ * Ollama reports it as usage_metadata on the message, OpenAI-compatible servers also in llmOutput.
+ * `usage` stays null when the provider reports nothing.
+ */
+function trackUsage() {
+    const tracker = {
+        usage: null,
+        callbacks: [{
+            handleLLMEnd(output) {
+                for (const generation of (output.generations || []).flat()) {
+                    const reported = generation.message?.usage_metadata;
+                    const fallback = output.llmOutput?.tokenUsage;
+                    const inputTokens = reported?.input_tokens ?? fallback?.promptTokens;
+                    const outputTokens = reported?.output_tokens ?? fallback?.completionTokens;
+                    if (inputTokens === undefined && outputTokens === undefined) continue;
+
+                    tracker.usage = tracker.usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+                    tracker.usage.inputTokens += inputTokens || 0;
+                    tracker.usage.outputTokens += outputTokens || 0;
+                    tracker.usage.totalTokens = tracker.usage.inputTokens + tracker.usage.outputTokens;
+                }
+            }
+        }]
+    };
+    return tracker;
+}
+
+module.exports = {
+    expandMatrix,
+    describeConfiguration,
+    trackUsage
+};
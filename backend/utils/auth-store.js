@@ -0,0 +1,271 @@
+// backend/utils/auth-store.js - User accounts, API keys and login sessions
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const ROLES = ['user', 'admin'];
+const API_KEY_PREFIX = 'kc_';
+const USERNAME_PATTERN = /^[\w.@-]{3,64}$/;
+const PASSWORD_MIN_LENGTH = 8;
+
+function invalid(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function passwordMatches(password, stored) {
+    const [, salt, hash] = String(stored).split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, 64);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Accounts and API keys stored as JSON: { users: [...], apiKeys: [...] }.
+ * Passwords are kept as scrypt hashes and API keys as SHA-256 hashes; a key is only
+ * shown when it is created. Login sessions live in memory and end when the server restarts.
+ */
+class AuthStore {
+    constructor({ filePath, sessionTtlMs = 12 * 60 * 60 * 1000 }) {
+        this.filePath = filePath;
+        this.sessionTtlMs = sessionTtlMs;
+        this.data = { users: [], apiKeys: [] };
+        this.sessions = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.data = {
+                users: stored.users || [],
+                apiKeys: stored.apiKeys || []
+            };
+            logger.info(`Loaded ${this.data.users.length} accounts`, { path: this.filePath });
+        } catch (error) {
+            logger.warn('Error loading accounts', { path: this.filePath, error: error.message });
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write-then-rename so a crash never leaves a half-written file
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    hasUsers() {
+        return this.data.users.length > 0;
+    }
+
+    listUsers() {
+        return this.data.users.map(AuthStore.toUser);
+    }
+
+    getUser(id) {
+        const user = this.data.users.find(candidate => candidate.id === id);
+        return user ? AuthStore.toUser(user) : null;
+    }
+
+    createUser({ username, password, role = 'user' }) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw invalid('username must be 3-64 letters, digits or . _ @ -');
+        }
+        AuthStore.checkPassword(password);
+        if (!ROLES.includes(role)) {
+            throw invalid(`role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (this.data.users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+            throw invalid(`User already exists: ${username}`, 409);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.data.users.push(user);
+        this.save();
+        return AuthStore.toUser(user);
+    }
+
+    /**
+     * Delete an account with its API keys and sessions. The last admin can't be deleted.
+     * Returns false if the account didn't exist.
+     */
+    deleteUser(id) {
+        const user = this.data.users.find(candidate => candidate.id === id);
+        if (!user) return false;
+        if (user.role === 'admin' && this.data.users.filter(candidate => candidate.role === 'admin').length === 1) {
+            throw invalid('The last admin account cannot be deleted', 409);
+        }
+
+        this.data.users = this.data.users.filter(candidate => candidate.id !== id);
+        this.data.apiKeys = this.data.apiKeys.filter(apiKey => apiKey.userId !== id);
+        for (const [token, session] of this.sessions) {
+            if (session.userId === id) this.sessions.delete(token);
+        }
+        this.save();
+        return true;
+    }
+
+    changePassword(id, currentPassword, newPassword) {
+        const user = this.data.users.find(candidate => candidate.id === id);
+        if (!user || !passwordMatches(String(currentPassword || ''), user.passwordHash)) {
+            throw invalid('Current password is incorrect', 403);
+        }
+        AuthStore.checkPassword(newPassword);
+
+        user.passwordHash = hashPassword(newPassword);
+        this.save();
+    }
+
+    /**
+     * The account for a username and password, or null
+     */
+    verifyCredentials(username, password) {
+        const user = this.data.users.find(candidate => candidate.username.toLowerCase() === String(username || '').toLowerCase());
+        const matches = passwordMatches(String(password || ''), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        return user && matches ? AuthStore.toUser(user) : null;
+    }
+
+    createSession(userId) {
+        this.pruneSessions();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.sessionTtlMs;
+        this.sessions.set(token, { userId, expiresAt });
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * The account behind a session token, or null when unknown or expired
+     */
+    resolveSession(token) {
+        const session = this.sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return this.getUser(session.userId);
+    }
+
+    endSession(token) {
+        return this.sessions.delete(token);
+    }
+
+    pruneSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        }
+    }
+
+    /**
+     * Create an API key for an account. Limits left null use the configured defaults.
+     * Returns { key, apiKey }: the key itself is not stored and can't be shown again.
+     */
+    createApiKey(userId, { name, rateLimitPerMinute = null, quotaPerDay = null } = {}) {
+        if (!this.getUser(userId)) {
+            throw invalid(`User not found: ${userId}`, 404);
+        }
+        if (typeof name !== 'string' || !name.trim()) {
+            throw invalid('name is required');
+        }
+        for (const [field, value] of Object.entries({ rateLimitPerMinute, quotaPerDay })) {
+            if (value !== null && (!Number.isInteger(value) || value < 0)) {
+                throw invalid(`${field} must be a non-negative integer or null`);
+            }
+        }
+
+        const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const apiKey = {
+            id: crypto.randomUUID(),
+            userId,
+            name: name.trim(),
+            prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            keyHash: hashKey(key),
+            rateLimitPerMinute,
+            quotaPerDay,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        this.data.apiKeys.push(apiKey);
+        this.save();
+        return { key, apiKey: AuthStore.toApiKey(apiKey) };
+    }
+
+    /**
+     * API keys of one account, or of all accounts when userId is null
+     */
+    listApiKeys(userId = null) {
+        return this.data.apiKeys
+            .filter(apiKey => userId === null || apiKey.userId === userId)
+            .map(AuthStore.toApiKey);
+    }
+
+    /**
+     * Revoke a key; with userId, only if it belongs to that account. Returns false if not found.
+     */
+    deleteApiKey(id, userId = null) {
+        const apiKey = this.data.apiKeys.find(candidate => candidate.id === id && (userId === null || candidate.userId === userId));
+        if (!apiKey) return false;
+
+        this.data.apiKeys = this.data.apiKeys.filter(candidate => candidate !== apiKey);
+        this.save();
+        return true;
+    }
+
+    /**
+     * The { user, apiKey } a raw key belongs to, or null. lastUsedAt is updated in memory
+     * and saved with the next change.
+     */
+    resolveApiKey(key) {
+        if (!String(key).startsWith(API_KEY_PREFIX)) return null;
+
+        const keyHash = hashKey(key);
+        const apiKey = this.data.apiKeys.find(candidate => candidate.keyHash === keyHash);
+        const user = apiKey && this.getUser(apiKey.userId);
+        if (!user) return null;
+
+        apiKey.lastUsedAt = new Date().toISOString();
+        return { user, apiKey: AuthStore.toApiKey(apiKey) };
+    }
+
+    static checkPassword(password) {
+        if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+            throw invalid(`password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+        }
+    }
+
+    static toUser({ id, username, role, createdAt }) {
+        return { id, username, role, createdAt };
+    }
+
+    static toApiKey({ id, userId, name, prefix, rateLimitPerMinute, quotaPerDay, createdAt, lastUsedAt }) {
+        return { id, userId, name, prefix, rateLimitPerMinute, quotaPerDay, createdAt, lastUsedAt };
+    }
+}
+
+module.exports = {
+    AuthStore,
+    ROLES
+};
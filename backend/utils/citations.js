@@ -0,0 +1,51 @@
+// backend/utils/citations.js - Numbered sources and context formatting for RAG answers
+
+/**
+ * Turn [Document, score] pairs from a similarity search into numbered sources.
+ * The number is what the model cites inline as [n].
+ */
+function toSources(results) {
+    return results.map(([doc, score], index) => {
+        const metadata = doc.metadata || {};
+        return {
+            index: index + 1,
+            chunkId: metadata.chunk_id || metadata.id || null,
+            source: metadata.source || 'unknown',
+            title: metadata.title || null,
+            score: typeof score === 'number' ? Number(score.toFixed(4)) : null,
+            retrieval: metadata.retrieval || null,
+            text: doc.pageContent
+        };
+    });
+}
+
+/**
+ * Render sources as the {context} block of the RAG prompt
+ */
+function formatContext(sources) {
+    return sources
+        .map(source => `[${source.index}] (source: ${source.source})\n${source.text}`)
+        .join('\n\n');
+}
+
+/**
+ * Citation numbers the answer actually used, e.g. "see [1][3]" -> [1, 3]
+ */
+function extractCitedIndexes(text, sourceCount) {
+    const cited = new Set();
+    for (const match of (text || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        match[1].split(',').forEach(value => {
+            const index = Number(value.trim());
+            if (index >= 1 && index <= sourceCount) {
+                cited.add(index);
+            }
+        });
+    }
+    return [...cited].sort((a, b) => a - b);
+}
+
+module.exports = {
+    toSources,
+    formatContext,
+    extractCitedIndexes
+};
@@ -0,0 +1,193 @@
+// backend/utils/collection-store.js - Named knowledge bases, each with its own index, labels, sources and chunking
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_COLLECTION = 'default';
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+// Index names and labels are interpolated into Cypher, so keep them to plain identifiers
+const IDENTIFIER_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const MIN_CHUNK_SIZE = 100;
+
+function invalid(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function checkSources(sources) {
+    if (!Array.isArray(sources) || sources.some(url => typeof url !== 'string' || !/^https?:\/\//i.test(url.trim()))) {
+        throw invalid('sources must be an array of http(s) URLs');
+    }
+    return [...new Set(sources.map(url => url.trim()))];
+}
+
+function checkChunking(chunkSize, chunkOverlap) {
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE) {
+        throw invalid(`chunkSize must be an integer of at least ${MIN_CHUNK_SIZE}`);
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+        throw invalid('chunkOverlap must be a non-negative integer smaller than chunkSize');
+    }
+}
+
+/**
+ * Collection definitions stored as JSON: { collections: [...] }. Every collection keeps its
+ * chunks under its own node label and vector/full-text indexes, and tracks its sources under
+ * its own source label, so the same URL can live in several collections with different chunking.
+ *
+ * The "default" collection is the knowledge base described by the configuration (NEO4J_INDEX_NAME,
+ * NEO4J_NODE_LABEL, DOCUMENT_URLS, CHUNK_SIZE, ...). It is always listed and is changed through the
+ * configuration, not through this store.
+ */
+class CollectionStore {
+    /**
+     * defaultCollection() returns the definition of the configured knowledge base
+     */
+    constructor({ filePath, defaultCollection }) {
+        this.filePath = filePath;
+        this.defaultCollection = defaultCollection;
+        this.collections = [];
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.collections = stored.collections || [];
+            logger.info(`Loaded ${this.collections.length} collections`, { path: this.filePath });
+        } catch (error) {
+            logger.warn('Error loading collections', { path: this.filePath, error: error.message });
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write-then-rename so a crash never leaves a half-written file
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ collections: this.collections }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    getDefault() {
+        return { name: DEFAULT_COLLECTION, ...this.defaultCollection(), builtIn: true };
+    }
+
+    list() {
+        return [this.getDefault(), ...this.collections.map(collection => ({ ...collection, builtIn: false }))];
+    }
+
+    /**
+     * A collection by name (the default one when name is empty), or null
+     */
+    get(name) {
+        if (!name || name === DEFAULT_COLLECTION) return this.getDefault();
+        const collection = this.collections.find(candidate => candidate.name === name);
+        return collection ? { ...collection, builtIn: false } : null;
+    }
+
+    /**
+     * Create a collection. Index names and labels default to ones derived from the name
+     * (runbooks -> runbooks_vector_index, Document_runbooks, ...); chunking defaults to the
+     * configured CHUNK_SIZE and CHUNK_OVERLAP.
+     */
+    create({ name, description = '', sources = [], chunkSize, chunkOverlap, indexName, keywordIndexName, nodeLabel, sourceLabel } = {}) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw invalid('name must start with a lowercase letter and contain only a-z, 0-9 and _ (at most 40 characters)');
+        }
+        if (name === DEFAULT_COLLECTION || this.collections.some(collection => collection.name === name)) {
+            throw invalid(`Collection already exists: ${name}`, 409);
+        }
+
+        const defaults = this.getDefault();
+        const collection = {
+            name,
+            description: String(description || ''),
+            indexName: indexName || `${name}_vector_index`,
+            keywordIndexName: keywordIndexName || `${name}_keyword_index`,
+            nodeLabel: nodeLabel || `Document_${name}`,
+            sourceLabel: sourceLabel || `Source_${name}`,
+            sources: checkSources(sources),
+            chunkSize: chunkSize ?? defaults.chunkSize,
+            chunkOverlap: chunkOverlap ?? defaults.chunkOverlap
+        };
+
+        checkChunking(collection.chunkSize, collection.chunkOverlap);
+        this.checkStorageNames(collection);
+
+        const now = new Date().toISOString();
+        Object.assign(collection, { createdAt: now, updatedAt: now });
+        this.collections.push(collection);
+        this.save();
+        return { ...collection, builtIn: false };
+    }
+
+    /**
+     * Change a collection's description, sources or chunking. Index names and labels are fixed
+     * once created. Returns { collection, chunkingChanged }: after a chunking change, syncing
+     * the sources re-indexes them.
+     */
+    update(name, changes = {}) {
+        if (!name || name === DEFAULT_COLLECTION) {
+            throw invalid('The default collection is changed through the configuration (DOCUMENT_URLS, CHUNK_SIZE, ...)');
+        }
+        const collection = this.collections.find(candidate => candidate.name === name);
+        if (!collection) {
+            throw invalid(`Collection not found: ${name}`, 404);
+        }
+
+        const fixed = ['name', 'indexName', 'keywordIndexName', 'nodeLabel', 'sourceLabel'].filter(field => field in changes);
+        if (fixed.length > 0) {
+            throw invalid(`Cannot change ${fixed.join(', ')} of an existing collection`);
+        }
+
+        const updated = { ...collection };
+        if ('description' in changes) updated.description = String(changes.description || '');
+        if ('sources' in changes) updated.sources = checkSources(changes.sources);
+        if ('chunkSize' in changes) updated.chunkSize = changes.chunkSize;
+        if ('chunkOverlap' in changes) updated.chunkOverlap = changes.chunkOverlap;
+        checkChunking(updated.chunkSize, updated.chunkOverlap);
+
+        const chunkingChanged = updated.chunkSize !== collection.chunkSize || updated.chunkOverlap !== collection.chunkOverlap;
+        updated.updatedAt = new Date().toISOString();
+        Object.assign(collection, updated);
+        this.save();
+        return { collection: { ...collection, builtIn: false }, chunkingChanged };
+    }
+
+    /**
+     * Remove a definition; the caller drops its data. Returns the removed definition or null.
+     */
+    delete(name) {
+        if (!name || name === DEFAULT_COLLECTION) {
+            throw invalid('The default collection cannot be deleted');
+        }
+        const collection = this.collections.find(candidate => candidate.name === name);
+        if (!collection) return null;
+
+        this.collections = this.collections.filter(candidate => candidate !== collection);
+        this.save();
+        return collection;
+    }
+
+    // Two collections sharing an index or label would see each other's chunks
+    checkStorageNames(collection) {
+        const others = this.list();
+        for (const field of ['indexName', 'keywordIndexName', 'nodeLabel', 'sourceLabel']) {
+            if (!IDENTIFIER_PATTERN.test(collection[field])) {
+                throw invalid(`${field} must be a letter followed by letters, digits or _ (at most 64 characters)`);
+            }
+            const owner = others.find(other => other[field] === collection[field]);
+            if (owner) {
+                throw invalid(`${field} ${collection[field]} is already used by collection ${owner.name}`, 409);
+            }
+        }
+    }
+}
+
+module.exports = {
+    CollectionStore,
+    DEFAULT_COLLECTION
+};
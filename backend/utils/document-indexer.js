@@ -0,0 +1,287 @@
+// backend/utils/document-indexer.js - Idempotent, incremental indexing into the Neo4j vector store
+const crypto = require('crypto');
+const { RecursiveCharacterTextSplitter } = require('@langchain/textsplitters');
+const Neo4jUtils = require('./neo4j-utils');
+const logger = require('./logger');
+
+// Chunks embedded per embedding call, so progress can be reported and cancellation checked in between
+const EMBED_BATCH_SIZE = 64;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Keeps the vector store in sync with its sources:
+ * - every chunk is identified by a hash of its source and content, so re-adding is a no-op
+ * - every source has a (:Source) node with a fingerprint of its content and chunking settings,
+ *   so unchanged sources are skipped without re-embedding (each collection uses its own
+ *   source label, e.g. Source_runbooks, so the same URL can be indexed in several)
+ * - when a source changes, only new chunks are embedded and stale ones are removed
+ */
+class DocumentIndexer {
+    /**
+     * onChunksAdded(chunks) is an optional post-embedding stage for newly added chunks
+     * (e.g. graph extraction); its return value is reported as result.enrichment.
+     * onChange(source) is called whenever chunks of a source were stored or removed.
+     */
+    constructor(vectorstore, { chunkSize = 1000, chunkOverlap = 200, onChunksAdded = null, onChange = null, sourceLabel = 'Source' } = {}) {
+        this.vectorstore = vectorstore;
+        this.chunkSize = chunkSize;
+        this.chunkOverlap = chunkOverlap;
+        this.onChunksAdded = onChunksAdded;
+        this.onChange = onChange;
+        this.nodeLabel = vectorstore.nodeLabel;
+        this.sourceLabel = sourceLabel;
+        this.schemaReady = null;
+    }
+
+    /**
+     * Identity of a chunk: same source + same text = same node
+     */
+    static chunkId(source, text) {
+        return `chunk_${sha256(`${source}\n${text}`).slice(0, 32)}`;
+    }
+
+    changed(source) {
+        if (this.onChange) this.onChange(source);
+    }
+
+    /**
+     * Fingerprint of a source's loaded content plus the settings used to chunk it
+     */
+    fingerprint(docs) {
+        const hash = crypto.createHash('sha256');
+        hash.update(JSON.stringify({ chunkSize: this.chunkSize, chunkOverlap: this.chunkOverlap }));
+        docs.forEach(doc => {
+            hash.update('\u0000');
+            hash.update(doc.pageContent || '');
+        });
+        return hash.digest('hex');
+    }
+
+    ensureSchema() {
+        if (!this.schemaReady) {
+            this.schemaReady = (async () => {
+                // Named after the labels (source_unique, document_source by default) so every collection gets its own
+                await this.vectorstore.query(`CREATE CONSTRAINT \`${this.sourceLabel.toLowerCase()}_unique\` IF NOT EXISTS FOR (s:\`${this.sourceLabel}\`) REQUIRE s.source IS UNIQUE`);
+                await this.vectorstore.query(`CREATE INDEX \`${this.nodeLabel.toLowerCase()}_source\` IF NOT EXISTS FOR (n:\`${this.nodeLabel}\`) ON (n.source)`);
+            })().catch(error => {
+                this.schemaReady = null;
+                throw error;
+            });
+        }
+        return this.schemaReady;
+    }
+
+    /**
+     * Split documents into chunks with content-hash ids and Neo4j-safe metadata
+     */
+    async splitIntoChunks(source, docs) {
+        const textSplitter = new RecursiveCharacterTextSplitter({
+            chunkSize: this.chunkSize,
+            chunkOverlap: this.chunkOverlap,
+        });
+
+        const nonEmptyDocs = docs.filter(doc => doc.pageContent && doc.pageContent.trim());
+        const docSplits = await textSplitter.splitDocuments(nonEmptyDocs);
+
+        const chunks = Neo4jUtils.cleanDocumentMetadata(docSplits.map(doc => ({
+            pageContent: doc.pageContent,
+            metadata: {
+                ...doc.metadata,
+                source,
+                chunk_id: DocumentIndexer.chunkId(source, doc.pageContent)
+            }
+        })));
+
+        // Identical chunks within one source collapse into a single node
+        const unique = new Map();
+        chunks.forEach(chunk => unique.set(chunk.metadata.chunk_id, chunk));
+        return [...unique.values()];
+    }
+
+    async getSourceRecord(source) {
+        await this.ensureSchema();
+        const [record] = await this.vectorstore.query(
+            `MATCH (s:\`${this.sourceLabel}\` {source: $source}) RETURN s.fingerprint AS fingerprint, s.chunkCount AS chunkCount`,
+            { source }
+        );
+        return record || null;
+    }
+
+    /**
+     * Bring one source in line with freshly loaded documents.
+     * Returns { source, status: 'unchanged' | 'added' | 'updated', chunks, added, removed }.
+     * onStage(stage, details) is awaited before each stage ('split', 'embed' with
+     * { chunks, embedded, toEmbed } after every batch, 'store', 'extract'); throwing from it
+     * stops the sync there. Chunks already stored are kept and reused by the next sync.
+     */
+    async syncSource(source, docs, { force = false, onStage = null } = {}) {
+        const stage = async (name, details = {}) => {
+            if (onStage) await onStage(name, details);
+        };
+
+        await this.ensureSchema();
+
+        const fingerprint = this.fingerprint(docs);
+        const existingSource = await this.getSourceRecord(source);
+
+        if (!force && existingSource && existingSource.fingerprint === fingerprint) {
+            logger.info('Source unchanged, skipping', { source });
+            return {
+                source,
+                status: 'unchanged',
+                chunks: Number(existingSource.chunkCount) || 0,
+                added: 0,
+                removed: 0
+            };
+        }
+
+        await stage('split');
+        const chunks = await this.splitIntoChunks(source, docs);
+        if (chunks.length === 0) {
+            throw new Error('No text content found');
+        }
+
+        const chunkIds = chunks.map(chunk => chunk.metadata.chunk_id);
+        const existingIds = new Set((await this.vectorstore.query(
+            `MATCH (n:\`${this.nodeLabel}\` {source: $source}) RETURN n.id AS id`,
+            { source }
+        )).map(record => record.id));
+
+        // Only embed chunks we don't already have
+        const newChunks = chunks.filter(chunk => !existingIds.has(chunk.metadata.chunk_id));
+        for (let start = 0; start < newChunks.length; start += EMBED_BATCH_SIZE) {
+            await stage('embed', { chunks: chunks.length, embedded: start, toEmbed: newChunks.length });
+            const batch = newChunks.slice(start, start + EMBED_BATCH_SIZE);
+            const vectors = await this.vectorstore.embeddings.embedDocuments(batch.map(chunk => chunk.pageContent));
+            await this.vectorstore.addVectors(vectors, batch, undefined, batch.map(chunk => chunk.metadata.chunk_id));
+            this.changed(source);
+        }
+
+        await stage('store', { chunks: chunks.length, embedded: newChunks.length, toEmbed: newChunks.length });
+
+        // Drop chunks that are no longer part of the source (including legacy random-id duplicates)
+        const [{ removed }] = await this.vectorstore.query(`
+            MATCH (n:\`${this.nodeLabel}\` {source: $source})
+            WHERE NOT n.id IN $chunkIds
+            WITH collect(n) AS stale
+            FOREACH (node IN stale | DETACH DELETE node)
+            RETURN size(stale) AS removed
+        `, { source, chunkIds });
+        if (Number(removed) > 0) {
+            this.changed(source);
+        }
+
+        const now = new Date().toISOString();
+        await this.vectorstore.query(`
+            MERGE (s:\`${this.sourceLabel}\` {source: $source})
+            ON CREATE SET s.ingestedAt = $now
+            SET s.fingerprint = $fingerprint,
+                s.chunkCount = $chunkCount,
+                s.updatedAt = $now
+        `, { source, fingerprint, chunkCount: chunks.length, now });
+
+        const result = {
+            source,
+            status: existingSource ? 'updated' : 'added',
+            chunks: chunks.length,
+            added: newChunks.length,
+            removed: Number(removed) || 0
+        };
+
+        if (this.onChunksAdded && newChunks.length > 0) {
+            await stage('extract');
+            result.enrichment = await this.onChunksAdded(newChunks);
+        }
+
+        logger.info(result.status === 'added' ? 'Indexed source' : 'Re-indexed source', { source, chunks: result.chunks, added: result.added, removed: result.removed });
+        return result;
+    }
+
+    /**
+     * List indexed sources with their live chunk counts.
+     * Chunks indexed before source tracking existed are reported with tracked: false.
+     */
+    async listSources() {
+        await this.ensureSchema();
+
+        const tracked = await this.vectorstore.query(`
+            MATCH (s:\`${this.sourceLabel}\`)
+            OPTIONAL MATCH (n:\`${this.nodeLabel}\` {source: s.source})
+            RETURN s.source AS source, s.ingestedAt AS ingestedAt, s.updatedAt AS updatedAt, count(n) AS chunkCount
+        `);
+
+        const untracked = await this.vectorstore.query(`
+            MATCH (n:\`${this.nodeLabel}\`)
+            WHERE NOT EXISTS { MATCH (:\`${this.sourceLabel}\` {source: n.source}) }
+            RETURN n.source AS source, min(n.created_at) AS ingestedAt, max(n.created_at) AS updatedAt, count(n) AS chunkCount
+        `);
+
+        return [
+            ...tracked.map(record => ({ ...record, tracked: true })),
+            ...untracked.map(record => ({ ...record, tracked: false }))
+        ]
+            .map(record => ({ ...record, chunkCount: Number(record.chunkCount) || 0 }))
+            .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+    }
+
+    /**
+     * Page through the chunks of one source
+     */
+    async getSourceChunks(source, { limit = 20, offset = 0 } = {}) {
+        const textProperty = this.vectorstore.textNodeProperty;
+
+        const [{ total }] = await this.vectorstore.query(
+            `MATCH (n:\`${this.nodeLabel}\` {source: $source}) RETURN count(n) AS total`,
+            { source }
+        );
+
+        const chunks = await this.vectorstore.query(`
+            MATCH (n:\`${this.nodeLabel}\` {source: $source})
+            RETURN n.id AS id, n.\`${textProperty}\` AS text, n.created_at AS createdAt, n.content_length AS contentLength
+            ORDER BY n.created_at, n.id
+            SKIP toInteger($offset) LIMIT toInteger($limit)
+        `, { source, offset, limit });
+
+        return {
+            source,
+            total: Number(total) || 0,
+            offset,
+            limit,
+            chunks: chunks.map(chunk => ({ ...chunk, contentLength: Number(chunk.contentLength) || null }))
+        };
+    }
+
+    /**
+     * Remove a source and all of its chunks. Returns the number of chunks removed,
+     * or null if nothing was indexed under that source.
+     */
+    async deleteSource(source) {
+        const [{ removed, hadSource }] = await this.vectorstore.query(`
+            OPTIONAL MATCH (s:\`${this.sourceLabel}\` {source: $source})
+            WITH count(s) > 0 AS hadSource
+            OPTIONAL MATCH (n:\`${this.nodeLabel}\` {source: $source})
+            WITH hadSource, collect(n) AS chunks
+            FOREACH (node IN chunks | DETACH DELETE node)
+            WITH hadSource, size(chunks) AS removed
+            OPTIONAL MATCH (s:\`${this.sourceLabel}\` {source: $source})
+            DETACH DELETE s
+            RETURN removed, hadSource
+        `, { source });
+
+        const removedCount = Number(removed) || 0;
+        if (!hadSource && removedCount === 0) {
+            return null;
+        }
+
+        if (removedCount > 0) {
+            this.changed(source);
+        }
+        logger.info('Deleted source', { source, chunks: removedCount });
+        return removedCount;
+    }
+}
+
+module.exports = DocumentIndexer;
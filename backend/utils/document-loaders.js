@@ -0,0 +1,116 @@
+// backend/utils/document-loaders.js - Turn URLs and uploaded files into LangChain documents
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const { parse: parseCsv } = require('csv-parse/sync');
+// Require the library entry directly: pdf-parse's index.js runs a debug harness when loaded
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { Document } = require('@langchain/core/documents');
+const { CheerioWebBaseLoader } = require('@langchain/community/document_loaders/web/cheerio');
+
+/**
+ * File extensions we know how to read, mapped to a loader type
+ */
+const SUPPORTED_EXTENSIONS = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.text': 'text',
+    '.html': 'html',
+    '.htm': 'html',
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.csv': 'csv',
+    '.json': 'json'
+};
+
+/**
+ * Load a web page
+ */
+async function loadUrl(url) {
+    const loader = new CheerioWebBaseLoader(url);
+    return loader.load();
+}
+
+/**
+ * Load an uploaded file ({ originalname, buffer } as provided by multer)
+ */
+async function loadFile(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const type = SUPPORTED_EXTENSIONS[extension];
+
+    if (!type) {
+        throw new Error(`Unsupported file type "${extension || file.originalname}". Supported: ${Object.keys(SUPPORTED_EXTENSIONS).join(', ')}`);
+    }
+
+    const baseMetadata = {
+        source: `upload://${file.originalname}`,
+        title: file.originalname,
+        file_type: type
+    };
+
+    switch (type) {
+        case 'markdown':
+        case 'text':
+            return [textDocument(file.buffer.toString('utf8'), baseMetadata)];
+
+        case 'html': {
+            const $ = cheerio.load(file.buffer.toString('utf8'));
+            $('script, style, noscript').remove();
+            const title = $('title').first().text().trim();
+            return [textDocument($('body').text() || $.root().text(), {
+                ...baseMetadata,
+                title: title || baseMetadata.title
+            })];
+        }
+
+        case 'pdf': {
+            const pdf = await pdfParse(file.buffer);
+            return [textDocument(pdf.text, { ...baseMetadata, pages: pdf.numpages })];
+        }
+
+        case 'docx': {
+            const { value } = await mammoth.extractRawText({ buffer: file.buffer });
+            return [textDocument(value, baseMetadata)];
+        }
+
+        case 'csv': {
+            // One document per row, rendered as "column: value" lines
+            const rows = parseCsv(file.buffer.toString('utf8'), {
+                columns: true,
+                skip_empty_lines: true,
+                bom: true
+            });
+            return rows.map((row, index) => textDocument(
+                Object.entries(row).map(([column, value]) => `${column}: ${value}`).join('\n'),
+                { ...baseMetadata, row: index + 1 }
+            ));
+        }
+
+        case 'json': {
+            // Arrays become one document per element, anything else a single document
+            const data = JSON.parse(file.buffer.toString('utf8'));
+            const items = Array.isArray(data) ? data : [data];
+            return items.map((item, index) => textDocument(
+                typeof item === 'string' ? item : JSON.stringify(item, null, 2),
+                Array.isArray(data) ? { ...baseMetadata, item: index + 1 } : baseMetadata
+            ));
+        }
+
+        default:
+            throw new Error(`No loader for file type: ${type}`);
+    }
+}
+
+function textDocument(text, metadata) {
+    return new Document({
+        pageContent: text.replace(/\n{3,}/g, '\n\n').trim(),
+        metadata
+    });
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    loadUrl,
+    loadFile
+};
@@ -0,0 +1,171 @@
+// backend/utils/embedding-cache.js - Embeddings persisted in Neo4j by model and text hash, so no text is embedded twice
+const crypto = require('crypto');
+const { Embeddings } = require('@langchain/core/embeddings');
+const Neo4jStore = require('./neo4j-store');
+const logger = require('./logger');
+
+function cacheKey(model, text) {
+    return crypto.createHash('sha256').update(`${model}\u0000${text}`).digest('hex');
+}
+
+/**
+ * Stores one node per embedded text:
+ * (:EmbeddingCache {key, model, vector, createdAt}) where key is a hash of the model and the text.
+ * The text itself is not stored. Beyond maxEntries the oldest entries are dropped.
+ *
+ * Lookups never fail: when Neo4j is unreachable every text is a miss and gets embedded as usual.
+ * onLookup(hits, misses) is called after every lookup, e.g. to count them in the metrics.
+ */
+class EmbeddingCache extends Neo4jStore {
+    constructor({ driver, maxEntries = 100000, onLookup = null }) {
+        super(driver, [
+            'CREATE CONSTRAINT embedding_cache_key IF NOT EXISTS FOR (e:EmbeddingCache) REQUIRE e.key IS UNIQUE',
+            'CREATE INDEX embedding_cache_created IF NOT EXISTS FOR (e:EmbeddingCache) ON (e.createdAt)'
+        ]);
+        this.maxEntries = maxEntries;
+        this.onLookup = onLookup;
+        // Since startup
+        this.hits = 0;
+        this.misses = 0;
+        this.errors = 0;
+    }
+
+    /**
+     * The cached vectors of texts, in order; null for texts not cached yet
+     */
+    async lookup(model, texts) {
+        const keys = texts.map(text => cacheKey(model, text));
+        let found = new Map();
+        try {
+            const records = await this.run(`
+                UNWIND $keys AS key
+                MATCH (e:EmbeddingCache {key: key})
+                RETURN e.key AS key, e.vector AS vector
+            `, { keys: [...new Set(keys)] });
+            found = new Map(records.map(record => [record.get('key'), record.get('vector')]));
+        } catch (error) {
+            this.errors += 1;
+            logger.warn('Embedding cache lookup failed, embedding without it', { error: error.message });
+        }
+
+        const vectors = keys.map(key => found.get(key) || null);
+        const hits = vectors.filter(Boolean).length;
+        this.hits += hits;
+        this.misses += texts.length - hits;
+        if (this.onLookup) this.onLookup(hits, texts.length - hits);
+        return vectors;
+    }
+
+    /**
+     * Cache freshly embedded texts; a failure only costs embedding them again next time
+     */
+    async store(model, texts, vectors) {
+        const entries = texts.map((text, index) => ({ key: cacheKey(model, text), vector: vectors[index] }));
+        try {
+            await this.run(`
+                UNWIND $entries AS entry
+                MERGE (e:EmbeddingCache {key: entry.key})
+                ON CREATE SET e.model = $model, e.vector = entry.vector, e.createdAt = $now
+            `, { entries, model, now: new Date().toISOString() });
+            await this.prune();
+        } catch (error) {
+            this.errors += 1;
+            logger.warn('Could not store embeddings in the cache', { count: entries.length, error: error.message });
+        }
+    }
+
+    /**
+     * Drop the oldest entries beyond maxEntries
+     */
+    async prune() {
+        const [record] = await this.run('MATCH (e:EmbeddingCache) RETURN count(e) AS total');
+        const excess = Number(record.get('total')) - this.maxEntries;
+        if (excess <= 0) return;
+
+        await this.run(`
+            MATCH (e:EmbeddingCache)
+            WITH e ORDER BY e.createdAt LIMIT toInteger($excess)
+            DETACH DELETE e
+        `, { excess });
+        logger.info('Pruned embedding cache', { removed: excess, maxEntries: this.maxEntries });
+    }
+
+    /**
+     * Entries per model plus the hits, misses and errors since startup
+     */
+    async getStats() {
+        const records = await this.run(`
+            MATCH (e:EmbeddingCache)
+            RETURN e.model AS model, count(e) AS entries
+            ORDER BY model
+        `);
+        const models = records.map(record => ({ model: record.get('model'), entries: Number(record.get('entries')) }));
+        const lookups = this.hits + this.misses;
+        return {
+            entries: models.reduce((total, model) => total + model.entries, 0),
+            maxEntries: this.maxEntries,
+            models,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups ? Number((this.hits / lookups).toFixed(4)) : null,
+            errors: this.errors
+        };
+    }
+
+    /**
+     * Remove the cached embeddings of one model (all models by default); returns how many
+     */
+    async clear(model = null) {
+        const [record] = await this.run(`
+            MATCH (e:EmbeddingCache)
+            WHERE $model IS NULL OR e.model = $model
+            CALL { WITH e DETACH DELETE e } IN TRANSACTIONS OF 10000 ROWS
+            RETURN count(*) AS removed
+        `, { model });
+        return Number(record?.get('removed')) || 0;
+    }
+}
+
+/**
+ * LangChain embeddings that look texts up in an EmbeddingCache before asking the provider.
+ * model names the cached vectors, e.g. "ollama:nomic-embed-text".
+ */
+class CachedEmbeddings extends Embeddings {
+    constructor({ embeddings, cache, model }) {
+        super({});
+        this.embeddings = embeddings;
+        this.cache = cache;
+        this.model = model;
+    }
+
+    /**
+     * Vectors of texts from the cache; the missing ones come from embedMissing(texts),
+     * each distinct text once, and are cached
+     */
+    async embedCached(texts, embedMissing) {
+        const vectors = await this.cache.lookup(this.model, texts);
+        const missing = [...new Set(texts.filter((text, index) => !vectors[index]))];
+        if (missing.length === 0) return vectors;
+
+        const embedded = await embedMissing(missing);
+        await this.cache.store(this.model, missing, embedded);
+
+        const byText = new Map(missing.map((text, index) => [text, embedded[index]]));
+        return vectors.map((vector, index) => vector || byText.get(texts[index]));
+    }
+
+    async embedDocuments(texts) {
+        if (texts.length === 0) return [];
+        return this.embedCached(texts, missing => this.embeddings.embedDocuments(missing));
+    }
+
+    async embedQuery(text) {
+        const [vector] = await this.embedCached([text], async ([missing]) => [await this.embeddings.embedQuery(missing)]);
+        return vector;
+    }
+}
+
+module.exports = {
+    EmbeddingCache,
+    CachedEmbeddings
+};
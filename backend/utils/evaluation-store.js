@@ -0,0 +1,219 @@
+// backend/utils/evaluation-store.js - Evaluation datasets and run reports persisted in Neo4j
+const crypto = require('crypto');
+const neo4j = require('neo4j-driver');
+const Neo4jStore = require('./neo4j-store');
+
+/**
+ * Stores evaluation data next to the documents and sessions:
+ * (:EvalDataset {id, name, description, cases, ...})<-[:RUN_OF]-(:EvalRun {id, status, settings, metrics, results, ...})
+ * `cases`, `settings`, `metrics` and `results` are JSON strings (Neo4j properties must be primitives).
+ * Runs keep a copy of the dataset name so reports survive dataset deletion.
+ */
+class EvaluationStore extends Neo4jStore {
+    constructor({ driver }) {
+        super(driver, [
+            'CREATE CONSTRAINT eval_dataset_id IF NOT EXISTS FOR (d:EvalDataset) REQUIRE d.id IS UNIQUE',
+            'CREATE CONSTRAINT eval_run_id IF NOT EXISTS FOR (r:EvalRun) REQUIRE r.id IS UNIQUE'
+        ]);
+    }
+
+    async createDataset({ name, description, cases }) {
+        const now = new Date().toISOString();
+        const records = await this.run(`
+            CREATE (d:EvalDataset {
+                id: $id,
+                name: $name,
+                description: $description,
+                cases: $cases,
+                createdAt: $now,
+                updatedAt: $now
+            })
+            RETURN d
+        `, {
+            id: crypto.randomUUID(),
+            name,
+            description: description || null,
+            cases: JSON.stringify(cases),
+            now
+        });
+
+        return EvaluationStore.toDataset(records[0].get('d'));
+    }
+
+    async listDatasets() {
+        const records = await this.run(`
+            MATCH (d:EvalDataset)
+            OPTIONAL MATCH (d)<-[:RUN_OF]-(r:EvalRun)
+            WITH d, count(r) AS runCount
+            RETURN d, runCount
+            ORDER BY d.updatedAt DESC
+        `);
+
+        return records.map(record => {
+            const { cases, ...dataset } = EvaluationStore.toDataset(record.get('d'));
+            return { ...dataset, caseCount: cases.length, runCount: record.get('runCount').toNumber() };
+        });
+    }
+
+    /**
+     * Get a dataset with its cases, or null if it doesn't exist
+     */
+    async getDataset(id) {
+        const records = await this.run('MATCH (d:EvalDataset {id: $id}) RETURN d', { id });
+        return records.length > 0 ? EvaluationStore.toDataset(records[0].get('d')) : null;
+    }
+
+    async updateDataset(id, { name, description, cases }) {
+        const records = await this.run(`
+            MATCH (d:EvalDataset {id: $id})
+            SET d.name = coalesce($name, d.name),
+                d.description = coalesce($description, d.description),
+                d.cases = coalesce($cases, d.cases),
+                d.updatedAt = $now
+            RETURN d
+        `, {
+            id,
+            name: name || null,
+            description: description === undefined ? null : description,
+            cases: cases ? JSON.stringify(cases) : null,
+            now: new Date().toISOString()
+        });
+
+        return records.length > 0 ? EvaluationStore.toDataset(records[0].get('d')) : null;
+    }
+
+    /**
+     * Delete a dataset; its run reports are kept. Returns false if it didn't exist.
+     */
+    async deleteDataset(id) {
+        const records = await this.run(`
+            MATCH (d:EvalDataset {id: $id})
+            DETACH DELETE d
+            RETURN count(d) AS deleted
+        `, { id });
+
+        return records.length > 0 && records[0].get('deleted').toNumber() > 0;
+    }
+
+    async createRun(dataset, settings) {
+        const records = await this.run(`
+            MATCH (d:EvalDataset {id: $datasetId})
+            CREATE (d)<-[:RUN_OF]-(r:EvalRun {
+                id: $id,
+                datasetId: d.id,
+                datasetName: d.name,
+                status: 'running',
+                completed: 0,
+                total: $total,
+                settings: $settings,
+                startedAt: $now
+            })
+            RETURN r
+        `, {
+            datasetId: dataset.id,
+            id: crypto.randomUUID(),
+            total: neo4j.int(dataset.cases.length),
+            settings: JSON.stringify(settings),
+            now: new Date().toISOString()
+        });
+
+        return records.length > 0 ? EvaluationStore.toRun(records[0].get('r')) : null;
+    }
+
+    async updateRunProgress(id, completed) {
+        await this.run('MATCH (r:EvalRun {id: $id}) SET r.completed = $completed', { id, completed: neo4j.int(completed) });
+    }
+
+    async finishRun(id, { metrics = null, results = null, error = null }) {
+        await this.run(`
+            MATCH (r:EvalRun {id: $id})
+            SET r.status = $status,
+                r.metrics = $metrics,
+                r.results = $results,
+                r.error = $error,
+                r.finishedAt = $now
+        `, {
+            id,
+            status: error ? 'failed' : 'completed',
+            metrics: metrics ? JSON.stringify(metrics) : null,
+            results: results ? JSON.stringify(results) : null,
+            error,
+            now: new Date().toISOString()
+        });
+    }
+
+    /**
+     * List run summaries (without per-case results), newest first
+     */
+    async listRuns({ datasetId = null } = {}) {
+        const records = await this.run(`
+            MATCH (r:EvalRun)
+            WHERE $datasetId IS NULL OR r.datasetId = $datasetId
+            RETURN r
+            ORDER BY r.startedAt DESC
+        `, { datasetId });
+
+        return records.map(record => {
+            const { results, ...run } = EvaluationStore.toRun(record.get('r'));
+            return run;
+        });
+    }
+
+    async getRun(id) {
+        const records = await this.run('MATCH (r:EvalRun {id: $id}) RETURN r', { id });
+        return records.length > 0 ? EvaluationStore.toRun(records[0].get('r')) : null;
+    }
+
+    async deleteRun(id) {
+        const records = await this.run(`
+            MATCH (r:EvalRun {id: $id})
+            DETACH DELETE r
+            RETURN count(r) AS deleted
+        `, { id });
+
+        return records.length > 0 && records[0].get('deleted').toNumber() > 0;
+    }
+
+    /**
+     * Runs still marked running when the server stopped can never finish
+     */
+    async failInterruptedRuns() {
+        await this.run(`
+            MATCH (r:EvalRun {status: 'running'})
+            SET r.status = 'failed', r.error = 'Interrupted by server restart', r.finishedAt = $now
+        `, { now: new Date().toISOString() });
+    }
+
+    static toDataset(node) {
+        const { id, name, description, cases, createdAt, updatedAt } = node.properties;
+        return {
+            id,
+            name,
+            description: description || null,
+            cases: cases ? JSON.parse(cases) : [],
+            createdAt,
+            updatedAt
+        };
+    }
+
+    static toRun(node) {
+        const { id, datasetId, datasetName, status, completed, total, settings, metrics, results, error, startedAt, finishedAt } = node.properties;
+        const toNumber = (value) => (neo4j.isInt(value) ? value.toNumber() : value);
+        return {
+            id,
+            datasetId,
+            datasetName,
+            status,
+            completed: toNumber(completed),
+            total: toNumber(total),
+            settings: settings ? JSON.parse(settings) : null,
+            metrics: metrics ? JSON.parse(metrics) : null,
+            results: results ? JSON.parse(results) : null,
+            error: error || null,
+            startedAt,
+            finishedAt: finishedAt || null
+        };
+    }
+}
+
+module.exports = EvaluationStore;
@@ -0,0 +1,202 @@
+// backend/utils/evaluation.js - Retrieval metrics and LLM-judged answer quality for RAG evaluation runs
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const logger = require('./logger');
+
+const FAITHFULNESS_PROMPT = `You are grading a RAG system. Decide how well the ANSWER is supported by the CONTEXT.
+5 = every claim is supported by the context, 1 = the answer is mostly unsupported or contradicts the context.
+
+CONTEXT:
+{context}
+
+ANSWER:
+{answer}
+
+Respond with JSON only: {{"score": <1-5>, "reason": "<one sentence>"}}`;
+
+const RELEVANCE_PROMPT = `You are grading a RAG system. Decide how well the ANSWER addresses the QUESTION.
+If a REFERENCE answer is given, also judge whether the answer agrees with it.
+5 = fully answers the question (and agrees with the reference), 1 = off-topic or wrong.
+
+QUESTION: {question}
+
+REFERENCE: {reference}
+
+ANSWER:
+{answer}
+
+Respond with JSON only: {{"score": <1-5>, "reason": "<one sentence>"}}`;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Validate and normalise dataset cases: [{ question, expectedSources?, referenceAnswer? }]
+ */
+function normalizeCases(cases) {
+    if (!Array.isArray(cases) || cases.length === 0) {
+        throw invalid('cases must be a non-empty array');
+    }
+
+    return cases.map((testCase, index) => {
+        const question = String(testCase?.question || '').trim();
+        if (!question) {
+            throw invalid(`Case ${index + 1} has no question`);
+        }
+
+        const expectedSources = testCase.expectedSources === undefined ? [] : testCase.expectedSources;
+        if (!Array.isArray(expectedSources) || expectedSources.some(source => typeof source !== 'string')) {
+            throw invalid(`Case ${index + 1}: expectedSources must be an array of source strings`);
+        }
+
+        return {
+            question,
+            expectedSources: expectedSources.map(source => source.trim()).filter(Boolean),
+            referenceAnswer: testCase.referenceAnswer ? String(testCase.referenceAnswer) : null
+        };
+    });
+}
+
+// Trailing slashes and case don't make a different source
+function sourceKey(source) {
+    return String(source || '').trim().replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Retrieval metrics for one case from the ordered retrieved sources.
+ * - hit: an expected source is anywhere in the top k
+ * - reciprocalRank: 1 / rank of the first expected source (0 if none)
+ * - recall: share of expected sources found in the top k
+ * Returns null when the case has no expected sources.
+ */
+function retrievalMetrics(retrievedSources, expectedSources) {
+    if (expectedSources.length === 0) return null;
+
+    const expected = new Set(expectedSources.map(sourceKey));
+    const retrieved = retrievedSources.map(sourceKey);
+
+    const firstRank = retrieved.findIndex(source => expected.has(source)) + 1;
+    const found = new Set(retrieved.filter(source => expected.has(source)));
+
+    return {
+        hit: firstRank > 0 ? 1 : 0,
+        reciprocalRank: firstRank > 0 ? 1 / firstRank : 0,
+        recall: found.size / expected.size
+    };
+}
+
+/**
+ * Parse a judge's { score, reason } answer; score is 1-5, reported normalised to 0-1
+ */
+function parseJudgement(rawResponse) {
+    const text = String(rawResponse).replace(/<think>[\s\S]*?<\/think>/gi, '');
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) {
+        throw new Error('No JSON object in judge response');
+    }
+
+    const { score, reason = null } = JSON.parse(match[0]);
+    const value = Number(score);
+    if (!Number.isFinite(value) || value < 1 || value > 5) {
+        throw new Error(`Judge score out of range: ${score}`);
+    }
+
+    return { score: (value - 1) / 4, rawScore: value, reason };
+}
+
+async function judge(chatModel, template, input) {
+    try {
+        const rawResponse = await ChatPromptTemplate.fromTemplate(template)
+            .pipe(chatModel)
+            .pipe(new StringOutputParser())
+            .invoke(input);
+        return parseJudgement(rawResponse);
+    } catch (error) {
+        return { score: null, error: error.message };
+    }
+}
+
+function mean(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (numbers.length === 0) return null;
+    return Number((numbers.reduce((sum, value) => sum + value, 0) / numbers.length).toFixed(4));
+}
+
+/**
+ * Average the per-case results into the run's headline metrics
+ */
+function summarize(results, k) {
+    const withRetrieval = results.filter(result => result.retrieval);
+
+    return {
+        cases: results.length,
+        failed: results.filter(result => result.error).length,
+        casesWithExpectedSources: withRetrieval.length,
+        hitRate: mean(withRetrieval.map(result => result.retrieval.hit)),
+        mrr: mean(withRetrieval.map(result => result.retrieval.reciprocalRank)),
+        [`recall@${k}`]: mean(withRetrieval.map(result => result.retrieval.recall)),
+        faithfulness: mean(results.map(result => result.judgement?.faithfulness?.score)),
+        answerRelevance: mean(results.map(result => result.judgement?.answerRelevance?.score)),
+        avgLatencyMs: mean(results.map(result => result.latencyMs))
+    };
+}
+
+/**
+ * Run every case through the pipeline and score it.
+ * pipeline: { retrieve(question) -> sources, answer(question, sources) -> { response, thinking } }
+ * options: { k, judgeModel (chat model or null to skip judging), formatContext, onProgress(done, total) }
+ */
+async function runEvaluation(cases, pipeline, { k, judgeModel = null, formatContext, onProgress } = {}) {
+    const results = [];
+
+    for (const [index, testCase] of cases.entries()) {
+        const started = Date.now();
+        const result = { index: index + 1, question: testCase.question, expectedSources: testCase.expectedSources };
+
+        try {
+            const sources = await pipeline.retrieve(testCase.question);
+            const retrievedSources = sources.map(source => source.source);
+            const answer = await pipeline.answer(testCase.question, sources);
+
+            result.retrievedSources = retrievedSources;
+            result.retrieval = retrievalMetrics(retrievedSources, testCase.expectedSources);
+            result.answer = answer.response;
+            result.latencyMs = Date.now() - started;
+
+            if (judgeModel) {
+                result.judgement = {
+                    faithfulness: await judge(judgeModel, FAITHFULNESS_PROMPT, {
+                        context: formatContext(sources),
+                        answer: answer.response
+                    }),
+                    answerRelevance: await judge(judgeModel, RELEVANCE_PROMPT, {
+                        question: testCase.question,
+                        reference: testCase.referenceAnswer || '(none)',
+                        answer: answer.response
+                    })
+                };
+            }
+        } catch (error) {
+            logger.warn(`Evaluation case ${index + 1} failed`, { error: error.message });
+            result.error = error.message;
+        }
+
+        results.push(result);
+        if (onProgress) {
+            await onProgress(index + 1, cases.length);
+        }
+    }
+
+    return { metrics: summarize(results, k), results };
+}
+
+module.exports = {
+    normalizeCases,
+    retrievalMetrics,
+    parseJudgement,
+    summarize,
+    runEvaluation
+};
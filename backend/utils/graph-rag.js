@@ -0,0 +1,249 @@
+// backend/utils/graph-rag.js - Entity/relation extraction into Neo4j and graph-expansion retrieval
+const { Document } = require('@langchain/core/documents');
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const logger = require('./logger');
+
+const DEFAULT_EXTRACTION_PROMPT = `Extract the key entities and the relationships between them from the text below.
+Entities are things like products, software, organizations, people, commands, models, file formats, error codes and concepts.
+
+Respond with JSON only, in exactly this shape:
+{{"entities": [{{"name": "Ollama", "type": "Software"}}], "relations": [{{"source": "Ollama", "target": "Llama 3", "type": "RUNS"}}]}}
+
+Use at most {maxEntities} entities. Relation types are short UPPER_SNAKE_CASE verbs. Only relate entities you listed.
+
+Text:
+{text}`;
+
+/**
+ * Normalised identity for an entity name, so "Ollama" and "ollama " merge
+ */
+function entityKey(name) {
+    return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pull the first JSON object out of a model response (ignores <think> blocks and code fences)
+ */
+function parseGraphJson(rawResponse) {
+    const text = String(rawResponse)
+        .replace(/<think>[\s\S]*?<\/think>/gi, '')
+        .replace(/```(?:json)?/gi, '');
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object in extraction response');
+    }
+
+    const data = JSON.parse(text.slice(start, end + 1));
+
+    const entities = (Array.isArray(data.entities) ? data.entities : [])
+        .filter(entity => entity && typeof entity.name === 'string' && entity.name.trim())
+        .map(entity => ({
+            key: entityKey(entity.name),
+            name: entity.name.trim(),
+            type: typeof entity.type === 'string' && entity.type.trim() ? entity.type.trim() : 'Concept'
+        }));
+
+    const known = new Set(entities.map(entity => entity.key));
+    const relations = (Array.isArray(data.relations) ? data.relations : [])
+        .filter(relation => relation && relation.source && relation.target)
+        .map(relation => ({
+            source: entityKey(relation.source),
+            target: entityKey(relation.target),
+            type: String(relation.type || 'RELATED').toUpperCase().replace(/[^A-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'RELATED'
+        }))
+        .filter(relation => known.has(relation.source) && known.has(relation.target) && relation.source !== relation.target);
+
+    return { entities, relations };
+}
+
+/**
+ * Builds and queries the knowledge graph that sits on top of the chunk nodes:
+ * (:Chunk)-[:MENTIONS]->(:Entity)-[:RELATED_TO {type}]->(:Entity)
+ * Chunk nodes are the vector store's nodes with an extra :Chunk label.
+ */
+class GraphRAG {
+    constructor(vectorstore, { extractionPrompt = DEFAULT_EXTRACTION_PROMPT, maxEntities = 12 } = {}) {
+        this.vectorstore = vectorstore;
+        this.nodeLabel = vectorstore.nodeLabel;
+        this.textProperty = vectorstore.textNodeProperty;
+        this.embeddingProperty = vectorstore.embeddingNodeProperty;
+        this.extractionPrompt = extractionPrompt;
+        this.maxEntities = maxEntities;
+        this.schemaReady = null;
+    }
+
+    ensureSchema() {
+        if (!this.schemaReady) {
+            this.schemaReady = this.vectorstore
+                .query('CREATE CONSTRAINT entity_key IF NOT EXISTS FOR (e:Entity) REQUIRE e.key IS UNIQUE')
+                .catch(error => {
+                    this.schemaReady = null;
+                    throw error;
+                });
+        }
+        return this.schemaReady;
+    }
+
+    /**
+     * Ask the chat model for the entities and relations in one chunk of text
+     */
+    async extractGraph(chatModel, text) {
+        const prompt = ChatPromptTemplate.fromTemplate(this.extractionPrompt);
+        const rawResponse = await prompt
+            .pipe(chatModel)
+            .pipe(new StringOutputParser())
+            .invoke({ text, maxEntities: String(this.maxEntities) });
+
+        return parseGraphJson(rawResponse);
+    }
+
+    /**
+     * Link one chunk node to its entities and store the relations between them
+     */
+    async storeChunkGraph(chunkId, { entities, relations }) {
+        await this.vectorstore.query(`
+            MATCH (c:\`${this.nodeLabel}\` {chunk_id: $chunkId})
+            SET c:Chunk, c.graphExtractedAt = $now
+            WITH c
+            UNWIND $entities AS entity
+            MERGE (e:Entity {key: entity.key})
+            ON CREATE SET e.name = entity.name, e.type = entity.type
+            MERGE (c)-[:MENTIONS]->(e)
+        `, { chunkId, entities, now: new Date().toISOString() });
+
+        if (relations.length > 0) {
+            await this.vectorstore.query(`
+                UNWIND $relations AS relation
+                MATCH (a:Entity {key: relation.source})
+                MATCH (b:Entity {key: relation.target})
+                MERGE (a)-[r:RELATED_TO {type: relation.type}]->(b)
+            `, { relations });
+        }
+    }
+
+    /**
+     * Extract and store the graph for a batch of chunks ({ pageContent, metadata.chunk_id }).
+     * Failures are per chunk: one bad model response doesn't stop the batch.
+     */
+    async processChunks(chatModel, chunks) {
+        await this.ensureSchema();
+
+        const summary = { processed: 0, failed: 0, entities: 0, relations: 0 };
+
+        for (const chunk of chunks) {
+            try {
+                const graph = await this.extractGraph(chatModel, chunk.pageContent);
+                await this.storeChunkGraph(chunk.metadata.chunk_id, graph);
+                summary.processed++;
+                summary.entities += graph.entities.length;
+                summary.relations += graph.relations.length;
+            } catch (error) {
+                summary.failed++;
+                logger.warn('Graph extraction failed for chunk', { chunkId: chunk.metadata.chunk_id, error: error.message });
+            }
+        }
+
+        logger.info('Graph extraction finished', summary);
+        return summary;
+    }
+
+    /**
+     * Chunks that have not been through extraction yet (optionally for one source)
+     */
+    async getPendingChunks({ source = null, limit = 100 } = {}) {
+        const records = await this.vectorstore.query(`
+            MATCH (n:\`${this.nodeLabel}\`)
+            WHERE n.graphExtractedAt IS NULL AND ($source IS NULL OR n.source = $source)
+            RETURN n.chunk_id AS chunkId, n.\`${this.textProperty}\` AS text
+            LIMIT toInteger($limit)
+        `, { source, limit });
+
+        return records
+            .filter(record => record.chunkId && record.text)
+            .map(record => ({ pageContent: record.text, metadata: { chunk_id: record.chunkId } }));
+    }
+
+    /**
+     * Remove entities no chunk mentions any more (after sources are changed or deleted)
+     */
+    async pruneOrphanEntities() {
+        const [{ removed }] = await this.vectorstore.query(`
+            MATCH (e:Entity)
+            WHERE NOT (e)<-[:MENTIONS]-()
+            WITH collect(e) AS orphans
+            FOREACH (entity IN orphans | DETACH DELETE entity)
+            RETURN size(orphans) AS removed
+        `);
+        return Number(removed) || 0;
+    }
+
+    async getStats() {
+        const [stats] = await this.vectorstore.query(`
+            CALL { MATCH (e:Entity) RETURN count(e) AS entities }
+            CALL { MATCH (:Entity)-[r:RELATED_TO]->(:Entity) RETURN count(r) AS relations }
+            CALL { MATCH (c:Chunk) RETURN count(c) AS chunks }
+            CALL { MATCH (n:\`${this.nodeLabel}\`) WHERE n.graphExtractedAt IS NULL RETURN count(n) AS pending }
+            RETURN entities, relations, chunks, pending
+        `);
+
+        return Object.fromEntries(Object.entries(stats).map(([key, value]) => [key, Number(value) || 0]));
+    }
+
+    /**
+     * Graph-expansion retrieval: starting from the retrieved seed chunks, follow their
+     * entities (and, with hops = 1, entities related to those) back to other chunks.
+     * Neighbours sharing the most entities come first. Returns [Document, score] pairs
+     * where score is the share of seed entities the neighbour mentions.
+     */
+    async expand(seedResults, { limit = 3, hops = 1 } = {}) {
+        const seedIds = seedResults
+            .map(([doc]) => doc.metadata.chunk_id)
+            .filter(Boolean);
+
+        if (seedIds.length === 0 || limit < 1) return [];
+
+        const relatedPattern = hops > 0 ? `-[:RELATED_TO*0..${Math.min(hops, 2)}]-` : '-[:RELATED_TO*0..0]-';
+
+        const records = await this.vectorstore.query(`
+            MATCH (seed:\`${this.nodeLabel}\`)-[:MENTIONS]->(e:Entity)
+            WHERE seed.chunk_id IN $seedIds
+            MATCH (e)${relatedPattern}(related:Entity)
+            WITH collect(DISTINCT related) AS entities
+            WITH entities, size(entities) AS entityCount
+            UNWIND entities AS entity
+            MATCH (entity)<-[:MENTIONS]-(neighbor:\`${this.nodeLabel}\`)
+            WHERE NOT neighbor.chunk_id IN $seedIds
+            WITH neighbor, entityCount, count(DISTINCT entity) AS shared, collect(DISTINCT entity.name)[0..5] AS via
+            ORDER BY shared DESC
+            LIMIT toInteger($limit)
+            RETURN neighbor.\`${this.textProperty}\` AS text, shared, via, entityCount,
+                neighbor {.*, \`${this.textProperty}\`: Null, \`${this.embeddingProperty}\`: Null, id: Null} AS metadata
+        `, { seedIds, limit });
+
+        return records
+            .filter(record => record.text)
+            .map(record => {
+                const shared = Number(record.shared) || 0;
+                const entityCount = Number(record.entityCount) || 1;
+                return [
+                    new Document({
+                        pageContent: record.text,
+                        metadata: {
+                            ...record.metadata,
+                            retrieval: { graph: true, sharedEntities: shared, via: record.via }
+                        }
+                    }),
+                    shared / entityCount
+                ];
+            });
+    }
+}
+
+module.exports = {
+    GraphRAG,
+    parseGraphJson,
+    entityKey
+};
@@ -0,0 +1,214 @@
+// backend/utils/job-queue.js - Background jobs for ingestion and re-indexing, with per-source progress
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+// Where a source is in its job: queued -> fetch -> split -> embed -> store -> extract -> done | failed | cancelled
+const FINISHED_STAGES = ['done', 'failed', 'cancelled'];
+
+function invalid(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Runs jobs one at a time, in the order they were queued, so ingestion never competes with
+ * itself for the embedding model and Neo4j. Each job tracks its sources through their stages
+ * with counts and errors; cancelling a running job stops it at the next stage boundary.
+ *
+ * Jobs live in memory: the active ones plus the last historyLimit finished ones. Their payload
+ * (whatever a retry needs, e.g. uploaded file contents) is kept with them but never returned.
+ */
+class JobQueue {
+    constructor({ historyLimit = 50 } = {}) {
+        this.historyLimit = historyLimit;
+        this.jobs = new Map();
+        this.running = null;
+    }
+
+    /**
+     * Queue a job; run(context) does the work and its return value becomes job.result.
+     * sources are the names tracked from the start (more can be added while running).
+     */
+    enqueue({ type, collection = null, sources = [], payload = null, retryOf = null }, run) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            collection,
+            status: 'queued',
+            step: null,
+            sources: sources.map(source => ({ source, stage: 'queued' })),
+            result: null,
+            error: null,
+            retryOf,
+            cancelRequested: false,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            payload,
+            run
+        };
+
+        this.jobs.set(job.id, job);
+        logger.info(`Queued ${type} job`, { jobId: job.id, sources: sources.length });
+        this.processNext();
+        return JobQueue.toJob(job);
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? JobQueue.toJob(job) : null;
+    }
+
+    getPayload(id) {
+        return this.jobs.get(id)?.payload ?? null;
+    }
+
+    /**
+     * Jobs newest first, optionally filtered by status and type
+     */
+    list({ status = null, type = null } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!status || job.status === status) && (!type || job.type === type))
+            .reverse()
+            .map(JobQueue.toJob);
+    }
+
+    /**
+     * Queued and running jobs, oldest first
+     */
+    active() {
+        return [...this.jobs.values()].filter(job => ACTIVE_STATUSES.includes(job.status)).map(JobQueue.toJob);
+    }
+
+    /**
+     * Cancel a queued job, or ask a running one to stop. Returns null if the job doesn't
+     * exist; a finished job can't be cancelled (409).
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            this.finish(job, 'cancelled');
+        } else if (job.status === 'running') {
+            job.cancelRequested = true;
+            logger.info('Cancelling job', { jobId: job.id });
+        } else {
+            throw invalid(`Job is already ${job.status}`, 409);
+        }
+        return JobQueue.toJob(job);
+    }
+
+    async processNext() {
+        if (this.running) return;
+        const job = [...this.jobs.values()].find(candidate => candidate.status === 'queued');
+        if (!job) return;
+
+        this.running = job;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        try {
+            // Everything the job logs carries its id, not that of the request that queued it
+            job.result = (await logger.runWithContext({ jobId: job.id }, () => job.run(this.createContext(job)))) ?? null;
+            this.finish(job, 'completed');
+        } catch (error) {
+            if (error instanceof JobCancelledError) {
+                this.finish(job, 'cancelled');
+            } else {
+                logger.error('Job failed', { jobId: job.id, error });
+                job.error = error.message;
+                this.finish(job, 'failed');
+            }
+        } finally {
+            this.running = null;
+            setImmediate(() => this.processNext());
+        }
+    }
+
+    createContext(job) {
+        return {
+            jobId: job.id,
+            throwIfCancelled: () => {
+                if (job.cancelRequested) throw new JobCancelledError();
+            },
+            // What the job is doing apart from its sources, e.g. 'connecting' or 'wiping index'
+            setStep: (step) => {
+                job.step = step;
+            },
+            updateSource: (source, changes) => {
+                let entry = job.sources.find(candidate => candidate.source === source);
+                if (!entry) {
+                    entry = { source, stage: 'queued' };
+                    job.sources.push(entry);
+                }
+                Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+            }
+        };
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.step = null;
+        job.finishedAt = new Date().toISOString();
+        job.run = null;
+        // Sources the job never got to (or was working on when it stopped)
+        job.sources
+            .filter(entry => !FINISHED_STAGES.includes(entry.stage))
+            .forEach(entry => { entry.stage = 'cancelled'; });
+
+        const { done, failed } = JobQueue.progress(job);
+        logger.info(`Job ${status}`, { jobId: job.id, type: job.type, done, failed });
+        this.prune();
+    }
+
+    // Forget the oldest finished jobs beyond historyLimit
+    prune() {
+        const finished = [...this.jobs.values()].filter(job => !ACTIVE_STATUSES.includes(job.status));
+        finished.slice(0, Math.max(0, finished.length - this.historyLimit)).forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * Source counts by outcome, plus chunk totals over the sources that are done
+     */
+    static progress(job) {
+        const count = (stages) => job.sources.filter(entry => stages.includes(entry.stage)).length;
+        const sum = (field) => job.sources
+            .filter(entry => entry.stage === 'done')
+            .reduce((total, entry) => total + (Number(entry[field]) || 0), 0);
+        return {
+            total: job.sources.length,
+            done: count(['done']),
+            failed: count(['failed']),
+            cancelled: count(['cancelled']),
+            queued: count(['queued']),
+            active: job.sources.length - count(['queued', ...FINISHED_STAGES]),
+            chunks: sum('chunks'),
+            embeddedChunks: sum('added'),
+            removedChunks: sum('removed')
+        };
+    }
+
+    static toJob(job) {
+        const { payload, run, ...fields } = job;
+        return {
+            ...fields,
+            sources: job.sources.map(entry => ({ ...entry })),
+            progress: JobQueue.progress(job)
+        };
+    }
+}
+
+module.exports = {
+    JobQueue,
+    JobCancelledError
+};
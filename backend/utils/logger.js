@@ -0,0 +1,115 @@
+// backend/utils/logger.js - Structured logs with levels, correlation IDs and query redaction
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['json', 'text'];
+
+// Fields added to every entry logged while handling a request or running a job ({ requestId } / { jobId })
+const logContext = new AsyncLocalStorage();
+
+// Until the configuration is loaded (see configure), the environment decides
+const settings = {
+    level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'json',
+    redactQueries: false
+};
+
+/**
+ * Apply LOG_LEVEL, LOG_FORMAT and LOG_REDACT_QUERIES; unknown values keep the current setting
+ */
+function configure({ level, format, redactQueries } = {}) {
+    if (LOG_LEVELS.includes(level)) settings.level = level;
+    if (LOG_FORMATS.includes(format)) settings.format = format;
+    if (typeof redactQueries === 'boolean') settings.redactQueries = redactQueries;
+}
+
+/**
+ * Run fn with fields attached to everything it logs, across awaits and callbacks
+ */
+function runWithContext(fields, fn) {
+    return logContext.run({ ...fields }, fn);
+}
+
+function getContext() {
+    return logContext.getStore() || {};
+}
+
+/**
+ * User-supplied text (questions, prompts) as it may be logged: with LOG_REDACT_QUERIES only its length
+ */
+function redactQuery(text) {
+    if (!settings.redactQueries || text === undefined || text === null) return text;
+    return `[redacted, ${String(text).length} chars]`;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.status && { status: error.status }),
+        ...(error.stack && { stack: error.stack })
+    };
+}
+
+// A bare Error becomes { error }; Errors in fields are serialized since JSON.stringify drops their message
+function normalizeFields(fields) {
+    if (fields instanceof Error) return { error: serializeError(fields) };
+    if (!fields || typeof fields !== 'object') return fields === undefined ? {} : { detail: fields };
+
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+        key,
+        value instanceof Error ? serializeError(value) : value
+    ]));
+}
+
+// time LEVEL [requestId] message key=value ... for reading logs in a terminal
+function formatText({ time, level, msg, ...fields }) {
+    const { requestId, jobId, ...rest } = fields;
+    const correlation = requestId || jobId ? ` [${requestId || jobId}]` : '';
+    const details = Object.entries(rest)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)}${correlation} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+function stringify(entry) {
+    try {
+        return JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    } catch (error) {
+        // Circular fields: keep the message rather than lose the entry
+        return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, logError: error.message });
+    }
+}
+
+function write(level, message, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...getContext(),
+        ...normalizeFields(fields)
+    };
+    const line = settings.format === 'text' ? formatText(entry) : stringify(entry);
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * logger.info(message, fields): fields is an object of structured values, or an Error
+ */
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    configure,
+    runWithContext,
+    getContext,
+    redactQuery
+};
+
+module.exports = logger;
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.LOG_FORMATS = LOG_FORMATS;
@@ -0,0 +1,200 @@
+// backend/utils/metrics.js - Counters, gauges and histograms rendered in the Prometheus text format
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * A named metric with a fixed set of label names; each combination of label values is one series
+ */
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    labelValues(labels = {}) {
+        return this.labelNames.map(labelName => (labels[labelName] === undefined || labels[labelName] === null ? '' : String(labels[labelName])));
+    }
+
+    seriesFor(labels, create) {
+        const values = this.labelValues(labels);
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { values, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    formatLabels(values, extra = {}) {
+        const pairs = [
+            ...this.labelNames.map((labelName, index) => [labelName, values[index]]),
+            ...Object.entries(extra)
+        ];
+        return pairs.length ? `{${pairs.map(([labelName, value]) => `${labelName}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...[...this.series.values()].map(series => `${this.name}${this.formatLabels(series.values)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+/**
+ * A value that goes up and down. collect() (optional) sets the current values right before rendering.
+ */
+class Gauge extends Metric {
+    constructor({ collect = null, ...options }) {
+        super('gauge', options);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) this.collect(this);
+        return [
+            ...this.header(),
+            ...[...this.series.values()].map(series => `${this.name}${this.formatLabels(series.values)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    /**
+     * Start timing; the returned function observes the elapsed seconds (with extra labels, e.g. the
+     * status known only at the end) and returns them
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${this.formatLabels(series.values, { le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${this.formatLabels(series.values, { le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${this.formatLabels(series.values)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${this.formatLabels(series.values)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * The metrics of one process. Names get the registry prefix, e.g. karl_http_requests_total.
+ */
+class MetricsRegistry {
+    constructor({ prefix = '' } = {}) {
+        this.prefix = prefix;
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter({ ...options, name: this.prefix + options.name }));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge({ ...options, name: this.prefix + options.name }));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram({ ...options, name: this.prefix + options.name }));
+    }
+
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Report every rejected call of target's async methods to onError(method, error), then rethrow.
+ * Used to count dependency errors (Neo4j queries, embedding calls) at the client objects.
+ */
+function trackErrors(target, methods, onError) {
+    for (const method of methods) {
+        if (typeof target[method] !== 'function') continue;
+        const original = target[method].bind(target);
+        target[method] = async (...args) => {
+            try {
+                return await original(...args);
+            } catch (error) {
+                onError(method, error);
+                throw error;
+            }
+        };
+    }
+    return target;
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    DEFAULT_BUCKETS,
+    trackErrors
+};
@@ -0,0 +1,35 @@
+// backend/utils/model-catalog.js - Models available from the configured LLM provider
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Lists the provider's models (see providers.js listModels), cached briefly so
+ * per-request model validation doesn't hit the provider on every chat call.
+ */
+class ModelCatalog {
+    constructor(provider) {
+        this.provider = provider;
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    async list({ refresh = false } = {}) {
+        if (!refresh && this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+            return this.cache;
+        }
+
+        const models = await this.provider.listModels();
+        this.cache = models.sort((a, b) => a.name.localeCompare(b.name));
+        this.cachedAt = Date.now();
+        return this.cache;
+    }
+
+    /**
+     * Find a model by name; "llama3" also matches Ollama's "llama3:latest"
+     */
+    async find(name) {
+        const matches = (models) => models.find(model => model.name === name || model.name === `${name}:latest`);
+        return matches(await this.list()) || matches(await this.list({ refresh: true })) || null;
+    }
+}
+
+module.exports = ModelCatalog;
@@ -0,0 +1,55 @@
+// backend/utils/neo4j-store.js - Query and schema plumbing shared by the stores kept in Neo4j
+
+/**
+ * Base of the stores that keep their data next to the documents in Neo4j. They all use the one
+ * driver the server creates, so the process holds a single connection pool for them; the server
+ * closes it.
+ *
+ * `schema` lists the constraint and index statements a store needs; they run once per process,
+ * before its first query.
+ */
+class Neo4jStore {
+    constructor(driver, schema = []) {
+        this.driver = driver;
+        this.schema = schema;
+        this.schemaReady = null;
+    }
+
+    /**
+     * Run a query in its own session and return the records
+     */
+    async run(query, params = {}) {
+        await this.ensureSchema();
+        const session = this.driver.session();
+        try {
+            const result = await session.run(query, params);
+            return result.records;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Create constraints and indexes once per process
+     */
+    ensureSchema() {
+        if (!this.schemaReady) {
+            this.schemaReady = (async () => {
+                const session = this.driver.session();
+                try {
+                    for (const statement of this.schema) {
+                        await session.run(statement);
+                    }
+                } finally {
+                    await session.close();
+                }
+            })().catch(error => {
+                this.schemaReady = null; // Retry on next call
+                throw error;
+            });
+        }
+        return this.schemaReady;
+    }
+}
+
+module.exports = Neo4jStore;
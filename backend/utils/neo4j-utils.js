@@ -1,5 +1,6 @@
 // backend/utils/neo4j-utils.js - Utilities for Neo4j integration
 const neo4j = require('neo4j-driver');
+const logger = require('./logger');
 
 class Neo4jUtils {
     /**
@@ -20,7 +21,7 @@ class Neo4jUtils {
                     try {
                         cleanedMetadata[key] = JSON.stringify(value);
                     } catch (error) {
-                        console.warn(`⚠️ Could not serialize metadata field '${key}':`, error.message);
+                        logger.warn('Could not serialize metadata field', { key, error: error.message });
                         cleanedMetadata[key] = String(value);
                     }
                 }
@@ -28,7 +29,7 @@ class Neo4jUtils {
             
             // Ensure essential metadata fields exist
             cleanedMetadata.source = cleanedMetadata.source || 'unknown';
-            cleanedMetadata.chunk_id = cleanedMetadata.chunk_id || `chunk_${index}_${Date.now()}`;
+            cleanedMetadata.chunk_id = cleanedMetadata.chunk_id || `chunk_${Date.now()}_${index}_${Math.random().toString(36).slice(2, 8)}`;
             cleanedMetadata.created_at = new Date().toISOString();
             cleanedMetadata.content_length = doc.pageContent.length;
             
@@ -75,9 +76,11 @@ class Neo4jUtils {
     }
     
     /**
-     * Clean up existing vector index if needed
+     * Clean up existing vector index if needed.
+     * With deleteNodes, also removes every chunk node, the (:Source) tracking nodes and the (:Entity)
+     * graph nodes no remaining chunk mentions. keywordIndexName drops that full-text index too.
      */
-    static async cleanupVectorStore(uri, username, password, indexName = 'vector_index') {
+    static async cleanupVectorStore(uri, username, password, indexName = 'vector_index', { deleteNodes = false, nodeLabel = 'Document', sourceLabel = 'Source', keywordIndexName = null } = {}) {
         const driver = neo4j.driver(uri, neo4j.auth.basic(username, password));
         
         try {
@@ -86,30 +89,47 @@ class Neo4jUtils {
             // Drop existing vector index if it exists
             try {
                 await session.run(`DROP INDEX ${indexName} IF EXISTS`);
-                console.log(`🗑️ Dropped existing vector index: ${indexName}`);
+                logger.info('Dropped existing vector index', { indexName });
             } catch (error) {
                 // Index might not exist, that's okay
-                console.log(`📝 Vector index ${indexName} did not exist or could not be dropped`);
+                logger.info('Vector index did not exist or could not be dropped', { indexName });
+            }
+
+            if (keywordIndexName) {
+                await session.run(`DROP INDEX \`${keywordIndexName}\` IF EXISTS`);
             }
             
             // Clean up document nodes if needed
             const result = await session.run(`
-                MATCH (n:Document) 
+                MATCH (n:\`${nodeLabel}\`) 
                 RETURN count(n) as nodeCount
             `);
             
             const nodeCount = result.records[0]?.get('nodeCount')?.toNumber() || 0;
             if (nodeCount > 0) {
-                console.log(`🧹 Found ${nodeCount} existing document nodes`);
-                
-                // Optionally clean up (be careful in production!)
-                // await session.run('MATCH (n:Document) DETACH DELETE n');
-                // console.log('🗑️ Cleaned up existing document nodes');
+                logger.info(`Found ${nodeCount} existing document nodes`);
+            }
+
+            if (deleteNodes) {
+                // Batched so large indexes don't blow the transaction memory
+                await session.run(`
+                    MATCH (n:\`${nodeLabel}\`)
+                    CALL { WITH n DETACH DELETE n } IN TRANSACTIONS OF 10000 ROWS
+                `);
+                await session.run(`MATCH (s:\`${sourceLabel}\`) DETACH DELETE s`);
+                // Entities still mentioned by another collection's chunks are kept
+                await session.run(`
+                    MATCH (e:Entity)
+                    WHERE NOT (e)<-[:MENTIONS]-()
+                    CALL { WITH e DETACH DELETE e } IN TRANSACTIONS OF 10000 ROWS
+                `);
+                logger.info(`Deleted ${nodeCount} document nodes, their source records and graph entities`);
             }
             
             await session.close();
+            return { droppedIndex: indexName, nodeCount, deletedNodes: deleteNodes ? nodeCount : 0 };
         } catch (error) {
-            console.error('❌ Error during cleanup:', error.message);
+            logger.error('Error during cleanup', { error: error.message });
             throw error;
         } finally {
             await driver.close();
@@ -146,7 +166,7 @@ class Neo4jUtils {
                 } : null
             };
         } catch (error) {
-            console.warn('⚠️ Could not get database info (this is normal if APOC is not installed):', error.message);
+            logger.warn('Could not get database info (this is normal if APOC is not installed)', { error: error.message });
             return { version: 'unknown', stats: null };
         } finally {
             await driver.close();
@@ -0,0 +1,119 @@
+// backend/utils/openai-compat.js - Mapping between OpenAI chat completion requests/responses and Karl Chat
+const crypto = require('crypto');
+
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant', system: 'System' };
+
+/**
+ * Message content is either a string or an array of content parts; only text parts are used
+ */
+function messageText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part && part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+function invalidRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Split an OpenAI `messages` array into the latest user question and a conversation
+ * shaped like loadConversation's ({ messages, history }) for the turns before it.
+ * Only the last maxMessages earlier messages are kept.
+ */
+function toConversation(messages, maxMessages = 12) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw invalidRequest('messages must be a non-empty array');
+    }
+
+    const last = messages[messages.length - 1];
+    const question = messageText(last?.content).trim();
+    if (last?.role !== 'user' || !question) {
+        throw invalidRequest('The last message must be a non-empty user message');
+    }
+
+    const earlier = messages
+        .slice(0, -1)
+        .filter(message => ROLE_LABELS[message?.role])
+        .map(message => ({ role: message.role, content: messageText(message.content) }))
+        .filter(message => message.content.trim())
+        .slice(-maxMessages);
+
+    if (earlier.length === 0) {
+        return { question, conversation: null };
+    }
+
+    return {
+        question,
+        conversation: {
+            sessionId: null,
+            messages: earlier,
+            history: earlier.map(message => `${ROLE_LABELS[message.role]}: ${message.content}`).join('\n')
+        }
+    };
+}
+
+function completionId() {
+    return `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * Non-streaming chat.completion. Reasoning goes in message.reasoning_content
+ * (the field llama.cpp, vLLM and DeepSeek use) instead of inline <think> tags.
+ */
+function toCompletion({ id, created, model, parsedResponse, extra = {} }) {
+    return {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+            index: 0,
+            message: {
+                role: 'assistant',
+                content: parsedResponse.response,
+                ...(parsedResponse.thinking && { reasoning_content: parsedResponse.thinking })
+            },
+            finish_reason: 'stop'
+        }],
+        ...extra
+    };
+}
+
+/**
+ * One chat.completion.chunk for streaming responses
+ */
+function toChunk({ id, created, model, delta = {}, finishReason = null, extra = {} }) {
+    return {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+        ...extra
+    };
+}
+
+/**
+ * Send an error in the OpenAI error envelope
+ */
+function sendError(res, status, message) {
+    const type = status >= 500 ? 'server_error' : 'invalid_request_error';
+    res.status(status).json({ error: { message, type, code: null } });
+}
+
+module.exports = {
+    messageText,
+    toConversation,
+    completionId,
+    toCompletion,
+    toChunk,
+    sendError
+};
@@ -0,0 +1,232 @@
+// backend/utils/providers.js - LLM and embedding providers: Ollama and OpenAI-compatible servers
+const { ChatOllama, OllamaEmbeddings } = require('@langchain/ollama');
+const { ChatOpenAI, ChatOpenAICompletions, OpenAIEmbeddings } = require('@langchain/openai');
+const { AIMessage } = require('@langchain/core/messages');
+const { concat } = require('@langchain/core/utils/stream');
+const logger = require('./logger');
+
+// Ollama reports embedding-only models under BERT-style families
+const EMBEDDING_FAMILIES = ['bert', 'nomic-bert'];
+
+// Pass a streamed Ollama response on, recording each message it carries
+async function* recordMessages(stream, received) {
+    for await (const part of stream) {
+        received.push(part.message);
+        yield part;
+    }
+}
+
+/**
+ * ChatOllama that sends Ollama's `think` option (a call option, e.g. llm.bind({ think: true }))
+ * and keeps the reasoning Ollama then returns apart from the answer, as additional_kwargs.thinking
+ * on every chunk and message. The pinned @langchain/ollama drops both.
+ */
+class ThinkingChatOllama extends ChatOllama {
+    invocationParams(options) {
+        const params = super.invocationParams(options);
+        return options?.think === undefined ? params : { ...params, think: options.think };
+    }
+
+    async *_streamResponseChunks(messages, options, runManager) {
+        // The parent yields one chunk per streamed Ollama message, in order; give it a client
+        // that records this call's messages so their thinking can be put back on the chunks
+        const received = [];
+        const { client } = this;
+        const recordingClient = Object.create(client, {
+            chat: { value: async (request) => recordMessages(await client.chat(request), received) }
+        });
+        const call = Object.create(this, { client: { value: recordingClient } });
+
+        for await (const chunk of super._streamResponseChunks.call(call, messages, options, runManager)) {
+            const thinking = received.shift()?.thinking;
+            if (thinking) {
+                chunk.message.additional_kwargs = { ...chunk.message.additional_kwargs, thinking };
+            }
+            yield chunk;
+        }
+    }
+
+    async _generate(messages, options, runManager) {
+        let message;
+        for await (const chunk of this._streamResponseChunks(messages, options, runManager)) {
+            message = message ? concat(message, chunk.message) : chunk.message;
+        }
+
+        const content = message?.content ?? '';
+        return {
+            generations: [{
+                text: typeof content === 'string' ? content : '',
+                message: new AIMessage({
+                    id: message?.id,
+                    content,
+                    additional_kwargs: message?.additional_kwargs,
+                    tool_calls: message?.tool_calls,
+                    response_metadata: message?.response_metadata,
+                    usage_metadata: message?.usage_metadata
+                })
+            }]
+        };
+    }
+}
+
+// Servers that reason natively send it next to the content: reasoning_content (llama.cpp,
+// vLLM, DeepSeek) or reasoning (Ollama, OpenRouter)
+function withReasoningContent(message, raw) {
+    const reasoning = raw?.reasoning_content ?? raw?.reasoning;
+    if (typeof reasoning === 'string' && reasoning) {
+        message.additional_kwargs = { ...message.additional_kwargs, reasoning_content: reasoning };
+    }
+    return message;
+}
+
+/**
+ * Chat completions that keep the server's reasoning as additional_kwargs.reasoning_content;
+ * the pinned @langchain/openai drops it
+ */
+class ReasoningChatOpenAICompletions extends ChatOpenAICompletions {
+    _convertCompletionsMessageToBaseMessage(message, rawResponse) {
+        return withReasoningContent(super._convertCompletionsMessageToBaseMessage(message, rawResponse), message);
+    }
+
+    _convertCompletionsDeltaToBaseMessageChunk(delta, rawResponse, defaultRole) {
+        return withReasoningContent(super._convertCompletionsDeltaToBaseMessageChunk(delta, rawResponse, defaultRole), delta);
+    }
+}
+
+/**
+ * Local Ollama server (native /api endpoints)
+ */
+class OllamaProvider {
+    constructor({ baseUrl }) {
+        this.type = 'ollama';
+        this.label = 'Ollama';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    createChatModel(model, { temperature = 0.7, callbacks } = {}) {
+        return new ThinkingChatOllama({ baseUrl: this.baseUrl, model, temperature, callbacks });
+    }
+
+    createEmbeddings(model) {
+        return new OllamaEmbeddings({ baseUrl: this.baseUrl, model });
+    }
+
+    static isEmbeddingModel(model) {
+        const families = model.details?.families || [model.details?.family];
+        return families.some(family => EMBEDDING_FAMILIES.includes(family)) || /embed/i.test(model.name);
+    }
+
+    async listModels() {
+        const response = await fetch(`${this.baseUrl}/api/tags`);
+        if (!response.ok) {
+            throw new Error(`Ollama returned ${response.status} listing models`);
+        }
+
+        const { models = [] } = await response.json();
+        return models.map(model => ({
+            name: model.name,
+            size: model.size,
+            modifiedAt: model.modified_at,
+            family: model.details?.family || null,
+            parameterSize: model.details?.parameter_size || null,
+            quantization: model.details?.quantization_level || null,
+            embedding: OllamaProvider.isEmbeddingModel(model)
+        }));
+    }
+
+    /**
+     * Ollama serves any pulled model by name, so a missing model is a hard error
+     */
+    async checkModel(model) {
+        const models = await this.listModels();
+        const found = models.some(candidate => candidate.name === model || candidate.name === `${model}:latest`);
+        if (!found) {
+            throw new Error(`Model "${model}" is not pulled in Ollama. Run: ollama pull ${model}`);
+        }
+    }
+}
+
+/**
+ * Any server speaking the OpenAI API: llama.cpp server, vLLM, LM Studio, OpenAI itself.
+ * baseUrl includes the /v1 prefix, e.g. http://localhost:8080/v1
+ */
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey }) {
+        this.type = 'openai';
+        this.label = 'OpenAI-compatible server';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        // Local servers usually ignore the key, but the client library requires one
+        this.apiKey = apiKey || 'not-needed';
+    }
+
+    createChatModel(model, { temperature = 0.7, callbacks } = {}) {
+        const fields = {
+            model,
+            temperature,
+            callbacks,
+            apiKey: this.apiKey,
+            configuration: { baseURL: this.baseUrl }
+        };
+        return new ChatOpenAI({ ...fields, completions: new ReasoningChatOpenAICompletions(fields) });
+    }
+
+    createEmbeddings(model) {
+        return new OpenAIEmbeddings({
+            model,
+            apiKey: this.apiKey,
+            configuration: { baseURL: this.baseUrl }
+        });
+    }
+
+    async listModels() {
+        const response = await fetch(`${this.baseUrl}/models`, {
+            headers: { Authorization: `Bearer ${this.apiKey}` }
+        });
+        if (!response.ok) {
+            throw new Error(`${this.label} returned ${response.status} listing models`);
+        }
+
+        const { data = [] } = await response.json();
+        return data.map(model => ({
+            name: model.id,
+            ownedBy: model.owned_by || null,
+            embedding: /embed/i.test(model.id)
+        }));
+    }
+
+    /**
+     * Single-model servers (llama.cpp, LM Studio) answer to any model name,
+     * so an unlisted model is only worth a warning
+     */
+    async checkModel(model) {
+        const models = await this.listModels();
+        if (!models.some(candidate => candidate.name === model)) {
+            logger.warn(`Model "${model}" is not listed by ${this.baseUrl}/models`, { available: models.map(m => m.name) });
+        }
+    }
+}
+
+const PROVIDERS = {
+    ollama: OllamaProvider,
+    openai: OpenAICompatibleProvider
+};
+
+/**
+ * Create a provider by type ('ollama' | 'openai')
+ */
+function createProvider(type, options) {
+    const Provider = PROVIDERS[type];
+    if (!Provider) {
+        throw new Error(`Unknown provider "${type}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    PROVIDERS,
+    createProvider,
+    OllamaProvider,
+    OpenAICompatibleProvider,
+    ThinkingChatOllama,
+    ReasoningChatOpenAICompletions
+};
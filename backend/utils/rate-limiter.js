@@ -0,0 +1,79 @@
+// backend/utils/rate-limiter.js - Per-key request rate limits and daily quotas
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Counts requests per identity (an API key, a user, a client address) in one-minute
+ * windows for the rate limit and per UTC day for the quota. A limit of 0 or null is
+ * unlimited. Counts are kept in memory, so they start over when the server restarts.
+ */
+class RateLimiter {
+    constructor() {
+        this.counters = new Map();
+    }
+
+    /**
+     * Count one request unless it would go over a limit. Returns
+     * { allowed, reason: 'rate' | 'quota' | null, retryAfter (seconds), rate, quota }
+     * where rate and quota are { limit, remaining, resetAt }.
+     */
+    consume(identity, { perMinute = 0, perDay = 0 } = {}, now = Date.now()) {
+        const minute = Math.floor(now / MINUTE_MS);
+        const day = Math.floor(now / DAY_MS);
+
+        if (this.counters.size > PRUNE_THRESHOLD) this.prune(day);
+
+        const counter = this.counters.get(identity) || { minute, minuteCount: 0, day, dayCount: 0 };
+        if (counter.minute !== minute) Object.assign(counter, { minute, minuteCount: 0 });
+        if (counter.day !== day) Object.assign(counter, { day, dayCount: 0 });
+        this.counters.set(identity, counter);
+
+        const minuteResetAt = (minute + 1) * MINUTE_MS;
+        const dayResetAt = (day + 1) * DAY_MS;
+        let reason = null;
+        if (perMinute && counter.minuteCount >= perMinute) {
+            reason = 'rate';
+        } else if (perDay && counter.dayCount >= perDay) {
+            reason = 'quota';
+        } else {
+            counter.minuteCount++;
+            counter.dayCount++;
+        }
+
+        const status = (limit, count, resetAt) => ({
+            limit: limit || null,
+            remaining: limit ? Math.max(0, limit - count) : null,
+            resetAt: new Date(resetAt).toISOString()
+        });
+
+        return {
+            allowed: reason === null,
+            reason,
+            retryAfter: reason ? Math.ceil(((reason === 'rate' ? minuteResetAt : dayResetAt) - now) / 1000) : 0,
+            rate: status(perMinute, counter.minuteCount, minuteResetAt),
+            quota: status(perDay, counter.dayCount, dayResetAt)
+        };
+    }
+
+    /**
+     * Requests counted for an identity this minute and today
+     */
+    usage(identity, now = Date.now()) {
+        const counter = this.counters.get(identity);
+        return {
+            requestsThisMinute: counter && counter.minute === Math.floor(now / MINUTE_MS) ? counter.minuteCount : 0,
+            requestsToday: counter && counter.day === Math.floor(now / DAY_MS) ? counter.dayCount : 0
+        };
+    }
+
+    // Forget identities with no requests today
+    prune(day) {
+        for (const [identity, counter] of this.counters) {
+            if (counter.day !== day) this.counters.delete(identity);
+        }
+    }
+}
+
+module.exports = RateLimiter;
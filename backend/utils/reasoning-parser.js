@@ -0,0 +1,313 @@
+// backend/utils/reasoning-parser.js - Per-model-family extraction of reasoning traces from model output
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const ThinkingStreamParser = require('./thinking-stream');
+
+const TAGS = {
+    think: { open: '<think>', close: '</think>' },
+    thinking: { open: '<thinking>', close: '</thinking>' },
+    reasoning: { open: '<reasoning>', close: '</reasoning>' },
+    bracketThink: { open: '[THINK]', close: '[/THINK]' }
+};
+
+// Untagged reasoning some models write before the answer; only used when substantial
+const HEURISTIC_PATTERNS = [
+    /^(Let me think about this[\s\S]*?)\n\n([^]*)/i,
+    /^(I need to consider[\s\S]*?)\n\n([^]*)/i,
+    /^(Thinking through this[\s\S]*?)\n\n([^]*)/i,
+];
+const HEURISTIC_MIN_LENGTH = 50;
+
+/**
+ * The reasoning a message carries apart from its text: Ollama's `thinking` or an OpenAI-compatible
+ * server's `reasoning_content`, in additional_kwargs (LangChain messages, see utils/providers.js)
+ * or on the message itself. Null when there is none.
+ */
+function nativeReasoning(message) {
+    if (!message || typeof message !== 'object') {
+        return null;
+    }
+    const kwargs = message.additional_kwargs || {};
+    const found = [kwargs.thinking, kwargs.reasoning_content, message.thinking, message.reasoning_content]
+        .filter(value => typeof value === 'string' && value);
+    return found.length > 0 ? found.join('') : null;
+}
+
+/**
+ * Reduce what a model returned, a string or a message (content parts joined), to
+ * { text, nativeThinking }
+ */
+function normalizeOutput(output) {
+    if (output === null || output === undefined) {
+        return { text: '', nativeThinking: null };
+    }
+    if (typeof output === 'string') {
+        return { text: output, nativeThinking: null };
+    }
+
+    let text = '';
+    if (Array.isArray(output.content)) {
+        text = output.content
+            .map(part => (typeof part === 'string' ? part : part?.type === 'text' ? part.text || '' : ''))
+            .join('');
+    } else if (typeof output.content === 'string') {
+        text = output.content;
+    }
+    return { text, nativeThinking: nativeReasoning(output) };
+}
+
+/**
+ * A StringOutputParser that keeps the native reasoning of the messages it reads (see
+ * nativeReasoning), wrapped in the given tags ahead of the text, so it is parsed and streamed
+ * like inline reasoning. Without tags native reasoning is dropped.
+ */
+class ReasoningOutputParser extends StringOutputParser {
+    constructor(tag = null) {
+        super();
+        this.tag = tag;
+    }
+
+    static lc_name() {
+        return 'ReasoningOutputParser';
+    }
+
+    parseResult(generations) {
+        const { message, text } = generations[0];
+        const reasoning = this.tag && nativeReasoning(message);
+        return Promise.resolve(reasoning ? `${this.tag.open}${reasoning}${this.tag.close}${text}` : text);
+    }
+
+    // The block opens with the first reasoning chunk and closes with the first text after it
+    async *_transform(inputGenerator) {
+        let open = false;
+        for await (const chunk of inputGenerator) {
+            const text = typeof chunk === 'string' ? chunk : this._baseMessageToString(chunk);
+            const reasoning = this.tag && typeof chunk !== 'string' && nativeReasoning(chunk);
+
+            let output = '';
+            if (reasoning) {
+                output += (open ? '' : this.tag.open) + reasoning;
+                open = true;
+            }
+            if (text && open) {
+                output += this.tag.close;
+                open = false;
+            }
+            output += text;
+            if (output) {
+                yield output;
+            }
+        }
+        if (open) {
+            yield this.tag.close;
+        }
+    }
+}
+
+/**
+ * Pull every tagged block out of the text. An unterminated block (truncated output) runs
+ * to the end. With implicitOpen, a close tag before any open tag ends a block that started
+ * at the beginning of the output (chat templates that put the open tag in the prompt).
+ * Returns { blocks, response, truncated } or null when there are no blocks.
+ */
+function extractTagged(text, tags, { implicitOpen = false } = {}) {
+    const blocks = [];
+    let response = '';
+    let truncated = false;
+    let rest = text;
+
+    const findFirst = (haystack, key) => tags
+        .map(tag => ({ tag, index: haystack.toLowerCase().indexOf(tag[key].toLowerCase()) }))
+        .filter(match => match.index !== -1)
+        .sort((a, b) => a.index - b.index)[0];
+
+    if (implicitOpen) {
+        const firstOpen = findFirst(rest, 'open');
+        const firstClose = findFirst(rest, 'close');
+        if (firstClose && (!firstOpen || firstClose.index < firstOpen.index)) {
+            blocks.push(rest.slice(0, firstClose.index));
+            rest = rest.slice(firstClose.index + firstClose.tag.close.length);
+        }
+    }
+
+    while (rest) {
+        const open = findFirst(rest, 'open');
+        if (!open) {
+            response += rest;
+            break;
+        }
+
+        response += rest.slice(0, open.index);
+        const inside = rest.slice(open.index + open.tag.open.length);
+        const closeIndex = inside.toLowerCase().indexOf(open.tag.close.toLowerCase());
+        if (closeIndex === -1) {
+            blocks.push(inside);
+            truncated = true;
+            break;
+        }
+
+        blocks.push(inside.slice(0, closeIndex));
+        rest = inside.slice(closeIndex + open.tag.close.length);
+    }
+
+    return blocks.length > 0 ? { blocks, response, truncated } : null;
+}
+
+function extractHeuristic(text) {
+    for (const pattern of HEURISTIC_PATTERNS) {
+        const match = text.match(pattern);
+        if (match && match[1].length > HEURISTIC_MIN_LENGTH) {
+            return { blocks: [match[1]], response: match[2], truncated: false };
+        }
+    }
+    return null;
+}
+
+/**
+ * Split a reasoning trace into steps: paragraphs, or else numbered/bulleted/"Step n" lines
+ */
+function splitSteps(thinking) {
+    const paragraphs = thinking.split(/\n\s*\n/).map(step => step.trim()).filter(Boolean);
+    if (paragraphs.length > 1) return paragraphs;
+
+    return thinking
+        .split(/\n(?=\s*(?:\d+[.)]\s|[-*•]\s|step\s+\d+\b))/i)
+        .map(step => step.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Model families and how their output marks reasoning. A family is
+ * { match: RegExp on the model name, tags, implicitOpen, heuristics } or a custom
+ * { match, parse(text) -> { blocks, response, truncated } | null }.
+ * Families are tried in registration order; 'default' matches everything.
+ */
+class ReasoningParserRegistry {
+    constructor() {
+        this.families = new Map();
+    }
+
+    register(name, family) {
+        this.families.set(name, { name, tags: [], implicitOpen: false, heuristics: false, ...family });
+        return this;
+    }
+
+    names() {
+        return [...this.families.keys()];
+    }
+
+    /**
+     * The family for a model: the named one if given, else the first whose pattern matches the
+     * model name (without its :tag), else 'default'
+     */
+    familyFor({ model = null, family = null } = {}) {
+        if (family) {
+            if (!this.families.has(family)) {
+                throw new Error(`Unknown reasoning parser "${family}". Use one of: ${this.names().join(', ')}`);
+            }
+            return this.families.get(family);
+        }
+
+        const baseName = String(model || '').toLowerCase().split(':')[0];
+        for (const candidate of this.families.values()) {
+            if (candidate.match && candidate.match.test(baseName)) {
+                return candidate;
+            }
+        }
+        return this.families.get('default');
+    }
+
+    /**
+     * Parse model output into { thinking, response, hasThinking, reasoning }, where reasoning is
+     * { parser, source: 'native' | 'tags' | 'heuristic' | 'custom', steps, truncated } or null
+     */
+    parse(output, options = {}) {
+        const family = this.familyFor(options);
+        const { text, nativeThinking } = normalizeOutput(output);
+
+        let extracted = null;
+        let source = null;
+        if (family.parse) {
+            extracted = family.parse(text);
+            source = extracted && 'custom';
+        } else {
+            extracted = family.tags.length > 0 ? extractTagged(text, family.tags, { implicitOpen: family.implicitOpen }) : null;
+            source = extracted && 'tags';
+            if (!extracted && family.heuristics) {
+                extracted = extractHeuristic(text);
+                source = extracted && 'heuristic';
+            }
+        }
+
+        const blocks = [nativeThinking, ...(extracted ? extracted.blocks : [])]
+            .filter(Boolean)
+            .map(block => block.trim())
+            .filter(Boolean);
+        const response = (extracted ? extracted.response : text).trim();
+
+        if (blocks.length === 0) {
+            return { thinking: null, response, hasThinking: false, reasoning: null };
+        }
+
+        return {
+            thinking: blocks.join('\n\n'),
+            response,
+            hasThinking: true,
+            reasoning: {
+                parser: family.name,
+                source: nativeThinking ? 'native' : source,
+                steps: blocks.flatMap(splitSteps),
+                truncated: Boolean(extracted && extracted.truncated)
+            }
+        };
+    }
+
+    /**
+     * A ThinkingStreamParser that splits on the family's tags, like parse() (custom parsers stream as plain text)
+     */
+    createStreamParser(options = {}) {
+        const family = this.familyFor(options);
+        return family.parse
+            ? new ThinkingStreamParser({ tags: [] })
+            : new ThinkingStreamParser({ tags: family.tags, implicitOpen: family.implicitOpen });
+    }
+
+    /**
+     * The output parser ending a chat chain: text, with native reasoning in the family's first
+     * tags so parse() and createStreamParser() find it (custom and tagless families drop it)
+     */
+    createOutputParser(options = {}) {
+        const family = this.familyFor(options);
+        return new ReasoningOutputParser(family.parse ? null : family.tags[0] || null);
+    }
+}
+
+function createDefaultRegistry() {
+    return new ReasoningParserRegistry()
+        // Native reasoning models; their chat templates may already open the <think> block
+        .register('deepseek-r1', {
+            match: /^(deepseek-r1|qwq|qwen3|openthinker|exaone-deep|phi4-reasoning)/,
+            tags: [TAGS.think],
+            implicitOpen: true
+        })
+        .register('magistral', {
+            match: /^magistral/,
+            tags: [TAGS.bracketThink, TAGS.think]
+        })
+        // Output taken as-is, for models that legitimately write these tags in answers
+        .register('none', {})
+        // Prompted reasoning from any other model
+        .register('default', {
+            tags: [TAGS.think, TAGS.thinking, TAGS.reasoning],
+            heuristics: true
+        });
+}
+
+module.exports = {
+    TAGS,
+    ReasoningParserRegistry,
+    createDefaultRegistry,
+    ReasoningOutputParser,
+    nativeReasoning,
+    normalizeOutput,
+    splitSteps
+};
@@ -0,0 +1,172 @@
+// backend/utils/reranking.js - Post-retrieval MMR diversification and LLM reranking
+const { maximalMarginalRelevance } = require('@langchain/core/utils/math');
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const logger = require('./logger');
+
+// 'mmr+llm' diversifies the candidates first, then lets the model pick k from what is left
+const RERANK_METHODS = ['none', 'mmr', 'llm', 'mmr+llm'];
+// With 'mmr+llm', MMR keeps this many times k so the model can still swap in better passages
+const MMR_POOL_FACTOR = 2;
+
+const DEFAULT_RERANK_PROMPT = `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (answers it directly).
+
+Question: {question}
+
+Passages:
+{passages}
+
+Respond with JSON only, one score per passage, in exactly this shape:
+{{"scores": [{{"passage": 1, "score": 7}}, {{"passage": 2, "score": 0}}]}}`;
+
+/**
+ * Load the stored embeddings of candidate chunks; chunks without one (e.g. keyword-only
+ * hits from legacy nodes) are embedded on the fly.
+ */
+async function loadEmbeddings(vectorstore, results) {
+    const chunkIds = results.map(([doc]) => doc.metadata.chunk_id).filter(Boolean);
+
+    const stored = new Map();
+    if (chunkIds.length > 0) {
+        const records = await vectorstore.query(`
+            MATCH (n:\`${vectorstore.nodeLabel}\`)
+            WHERE n.chunk_id IN $chunkIds
+            RETURN n.chunk_id AS chunkId, n.\`${vectorstore.embeddingNodeProperty}\` AS embedding
+        `, { chunkIds });
+        records.forEach(record => stored.set(record.chunkId, record.embedding));
+    }
+
+    const missing = results.filter(([doc]) => !stored.get(doc.metadata.chunk_id));
+    const embedded = missing.length > 0
+        ? await vectorstore.embeddings.embedDocuments(missing.map(([doc]) => doc.pageContent))
+        : [];
+
+    return results.map(([doc]) => stored.get(doc.metadata.chunk_id) || embedded[missing.findIndex(([m]) => m === doc)]);
+}
+
+/**
+ * Maximal marginal relevance: pick k candidates that are relevant to the query but not
+ * redundant with each other (lambda 1 = pure relevance, 0 = pure diversity)
+ */
+async function mmrSelect(vectorstore, query, results, { k, lambda = 0.5 }) {
+    const [queryEmbedding, embeddings] = await Promise.all([
+        vectorstore.embeddings.embedQuery(query),
+        loadEmbeddings(vectorstore, results)
+    ]);
+
+    const selected = maximalMarginalRelevance(queryEmbedding, embeddings, lambda, k);
+    return selected.map(index => results[index]);
+}
+
+/**
+ * Parse the model's { scores: [{ passage, score }] } answer into a score per passage index
+ */
+function parseRerankScores(rawResponse, count) {
+    const text = String(rawResponse).replace(/<think>[\s\S]*?<\/think>/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object in rerank response');
+    }
+
+    const { scores } = JSON.parse(text.slice(start, end + 1));
+    const byPassage = new Array(count).fill(null);
+
+    (Array.isArray(scores) ? scores : []).forEach(entry => {
+        const index = Number(entry?.passage) - 1;
+        const score = Number(entry?.score);
+        if (Number.isInteger(index) && index >= 0 && index < count && Number.isFinite(score)) {
+            byPassage[index] = score;
+        }
+    });
+
+    return byPassage;
+}
+
+/**
+ * Ask the chat model to score every candidate against the question and reorder by score.
+ * Passages the model skipped keep their relative order after the scored ones.
+ */
+async function llmRerank(chatModel, query, results, { k, prompt = DEFAULT_RERANK_PROMPT }) {
+    const passages = results
+        .map(([doc], index) => `[${index + 1}] ${doc.pageContent.replace(/\s+/g, ' ').slice(0, 600)}`)
+        .join('\n\n');
+
+    const rawResponse = await ChatPromptTemplate.fromTemplate(prompt)
+        .pipe(chatModel)
+        .pipe(new StringOutputParser())
+        .invoke({ question: query, passages });
+
+    const scores = parseRerankScores(rawResponse, results.length);
+
+    return results
+        .map((result, index) => ({ result, index, score: scores[index] }))
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.index - b.index)
+        .slice(0, k)
+        .map(({ result, score }) => {
+            const [doc] = result;
+            doc.metadata = { ...doc.metadata, retrieval: { ...doc.metadata.retrieval, rerankScore: score } };
+            return result;
+        });
+}
+
+function describeOrdering(results) {
+    return results.map(([doc, score], index) => ({
+        rank: index + 1,
+        chunkId: doc.metadata.chunk_id || null,
+        source: doc.metadata.source || null,
+        score: typeof score === 'number' ? Number(score.toFixed(4)) : null,
+        ...(doc.metadata.retrieval?.rerankScore !== undefined && { rerankScore: doc.metadata.retrieval.rerankScore })
+    }));
+}
+
+/**
+ * Rerank over-fetched candidates down to k. Returns { results, ordering } where ordering
+ * holds the candidate order before and the selected order after the stage.
+ * options: { method, k, lambda, chatModel, prompt }
+ */
+async function rerank(vectorstore, query, candidates, options = {}) {
+    const { method = 'none', k = 4, lambda = 0.5, chatModel = null, prompt } = options;
+
+    if (!RERANK_METHODS.includes(method)) {
+        throw new Error(`Unknown rerank method "${method}". Use one of: ${RERANK_METHODS.join(', ')}`);
+    }
+
+    const before = describeOrdering(candidates);
+
+    // Remember where each chunk came from so the UI can show how far it moved
+    candidates.forEach(([doc], index) => {
+        doc.metadata = { ...doc.metadata, retrieval: { ...doc.metadata.retrieval, originalRank: index + 1 } };
+    });
+
+    let results = candidates;
+    if (method === 'none') {
+        results = candidates.slice(0, k);
+    }
+    if (method === 'mmr' || method === 'mmr+llm') {
+        const poolSize = method === 'mmr' ? k : Math.min(k * MMR_POOL_FACTOR, results.length);
+        results = await mmrSelect(vectorstore, query, results, { k: poolSize, lambda });
+    }
+    if (method === 'llm' || method === 'mmr+llm') {
+        try {
+            results = await llmRerank(chatModel, query, results, { k, prompt });
+        } catch (error) {
+            // A malformed model answer shouldn't fail the chat; keep the current order
+            logger.warn('LLM rerank failed, keeping retrieval order', { error: error.message });
+            results = results.slice(0, k);
+        }
+    }
+
+    return {
+        results,
+        ordering: { method, before, after: describeOrdering(results) }
+    };
+}
+
+module.exports = {
+    RERANK_METHODS,
+    mmrSelect,
+    llmRerank,
+    parseRerankScores,
+    rerank
+};
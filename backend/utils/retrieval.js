@@ -0,0 +1,137 @@
+// backend/utils/retrieval.js - Vector, full-text and hybrid retrieval over the Neo4j vector store
+const { Document } = require('@langchain/core/documents');
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const FUSION_METHODS = ['rrf', 'weighted'];
+
+// Lucene query syntax characters, escaped so error codes and versions match literally
+const LUCENE_SPECIAL_CHARS = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+function escapeLucene(text) {
+    return String(text).replace(LUCENE_SPECIAL_CHARS, '\\$&');
+}
+
+/**
+ * Create the full-text index used by keyword and hybrid retrieval if it is missing
+ */
+async function ensureKeywordIndex(vectorstore) {
+    await vectorstore.query(`
+        CREATE FULLTEXT INDEX \`${vectorstore.keywordIndexName}\` IF NOT EXISTS
+        FOR (n:\`${vectorstore.nodeLabel}\`) ON EACH [n.\`${vectorstore.textNodeProperty}\`]
+    `);
+}
+
+/**
+ * Full-text search; returns [Document, score] pairs like similaritySearchWithScore
+ */
+async function keywordSearch(vectorstore, query, k) {
+    const textProperty = vectorstore.textNodeProperty;
+    const embeddingProperty = vectorstore.embeddingNodeProperty;
+
+    const results = await vectorstore.query(`
+        CALL db.index.fulltext.queryNodes($index, $query, {limit: toInteger($k)}) YIELD node, score
+        RETURN node.\`${textProperty}\` AS text, score,
+            node {.*, \`${textProperty}\`: Null, \`${embeddingProperty}\`: Null, id: Null} AS metadata
+    `, {
+        index: vectorstore.keywordIndexName,
+        query: escapeLucene(query),
+        k
+    });
+
+    return results
+        .filter(result => result.text)
+        .map(result => [
+            new Document({ pageContent: result.text, metadata: result.metadata || {} }),
+            Number(result.score)
+        ]);
+}
+
+function resultKey([doc]) {
+    return doc.metadata.chunk_id || doc.pageContent;
+}
+
+/**
+ * Fuse ranked vector and keyword results into one list of [Document, score].
+ * - rrf: reciprocal rank fusion, sum of 1 / (rrfK + rank) over both lists
+ * - weighted: max-normalised scores blended as w * vector + (1 - w) * keyword
+ * Each document gets metadata.retrieval with its per-list rank and raw score.
+ */
+function fuseResults(vectorResults, keywordResults, { method = 'rrf', k = 4, rrfK = 60, vectorWeight = 0.5 } = {}) {
+    const fused = new Map();
+
+    const addList = (results, list, weight) => {
+        const maxScore = Math.max(...results.map(([, score]) => score), 0) || 1;
+
+        results.forEach((result, index) => {
+            const key = resultKey(result);
+            const [doc, score] = result;
+            const entry = fused.get(key) || { doc, score: 0, retrieval: {} };
+
+            entry.retrieval[`${list}Rank`] = index + 1;
+            entry.retrieval[`${list}Score`] = Number(score.toFixed(4));
+            entry.score += method === 'weighted'
+                ? weight * (score / maxScore)
+                : 1 / (rrfK + index + 1);
+
+            fused.set(key, entry);
+        });
+    };
+
+    addList(vectorResults, 'vector', vectorWeight);
+    addList(keywordResults, 'keyword', 1 - vectorWeight);
+
+    return [...fused.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(({ doc, score, retrieval }) => {
+            doc.metadata = { ...doc.metadata, retrieval };
+            return [doc, score];
+        });
+}
+
+/**
+ * Retrieve the top-k chunks for a query.
+ * options: { mode, k, fusion, candidateK, rrfK, vectorWeight }
+ */
+async function retrieve(vectorstore, query, options = {}) {
+    const {
+        mode = 'vector',
+        k = 4,
+        fusion = 'rrf',
+        candidateK = Math.max(k * 2, 10),
+        rrfK = 60,
+        vectorWeight = 0.5
+    } = options;
+
+    if (!RETRIEVAL_MODES.includes(mode)) {
+        throw new Error(`Unknown retrieval mode "${mode}". Use one of: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+
+    if (mode === 'vector') {
+        return vectorstore.similaritySearchWithScore(query, k);
+    }
+
+    if (mode === 'keyword') {
+        return keywordSearch(vectorstore, query, k);
+    }
+
+    if (!FUSION_METHODS.includes(fusion)) {
+        throw new Error(`Unknown fusion method "${fusion}". Use one of: ${FUSION_METHODS.join(', ')}`);
+    }
+
+    const [vectorResults, keywordResults] = await Promise.all([
+        vectorstore.similaritySearchWithScore(query, candidateK),
+        keywordSearch(vectorstore, query, candidateK)
+    ]);
+
+    return fuseResults(vectorResults, keywordResults, { method: fusion, k, rrfK, vectorWeight });
+}
+
+module.exports = {
+    RETRIEVAL_MODES,
+    FUSION_METHODS,
+    ensureKeywordIndex,
+    keywordSearch,
+    fuseResults,
+    retrieve
+};
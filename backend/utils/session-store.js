@@ -0,0 +1,217 @@
+// backend/utils/session-store.js - Conversation sessions persisted in Neo4j
+const crypto = require('crypto');
+const neo4j = require('neo4j-driver');
+const Neo4jStore = require('./neo4j-store');
+
+const DEFAULT_TITLE = 'New conversation';
+const TITLE_MAX_LENGTH = 60;
+
+/**
+ * Stores chat sessions next to the Document nodes:
+ * (:Session {id, title, ...})-[:HAS_MESSAGE]->(:Message {id, seq, role, content, thinking, sources, method, createdAt})
+ * `sources` holds the cited RAG chunks as a JSON string (Neo4j properties must be primitives).
+ * Sessions belong to the account that created them (ownerId); methods taking an ownerId
+ * only see that account's sessions, and null means any session.
+ */
+class SessionStore extends Neo4jStore {
+    constructor({ driver }) {
+        super(driver, [
+            'CREATE CONSTRAINT session_id IF NOT EXISTS FOR (s:Session) REQUIRE s.id IS UNIQUE',
+            'CREATE CONSTRAINT message_id IF NOT EXISTS FOR (m:Message) REQUIRE m.id IS UNIQUE'
+        ]);
+    }
+
+    async createSession(title, ownerId = null) {
+        const now = new Date().toISOString();
+        const records = await this.run(`
+            CREATE (s:Session {
+                id: $id,
+                ownerId: $ownerId,
+                title: $title,
+                autoTitle: $autoTitle,
+                createdAt: $now,
+                updatedAt: $now
+            })
+            RETURN s, 0 AS messageCount
+        `, {
+            id: crypto.randomUUID(),
+            ownerId,
+            title: title || DEFAULT_TITLE,
+            autoTitle: !title,
+            now
+        });
+
+        return SessionStore.toSession(records[0]);
+    }
+
+    /**
+     * List sessions, newest first. includeUnowned adds the sessions created before accounts existed.
+     */
+    async listSessions({ ownerId = null, includeUnowned = false } = {}) {
+        const records = await this.run(`
+            MATCH (s:Session)
+            WHERE $ownerId IS NULL OR s.ownerId = $ownerId OR ($includeUnowned AND s.ownerId IS NULL)
+            OPTIONAL MATCH (s)-[:HAS_MESSAGE]->(m:Message)
+            WITH s, count(m) AS messageCount
+            RETURN s, messageCount
+            ORDER BY s.updatedAt DESC
+        `, { ownerId, includeUnowned });
+
+        return records.map(record => SessionStore.toSession(record));
+    }
+
+    /**
+     * Get a session with its full message history, or null if it doesn't exist
+     */
+    async getSession(id, ownerId = null) {
+        const records = await this.run(`
+            MATCH (s:Session {id: $id})
+            WHERE $ownerId IS NULL OR s.ownerId = $ownerId
+            OPTIONAL MATCH (s)-[:HAS_MESSAGE]->(m:Message)
+            WITH s, m ORDER BY m.seq
+            WITH s, collect(m) AS messages
+            RETURN s, size(messages) AS messageCount, messages
+        `, { id, ownerId });
+
+        if (records.length === 0) return null;
+
+        return {
+            session: SessionStore.toSession(records[0]),
+            messages: records[0].get('messages').map(node => SessionStore.toMessage(node))
+        };
+    }
+
+    /**
+     * Get the last `limit` messages of a session in chronological order,
+     * or null if the session doesn't exist
+     */
+    async getHistory(id, limit = 12, ownerId = null) {
+        const records = await this.run(`
+            MATCH (s:Session {id: $id})
+            WHERE $ownerId IS NULL OR s.ownerId = $ownerId
+            OPTIONAL MATCH (s)-[:HAS_MESSAGE]->(m:Message)
+            WITH s, m ORDER BY m.seq DESC
+            WITH s, collect(m)[0..$limit] AS recent
+            RETURN reverse(recent) AS messages
+        `, { id, limit: neo4j.int(limit), ownerId });
+
+        if (records.length === 0) return null;
+
+        return records[0].get('messages').map(node => SessionStore.toMessage(node));
+    }
+
+    async renameSession(id, title, ownerId = null) {
+        const records = await this.run(`
+            MATCH (s:Session {id: $id})
+            WHERE $ownerId IS NULL OR s.ownerId = $ownerId
+            SET s.title = $title, s.autoTitle = false, s.updatedAt = $now
+            WITH s
+            OPTIONAL MATCH (s)-[:HAS_MESSAGE]->(m:Message)
+            RETURN s, count(m) AS messageCount
+        `, { id, title, now: new Date().toISOString(), ownerId });
+
+        return records.length > 0 ? SessionStore.toSession(records[0]) : null;
+    }
+
+    /**
+     * Delete a session and its messages. Returns false if it didn't exist.
+     */
+    async deleteSession(id, ownerId = null) {
+        const records = await this.run(`
+            MATCH (s:Session {id: $id})
+            WHERE $ownerId IS NULL OR s.ownerId = $ownerId
+            OPTIONAL MATCH (s)-[:HAS_MESSAGE]->(m:Message)
+            DETACH DELETE m
+            WITH DISTINCT s
+            DETACH DELETE s
+            RETURN count(s) AS deleted
+        `, { id, ownerId });
+
+        return records.length > 0 && records[0].get('deleted').toNumber() > 0;
+    }
+
+    /**
+     * Append messages to a session. The first user message becomes the
+     * title unless the session was named explicitly.
+     */
+    async appendMessages(id, messages) {
+        const now = new Date().toISOString();
+        const firstUserMessage = messages.find(message => message.role === 'user');
+        const autoTitle = firstUserMessage
+            ? SessionStore.titleFrom(firstUserMessage.content)
+            : null;
+
+        const records = await this.run(`
+            MATCH (s:Session {id: $id})
+            OPTIONAL MATCH (s)-[:HAS_MESSAGE]->(existing:Message)
+            WITH s, count(existing) AS offset
+            SET s.updatedAt = $now
+            FOREACH (_ IN CASE WHEN s.autoTitle AND offset = 0 AND $autoTitle IS NOT NULL THEN [1] ELSE [] END |
+                SET s.title = $autoTitle, s.autoTitle = false
+            )
+            WITH s, offset
+            UNWIND range(0, size($messages) - 1) AS index
+            WITH s, offset, index, $messages[index] AS message
+            CREATE (s)-[:HAS_MESSAGE]->(m:Message {
+                id: randomUUID(),
+                seq: offset + index,
+                role: message.role,
+                content: message.content,
+                thinking: message.thinking,
+                sources: message.sources,
+                method: message.method,
+                createdAt: $now
+            })
+            RETURN count(m) AS created
+        `, {
+            id,
+            now,
+            autoTitle,
+            messages: messages.map(message => ({
+                role: message.role,
+                content: message.content || '',
+                thinking: message.thinking || null,
+                sources: message.sources ? JSON.stringify(message.sources) : null,
+                method: message.method || null
+            }))
+        });
+
+        return records.length > 0 && records[0].get('created').toNumber() > 0;
+    }
+
+    static titleFrom(text) {
+        const title = String(text || '').replace(/\s+/g, ' ').trim();
+        if (!title) return null;
+        return title.length > TITLE_MAX_LENGTH
+            ? `${title.slice(0, TITLE_MAX_LENGTH - 1)}…`
+            : title;
+    }
+
+    static toSession(record) {
+        const { id, title, createdAt, updatedAt } = record.get('s').properties;
+        const messageCount = record.get('messageCount');
+        return {
+            id,
+            title,
+            createdAt,
+            updatedAt,
+            messageCount: neo4j.isInt(messageCount) ? messageCount.toNumber() : messageCount
+        };
+    }
+
+    static toMessage(node) {
+        const { id, seq, role, content, thinking, sources, method, createdAt } = node.properties;
+        return {
+            id,
+            seq: neo4j.isInt(seq) ? seq.toNumber() : seq,
+            role,
+            content,
+            thinking: thinking || null,
+            sources: sources ? JSON.parse(sources) : null,
+            method: method || null,
+            createdAt
+        };
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,44 @@
+// backend/utils/sse.js - Server-Sent Events helpers for streaming routes
+
+/**
+ * Switch an Express response into an event stream.
+ * Returns a small writer with send(event, data), sendData(data) and close().
+ */
+function openEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    return {
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        },
+        // Unnamed data-only message, as OpenAI-style streams use (strings are sent as-is, e.g. [DONE])
+        sendData(data) {
+            if (closed) return;
+            res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            if (closed) return;
+            closed = true;
+            res.end();
+        },
+        get closed() {
+            return closed;
+        }
+    };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,163 @@
+// backend/utils/thinking-settings.js - Persisted reasoning settings, with per-model overrides
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PROMPT_SUFFIX = `Think step by step and show your reasoning process. Format your response as:
+
+<think>
+[Your detailed thinking process, analysis, and reasoning steps here]
+</think>
+
+[Your final, clear answer here]`;
+
+const DEFAULT_SETTINGS = {
+    enableByDefault: true,
+    promptSuffix: DEFAULT_PROMPT_SUFFIX,
+    keepReasoning: true
+};
+
+// Model families that reason on their own (emitting <think> blocks) without being asked
+const NATIVE_REASONING_MODELS = ['deepseek-r1', 'qwq', 'qwen3', 'magistral', 'phi4-reasoning', 'gpt-oss', 'openthinker', 'exaone-deep'];
+
+const SETTING_TYPES = {
+    enableByDefault: 'boolean',
+    promptSuffix: 'string',
+    keepReasoning: 'boolean',
+    nativeReasoning: 'boolean',
+    parser: 'string'
+};
+
+// Settings that only make sense for a specific model
+const MODEL_ONLY_SETTINGS = ['nativeReasoning', 'parser'];
+
+function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// "deepseek-r1:8b" -> "deepseek-r1"; overrides may use either form
+function baseName(model) {
+    return String(model || '').toLowerCase().split(':')[0];
+}
+
+/**
+ * Thinking settings stored as JSON: { defaults: {...}, models: { [model]: {...} } }.
+ * - enableByDefault: think when a request doesn't say (enableThinking omitted)
+ * - promptSuffix: the instruction appended to prompts when thinking is on
+ * - keepReasoning: return the reasoning to clients, or strip it and keep only the answer
+ * - nativeReasoning (per model only): the model reasons by itself, so it gets no instruction;
+ *   detected from the model name unless set
+ * - parser (per model only): the reasoning parser family, instead of the one matched by name
+ */
+class ThinkingSettings {
+    constructor({ filePath, nativeModels = NATIVE_REASONING_MODELS, parserNames = null }) {
+        this.filePath = filePath;
+        this.nativeModels = nativeModels.map(name => name.toLowerCase());
+        this.parserNames = parserNames;
+        this.settings = { defaults: {}, models: {} };
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.settings = {
+                defaults: stored.defaults || {},
+                models: stored.models || {}
+            };
+            logger.info('Loaded thinking settings', { path: this.filePath });
+        } catch (error) {
+            logger.warn('Error loading thinking settings', { path: this.filePath, error: error.message });
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write-then-rename so a crash never leaves a half-written file
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.settings, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Stored settings plus the built-in defaults they override
+     */
+    get() {
+        return {
+            defaults: { ...DEFAULT_SETTINGS, ...this.settings.defaults },
+            models: this.settings.models,
+            builtInDefaults: DEFAULT_SETTINGS,
+            nativeReasoningModels: this.nativeModels,
+            parsers: this.parserNames
+        };
+    }
+
+    isNativeReasoning(model) {
+        const base = baseName(model);
+        return this.nativeModels.some(name => base === name || base.startsWith(`${name}-`) || base.startsWith(`${name}.`));
+    }
+
+    /**
+     * Effective settings for a model: built-in defaults < stored defaults < base-name override < exact-name override
+     */
+    resolve(model) {
+        const { models } = this.settings;
+        const name = String(model || '').toLowerCase();
+        const resolved = {
+            ...DEFAULT_SETTINGS,
+            ...this.settings.defaults,
+            nativeReasoning: this.isNativeReasoning(name),
+            parser: null,
+            ...models[baseName(name)],
+            ...(name !== baseName(name) && models[name])
+        };
+        return { model: model || null, ...resolved };
+    }
+
+    /**
+     * Update the defaults, or one model's overrides when `model` is given, and persist.
+     * A null value removes the setting (back to the built-in default, or to the defaults for a model).
+     */
+    update(changes, model = null) {
+        const allowed = Object.keys(SETTING_TYPES).filter(key => model || !MODEL_ONLY_SETTINGS.includes(key));
+        const updates = Object.entries(changes).filter(([key, value]) => allowed.includes(key) && value !== undefined);
+        if (updates.length === 0) {
+            throw invalid(`Nothing to update. Settings: ${allowed.join(', ')}`);
+        }
+
+        for (const [key, value] of updates) {
+            if (value !== null && typeof value !== SETTING_TYPES[key]) {
+                throw invalid(`${key} must be a ${SETTING_TYPES[key]} or null`);
+            }
+            if (key === 'parser' && value !== null && this.parserNames && !this.parserNames.includes(value)) {
+                throw invalid(`Unknown parser "${value}". Use one of: ${this.parserNames.join(', ')}`);
+            }
+        }
+
+        const target = model
+            ? (this.settings.models[model.toLowerCase()] = { ...this.settings.models[model.toLowerCase()] })
+            : this.settings.defaults;
+        for (const [key, value] of updates) {
+            if (value === null) {
+                delete target[key];
+            } else {
+                target[key] = value;
+            }
+        }
+        if (model && Object.keys(target).length === 0) {
+            delete this.settings.models[model.toLowerCase()];
+        }
+
+        this.save();
+        return model ? this.resolve(model) : this.get().defaults;
+    }
+}
+
+module.exports = {
+    ThinkingSettings,
+    NATIVE_REASONING_MODELS
+};
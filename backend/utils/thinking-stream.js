@@ -0,0 +1,117 @@
+// backend/utils/thinking-stream.js - Incremental splitter for streamed reasoning output
+
+const DEFAULT_TAGS = [{ open: '<think>', close: '</think>' }];
+
+// Characters held back while it is not yet known whether the output started inside a block
+const DEFAULT_HOLD_BACK = 256;
+
+class ThinkingStreamParser {
+    /**
+     * tags: the reasoning delimiters to look for, as [{ open, close }] (matched case-insensitively)
+     * implicitOpen: the output may start inside a block whose open tag was in the prompt. Up to
+     * holdBack characters are then held back until the first tag: a close tag makes them thinking,
+     * an open tag makes them response. Without a tag by then (or by the end of the stream) the
+     * text is released as response.
+     */
+    constructor({ tags = DEFAULT_TAGS, implicitOpen = false, holdBack = DEFAULT_HOLD_BACK } = {}) {
+        this.tags = tags.map(tag => ({ open: tag.open.toLowerCase(), close: tag.close.toLowerCase() }));
+        this.holdBack = holdBack;
+        this.buffer = '';
+        this.openTag = null; // The tag whose block we are inside
+        this.undecided = implicitOpen && this.tags.length > 0; // Not yet known whether the output started inside a block
+    }
+
+    get inThinking() {
+        return this.openTag !== null;
+    }
+
+    /**
+     * Feed a streamed chunk and get back the segments that are safe to emit.
+     * Each segment is { type: 'thinking' | 'response', text }.
+     * Text that could be the start of a tag split across chunks is held back
+     * until the next chunk (or flush) resolves it.
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        const segments = [];
+
+        if (this.undecided) {
+            const lowerBuffer = this.buffer.toLowerCase();
+            const first = this.tags
+                .flatMap(tag => [ThinkingStreamParser.find(lowerBuffer, tag.open, tag), ThinkingStreamParser.find(lowerBuffer, tag.close, tag)])
+                .filter(Boolean)
+                .sort((a, b) => a.index - b.index)[0];
+            if (!first && this.buffer.length <= this.holdBack) return segments;
+
+            this.undecided = false;
+            if (first && first.delimiter === first.tag.close) {
+                this.emit(segments, this.buffer.slice(0, first.index), 'thinking');
+                this.buffer = this.buffer.slice(first.index + first.delimiter.length);
+            }
+        }
+
+        while (this.buffer.length > 0) {
+            const lowerBuffer = this.buffer.toLowerCase();
+            const match = this.inThinking
+                ? ThinkingStreamParser.find(lowerBuffer, this.openTag.close, this.openTag)
+                : this.tags
+                    .map(tag => ThinkingStreamParser.find(lowerBuffer, tag.open, tag))
+                    .filter(Boolean)
+                    .sort((a, b) => a.index - b.index)[0];
+
+            if (match) {
+                this.emit(segments, this.buffer.slice(0, match.index));
+                this.buffer = this.buffer.slice(match.index + match.delimiter.length);
+                this.openTag = this.inThinking ? null : match.tag;
+                continue;
+            }
+
+            const delimiters = this.inThinking ? [this.openTag.close] : this.tags.map(tag => tag.open);
+            const heldBack = Math.max(0, ...delimiters.map(delimiter => ThinkingStreamParser.partialTagLength(this.buffer, delimiter)));
+            this.emit(segments, this.buffer.slice(0, this.buffer.length - heldBack));
+            this.buffer = this.buffer.slice(this.buffer.length - heldBack);
+            break;
+        }
+
+        return segments;
+    }
+
+    /**
+     * Emit whatever is still buffered once the stream has ended
+     */
+    flush() {
+        const segments = [];
+        this.undecided = false;
+        this.emit(segments, this.buffer);
+        this.buffer = '';
+        return segments;
+    }
+
+    emit(segments, text, type = this.inThinking ? 'thinking' : 'response') {
+        if (!text) return;
+        segments.push({
+            type,
+            text
+        });
+    }
+
+    static find(lowerText, delimiter, tag) {
+        const index = lowerText.indexOf(delimiter);
+        return index === -1 ? null : { index, delimiter, tag };
+    }
+
+    /**
+     * Length of the longest suffix of text that is a prefix of tag
+     */
+    static partialTagLength(text, tag) {
+        const lowerText = text.toLowerCase();
+        for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+            if (lowerText.endsWith(tag.slice(0, length))) {
+                return length;
+            }
+        }
+        return 0;
+    }
+}
+
+module.exports = ThinkingStreamParser;
@@ -0,0 +1,222 @@
+// backend/utils/trace-store.js - Opt-in pipeline traces of chat requests: prompts, chunks, timings and tokens
+const PREVIEW_CHARS = 300;
+
+// A retrieved [Document, score] pair as shown in a trace
+function tracedChunk([doc, score]) {
+    const metadata = doc.metadata || {};
+    return {
+        chunkId: metadata.chunk_id || metadata.id || null,
+        source: metadata.source || 'unknown',
+        score: typeof score === 'number' ? Number(score.toFixed(4)) : null,
+        retrieval: metadata.retrieval || null,
+        preview: doc.pageContent.slice(0, PREVIEW_CHARS)
+    };
+}
+
+// Pipeline steps recorded by the run name their runnable was given, with what each one produced
+const TRACED_STEPS = {
+    condense: (outputs) => ({ output: outputs.output ?? outputs }),
+    retrieve: (outputs) => ({ query: outputs.query, chunks: outputs.results.map(tracedChunk) }),
+    rerank: (outputs) => ({ chunks: outputs.results.map(tracedChunk), ordering: outputs.reranking }),
+    'graph-expansion': (outputs) => ({ chunks: outputs.results.map(tracedChunk) }),
+    // The model call inside it carries the prompt and the output
+    answer: () => ({}),
+    // Stands in for retrieval and answer when the answer cache had one (see the trace details)
+    'answer-cache': (outputs) => ({ output: outputs.output ?? outputs })
+};
+
+/**
+ * One traced request. Its LangChain callbacks (trace.callbacks, passed to every invoke/stream of
+ * the request) record the named pipeline steps and each chat model call, in the order they start:
+ * { name, type: 'chain' | 'llm', startMs, durationMs, error, ... }. Model calls are named after
+ * the step they ran in and carry the rendered prompt, the model parameters, output and tokens.
+ */
+class RequestTrace {
+    constructor({ id, ownerId = null, route, request = {} }) {
+        this.id = id;
+        this.ownerId = ownerId;
+        this.route = route;
+        this.request = request;
+        this.details = {};
+        this.status = 'running';
+        this.httpStatus = null;
+        this.createdAt = new Date().toISOString();
+        this.durationMs = null;
+        this.steps = [];
+        this.startedAt = performance.now();
+        // runId -> { name, parentRunId, step } of every run seen, to name model calls after their step
+        this.runs = new Map();
+        this.callbacks = [this.createHandler()];
+    }
+
+    elapsed() {
+        return Math.round(performance.now() - this.startedAt);
+    }
+
+    /**
+     * Record what the route resolved, e.g. the retrieval settings and collection
+     */
+    annotate(details) {
+        Object.assign(this.details, details);
+    }
+
+    addStep(step) {
+        const entry = { ...step, startMs: this.elapsed(), durationMs: null };
+        this.steps.push(entry);
+        return entry;
+    }
+
+    endRun(runId, update) {
+        const run = this.runs.get(runId);
+        if (!run || !run.step) return;
+        run.step.durationMs = this.elapsed() - run.step.startMs;
+        update(run.step);
+    }
+
+    // The traced step a run belongs to, e.g. 'condense' for the model call of the condense chain
+    stepOf(runId) {
+        for (let run = this.runs.get(runId); run; run = this.runs.get(run.parentRunId)) {
+            if (run.name) return run.name;
+        }
+        return null;
+    }
+
+    createHandler() {
+        return {
+            // Record each step before the chain moves on, so nothing is missing when the request ends
+            awaitHandlers: true,
+            handleChainStart: (chain, inputs, runId, parentRunId, tags, metadata, runType, runName) => {
+                const traced = Object.hasOwn(TRACED_STEPS, runName);
+                this.runs.set(runId, {
+                    name: traced ? runName : null,
+                    parentRunId,
+                    step: traced ? this.addStep({ name: runName, type: 'chain' }) : null
+                });
+            },
+            handleChainEnd: (outputs, runId) => {
+                this.endRun(runId, step => Object.assign(step, TRACED_STEPS[step.name](outputs)));
+            },
+            handleChainError: (error, runId) => {
+                this.endRun(runId, step => { step.error = error.message; });
+            },
+            handleChatModelStart: (llm, messages, runId, parentRunId, extraParams = {}) => {
+                const params = extraParams.invocation_params || {};
+                this.runs.set(runId, {
+                    name: null,
+                    parentRunId,
+                    step: this.addStep({
+                        name: this.stepOf(parentRunId) || 'llm',
+                        type: 'llm',
+                        provider: Array.isArray(llm.id) ? llm.id[llm.id.length - 1] : null,
+                        model: params.model || null,
+                        params,
+                        prompt: (messages[0] || []).map(message => ({ role: message._getType(), content: message.content }))
+                    })
+                });
+            },
+            handleLLMEnd: (output, runId) => {
+                this.endRun(runId, step => {
+                    const generation = output.generations?.[0]?.[0];
+                    const reported = generation?.message?.usage_metadata;
+                    const fallback = output.llmOutput?.tokenUsage;
+                    const prompt = reported?.input_tokens ?? fallback?.promptTokens;
+                    const completion = reported?.output_tokens ?? fallback?.completionTokens;
+                    step.output = generation?.text ?? '';
+                    step.tokens = prompt === undefined && completion === undefined
+                        ? null
+                        : { prompt: prompt || 0, completion: completion || 0, total: (prompt || 0) + (completion || 0) };
+                });
+            },
+            handleLLMError: (error, runId) => {
+                this.endRun(runId, step => { step.error = error.message; });
+            }
+        };
+    }
+
+    /**
+     * The request ended with httpStatus (499: the client went away first)
+     */
+    finish({ httpStatus }) {
+        if (this.status !== 'running') return;
+        this.httpStatus = httpStatus;
+        this.status = httpStatus >= 400 ? 'failed' : 'completed';
+        this.durationMs = this.elapsed();
+        this.runs.clear();
+    }
+
+    summary() {
+        const llmSteps = this.steps.filter(step => step.type === 'llm');
+        const sum = (field) => llmSteps.reduce((total, step) => total + (step.tokens?.[field] || 0), 0);
+        return {
+            id: this.id,
+            route: this.route,
+            status: this.status,
+            httpStatus: this.httpStatus,
+            createdAt: this.createdAt,
+            durationMs: this.durationMs,
+            model: llmSteps.length ? llmSteps[llmSteps.length - 1].model : null,
+            llmCalls: llmSteps.length,
+            tokens: { prompt: sum('prompt'), completion: sum('completion'), total: sum('total') }
+        };
+    }
+
+    toJSON() {
+        return {
+            ...this.summary(),
+            request: this.request,
+            details: this.details,
+            steps: this.steps
+        };
+    }
+}
+
+/**
+ * The last `limit` traces, in memory. Traces are read back by their ID (the request ID) and are
+ * private to the account that made the request; admins see all of them.
+ */
+class TraceStore {
+    constructor({ limit = 100 } = {}) {
+        this.limit = limit;
+        this.traces = new Map();
+    }
+
+    has(id) {
+        return this.traces.has(id);
+    }
+
+    start({ id, ownerId, route, request }) {
+        const trace = new RequestTrace({ id, ownerId, route, request });
+        this.traces.set(id, trace);
+
+        // Maps iterate in insertion order: the first keys are the oldest traces
+        for (const oldest of this.traces.keys()) {
+            if (this.traces.size <= this.limit) break;
+            this.traces.delete(oldest);
+        }
+        return trace;
+    }
+
+    /**
+     * A trace by ID, or null. ownerId limits it to one account's traces (null: any).
+     */
+    get(id, ownerId = null) {
+        const trace = this.traces.get(id);
+        if (!trace || (ownerId !== null && trace.ownerId !== ownerId)) return null;
+        return trace.toJSON();
+    }
+
+    /**
+     * Trace summaries, newest first
+     */
+    list(ownerId = null) {
+        return [...this.traces.values()]
+            .filter(trace => ownerId === null || trace.ownerId === ownerId)
+            .reverse()
+            .map(trace => trace.summary());
+    }
+}
+
+module.exports = {
+    TraceStore,
+    RequestTrace
+};
@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import './App.css';
 import CollapsibleThinking from './components/CollapsibleThinking';
+import SessionSidebar from './components/SessionSidebar';
+import KnowledgeBasePanel from './components/KnowledgeBasePanel';
+import ModelSelector from './components/ModelSelector';
+import CollectionPicker from './components/CollectionPicker';
+import EvaluationPanel from './components/EvaluationPanel';
+import ArenaPanel from './components/ArenaPanel';
+import LoginScreen from './components/LoginScreen';
+import TraceDrawer from './components/TraceDrawer';
+import { streamChat } from './utils/streamChat';
+import { apiFetch, setToken, setUnauthorizedHandler } from './utils/api';
 
 const API_BASE_URL = 'http://localhost:5000/api'; // Make sure this points to your backend
 
@@ -12,9 +22,23 @@ function App() {
     error: null
   });
   
-  const [thinkingEnabled, setThinkingEnabled] = useState(true); // Add state for thinking toggle
+  const [view, setView] = useState('chat');
+  // The logged-in account; checked once GET /auth/me has answered
+  const [auth, setAuth] = useState({ checked: false, authEnabled: true, user: null });
+  const [thinkingMode, setThinkingMode] = useState(''); // '' leaves it to the model's enableByDefault setting
+  const [selectedModel, setSelectedModel] = useState(''); // '' = server default model
+  const [debugTrace, setDebugTrace] = useState(false); // record a pipeline trace of each question
+  const [openTraceId, setOpenTraceId] = useState(null); // trace shown in the debug drawer
   const [beforeRagInput, setBeforeRagInput] = useState('');
   const [withRagInput, setWithRagInput] = useState('');
+  // Empty values fall back to the server's RETRIEVAL_MODE / HYBRID_FUSION / GRAPH_EXPANSION_ENABLED / RERANK_METHOD config
+  const [retrievalSettings, setRetrievalSettings] = useState({
+    retrievalMode: '',
+    fusionMethod: '',
+    graphExpansion: '',
+    rerank: ''
+  });
+  const [collection, setCollection] = useState(''); // '' = the configured knowledge base
   const [responses, setResponses] = useState({
     beforeRag: null,
     withRag: null
@@ -24,12 +48,16 @@ function App() {
     withRag: false,
     initializing: false
   });
+  const [sessions, setSessions] = useState([]);
+  const [sessionsError, setSessionsError] = useState(null);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [sessionMessages, setSessionMessages] = useState([]);
 
   // Check system status
   const checkStatus = async () => {
     try {
       console.log('Checking backend status at:', `${API_BASE_URL}/health`);
-      const response = await fetch(`${API_BASE_URL}/health`);
+      const response = await apiFetch(`${API_BASE_URL}/health`);
       const data = await response.json();
       console.log('Backend response:', data);
       
@@ -54,7 +82,7 @@ function App() {
   const initializeRAG = async () => {
     setLoading(prev => ({ ...prev, initializing: true }));
     try {
-      const response = await fetch(`${API_BASE_URL}/initialize`, {
+      const response = await apiFetch(`${API_BASE_URL}/initialize`, {
         method: 'POST',
       });
       const data = await response.json();
@@ -71,79 +99,214 @@ function App() {
     }
   };
 
-  // Chat without RAG
-  const chatBeforeRAG = async () => {
-  if (!beforeRagInput.trim()) return;
-
-  setLoading(prev => ({ ...prev, beforeRag: true }));
-  try {
-    const response = await fetch(`${API_BASE_URL}/chat/before-rag`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ 
-        topic: beforeRagInput,
-        enableThinking: thinkingEnabled 
-      }),
+  // Who is logged in (everyone is a local admin when the backend has authentication off)
+  const loadAccount = async () => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/auth/me`);
+      const data = await response.json();
+      setAuth({ checked: true, authEnabled: data.authEnabled !== false, user: response.ok ? data.user : null });
+    } catch (error) {
+      setAuth(prev => ({ ...prev, checked: true }));
+    }
+  };
+
+  const handleLogin = ({ token, user }) => {
+    setToken(token);
+    setAuth({ checked: true, authEnabled: true, user });
+  };
+
+  const logout = async () => {
+    await apiFetch(`${API_BASE_URL}/auth/logout`, { method: 'POST' }).catch(() => {});
+    setToken(null);
+    setAuth(prev => ({ ...prev, user: null }));
+    setSessions([]);
+    startNewChat();
+  };
+
+  // Load the conversation list for the sidebar
+  const loadSessions = async () => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/sessions`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setSessions(data.sessions);
+        setSessionsError(null);
+      } else {
+        setSessionsError(data.error || 'Could not load history');
+      }
+    } catch (error) {
+      setSessionsError('Could not load history');
+    }
+  };
+
+  // Start a fresh conversation; the session is created on the first question
+  const startNewChat = () => {
+    setActiveSessionId(null);
+    setSessionMessages([]);
+    setResponses({ beforeRag: null, withRag: null });
+  };
+
+  // Resume a stored conversation
+  const selectSession = async (sessionId) => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/sessions/${sessionId}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setActiveSessionId(sessionId);
+        setSessionMessages(data.messages);
+        setResponses({ beforeRag: null, withRag: null });
+      } else {
+        setSessionsError(data.error || 'Could not load conversation');
+      }
+    } catch (error) {
+      setSessionsError('Could not load conversation');
+    }
+  };
+
+  const renameSession = async (sessionId, title) => {
+    await apiFetch(`${API_BASE_URL}/sessions/${sessionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title }),
     });
+    await loadSessions();
+  };
+
+  const deleteSession = async (sessionId) => {
+    await apiFetch(`${API_BASE_URL}/sessions/${sessionId}`, { method: 'DELETE' });
+    if (sessionId === activeSessionId) {
+      startNewChat();
+    }
+    await loadSessions();
+  };
 
+  // Return the active session id, creating a session if needed
+  const ensureSession = async () => {
+    if (activeSessionId) return activeSessionId;
+
+    const response = await apiFetch(`${API_BASE_URL}/sessions`, { method: 'POST' });
     const data = await response.json();
-    
-    if (response.ok) {
-      setResponses(prev => ({ ...prev, beforeRag: data }));
-    } else {
-      setResponses(prev => ({ 
-        ...prev, 
-        beforeRag: { error: data.error || 'An error occurred' }
-      }));
+    if (!response.ok) {
+      throw new Error(data.error || 'Could not create conversation');
     }
-  } catch (error) {
-    setResponses(prev => ({ 
-      ...prev, 
-      beforeRag: { error: 'Network error: ' + error.message }
+
+    setActiveSessionId(data.session.id);
+    return data.session.id;
+  };
+
+  // Stream a chat response into responses[key] as tokens arrive.
+  // When it completes, the turn moves into the session thread.
+  const streamResponse = async (key, path, body, method, question) => {
+    setLoading(prev => ({ ...prev, [key]: true }));
+    setResponses(prev => ({
+      ...prev,
+      [key]: { thinking: '', response: '', isStreaming: true }
     }));
-  } finally {
-    setLoading(prev => ({ ...prev, beforeRag: false }));
-  }
-};
 
-  // Chat with RAG
-  const chatWithRAG = async () => {
-  if (!withRagInput.trim()) return;
-
-  setLoading(prev => ({ ...prev, withRag: true }));
-  try {
-    const response = await fetch(`${API_BASE_URL}/chat/with-rag`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ 
-        question: withRagInput,
-        enableThinking: thinkingEnabled 
-      }),
-    });
+    const appendText = (field, text) => {
+      setResponses(prev => ({
+        ...prev,
+        [key]: { ...prev[key], [field]: (prev[key]?.[field] || '') + text }
+      }));
+    };
 
-    const data = await response.json();
-    
-    if (response.ok) {
-      setResponses(prev => ({ ...prev, withRag: data }));
-    } else {
+    try {
+      const sessionId = await ensureSession();
+
+      await streamChat(`${API_BASE_URL}${path}`, { ...body, sessionId }, (event, data) => {
+        switch (event) {
+          case 'start':
+            setResponses(prev => ({ ...prev, [key]: { ...prev[key], sources: data.sources } }));
+            break;
+          case 'thinking':
+            appendText('thinking', data.text);
+            break;
+          case 'response':
+            appendText('response', data.text);
+            break;
+          case 'done':
+            setSessionMessages(prev => [
+              ...prev,
+              { role: 'user', content: question, method },
+              {
+                role: 'assistant',
+                content: data.response,
+                thinking: data.thinking,
+                sources: data.sources,
+                traceId: data.traceId,
+                method
+              }
+            ]);
+            setResponses(prev => ({ ...prev, [key]: null }));
+            break;
+          case 'error':
+            setResponses(prev => ({ ...prev, [key]: { error: data.error || 'An error occurred' } }));
+            break;
+          default:
+            break;
+        }
+      });
+    } catch (error) {
       setResponses(prev => ({ 
         ...prev, 
-        withRag: { error: data.error || 'An error occurred' }
+        [key]: { error: 'Network error: ' + error.message }
+      }));
+    } finally {
+      setResponses(prev => ({
+        ...prev,
+        [key]: prev[key] && { ...prev[key], isStreaming: false }
       }));
+      setLoading(prev => ({ ...prev, [key]: false }));
+      loadSessions();
     }
-  } catch (error) {
-    setResponses(prev => ({ 
-      ...prev, 
-      withRag: { error: 'Network error: ' + error.message }
-    }));
-  } finally {
-    setLoading(prev => ({ ...prev, withRag: false }));
-  }
-};
+  };
+
+  // Pair up the stored user/assistant messages of one chat method
+  const turnsFor = (method) => {
+    const messages = sessionMessages.filter(message => message.method === method);
+    const turns = [];
+    messages.forEach((message, index) => {
+      if (message.role === 'assistant' && messages[index - 1]?.role === 'user') {
+        turns.push({ question: messages[index - 1].content, answer: message });
+      }
+    });
+    return turns;
+  };
+
+  // Chat without RAG
+  const chatBeforeRAG = async () => {
+    if (!beforeRagInput.trim()) return;
+
+    const topic = beforeRagInput;
+    setBeforeRagInput('');
+    await streamResponse('beforeRag', '/chat/before-rag/stream', {
+      topic,
+      enableThinking: thinkingMode ? thinkingMode === 'on' : undefined,
+      model: selectedModel || undefined,
+      trace: debugTrace || undefined
+    }, 'before-rag', topic);
+  };
+
+  // Chat with RAG
+  const chatWithRAG = async () => {
+    if (!withRagInput.trim()) return;
+
+    const question = withRagInput;
+    setWithRagInput('');
+    await streamResponse('withRag', '/chat/with-rag/stream', {
+      question,
+      enableThinking: thinkingMode ? thinkingMode === 'on' : undefined,
+      model: selectedModel || undefined,
+      retrievalMode: retrievalSettings.retrievalMode || undefined,
+      fusionMethod: retrievalSettings.fusionMethod || undefined,
+      graphExpansion: retrievalSettings.graphExpansion ? retrievalSettings.graphExpansion === 'on' : undefined,
+      rerank: retrievalSettings.rerank || undefined,
+      collection: collection || undefined,
+      trace: debugTrace || undefined
+    }, 'with-rag', question);
+  };
 
   // Handle Enter key press
   const handleKeyPress = (event, action) => {
@@ -152,7 +315,24 @@ function App() {
     }
   };
 
+  // Check who is logged in on mount; a 401 from any request means logging in again
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      setToken(null);
+      setAuth(prev => ({ ...prev, checked: true, user: null }));
+    });
+    loadAccount();
+  }, []);
+
+  // Load the conversations of whoever logged in
+  useEffect(() => {
+    if (auth.user) {
+      loadSessions();
+    }
+  }, [auth.user]);
+
   // Check status on component mount and periodically
+
   useEffect(() => {
     checkStatus();
     const interval = setInterval(checkStatus, 5000); // Check every 5 seconds
@@ -163,22 +343,78 @@ function App() {
   <div className="thinking-toggle">
     <span className="thinking-toggle-icon">🧠</span>
     <label className="thinking-toggle-label">
+      Show AI thinking process (step-by-step reasoning)
+      <select
+        value={thinkingMode}
+        onChange={(e) => setThinkingMode(e.target.value)}
+      >
+        <option value="">Model default</option>
+        <option value="on">On</option>
+        <option value="off">Off</option>
+      </select>
+    </label>
+    <label className="thinking-toggle-label" title="Record the prompt, retrieved chunks, timings and tokens of each question">
       <input
         type="checkbox"
-        checked={thinkingEnabled}
-        onChange={(e) => setThinkingEnabled(e.target.checked)}
+        checked={debugTrace}
+        onChange={(e) => setDebugTrace(e.target.checked)}
         className="thinking-toggle-checkbox"
       />
-      Show AI thinking process (step-by-step reasoning)
+      🐞 Debug traces
     </label>
   </div>
 );
 
+const isAdmin = auth.user?.role === 'admin';
+const needsLogin = auth.checked && auth.authEnabled && !auth.user;
+// Nothing until we know who is logged in; admin-only views fall back to the chat
+const activeView = !auth.checked || needsLogin
+  ? null
+  : (!isAdmin && ['knowledge', 'evaluation'].includes(view) ? 'chat' : view);
+
 return (
     <div className="App">
         <header className="App-header">
             <h1>🤖 Karl Chat</h1>
             <p>RAG-powered chatbot using LangChain, Neo4j, and Ollama</p>
+            {auth.user && auth.authEnabled && (
+                <div className="user-bar">
+                    <span>👤 {auth.user.username} ({auth.user.role})</span>
+                    <button className="kb-btn" onClick={logout}>Log out</button>
+                </div>
+            )}
+            {activeView && (
+                <nav className="view-tabs">
+                    <button
+                        className={activeView === 'chat' ? 'active' : ''}
+                        onClick={() => setView('chat')}
+                    >
+                        💬 Chat
+                    </button>
+                    {isAdmin && (
+                        <button
+                            className={activeView === 'knowledge' ? 'active' : ''}
+                            onClick={() => setView('knowledge')}
+                        >
+                            📚 Knowledge Base
+                        </button>
+                    )}
+                    <button
+                        className={activeView === 'arena' ? 'active' : ''}
+                        onClick={() => setView('arena')}
+                    >
+                        🏟️ Arena
+                    </button>
+                    {isAdmin && (
+                        <button
+                            className={activeView === 'evaluation' ? 'active' : ''}
+                            onClick={() => setView('evaluation')}
+                        >
+                            🧪 Evaluation
+                        </button>
+                    )}
+                </nav>
+            )}
         </header>
 
         {/* System Status */}
@@ -186,76 +422,224 @@ return (
             {/* ... existing status content ... */}
         </div>
 
-        {/* Add the thinking toggle */}
-        <ThinkingToggle />
-
-        <div className="chat-container">
-            {/* Before RAG Section */}
-            <div className="chat-section before-rag">
-                <h3>💭 Without RAG</h3>
-                <p>Ask the AI about any topic using only its training data</p>
-                <div className="input-group">
-                    <input
-                        type="text"
-                        value={beforeRagInput}
-                        onChange={(e) => setBeforeRagInput(e.target.value)}
-                        onKeyPress={(e) => handleKeyPress(e, chatBeforeRAG)}
-                        placeholder="e.g., What is Ollama?"
-                        disabled={systemStatus.status !== 'online' || !systemStatus.ragInitialized}
-                    />
-                    <button 
-                        onClick={chatBeforeRAG}
-                        disabled={loading.beforeRag || systemStatus.status !== 'online' || !systemStatus.ragInitialized}
-                        className="chat-btn"
-                    >
-                        {loading.beforeRag ? '🤔 Thinking...' : '💬 Ask'}
-                    </button>
-                </div>
-                
-                {/* Use CollapsibleThinking component */}
-                {responses.beforeRag && (
-                    <CollapsibleThinking
-                        title="Response:"
-                        thinking={responses.beforeRag.thinking}
-                        response={responses.beforeRag.response}
-                        error={responses.beforeRag.error}
-                    />
-                )}
-            </div>
-
-            {/* With RAG Section */}
-            <div className="chat-section with-rag">
-                <h3>🧠 With RAG</h3>
-                <p>Ask questions that will be answered using retrieved documents</p>
-                <div className="input-group">
-                    <input
-                        type="text"
-                        value={withRagInput}
-                        onChange={(e) => setWithRagInput(e.target.value)}
-                        onKeyPress={(e) => handleKeyPress(e, chatWithRAG)}
-                        placeholder="e.g., What is Ollama?"
-                        disabled={systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+        {needsLogin && <LoginScreen apiBaseUrl={API_BASE_URL} onLogin={handleLogin} />}
+
+        {activeView === 'knowledge' && (
+            <KnowledgeBasePanel
+                apiBaseUrl={API_BASE_URL}
+                disabled={systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+            />
+        )}
+
+        {activeView === 'arena' && (
+            <ArenaPanel
+                apiBaseUrl={API_BASE_URL}
+                disabled={systemStatus.status !== 'online'}
+            />
+        )}
+
+        {activeView === 'evaluation' && (
+            <EvaluationPanel
+                apiBaseUrl={API_BASE_URL}
+                disabled={systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+            />
+        )}
+
+        {activeView === 'chat' && (
+            <>
+                {/* Add the thinking toggle */}
+                <ThinkingToggle />
+
+                <ModelSelector
+                    apiBaseUrl={API_BASE_URL}
+                    selectedModel={selectedModel}
+                    onSelect={setSelectedModel}
+                    disabled={systemStatus.status !== 'online'}
+                    canSetDefault={isAdmin}
+                />
+
+                <div className="app-body">
+                    <SessionSidebar
+                        sessions={sessions}
+                        activeSessionId={activeSessionId}
+                        onSelect={selectSession}
+                        onNew={startNewChat}
+                        onRename={renameSession}
+                        onDelete={deleteSession}
+                        error={sessionsError}
                     />
-                    <button 
-                        onClick={chatWithRAG}
-                        disabled={loading.withRag || systemStatus.status !== 'online' || !systemStatus.ragInitialized}
-                        className="chat-btn"
-                    >
-                        {loading.withRag ? '🔍 Searching...' : '🔍 Ask'}
-                    </button>
+
+                    <div className="chat-container">
+                        {/* Before RAG Section */}
+                        <div className="chat-section before-rag">
+                            <h3>💭 Without RAG</h3>
+                            <p>Ask the AI about any topic using only its training data</p>
+                            <div className="input-group">
+                                <input
+                                    type="text"
+                                    value={beforeRagInput}
+                                    onChange={(e) => setBeforeRagInput(e.target.value)}
+                                    onKeyPress={(e) => handleKeyPress(e, chatBeforeRAG)}
+                                    placeholder="e.g., What is Ollama?"
+                                    disabled={systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+                                />
+                                <button 
+                                    onClick={chatBeforeRAG}
+                                    disabled={loading.beforeRag || systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+                                    className="chat-btn"
+                                >
+                                    {loading.beforeRag ? '🤔 Thinking...' : '💬 Ask'}
+                                </button>
+                            </div>
+                    
+                            {turnsFor('before-rag').map((turn, index) => (
+                                <React.Fragment key={index}>
+                                    <CollapsibleThinking
+                                        title={turn.question}
+                                        thinking={turn.answer.thinking}
+                                        response={turn.answer.content}
+                                        sources={turn.answer.sources}
+                                    />
+                                    {turn.answer.traceId && (
+                                        <button onClick={() => setOpenTraceId(turn.answer.traceId)} className="kb-btn trace-open-btn">
+                                            🐞 Trace
+                                        </button>
+                                    )}
+                                </React.Fragment>
+                            ))}
+
+                            {/* Use CollapsibleThinking component */}
+                            {responses.beforeRag && (
+                                <CollapsibleThinking
+                                    title="Response:"
+                                    thinking={responses.beforeRag.thinking}
+                                    response={responses.beforeRag.response}
+                                    error={responses.beforeRag.error}
+                                    isStreaming={responses.beforeRag.isStreaming}
+                                />
+                            )}
+                        </div>
+
+                        {/* With RAG Section */}
+                        <div className="chat-section with-rag">
+                            <h3>🧠 With RAG</h3>
+                            <p>Ask questions that will be answered using retrieved documents</p>
+                            <div className="input-group">
+                                <input
+                                    type="text"
+                                    value={withRagInput}
+                                    onChange={(e) => setWithRagInput(e.target.value)}
+                                    onKeyPress={(e) => handleKeyPress(e, chatWithRAG)}
+                                    placeholder="e.g., What is Ollama?"
+                                    disabled={systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+                                />
+                                <button 
+                                    onClick={chatWithRAG}
+                                    disabled={loading.withRag || systemStatus.status !== 'online' || !systemStatus.ragInitialized}
+                                    className="chat-btn"
+                                >
+                                    {loading.withRag ? '🔍 Searching...' : '🔍 Ask'}
+                                </button>
+                            </div>
+
+                            <div className="retrieval-settings">
+                                <CollectionPicker
+                                    apiBaseUrl={API_BASE_URL}
+                                    selected={collection}
+                                    onSelect={setCollection}
+                                    disabled={systemStatus.status !== 'online'}
+                                />
+                                <label>
+                                    Retrieval
+                                    <select
+                                        value={retrievalSettings.retrievalMode}
+                                        onChange={(e) => setRetrievalSettings(prev => ({ ...prev, retrievalMode: e.target.value }))}
+                                    >
+                                        <option value="">Server default</option>
+                                        <option value="vector">Vector</option>
+                                        <option value="keyword">Full-text</option>
+                                        <option value="hybrid">Hybrid</option>
+                                    </select>
+                                </label>
+                                {retrievalSettings.retrievalMode === 'hybrid' && (
+                                    <label>
+                                        Fusion
+                                        <select
+                                            value={retrievalSettings.fusionMethod}
+                                            onChange={(e) => setRetrievalSettings(prev => ({ ...prev, fusionMethod: e.target.value }))}
+                                        >
+                                            <option value="">Server default</option>
+                                            <option value="rrf">Reciprocal rank</option>
+                                            <option value="weighted">Weighted scores</option>
+                                        </select>
+                                    </label>
+                                )}
+                                <label title="Over-fetch candidates, then diversify (MMR) and/or let the model reorder them">
+                                    Rerank
+                                    <select
+                                        value={retrievalSettings.rerank}
+                                        onChange={(e) => setRetrievalSettings(prev => ({ ...prev, rerank: e.target.value }))}
+                                    >
+                                        <option value="">Server default</option>
+                                        <option value="none">None</option>
+                                        <option value="mmr">MMR</option>
+                                        <option value="llm">LLM</option>
+                                        <option value="mmr+llm">MMR + LLM</option>
+                                    </select>
+                                </label>
+                                <label title="Add chunks that share entities with the retrieved ones">
+                                    Graph expansion
+                                    <select
+                                        value={retrievalSettings.graphExpansion}
+                                        onChange={(e) => setRetrievalSettings(prev => ({ ...prev, graphExpansion: e.target.value }))}
+                                    >
+                                        <option value="">Server default</option>
+                                        <option value="on">On</option>
+                                        <option value="off">Off</option>
+                                    </select>
+                                </label>
+                            </div>
+                    
+                            {turnsFor('with-rag').map((turn, index) => (
+                                <React.Fragment key={index}>
+                                    <CollapsibleThinking
+                                        title={turn.question}
+                                        thinking={turn.answer.thinking}
+                                        response={turn.answer.content}
+                                        sources={turn.answer.sources}
+                                    />
+                                    {turn.answer.traceId && (
+                                        <button onClick={() => setOpenTraceId(turn.answer.traceId)} className="kb-btn trace-open-btn">
+                                            🐞 Trace
+                                        </button>
+                                    )}
+                                </React.Fragment>
+                            ))}
+
+                            {/* Use CollapsibleThinking component */}
+                            {responses.withRag && (
+                                <CollapsibleThinking
+                                    title="Response:"
+                                    thinking={responses.withRag.thinking}
+                                    response={responses.withRag.response}
+                                    error={responses.withRag.error}
+                                    sources={responses.withRag.sources}
+                                    isStreaming={responses.withRag.isStreaming}
+                                />
+                            )}
+                        </div>
+                    </div>
                 </div>
-                
-                {/* Use CollapsibleThinking component */}
-                {responses.withRag && (
-                    <CollapsibleThinking
-                        title="Response:"
-                        thinking={responses.withRag.thinking}
-                        response={responses.withRag.response}
-                        error={responses.withRag.error}
-                    />
-                )}
-            </div>
-        </div>
+            </>
+        )}
+
+        {openTraceId && (
+            <TraceDrawer
+                apiBaseUrl={API_BASE_URL}
+                traceId={openTraceId}
+                onClose={() => setOpenTraceId(null)}
+            />
+        )}
 
         <footer className="App-footer">
             <p>Make sure Ollama and Neo4j are running locally</p>
@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import CollapsibleThinking from './CollapsibleThinking';
+import { apiFetch } from '../utils/api';
+
+const DEFAULT_VARIANT = { retrievalMode: '', rerank: '', k: '', graphExpansion: '' };
+
+// Drop "server default" fields so the backend fills them in
+const toRetrievalOverrides = (variant) => ({
+  ...(variant.retrievalMode && { retrievalMode: variant.retrievalMode }),
+  ...(variant.rerank && { rerank: variant.rerank }),
+  ...(variant.k && { k: Number(variant.k) }),
+  ...(variant.graphExpansion && { graphExpansion: variant.graphExpansion === 'on' }),
+});
+
+const formatUsage = (usage) => (usage ? `${usage.inputTokens} in / ${usage.outputTokens} out` : 'tokens n/a');
+
+// One question answered by a matrix of models x RAG on/off x retrieval settings, side by side
+const ArenaPanel = ({ apiBaseUrl, disabled }) => {
+  const [models, setModels] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [selectedModels, setSelectedModels] = useState([]);
+  const [ragOptions, setRagOptions] = useState({ off: true, on: true });
+  const [variants, setVariants] = useState([DEFAULT_VARIANT]);
+  const [enableThinking, setEnableThinking] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await apiFetch(`${apiBaseUrl}${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }, [apiBaseUrl]);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const [historyData, leaderboardData] = await Promise.all([request('/arena'), request('/arena/leaderboard')]);
+      setHistory(historyData.comparisons);
+      setLeaderboard(leaderboardData.leaderboard);
+    } catch (error) {
+      setError(error.message);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (disabled) return;
+
+    request('/models')
+      .then(data => setModels(data.models.filter(model => !model.embedding)))
+      .catch(error => setError(error.message));
+    loadHistory();
+  }, [disabled, request, loadHistory]);
+
+  const toggleModel = (name) => {
+    setSelectedModels(prev => (prev.includes(name) ? prev.filter(model => model !== name) : [...prev, name]));
+  };
+
+  const updateVariant = (index, field, value) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+  };
+
+  const rag = [...(ragOptions.off ? [false] : []), ...(ragOptions.on ? [true] : [])];
+  const columnCount = Math.max(selectedModels.length, 1) *
+    ((ragOptions.off ? 1 : 0) + (ragOptions.on ? variants.length : 0));
+
+  const runComparison = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await request('/arena', {
+        method: 'POST',
+        body: JSON.stringify({
+          question,
+          enableThinking,
+          matrix: {
+            models: selectedModels,
+            rag,
+            retrieval: variants.map(toRetrievalOverrides),
+          },
+        }),
+      });
+      setComparison(data.comparison);
+      await loadHistory();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openComparison = async (id) => {
+    try {
+      const data = await request(`/arena/${id}`);
+      setComparison(data.comparison);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const vote = async (entryId) => {
+    try {
+      const data = await request(`/arena/${comparison.id}/vote`, {
+        method: 'POST',
+        body: JSON.stringify({ entryId: comparison.winner === entryId ? null : entryId }),
+      });
+      setComparison(data.comparison);
+      await loadHistory();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const deleteComparison = async (id) => {
+    if (!window.confirm('Delete this comparison?')) return;
+
+    try {
+      await request(`/arena/${id}`, { method: 'DELETE' });
+      if (comparison?.id === id) {
+        setComparison(null);
+      }
+      await loadHistory();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="kb-panel">
+      {error && <div className="error">{error}</div>}
+
+      <div className="kb-card">
+        <div className="kb-header">
+          <h3>🏟️ Arena</h3>
+        </div>
+
+        <textarea
+          className="arena-question"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask one question, get an answer from every configuration..."
+          rows={3}
+          disabled={loading}
+        />
+
+        <div className="arena-matrix">
+          <div className="arena-group">
+            <h5>Models</h5>
+            {models.length === 0 && <span className="kb-empty">Server default only</span>}
+            {models.map(model => (
+              <label key={model.name}>
+                <input
+                  type="checkbox"
+                  checked={selectedModels.includes(model.name)}
+                  onChange={() => toggleModel(model.name)}
+                />
+                {model.name}
+              </label>
+            ))}
+          </div>
+
+          <div className="arena-group">
+            <h5>RAG</h5>
+            <label>
+              <input
+                type="checkbox"
+                checked={ragOptions.off}
+                onChange={(e) => setRagOptions(prev => ({ ...prev, off: e.target.checked }))}
+              />
+              Without RAG
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={ragOptions.on}
+                onChange={(e) => setRagOptions(prev => ({ ...prev, on: e.target.checked }))}
+              />
+              With RAG
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={enableThinking}
+                onChange={(e) => setEnableThinking(e.target.checked)}
+              />
+              🧠 Thinking
+            </label>
+          </div>
+
+          {ragOptions.on && (
+            <div className="arena-group">
+              <h5>Retrieval settings</h5>
+              {variants.map((variant, index) => (
+                <div key={index} className="arena-variant">
+                  <select value={variant.retrievalMode} onChange={(e) => updateVariant(index, 'retrievalMode', e.target.value)}>
+                    <option value="">Default retrieval</option>
+                    <option value="vector">Vector</option>
+                    <option value="keyword">Full-text</option>
+                    <option value="hybrid">Hybrid</option>
+                  </select>
+                  <select value={variant.rerank} onChange={(e) => updateVariant(index, 'rerank', e.target.value)}>
+                    <option value="">Default rerank</option>
+                    <option value="none">No rerank</option>
+                    <option value="mmr">MMR</option>
+                    <option value="llm">LLM</option>
+                    <option value="mmr+llm">MMR + LLM</option>
+                  </select>
+                  <select value={variant.graphExpansion} onChange={(e) => updateVariant(index, 'graphExpansion', e.target.value)}>
+                    <option value="">Default graph</option>
+                    <option value="on">Graph on</option>
+                    <option value="off">Graph off</option>
+                  </select>
+                  <input
+                    type="number"
+                    min={1}
+                    max={50}
+                    value={variant.k}
+                    onChange={(e) => updateVariant(index, 'k', e.target.value)}
+                    placeholder="k"
+                  />
+                  {variants.length > 1 && (
+                    <button onClick={() => setVariants(prev => prev.filter((_, i) => i !== index))} title="Remove">✖</button>
+                  )}
+                </div>
+              ))}
+              <button onClick={() => setVariants(prev => [...prev, DEFAULT_VARIANT])} className="kb-btn">
+                ➕ Add setting
+              </button>
+            </div>
+          )}
+        </div>
+
+        <button
+          onClick={runComparison}
+          disabled={disabled || loading || !question.trim() || columnCount === 0}
+          className="kb-btn"
+        >
+          {loading ? `⏳ Running ${columnCount} configurations...` : `⚔️ Compare ${columnCount} configurations`}
+        </button>
+      </div>
+
+      {comparison && (
+        <div className="kb-card">
+          <div className="kb-header">
+            <h3>❓ {comparison.question}</h3>
+            <span className="kb-summary">{new Date(comparison.createdAt).toLocaleString()}</span>
+          </div>
+          <div className="arena-columns" style={{ gridTemplateColumns: `repeat(${comparison.entries.length}, minmax(280px, 1fr))` }}>
+            {comparison.entries.map(entry => (
+              <div key={entry.id} className={`arena-column ${comparison.winner === entry.id ? 'winner' : ''}`}>
+                <div className="arena-stats">
+                  <span>⏱️ {(entry.latencyMs / 1000).toFixed(1)}s</span>
+                  {entry.retrievalMs !== undefined && <span>🔍 {(entry.retrievalMs / 1000).toFixed(1)}s</span>}
+                  <span>🔢 {formatUsage(entry.usage)}</span>
+                </div>
+                <CollapsibleThinking
+                  title={entry.label}
+                  thinking={entry.thinking}
+                  response={entry.response}
+                  error={entry.error}
+                  sources={entry.sources}
+                />
+                <button
+                  onClick={() => vote(entry.id)}
+                  disabled={Boolean(entry.error)}
+                  className="kb-btn"
+                >
+                  {comparison.winner === entry.id ? '🏆 Best answer' : '👍 Vote best'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="kb-card">
+        <div className="kb-header">
+          <h3>📜 Past comparisons</h3>
+          <button onClick={loadHistory} disabled={disabled} className="kb-btn">🔄 Refresh</button>
+        </div>
+        <table className="kb-table">
+          <thead>
+            <tr>
+              <th>Question</th>
+              <th>Configurations</th>
+              <th>Winner</th>
+              <th>Date</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map(item => (
+              <tr key={item.id} className={comparison?.id === item.id ? 'selected' : ''}>
+                <td>{item.question}</td>
+                <td>{item.entries.length}</td>
+                <td>{item.winner !== null ? item.entries.find(entry => entry.id === item.winner)?.label : '—'}</td>
+                <td>{new Date(item.createdAt).toLocaleString()}</td>
+                <td className="kb-actions">
+                  <button onClick={() => openComparison(item.id)} title="Show answers">👁️</button>
+                  <button onClick={() => deleteComparison(item.id)} title="Delete comparison">🗑️</button>
+                </td>
+              </tr>
+            ))}
+            {history.length === 0 && (
+              <tr>
+                <td colSpan={5} className="kb-empty">No comparisons yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        {leaderboard.length > 0 && (
+          <>
+            <h4>🏆 Leaderboard</h4>
+            <table className="kb-table">
+              <thead>
+                <tr>
+                  <th>Configuration</th>
+                  <th>Wins</th>
+                  <th>Voted comparisons</th>
+                  <th>Win rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.map(standing => (
+                  <tr key={standing.label}>
+                    <td>{standing.label}</td>
+                    <td>{standing.wins}</td>
+                    <td>{standing.comparisons}</td>
+                    <td>{(standing.winRate * 100).toFixed(0)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArenaPanel;
@@ -1,10 +1,52 @@
 import React, { useState } from 'react';
+import SourceFootnotes from './SourceFootnotes';
 
-const CollapsibleThinking = ({ thinking, response, title, error }) => {
+const CITATION_PATTERN = /(\[\d+(?:\s*,\s*\d+)*\])/;
+
+// Replace inline [n] / [n, m] markers with clickable footnote references
+const renderWithCitations = (text, sources, onCite) => {
+  if (!text || !sources || sources.length === 0) return text;
+
+  // split() with a capture group puts the citation markers at odd indexes
+  return text.split(CITATION_PATTERN).map((part, partIndex) => {
+    if (partIndex % 2 === 0) return part;
+
+    const numbers = part.slice(1, -1).split(',').map(value => Number(value.trim()));
+    return (
+      <sup key={partIndex} className="citation-refs">
+        {numbers.map(number => (
+          number >= 1 && number <= sources.length ? (
+            <button
+              key={number}
+              className="citation-ref"
+              onClick={() => onCite(number)}
+              title={sources[number - 1].source}
+            >
+              [{number}]
+            </button>
+          ) : (
+            <span key={number}>[{number}]</span>
+          )
+        ))}
+      </sup>
+    );
+  });
+};
+
+const CollapsibleThinking = ({ thinking, response, title, error, sources, isStreaming = false }) => {
   const [isThinkingExpanded, setIsThinkingExpanded] = useState(false);
+  const [activeSource, setActiveSource] = useState(null);
+
+  const toggleSource = (index) => {
+    setActiveSource(current => (current === index ? null : index));
+  };
 
   const thinkingWordCount = thinking ? thinking.split(' ').length : 0;
 
+  // While the model is still reasoning (no answer yet), keep the trace open
+  const isThinkingLive = isStreaming && !response;
+  const showThinking = isThinkingExpanded || isThinkingLive;
+
   if (error) {
     return (
       <div className="response-card">
@@ -23,21 +65,23 @@ const CollapsibleThinking = ({ thinking, response, title, error }) => {
         <div className="thinking-container">
           <button
             onClick={() => setIsThinkingExpanded(!isThinkingExpanded)}
-            className={`thinking-header ${isThinkingExpanded ? 'expanded' : ''}`}
+            className={`thinking-header ${showThinking ? 'expanded' : ''}`}
           >
             <div className="thinking-title">
               <span className="thinking-icon">🧠</span>
-              <span className="thinking-label">Thinking Process</span>
+              <span className="thinking-label">
+                {isThinkingLive ? 'Thinking...' : 'Thinking Process'}
+              </span>
               <span className="thinking-word-count">
                 {thinkingWordCount} words
               </span>
             </div>
-            <span className={`thinking-chevron ${isThinkingExpanded ? 'expanded' : ''}`}>
+            <span className={`thinking-chevron ${showThinking ? 'expanded' : ''}`}>
               ▼
             </span>
           </button>
           
-          <div className={`thinking-content ${isThinkingExpanded ? 'expanded' : ''}`}>
+          <div className={`thinking-content ${showThinking ? 'expanded' : ''}`}>
             <div className="thinking-content-inner">
               <pre className="thinking-text">
                 {thinking}
@@ -48,9 +92,16 @@ const CollapsibleThinking = ({ thinking, response, title, error }) => {
       )}
       
       {/* Main Response */}
-      <div className="response">
-        {response}
+      <div className={`response ${isStreaming ? 'streaming' : ''}`}>
+        {renderWithCitations(response, sources, toggleSource)}
+        {isStreaming && <span className="stream-cursor">▍</span>}
       </div>
+
+      <SourceFootnotes
+        sources={sources}
+        activeIndex={activeSource}
+        onToggle={toggleSource}
+      />
     </div>
   );
 };
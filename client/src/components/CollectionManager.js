@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import CollectionPicker from './CollectionPicker';
+import { apiFetch } from '../utils/api';
+
+const EMPTY_FORM = { name: '', description: '', sources: '', chunkSize: '', chunkOverlap: '' };
+
+// Pick, create, sync and delete collections; the rest of the knowledge base panel works on the selected one
+const CollectionManager = ({ apiBaseUrl, selected, onSelect, onJobQueued, disabled }) => {
+  const [details, setDetails] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [form, setForm] = useState(null); // null = create form closed
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (disabled) return;
+
+    const loadDetails = async () => {
+      try {
+        const response = await apiFetch(`${apiBaseUrl}/collections/${encodeURIComponent(selected || 'default')}`);
+        setDetails(response.ok ? await response.json() : null);
+      } catch (error) {
+        setDetails(null);
+      }
+    };
+    loadDetails();
+  }, [apiBaseUrl, selected, disabled, reloadKey]);
+
+  const request = async (path, options, onSuccess) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await apiFetch(`${apiBaseUrl}${path}`, options);
+      const data = await response.json();
+
+      if (response.ok) {
+        onSuccess(data);
+      } else {
+        setError(data.error || 'Request failed');
+      }
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createCollection = (event) => {
+    event.preventDefault();
+    const body = {
+      name: form.name.trim(),
+      description: form.description.trim(),
+      sources: form.sources.split(/\s+/).filter(Boolean),
+      ...(form.chunkSize && { chunkSize: Number(form.chunkSize) }),
+      ...(form.chunkOverlap && { chunkOverlap: Number(form.chunkOverlap) }),
+    };
+
+    request('/collections', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }, (created) => {
+      setForm(null);
+      setReloadKey(key => key + 1);
+      onSelect(created.name);
+      setMessage(`Created ${created.name}${created.sources.length ? ' — sync it to index its sources' : ''}`);
+    });
+  };
+
+  const syncCollection = () => {
+    request(`/collections/${encodeURIComponent(selected || 'default')}/sync`, { method: 'POST' }, (data) => {
+      setMessage(`Sync of ${data.job.sources.length} sources queued — see Jobs below`);
+      onJobQueued();
+    });
+  };
+
+  const deleteCollection = () => {
+    const confirm = window.prompt(`This deletes the collection "${selected}" with its index and every chunk in it. Type its name to confirm:`);
+    if (!confirm) return;
+
+    request(`/collections/${encodeURIComponent(selected)}`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ confirm }),
+    }, () => {
+      onSelect('');
+      setReloadKey(key => key + 1);
+      setMessage(`Deleted ${selected}`);
+    });
+  };
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="kb-card collection-manager">
+      <div className="kb-header">
+        <h3>🗂️ Collections</h3>
+        <CollectionPicker
+          apiBaseUrl={apiBaseUrl}
+          selected={selected}
+          onSelect={onSelect}
+          disabled={disabled}
+          reloadKey={reloadKey}
+        />
+        <button onClick={() => setForm(form ? null : EMPTY_FORM)} disabled={disabled} className="kb-btn">
+          {form ? '✖ Cancel' : '➕ New collection'}
+        </button>
+      </div>
+
+      {details && (
+        <div className="collection-details">
+          {details.description && <p>{details.description}</p>}
+          <span className="kb-summary">
+            Index {details.indexName} · label {details.nodeLabel} · chunks of {details.chunkSize} ({details.chunkOverlap} overlap) · {details.sources.length} sources
+          </span>
+          <div className="collection-actions">
+            <button onClick={syncCollection} disabled={disabled || busy || details.sources.length === 0} className="kb-btn">
+              {busy ? '⏳' : '🔄'} Sync sources
+            </button>
+            {!details.builtIn && (
+              <button onClick={deleteCollection} disabled={disabled || busy} className="kb-btn danger">
+                🗑️ Delete collection
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <form className="collection-form" onSubmit={createCollection}>
+          <input value={form.name} onChange={setField('name')} placeholder="name (a-z, 0-9, _)" required />
+          <input value={form.description} onChange={setField('description')} placeholder="Description" />
+          <textarea value={form.sources} onChange={setField('sources')} placeholder="Source URLs (one per line)" rows={2} />
+          <input type="number" min="100" value={form.chunkSize} onChange={setField('chunkSize')} placeholder="Chunk size" />
+          <input type="number" min="0" value={form.chunkOverlap} onChange={setField('chunkOverlap')} placeholder="Chunk overlap" />
+          <button type="submit" disabled={busy || !form.name.trim()} className="kb-btn">Create</button>
+        </form>
+      )}
+
+      {message && <div className="collection-message">{message}</div>}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+};
+
+export default CollectionManager;
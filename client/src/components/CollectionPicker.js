@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+
+// Pick the knowledge base (collection) to work on; '' means the server's default collection.
+// Bump reloadKey to reload the list after collections were created or deleted.
+const CollectionPicker = ({ apiBaseUrl, selected, onSelect, disabled, reloadKey = 0 }) => {
+  const [collections, setCollections] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (disabled) return;
+
+    const loadCollections = async () => {
+      try {
+        const response = await apiFetch(`${apiBaseUrl}/collections`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setCollections(data.collections);
+          setError(null);
+        } else {
+          setError(data.error || 'Could not load collections');
+        }
+      } catch (error) {
+        setError('Could not load collections');
+      }
+    };
+    loadCollections();
+  }, [apiBaseUrl, disabled, reloadKey]);
+
+  // The selected collection was deleted: fall back to the default one
+  useEffect(() => {
+    if (selected && collections.length > 0 && !collections.some(collection => collection.name === selected)) {
+      onSelect('');
+    }
+  }, [selected, collections, onSelect]);
+
+  return (
+    <label className="collection-picker" title={error || 'The knowledge base to search'}>
+      Collection
+      <select value={selected} onChange={(e) => onSelect(e.target.value)} disabled={disabled}>
+        <option value="">Default</option>
+        {collections
+          .filter(collection => !collection.builtIn)
+          .map(collection => (
+            <option key={collection.name} value={collection.name} title={collection.description}>
+              {collection.name}
+            </option>
+          ))}
+      </select>
+    </label>
+  );
+};
+
+export default CollectionPicker;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../utils/api';
+
+const ACCEPTED_TYPES = '.md,.markdown,.txt,.text,.html,.htm,.pdf,.docx,.csv,.json';
+
+// Ingests into the given collection ('' = the configured knowledge base)
+const DocumentUploadPanel = ({ apiBaseUrl, collection = '', disabled, onIngested }) => {
+  const [urlInput, setUrlInput] = useState('');
+  const [files, setFiles] = useState([]);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [uploading, setUploading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const urls = urlInput
+    .split(/\s+/)
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  const submit = async (path, options) => {
+    setUploading(true);
+    setResult(null);
+    try {
+      const query = collection ? `?${new URLSearchParams({ collection })}` : '';
+      const response = await apiFetch(`${apiBaseUrl}${path}${query}`, { method: 'POST', ...options });
+      const data = await response.json();
+      // Ingestion runs as a background job; its progress is shown in the jobs panel
+      setResult(data.job ? data : { error: data.error || 'Ingestion failed' });
+      if (response.ok && onIngested) {
+        onIngested();
+      }
+      return response.ok;
+    } catch (error) {
+      setResult({ error: 'Network error: ' + error.message });
+      return false;
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const ingestUrls = async () => {
+    if (urls.length === 0) return;
+
+    const ok = await submit('/documents/urls', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ urls }),
+    });
+    if (ok) setUrlInput('');
+  };
+
+  const uploadFiles = async () => {
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    const ok = await submit('/documents/upload', { body: formData });
+    if (ok) {
+      setFiles([]);
+      setFileInputKey(key => key + 1); // Reset the file input
+    }
+  };
+
+  return (
+    <div className="upload-panel">
+      <h3>📥 Add Knowledge</h3>
+      <p>Add web pages or upload files (Markdown, text, HTML, PDF, DOCX, CSV, JSON) to the knowledge base</p>
+
+      <div className="upload-row">
+        <textarea
+          value={urlInput}
+          onChange={(e) => setUrlInput(e.target.value)}
+          placeholder="https://example.com/docs (one URL per line)"
+          rows={3}
+          disabled={disabled || uploading}
+        />
+        <button
+          onClick={ingestUrls}
+          disabled={disabled || uploading || urls.length === 0}
+          className="chat-btn"
+        >
+          🌐 Add URLs
+        </button>
+      </div>
+
+      <div className="upload-row">
+        <input
+          key={fileInputKey}
+          type="file"
+          multiple
+          accept={ACCEPTED_TYPES}
+          onChange={(e) => setFiles(Array.from(e.target.files))}
+          disabled={disabled || uploading}
+        />
+        <button
+          onClick={uploadFiles}
+          disabled={disabled || uploading || files.length === 0}
+          className="chat-btn"
+        >
+          {uploading ? '⏳ Processing...' : `📤 Upload ${files.length || ''}`}
+        </button>
+      </div>
+
+      {result?.error && <div className="error">{result.error}</div>}
+
+      {result?.job && (
+        <div className="upload-results">
+          <p>Queued {result.job.sources.length} source(s) for ingestion — follow the progress under Jobs</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentUploadPanel;
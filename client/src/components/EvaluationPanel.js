@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../utils/api';
+
+const SAMPLE_CASES = `[
+  {
+    "question": "How do I run a model with Ollama?",
+    "expectedSources": ["https://ollama.com/"],
+    "referenceAnswer": "Use ollama run <model>."
+  }
+]`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Metrics are 0-1 ratios; show them as percentages
+const formatMetric = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// recall@k is keyed by the k used for the run
+const recallOf = (metrics) => {
+  const key = metrics && Object.keys(metrics).find(name => name.startsWith('recall@'));
+  return key ? { label: key, value: metrics[key] } : { label: 'recall@k', value: null };
+};
+
+const EvaluationPanel = ({ apiBaseUrl, disabled }) => {
+  const [datasets, setDatasets] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [error, setError] = useState(null);
+  const [newDataset, setNewDataset] = useState({ name: '', cases: SAMPLE_CASES });
+  const [runSettings, setRunSettings] = useState({ retrievalMode: '', rerank: '', k: '', judge: true });
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await apiFetch(`${apiBaseUrl}${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }, [apiBaseUrl]);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [datasetData, runData] = await Promise.all([request('/eval/datasets'), request('/eval/runs')]);
+      setDatasets(datasetData.datasets);
+      setRuns(runData.runs);
+      setError(null);
+    } catch (error) {
+      setError(error.message);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (!disabled) {
+      loadData();
+    }
+  }, [disabled, loadData]);
+
+  // Poll while a run is in progress
+  const hasRunningRun = runs.some(run => run.status === 'running');
+  useEffect(() => {
+    if (!hasRunningRun) return undefined;
+    const interval = setInterval(loadData, 3000);
+    return () => clearInterval(interval);
+  }, [hasRunningRun, loadData]);
+
+  const createDataset = async () => {
+    let cases;
+    try {
+      cases = JSON.parse(newDataset.cases);
+    } catch (error) {
+      setError('Cases must be valid JSON: ' + error.message);
+      return;
+    }
+
+    try {
+      await request('/eval/datasets', {
+        method: 'POST',
+        body: JSON.stringify({ name: newDataset.name, cases }),
+      });
+      setNewDataset({ name: '', cases: SAMPLE_CASES });
+      await loadData();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const deleteDataset = async (dataset) => {
+    if (!window.confirm(`Delete dataset "${dataset.name}"? Its run reports are kept.`)) return;
+
+    try {
+      await request(`/eval/datasets/${dataset.id}`, { method: 'DELETE' });
+      await loadData();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const startRun = async (dataset) => {
+    try {
+      await request(`/eval/datasets/${dataset.id}/runs`, {
+        method: 'POST',
+        body: JSON.stringify({
+          retrievalMode: runSettings.retrievalMode || undefined,
+          rerank: runSettings.rerank || undefined,
+          k: runSettings.k ? Number(runSettings.k) : undefined,
+          judge: runSettings.judge,
+        }),
+      });
+      await loadData();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const openRun = async (runId) => {
+    try {
+      const data = await request(`/eval/runs/${runId}`);
+      setSelectedRun(data.run);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const deleteRun = async (run) => {
+    if (!window.confirm('Delete this run report?')) return;
+
+    try {
+      await request(`/eval/runs/${run.id}`, { method: 'DELETE' });
+      if (selectedRun?.id === run.id) {
+        setSelectedRun(null);
+      }
+      await loadData();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="kb-panel">
+      {error && <div className="error">{error}</div>}
+
+      <div className="kb-card">
+        <div className="kb-header">
+          <h3>🧪 Evaluation Datasets</h3>
+          <button onClick={loadData} disabled={disabled} className="kb-btn">🔄 Refresh</button>
+        </div>
+
+        <div className="eval-settings">
+          <span>Run with:</span>
+          <select
+            value={runSettings.retrievalMode}
+            onChange={(e) => setRunSettings(prev => ({ ...prev, retrievalMode: e.target.value }))}
+          >
+            <option value="">Default retrieval</option>
+            <option value="vector">Vector</option>
+            <option value="keyword">Full-text</option>
+            <option value="hybrid">Hybrid</option>
+          </select>
+          <select
+            value={runSettings.rerank}
+            onChange={(e) => setRunSettings(prev => ({ ...prev, rerank: e.target.value }))}
+          >
+            <option value="">Default rerank</option>
+            <option value="none">No rerank</option>
+            <option value="mmr">MMR</option>
+            <option value="llm">LLM</option>
+            <option value="mmr+llm">MMR + LLM</option>
+          </select>
+          <input
+            type="number"
+            min={1}
+            max={50}
+            value={runSettings.k}
+            onChange={(e) => setRunSettings(prev => ({ ...prev, k: e.target.value }))}
+            placeholder="k"
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={runSettings.judge}
+              onChange={(e) => setRunSettings(prev => ({ ...prev, judge: e.target.checked }))}
+            />
+            LLM judge
+          </label>
+        </div>
+
+        <table className="kb-table">
+          <thead>
+            <tr>
+              <th>Dataset</th>
+              <th>Cases</th>
+              <th>Runs</th>
+              <th>Updated</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {datasets.map(dataset => (
+              <tr key={dataset.id}>
+                <td>{dataset.name}</td>
+                <td>{dataset.caseCount}</td>
+                <td>{dataset.runCount}</td>
+                <td>{formatDate(dataset.updatedAt)}</td>
+                <td className="kb-actions">
+                  <button onClick={() => startRun(dataset)} disabled={disabled} title="Start a run">▶️</button>
+                  <button onClick={() => deleteDataset(dataset)} title="Delete dataset">🗑️</button>
+                </td>
+              </tr>
+            ))}
+            {datasets.length === 0 && (
+              <tr>
+                <td colSpan={5} className="kb-empty">No datasets yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="eval-new-dataset">
+          <h4>➕ New dataset</h4>
+          <input
+            type="text"
+            value={newDataset.name}
+            onChange={(e) => setNewDataset(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Dataset name"
+          />
+          <textarea
+            value={newDataset.cases}
+            onChange={(e) => setNewDataset(prev => ({ ...prev, cases: e.target.value }))}
+            rows={8}
+          />
+          <button
+            onClick={createDataset}
+            disabled={disabled || !newDataset.name.trim()}
+            className="kb-btn"
+          >
+            💾 Save dataset
+          </button>
+        </div>
+      </div>
+
+      <div className="kb-card">
+        <div className="kb-header">
+          <h3>📊 Runs</h3>
+        </div>
+
+        <table className="kb-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>Dataset</th>
+              <th>Status</th>
+              <th>Settings</th>
+              <th>Hit rate</th>
+              <th>MRR</th>
+              <th>Recall</th>
+              <th>Faithful</th>
+              <th>Relevant</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => {
+              const recall = recallOf(run.metrics);
+              const retrieval = run.settings?.retrieval;
+              return (
+                <tr key={run.id} className={selectedRun?.id === run.id ? 'selected' : ''}>
+                  <td>{formatDate(run.startedAt)}</td>
+                  <td>{run.datasetName}</td>
+                  <td title={run.error || undefined}>
+                    {run.status === 'running' ? `⏳ ${run.completed}/${run.total}` : run.status}
+                  </td>
+                  <td className="eval-run-settings">
+                    {run.settings?.model} · {retrieval?.mode} · k={retrieval?.k} · rerank {retrieval?.rerank}
+                    <br />
+                    chunks {run.settings?.chunkSize}/{run.settings?.chunkOverlap}
+                  </td>
+                  <td>{formatMetric(run.metrics?.hitRate)}</td>
+                  <td>{formatMetric(run.metrics?.mrr)}</td>
+                  <td title={recall.label}>{formatMetric(recall.value)}</td>
+                  <td>{formatMetric(run.metrics?.faithfulness)}</td>
+                  <td>{formatMetric(run.metrics?.answerRelevance)}</td>
+                  <td className="kb-actions">
+                    <button onClick={() => openRun(run.id)} disabled={run.status === 'running'} title="Show per-question results">👁️</button>
+                    <button onClick={() => deleteRun(run)} title="Delete run">🗑️</button>
+                  </td>
+                </tr>
+              );
+            })}
+            {runs.length === 0 && (
+              <tr>
+                <td colSpan={10} className="kb-empty">No runs yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        {selectedRun && (
+          <div className="kb-preview">
+            <div className="kb-header">
+              <h4>🔎 {selectedRun.datasetName} · {formatDate(selectedRun.startedAt)}</h4>
+              <button onClick={() => setSelectedRun(null)} className="kb-btn">✖ Close</button>
+            </div>
+            <table className="kb-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Question</th>
+                  <th>Hit</th>
+                  <th>RR</th>
+                  <th>Recall</th>
+                  <th>Faithful</th>
+                  <th>Relevant</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(selectedRun.results || []).map(result => (
+                  <tr key={result.index} title={result.error || result.answer}>
+                    <td>{result.index}</td>
+                    <td>
+                      {result.question}
+                      {result.error && <div className="upload-failed">❌ {result.error}</div>}
+                    </td>
+                    <td>{result.retrieval ? (result.retrieval.hit ? '✅' : '❌') : '—'}</td>
+                    <td>{result.retrieval ? result.retrieval.reciprocalRank.toFixed(2) : '—'}</td>
+                    <td>{formatMetric(result.retrieval?.recall)}</td>
+                    <td title={result.judgement?.faithfulness?.reason || result.judgement?.faithfulness?.error}>
+                      {formatMetric(result.judgement?.faithfulness?.score)}
+                    </td>
+                    <td title={result.judgement?.answerRelevance?.reason || result.judgement?.answerRelevance?.error}>
+                      {formatMetric(result.judgement?.answerRelevance?.score)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EvaluationPanel;
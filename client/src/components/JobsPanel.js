@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch } from '../utils/api';
+
+const POLL_INTERVAL_MS = 1500;
+const JOB_LIST_SIZE = 10;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const STATUS_ICONS = {
+  queued: '🕓',
+  running: '⏳',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '🛑',
+};
+
+// What a source is doing, e.g. "embed 64/200" while its chunks are being embedded
+const describeStage = (entry) => {
+  if (entry.stage === 'embed' && entry.toEmbed) return `embed ${entry.embedded}/${entry.toEmbed}`;
+  if (entry.stage === 'done') return `${entry.status} · ${entry.chunks} chunks (+${entry.added} / -${entry.removed})`;
+  return entry.stage;
+};
+
+// Ingestion and re-indexing jobs with live progress; polls while any job is queued or running.
+// Bump reloadKey after queueing a job; onJobsFinished is called when the last active job ends.
+const JobsPanel = ({ apiBaseUrl, disabled, reloadKey = 0, onJobsFinished }) => {
+  const [jobs, setJobs] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/jobs`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobs(data.jobs.slice(0, JOB_LIST_SIZE));
+        setError(null);
+      } else {
+        setError(data.error || 'Could not load jobs');
+      }
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    if (!disabled) {
+      loadJobs();
+    }
+  }, [disabled, loadJobs, reloadKey]);
+
+  const hasActiveJobs = jobs.some(job => ACTIVE_STATUSES.includes(job.status));
+
+  useEffect(() => {
+    if (!hasActiveJobs) return undefined;
+    const timer = setInterval(loadJobs, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, loadJobs]);
+
+  const hadActiveJobs = useRef(false);
+  useEffect(() => {
+    if (hadActiveJobs.current && !hasActiveJobs && onJobsFinished) {
+      onJobsFinished();
+    }
+    hadActiveJobs.current = hasActiveJobs;
+  }, [hasActiveJobs, onJobsFinished]);
+
+  const jobAction = async (job, action) => {
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/jobs/${job.id}/${action}`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || `Could not ${action} job`);
+      }
+      await loadJobs();
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="kb-card jobs-panel">
+      <div className="kb-header">
+        <h3>🧾 Jobs</h3>
+        <button onClick={loadJobs} disabled={disabled} className="kb-btn">🔄 Refresh</button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {jobs.length === 0 && <div className="kb-empty">No ingestion jobs yet</div>}
+
+      {jobs.map(job => {
+        const { progress } = job;
+        const finished = progress.done + progress.failed + progress.cancelled;
+        const active = ACTIVE_STATUSES.includes(job.status);
+        const retryable = !active && progress.total > progress.done;
+
+        return (
+          <div key={job.id} className={`job-row job-${job.status}`}>
+            <div className="job-summary">
+              <span className="job-title">
+                {STATUS_ICONS[job.status]} {job.type}
+                {job.collection && <span className="kb-badge">{job.collection}</span>}
+              </span>
+              <span className="kb-summary">
+                {job.step || job.status}
+                {progress.total > 0 && ` · ${finished}/${progress.total} sources · ${progress.failed} failed · ${progress.embeddedChunks} chunks embedded`}
+              </span>
+              <span className="job-actions">
+                {active && (
+                  <button onClick={() => jobAction(job, 'cancel')} disabled={job.cancelRequested} className="kb-btn">
+                    {job.cancelRequested ? 'Cancelling...' : '✖ Cancel'}
+                  </button>
+                )}
+                {retryable && (
+                  <button onClick={() => jobAction(job, 'retry')} className="kb-btn" title="Queue the failed and unfinished sources again">
+                    🔁 Retry {progress.total - progress.done}
+                  </button>
+                )}
+                <button onClick={() => setExpanded(expanded === job.id ? null : job.id)} className="kb-btn">
+                  {expanded === job.id ? '▲' : '▼'}
+                </button>
+              </span>
+            </div>
+
+            {progress.total > 0 && (
+              <div className="job-progress">
+                <div className="job-progress-bar" style={{ width: `${(finished / progress.total) * 100}%` }} />
+              </div>
+            )}
+            {job.error && <div className="error">{job.error}</div>}
+
+            {expanded === job.id && (
+              <ul className="job-sources">
+                {job.sources.map(entry => (
+                  <li key={entry.source} className={`job-source-${entry.stage}`}>
+                    <span className="kb-source">{entry.source}</span>
+                    <span className="kb-summary">{describeStage(entry)}</span>
+                    {entry.error && <span className="upload-failed"> — {entry.error}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default JobsPanel;
@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import DocumentUploadPanel from './DocumentUploadPanel';
+import CollectionManager from './CollectionManager';
+import JobsPanel from './JobsPanel';
+import { apiFetch } from '../utils/api';
+
+const CHUNK_PAGE_SIZE = 10;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const KnowledgeBasePanel = ({ apiBaseUrl, disabled }) => {
+  const [collection, setCollection] = useState(''); // '' = the configured knowledge base
+  const [sources, setSources] = useState([]);
+  const [totalChunks, setTotalChunks] = useState(0);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [rebuilding, setRebuilding] = useState(false);
+  const [graphStats, setGraphStats] = useState(null);
+  const [extracting, setExtracting] = useState(false);
+  const [cacheStats, setCacheStats] = useState(null);
+  const [jobsReloadKey, setJobsReloadKey] = useState(0);
+
+  // Admin URL scoped to the selected collection
+  const adminUrl = useCallback((path, params = {}) => {
+    const query = new URLSearchParams({ ...params, ...(collection && { collection }) }).toString();
+    return `${apiBaseUrl}${path}${query ? `?${query}` : ''}`;
+  }, [apiBaseUrl, collection]);
+
+  const loadSources = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(adminUrl('/admin/sources'));
+      const data = await response.json();
+
+      if (response.ok) {
+        setSources(data.sources);
+        setTotalChunks(data.totalChunks);
+        setError(null);
+      } else {
+        setError(data.error || 'Could not load sources');
+      }
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [adminUrl]);
+
+  const loadGraphStats = useCallback(async () => {
+    try {
+      const response = await apiFetch(adminUrl('/admin/graph'));
+      const data = await response.json();
+      setGraphStats(response.ok ? data : null);
+    } catch (error) {
+      setGraphStats(null);
+    }
+  }, [adminUrl]);
+
+  const loadCacheStats = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/admin/cache`);
+      const data = await response.json();
+      setCacheStats(response.ok ? data : null);
+    } catch (error) {
+      setCacheStats(null);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    if (!disabled) {
+      setPreview(null);
+      loadSources();
+      loadGraphStats();
+      loadCacheStats();
+    }
+  }, [disabled, loadSources, loadGraphStats, loadCacheStats]);
+
+  const refresh = useCallback(() => {
+    loadSources();
+    loadGraphStats();
+    loadCacheStats();
+  }, [loadSources, loadGraphStats, loadCacheStats]);
+
+  // Ingestion runs as background jobs: show the new job, and refresh the sources once it is done
+  const jobQueued = () => setJobsReloadKey(key => key + 1);
+
+  const extractGraph = async () => {
+    setExtracting(true);
+    try {
+      const response = await apiFetch(adminUrl('/admin/graph/extract'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Graph extraction failed');
+      }
+      await loadGraphStats();
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    } finally {
+      setExtracting(false);
+    }
+  };
+
+  const clearCache = async (cache) => {
+    const warning = cache === 'embeddings'
+      ? 'Clear every cached embedding? Texts are embedded again the next time they are needed.'
+      : 'Clear every cached answer?';
+    if (!window.confirm(warning)) return;
+
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/admin/cache/${cache}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Could not clear cache');
+      }
+      await loadCacheStats();
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    }
+  };
+
+  const loadChunks = async (source, offset = 0) => {
+    try {
+      const response = await apiFetch(adminUrl('/admin/sources/chunks', { source, offset, limit: CHUNK_PAGE_SIZE }));
+      const data = await response.json();
+
+      if (response.ok) {
+        setPreview(data);
+      } else {
+        setError(data.error || 'Could not load chunks');
+      }
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    }
+  };
+
+  const deleteSource = async (source) => {
+    if (!window.confirm(`Delete "${source}" and all of its chunks from the knowledge base?`)) return;
+
+    try {
+      const response = await apiFetch(adminUrl('/admin/sources', { source }), { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Could not delete source');
+      }
+      if (preview?.source === source) {
+        setPreview(null);
+      }
+      refresh();
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    }
+  };
+
+  const rebuildIndex = async () => {
+    const confirm = window.prompt(
+      `This deletes EVERY chunk in the ${collection || 'default'} collection and rebuilds it from its configured URLs.\n` +
+      'Uploaded files and added URLs will be lost. Type the index name to confirm:'
+    );
+    if (!confirm) return;
+
+    setRebuilding(true);
+    try {
+      const response = await apiFetch(adminUrl('/admin/index/rebuild'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ confirm }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Rebuild failed');
+      }
+      setPreview(null);
+      jobQueued();
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  return (
+    <div className="kb-panel">
+      <CollectionManager
+        apiBaseUrl={apiBaseUrl}
+        selected={collection}
+        onSelect={setCollection}
+        onJobQueued={jobQueued}
+        disabled={disabled}
+      />
+
+      <DocumentUploadPanel
+        apiBaseUrl={apiBaseUrl}
+        collection={collection}
+        disabled={disabled}
+        onIngested={jobQueued}
+      />
+
+      <JobsPanel
+        apiBaseUrl={apiBaseUrl}
+        disabled={disabled}
+        reloadKey={jobsReloadKey}
+        onJobsFinished={refresh}
+      />
+
+      <div className="kb-card">
+        <div className="kb-header">
+          <h3>📚 Indexed Sources</h3>
+          <span className="kb-summary">
+            {sources.length} sources · {totalChunks} chunks
+          </span>
+          <button onClick={refresh} disabled={disabled || loading} className="kb-btn">
+            {loading ? '⏳' : '🔄'} Refresh
+          </button>
+        </div>
+
+        {error && <div className="error">{error}</div>}
+
+        <table className="kb-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th>Chunks</th>
+              <th>Ingested</th>
+              <th>Updated</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sources.map(source => (
+              <tr key={source.source} className={preview?.source === source.source ? 'selected' : ''}>
+                <td className="kb-source">
+                  {source.source}
+                  {!source.tracked && <span className="kb-badge" title="Indexed before source tracking">legacy</span>}
+                </td>
+                <td>{source.chunkCount}</td>
+                <td>{formatDate(source.ingestedAt)}</td>
+                <td>{formatDate(source.updatedAt)}</td>
+                <td className="kb-actions">
+                  <button onClick={() => loadChunks(source.source)} title="Preview chunks">👁️</button>
+                  <button onClick={() => deleteSource(source.source)} title="Delete source">🗑️</button>
+                </td>
+              </tr>
+            ))}
+            {sources.length === 0 && (
+              <tr>
+                <td colSpan={5} className="kb-empty">No sources indexed yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        {preview && (
+          <div className="kb-preview">
+            <div className="kb-header">
+              <h4>🔎 {preview.source}</h4>
+              <button onClick={() => setPreview(null)} className="kb-btn">✖ Close</button>
+            </div>
+            {preview.chunks.map(chunk => (
+              <div key={chunk.id} className="kb-chunk">
+                <div className="kb-chunk-meta">{chunk.id} · {chunk.contentLength || chunk.text.length} chars</div>
+                <pre className="source-text">{chunk.text}</pre>
+              </div>
+            ))}
+            <div className="kb-pager">
+              <button
+                onClick={() => loadChunks(preview.source, preview.offset - CHUNK_PAGE_SIZE)}
+                disabled={preview.offset === 0}
+                className="kb-btn"
+              >
+                ◀ Previous
+              </button>
+              <span>
+                {preview.offset + 1}–{Math.min(preview.offset + preview.chunks.length, preview.total)} of {preview.total}
+              </span>
+              <button
+                onClick={() => loadChunks(preview.source, preview.offset + CHUNK_PAGE_SIZE)}
+                disabled={preview.offset + CHUNK_PAGE_SIZE >= preview.total}
+                className="kb-btn"
+              >
+                Next ▶
+              </button>
+            </div>
+          </div>
+        )}
+
+        {graphStats && (
+          <div className="kb-graph">
+            <h4>🕸️ Knowledge graph</h4>
+            <span className="kb-summary">
+              {graphStats.entities} entities · {graphStats.relations} relations · {graphStats.chunks} linked chunks · {graphStats.pending} pending
+            </span>
+            <span className="kb-summary">
+              Extraction on ingest: {graphStats.extractionEnabled ? 'on' : 'off'} · Expansion by default: {graphStats.expansionEnabled ? 'on' : 'off'}
+            </span>
+            <button
+              onClick={extractGraph}
+              disabled={disabled || extracting || graphStats.pending === 0}
+              className="kb-btn"
+              title="Extract entities from up to 50 chunks that have not been processed yet"
+            >
+              {extracting ? '⏳ Extracting...' : '🧠 Extract pending chunks'}
+            </button>
+          </div>
+        )}
+
+        {cacheStats && (
+          <div className="kb-graph">
+            <h4>⚡ Caches</h4>
+            <span className="kb-summary">
+              Embeddings: {cacheStats.embeddings.enabled ? 'on' : 'off'}
+              {cacheStats.embeddings.error
+                ? ` · ${cacheStats.embeddings.error}`
+                : ` · ${cacheStats.embeddings.entries} cached · ${cacheStats.embeddings.hits} hits / ${cacheStats.embeddings.misses} misses`}
+            </span>
+            <span className="kb-summary">
+              Answers: {cacheStats.answers.enabled ? `on (similarity ≥ ${cacheStats.answers.similarity})` : 'off'}
+              {` · ${cacheStats.answers.entries} cached · ${cacheStats.answers.hits} hits / ${cacheStats.answers.misses} misses`}
+            </span>
+            <div className="collection-actions">
+              <button onClick={() => clearCache('answers')} disabled={disabled || cacheStats.answers.entries === 0} className="kb-btn">
+                🧹 Clear answers
+              </button>
+              <button onClick={() => clearCache('embeddings')} disabled={disabled || Boolean(cacheStats.embeddings.error)} className="kb-btn">
+                🧹 Clear embeddings
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="kb-danger-zone">
+          <h4>⚠️ Danger zone</h4>
+          <p>Wipe this collection's index and rebuild it from its document URLs.</p>
+          <button onClick={rebuildIndex} disabled={disabled || rebuilding} className="kb-btn danger">
+            {rebuilding ? '⏳ Rebuilding...' : '💣 Wipe & rebuild index'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KnowledgeBasePanel;
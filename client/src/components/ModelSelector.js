@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../utils/api';
+
+// Pick the Ollama model for the next questions; '' means the server's default model
+const ModelSelector = ({ apiBaseUrl, selectedModel, onSelect, disabled, canSetDefault = true }) => {
+  const [models, setModels] = useState([]);
+  const [defaultModel, setDefaultModel] = useState(null);
+  const [error, setError] = useState(null);
+  const [switching, setSwitching] = useState(false);
+
+  const loadModels = useCallback(async (refresh = false) => {
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/models${refresh ? '?refresh=true' : ''}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setModels(data.models.filter(model => !model.embedding));
+        setDefaultModel(data.defaultModel);
+        setError(null);
+      } else {
+        setError(data.error || 'Could not load models');
+      }
+    } catch (error) {
+      setError('Could not load models');
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    if (!disabled) {
+      loadModels();
+    }
+  }, [disabled, loadModels]);
+
+  // Make the selected model the server-wide default (until the server restarts)
+  const makeDefault = async () => {
+    setSwitching(true);
+    try {
+      const response = await apiFetch(`${apiBaseUrl}/models/default`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: selectedModel }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setDefaultModel(data.defaultModel);
+        onSelect('');
+        setError(null);
+      } else {
+        setError(data.error || 'Could not switch model');
+      }
+    } catch (error) {
+      setError('Network error: ' + error.message);
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <div className="model-selector">
+      <span className="model-selector-icon">🤖</span>
+      <label>
+        Model
+        <select
+          value={selectedModel}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={disabled}
+        >
+          <option value="">Server default{defaultModel ? ` (${defaultModel})` : ''}</option>
+          {models
+            .filter(model => model.name !== defaultModel)
+            .map(model => (
+              <option key={model.name} value={model.name}>
+                {model.name}{model.parameterSize ? ` · ${model.parameterSize}` : ''}
+              </option>
+            ))}
+        </select>
+      </label>
+      <button onClick={() => loadModels(true)} disabled={disabled} className="kb-btn" title="Reload the installed models">
+        🔄
+      </button>
+      {selectedModel && canSetDefault && (
+        <button onClick={makeDefault} disabled={disabled || switching} className="kb-btn">
+          {switching ? '⏳' : '📌'} Make default
+        </button>
+      )}
+      {error && <span className="model-selector-error">{error}</span>}
+    </div>
+  );
+};
+
+export default ModelSelector;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+
+const SessionSidebar = ({ sessions, activeSessionId, onSelect, onNew, onRename, onDelete, error }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startEditing = (session) => {
+    setEditingId(session.id);
+    setDraftTitle(session.title);
+  };
+
+  const commitRename = () => {
+    const title = draftTitle.trim();
+    if (title && editingId) {
+      onRename(editingId, title);
+    }
+    setEditingId(null);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      commitRename();
+    } else if (event.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  const confirmDelete = (session) => {
+    if (window.confirm(`Delete "${session.title}"? This cannot be undone.`)) {
+      onDelete(session.id);
+    }
+  };
+
+  return (
+    <aside className="session-sidebar">
+      <div className="session-sidebar-header">
+        <h3>🗂️ History</h3>
+        <button onClick={onNew} className="session-new-btn">
+          ➕ New chat
+        </button>
+      </div>
+
+      {error && <div className="session-error">{error}</div>}
+
+      {sessions.length === 0 && !error && (
+        <p className="session-empty">No conversations yet</p>
+      )}
+
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li
+            key={session.id}
+            className={`session-item ${session.id === activeSessionId ? 'active' : ''}`}
+          >
+            {editingId === session.id ? (
+              <input
+                className="session-rename-input"
+                value={draftTitle}
+                onChange={(e) => setDraftTitle(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={commitRename}
+                autoFocus
+              />
+            ) : (
+              <button className="session-title" onClick={() => onSelect(session.id)}>
+                <span className="session-title-text">{session.title}</span>
+                <span className="session-meta">
+                  {session.messageCount} messages · {new Date(session.updatedAt).toLocaleDateString()}
+                </span>
+              </button>
+            )}
+            <div className="session-actions">
+              <button onClick={() => startEditing(session)} title="Rename">✏️</button>
+              <button onClick={() => confirmDelete(session)} title="Delete">🗑️</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+};
+
+export default SessionSidebar;
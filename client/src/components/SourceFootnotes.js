@@ -0,0 +1,71 @@
+import React from 'react';
+
+const isLink = (source) => /^https?:\/\//i.test(source || '');
+
+// Tooltip describing where a result ranked in each retriever and the reranker,
+// or how graph expansion found it
+const describeRetrieval = (retrieval) => {
+  if (!retrieval) return undefined;
+  if (retrieval.graph) {
+    return `graph neighbour via ${retrieval.via.join(', ')} (${retrieval.sharedEntities} shared entities)`;
+  }
+  return [
+    retrieval.vectorRank && `vector #${retrieval.vectorRank} (${retrieval.vectorScore})`,
+    retrieval.keywordRank && `full-text #${retrieval.keywordRank} (${retrieval.keywordScore})`,
+    retrieval.originalRank && `candidate #${retrieval.originalRank}`,
+    retrieval.rerankScore !== undefined && retrieval.rerankScore !== null && `rerank score ${retrieval.rerankScore}/10`,
+  ].filter(Boolean).join(' · ');
+};
+
+const SourceFootnotes = ({ sources, activeIndex, onToggle }) => {
+  if (!sources || sources.length === 0) return null;
+
+  return (
+    <div className="source-footnotes">
+      <h5>📚 Sources</h5>
+      <ol className="source-list">
+        {sources.map(source => {
+          const isExpanded = activeIndex === source.index;
+
+          return (
+            <li
+              key={source.index}
+              id={`source-${source.index}`}
+              className={`source-item ${isExpanded ? 'expanded' : ''}`}
+            >
+              <button
+                className="source-header"
+                onClick={() => onToggle(source.index)}
+              >
+                <span className="source-number">[{source.index}]</span>
+                <span className="source-name">{source.title || source.source}</span>
+                {source.retrieval?.graph && <span className="source-badge">🕸️ graph</span>}
+                {source.score !== null && source.score !== undefined && (
+                  <span className="source-score" title={describeRetrieval(source.retrieval)}>
+                    {source.score.toFixed(3)}
+                  </span>
+                )}
+              </button>
+
+              {isExpanded && (
+                <div className="source-body">
+                  {isLink(source.source) && (
+                    <a href={source.source} target="_blank" rel="noopener noreferrer">
+                      {source.source}
+                    </a>
+                  )}
+                  {source.chunkId && (
+                    <div className="source-chunk-id">Chunk: {source.chunkId}</div>
+                  )}
+                  <pre className="source-text">{source.text}</pre>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default SourceFootnotes;
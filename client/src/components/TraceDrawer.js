@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+
+const formatTokens = (tokens) => (tokens ? `${tokens.prompt} in / ${tokens.completion} out` : 'tokens n/a');
+const formatMs = (ms) => (ms === null || ms === undefined ? '…' : `${ms} ms`);
+
+// Retrieved chunks of a retrieve / rerank / graph-expansion step, best first
+const ChunkTable = ({ chunks }) => (
+  <table className="kb-table trace-chunks">
+    <thead>
+      <tr><th>#</th><th>Score</th><th>Source</th><th>Preview</th></tr>
+    </thead>
+    <tbody>
+      {chunks.map((chunk, index) => (
+        <tr key={index}>
+          <td>{index + 1}</td>
+          <td>{chunk.score ?? '—'}</td>
+          <td className="kb-source">
+            {chunk.source}
+            {chunk.retrieval && <span className="kb-badge">{chunk.retrieval}</span>}
+          </td>
+          <td className="trace-preview">{chunk.preview}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const TraceStep = ({ step, totalMs }) => {
+  const [expanded, setExpanded] = useState(step.type === 'llm');
+  const scale = totalMs ? 100 / totalMs : 0;
+
+  return (
+    <div className={`trace-step trace-step-${step.type}`}>
+      <button onClick={() => setExpanded(!expanded)} className="trace-step-header">
+        <span>{expanded ? '▼' : '▶'} {step.name} {step.type === 'llm' && <span className="kb-badge">{step.model || 'model'}</span>}</span>
+        <span className="kb-summary">
+          @{step.startMs} ms · {formatMs(step.durationMs)}
+          {step.type === 'llm' && ` · ${formatTokens(step.tokens)}`}
+        </span>
+      </button>
+      <div className="trace-timeline">
+        <div
+          className="trace-timeline-bar"
+          style={{ marginLeft: `${step.startMs * scale}%`, width: `${Math.max((step.durationMs || 0) * scale, 0.5)}%` }}
+        />
+      </div>
+      {step.error && <div className="error">{step.error}</div>}
+
+      {expanded && (
+        <div className="trace-step-body">
+          {step.query && <p><strong>Query:</strong> {step.query}</p>}
+          {step.output && step.type === 'chain' && <p><strong>Output:</strong> {String(step.output)}</p>}
+          {step.chunks && (step.chunks.length ? <ChunkTable chunks={step.chunks} /> : <div className="kb-empty">No chunks</div>)}
+
+          {step.type === 'llm' && (
+            <>
+              <p className="kb-summary">{step.provider} · {JSON.stringify(step.params)}</p>
+              {step.prompt.map((message, index) => (
+                <div key={index} className="trace-message">
+                  <span className="kb-badge">{message.role}</span>
+                  <pre>{typeof message.content === 'string' ? message.content : JSON.stringify(message.content, null, 2)}</pre>
+                </div>
+              ))}
+              {step.output !== undefined && (
+                <div className="trace-message">
+                  <span className="kb-badge">output</span>
+                  <pre>{step.output}</pre>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Side drawer showing the recorded pipeline trace of one chat request
+const TraceDrawer = ({ apiBaseUrl, traceId, onClose }) => {
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadTrace = async () => {
+      setTrace(null);
+      setError(null);
+      try {
+        const response = await apiFetch(`${apiBaseUrl}/traces/${encodeURIComponent(traceId)}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setTrace(data);
+        } else {
+          setError(data.error || 'Could not load trace');
+        }
+      } catch (error) {
+        setError('Network error: ' + error.message);
+      }
+    };
+    loadTrace();
+  }, [apiBaseUrl, traceId]);
+
+  const totalMs = trace && (trace.durationMs || Math.max(...trace.steps.map(step => step.startMs + (step.durationMs || 0)), 1));
+
+  return (
+    <aside className="trace-drawer">
+      <div className="kb-header">
+        <h3>🐞 Trace</h3>
+        <button onClick={onClose} className="kb-btn">✖ Close</button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {!trace && !error && <div className="kb-empty">Loading trace...</div>}
+
+      {trace && (
+        <>
+          <span className="kb-summary">
+            {trace.route} · {trace.status} ({trace.httpStatus ?? '…'}) · {formatMs(trace.durationMs)} · {trace.llmCalls} model calls · {formatTokens(trace.tokens)}
+          </span>
+          <pre className="trace-request">{JSON.stringify({ ...trace.request, ...trace.details }, null, 2)}</pre>
+
+          {trace.steps.length === 0 && <div className="kb-empty">No steps recorded</div>}
+          {trace.steps.map((step, index) => (
+            <TraceStep key={index} step={step} totalMs={totalMs} />
+          ))}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default TraceDrawer;
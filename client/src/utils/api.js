@@ -0,0 +1,39 @@
+// fetch() for the backend API, with the login token attached
+
+const TOKEN_STORAGE_KEY = 'karl-chat-token';
+
+let onUnauthorized = null;
+
+export const getToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+export function setToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+}
+
+// Called when the backend answers 401 (not logged in, or the session expired)
+export function setUnauthorizedHandler(handler) {
+  onUnauthorized = handler;
+}
+
+/**
+ * fetch() with `Authorization: Bearer <token>` when logged in
+ */
+export async function apiFetch(url, options = {}) {
+  const token = getToken();
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  });
+
+  if (response.status === 401 && onUnauthorized) {
+    onUnauthorized();
+  }
+  return response;
+}
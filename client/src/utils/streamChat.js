@@ -0,0 +1,66 @@
+// Minimal Server-Sent Events reader over fetch (EventSource can't POST a body)
+import { apiFetch } from './api';
+
+/**
+ * POST `body` to a streaming endpoint and call onEvent(event, data)
+ * for every SSE message. Resolves when the stream ends.
+ * Non-stream responses (validation errors etc.) are reported as an `error` event.
+ */
+export async function streamChat(url, body, onEvent, { signal } = {}) {
+  const response = await apiFetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!response.ok || !contentType.includes('text/event-stream')) {
+    const data = await response.json().catch(() => ({}));
+    onEvent('error', { error: data.error || `Request failed with status ${response.status}` });
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      dispatchMessage(message, onEvent);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+function dispatchMessage(message, onEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  message.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return;
+
+  try {
+    onEvent(event, JSON.parse(dataLines.join('\n')));
+  } catch (error) {
+    console.error('Could not parse stream event:', error);
+  }
+}